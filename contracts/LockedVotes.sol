@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/types/Time.sol";
+
+/**
+ * @title Locked Voting Power
+ * @dev Checkpointed balances of tokens a contract holds on behalf of users
+ * (stakes, unreleased vesting), so TAPGovernor can count them toward their
+ * owner's votes.
+ *
+ * - Uses the same block-number clock as TAPv2's ERC20Votes
+ * - Votes belong to the owner of the locked tokens; there is no delegation
+ * - getPastVotes is flash-loan safe: only balances checkpointed before the
+ *   proposal snapshot count
+ */
+abstract contract LockedVotes {
+    using Checkpoints for Checkpoints.Trace208;
+
+    /// @dev Locked balance history of each account
+    mapping(address => Checkpoints.Trace208) private _lockedVotes;
+
+    /// @dev Reserved slots so LockedVotes can gain state without shifting
+    /// the layout of the upgradeable contracts that inherit it
+    uint256[49] private __gap;
+
+    /**
+     * @notice Clock used for checkpoints (block number, as in TAPv2)
+     */
+    function clock() public view virtual returns (uint48) {
+        return Time.blockNumber();
+    }
+
+    /**
+     * @notice Machine-readable description of the clock (EIP-6372)
+     */
+    function CLOCK_MODE() public view virtual returns (string memory) {
+        return "mode=blocknumber&from=default";
+    }
+
+    /**
+     * @notice Tokens currently locked in this contract for an account
+     * @param account Token owner
+     */
+    function getVotes(address account) public view returns (uint256) {
+        return _lockedVotes[account].latest();
+    }
+
+    /**
+     * @notice Tokens locked for an account at a past timepoint
+     * @param account Token owner
+     * @param timepoint Block number (must be in the past)
+     */
+    function getPastVotes(address account, uint256 timepoint) public view returns (uint256) {
+        require(timepoint < clock(), "Future lookup");
+        return _lockedVotes[account].upperLookupRecent(SafeCast.toUint48(timepoint));
+    }
+
+    /**
+     * @dev Add to an account's locked balance
+     */
+    function _increaseLockedVotes(address account, uint256 amount) internal {
+        Checkpoints.Trace208 storage history = _lockedVotes[account];
+        history.push(clock(), SafeCast.toUint208(history.latest() + amount));
+    }
+
+    /**
+     * @dev Subtract from an account's locked balance
+     */
+    function _decreaseLockedVotes(address account, uint256 amount) internal {
+        Checkpoints.Trace208 storage history = _lockedVotes[account];
+        history.push(clock(), SafeCast.toUint208(history.latest() - amount));
+    }
+}
@@ -0,0 +1,233 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Staking.sol";
+import "./Vesting.sol";
+
+/**
+ * @title TAP Merkle Distributor
+ * @dev Airdrop of TAP to many addresses via Merkle proofs
+ *
+ * Features:
+ * - One Merkle root per distribution; each leaf is (index, account, amount)
+ * - Claimed indexes tracked in a bitmap (one bit per leaf)
+ * - Claims close at claimDeadline; the owner can then sweep what is left
+ * - Optional: claims create a Vesting schedule instead of a transfer
+ * - Optional: claimants can stake their claim straight into Staking
+ *
+ * Leaves follow the OpenZeppelin StandardMerkleTree encoding:
+ * keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))))
+ * Build trees with `npx hardhat airdrop:build` (scripts/lib/merkle.js).
+ *
+ * The distributor must be excluded from TAPv2 burn so claims pay out in full.
+ */
+contract MerkleDistributor is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Vesting terms applied to claims when vesting is configured
+    struct VestingTerms {
+        uint256 startTime;           // Schedule start (e.g. TGE)
+        uint256 cliffDuration;       // Cliff in seconds
+        uint256 vestingDuration;     // Vesting duration in seconds
+        uint16 tgeBps;               // Share unlocked at start
+        uint64 stepDuration;         // Unlock step in seconds (0 = linear)
+    }
+
+    /// @notice TAP token contract
+    IERC20 public immutable token;
+
+    /// @notice Root of the distribution's Merkle tree
+    bytes32 public immutable merkleRoot;
+
+    /// @notice Last timestamp claims are accepted
+    uint256 public immutable claimDeadline;
+
+    /// @notice Total tokens claimed
+    uint256 public totalClaimed;
+
+    /// @notice Vesting contract claims are vested through (zero = direct transfer)
+    Vesting public vesting;
+
+    /// @notice Terms of schedules created for claims
+    VestingTerms public vestingTerms;
+
+    /// @notice Staking contract for claimAndStake (zero = disabled)
+    Staking public staking;
+
+    /// @notice Claimed bitmap: bit (index % 256) of word (index / 256)
+    mapping(uint256 => uint256) private claimedBitMap;
+
+    /// @notice Emitted when a leaf is claimed
+    event Claimed(uint256 indexed index, address indexed account, uint256 amount);
+
+    /// @notice Emitted when claims are routed through Vesting
+    event VestingConfigured(address indexed vesting, VestingTerms terms);
+
+    /// @notice Emitted when claimAndStake is enabled or disabled
+    event StakingConfigured(address indexed staking);
+
+    /// @notice Emitted when unclaimed tokens are swept after the deadline
+    event Swept(address indexed to, uint256 amount);
+
+    /**
+     * @param _token TAP token address
+     * @param _merkleRoot Root of the distribution tree
+     * @param _claimDeadline Last timestamp claims are accepted
+     */
+    constructor(address _token, bytes32 _merkleRoot, uint256 _claimDeadline) Ownable(msg.sender) {
+        require(_token != address(0), "Token cannot be zero");
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be zero");
+        require(_claimDeadline > block.timestamp, "Deadline must be in the future");
+        token = IERC20(_token);
+        merkleRoot = _merkleRoot;
+        claimDeadline = _claimDeadline;
+    }
+
+    /**
+     * @notice Whether a leaf has been claimed
+     * @param index Leaf index
+     */
+    function isClaimed(uint256 index) public view returns (bool) {
+        uint256 word = claimedBitMap[index / 256];
+        uint256 mask = 1 << (index % 256);
+        return word & mask == mask;
+    }
+
+    /**
+     * @notice Claim a leaf for its account
+     * @dev Anyone can submit; tokens always go to `account`. When vesting is
+     * configured a schedule is created for the account instead of a transfer.
+     * @param index Leaf index
+     * @param account Leaf account
+     * @param amount Leaf amount
+     * @param proof Merkle proof
+     */
+    function claim(uint256 index, address account, uint256 amount, bytes32[] calldata proof)
+        external
+        nonReentrant
+    {
+        _claim(index, account, amount, proof);
+
+        if (address(vesting) != address(0)) {
+            VestingTerms memory terms = vestingTerms;
+            token.forceApprove(address(vesting), amount);
+            vesting.createVestingSchedule(
+                account,
+                amount,
+                terms.startTime,
+                terms.cliffDuration,
+                terms.vestingDuration,
+                terms.tgeBps,
+                terms.stepDuration
+            );
+        } else {
+            token.safeTransfer(account, amount);
+        }
+    }
+
+    /**
+     * @notice Claim your leaf and stake it without a lock
+     * @param index Leaf index
+     * @param amount Leaf amount
+     * @param proof Merkle proof
+     */
+    function claimAndStake(uint256 index, uint256 amount, bytes32[] calldata proof) external nonReentrant {
+        _claimForStaking(index, amount, proof);
+        staking.stakeFor(msg.sender, amount);
+    }
+
+    /**
+     * @notice Claim your leaf and open a locked Staking position with it
+     * @param index Leaf index
+     * @param amount Leaf amount
+     * @param proof Merkle proof
+     * @param tierId Staking lock tier
+     * @return positionId Index of the new position
+     */
+    function claimAndStakeLocked(uint256 index, uint256 amount, bytes32[] calldata proof, uint256 tierId)
+        external
+        nonReentrant
+        returns (uint256 positionId)
+    {
+        _claimForStaking(index, amount, proof);
+        return staking.stakeLockedFor(msg.sender, amount, tierId);
+    }
+
+    /**
+     * @notice Route claims through Vesting (set before claims start)
+     * @dev The distributor must hold VESTING_CREATOR_ROLE on the Vesting contract.
+     * The terms are checked like Vesting.createVestingSchedule checks them, so
+     * bad terms fail here rather than in every claim
+     * @param _vesting Vesting contract (zero to pay out directly)
+     * @param terms Schedule terms for every claim
+     */
+    function setVesting(address _vesting, VestingTerms calldata terms) external onlyOwner {
+        require(totalClaimed == 0, "Claims already started");
+        if (_vesting != address(0)) {
+            require(terms.startTime > 0, "Start time cannot be zero");
+            require(terms.vestingDuration > 0, "Vesting duration must be greater than 0");
+            require(terms.cliffDuration <= terms.vestingDuration, "Cliff cannot exceed vesting duration");
+            require(terms.tgeBps <= Vesting(_vesting).BPS_DENOMINATOR(), "TGE share exceeds 100%");
+            require(terms.stepDuration <= terms.vestingDuration, "Step exceeds vesting duration");
+        }
+        vesting = Vesting(_vesting);
+        vestingTerms = terms;
+        emit VestingConfigured(_vesting, terms);
+    }
+
+    /**
+     * @notice Enable claimAndStake (zero address disables it)
+     * @param _staking Staking contract
+     */
+    function setStaking(address _staking) external onlyOwner {
+        staking = Staking(_staking);
+        emit StakingConfigured(_staking);
+    }
+
+    /**
+     * @notice Send unclaimed tokens to `to` once the claim period has ended
+     * @param to Recipient
+     */
+    function sweep(address to) external onlyOwner {
+        require(block.timestamp > claimDeadline, "Claim period not ended");
+        require(to != address(0), "Recipient cannot be zero");
+
+        uint256 amount = token.balanceOf(address(this));
+        require(amount > 0, "Nothing to sweep");
+
+        token.safeTransfer(to, amount);
+        emit Swept(to, amount);
+    }
+
+    /**
+     * @dev Verify a leaf, mark it claimed and emit Claimed
+     */
+    function _claim(uint256 index, address account, uint256 amount, bytes32[] calldata proof) internal {
+        require(block.timestamp <= claimDeadline, "Claim period ended");
+        require(!isClaimed(index), "Already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))));
+        require(MerkleProof.verifyCalldata(proof, merkleRoot, leaf), "Invalid proof");
+
+        claimedBitMap[index / 256] |= 1 << (index % 256);
+        totalClaimed += amount;
+
+        emit Claimed(index, account, amount);
+    }
+
+    /**
+     * @dev Claim the caller's leaf and approve Staking to pull it
+     */
+    function _claimForStaking(uint256 index, uint256 amount, bytes32[] calldata proof) internal {
+        require(address(staking) != address(0), "Staking not enabled");
+        require(address(vesting) == address(0), "Claims are vested");
+
+        _claim(index, msg.sender, amount, proof);
+        token.forceApprove(address(staking), amount);
+    }
+}
@@ -3,272 +3,884 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./LockedVotes.sol";
 
 /**
  * @title TAP Token Staking Contract
  * @dev Stake TAP tokens to earn TAP rewards
- * 
+ *
  * Features:
  * - Stake TAP tokens to earn rewards
- * - Configurable APY (default 10%)
+ * - A reward funder funds finite reward periods (amount spread over a duration)
  * - Minimum stake amount: 100 TAP
- * - Rewards accrue per second
- * - Owner funds reward pool
- * 
- * Reward Calculation:
- * - Rewards are calculated based on time staked and APY
- * - Formula: (stakedAmount * APY * timeStaked) / (365 days * 100)
+ * - Rewards accrue per second, shared by all stakers pro rata
+ * - Promised rewards can never exceed the funded reward pool
+ * - Optional lock-up tiers with boosted rewards (e.g. 30/90/180/365 days)
+ * - Early withdrawal of a locked position pays a penalty, either burned
+ *   (sent to the dead address, counted in totalPenaltiesBurned) or recycled
+ *   into the reward pool
+ * - EIP-2612 permit variants of stake, stakeLocked and fundRewardPool
+ * - TAPv2's fee router can add part of every transfer fee to the reward pool
+ * - Stakes and funding are credited with the amount actually received, so
+ *   the books stay whole if the token takes a fee on the way in;
+ *   getAccounting compares them with the balance
+ * - Staked tokens (flexible and locked) keep counting toward the staker's
+ *   governance votes through checkpointed getPastVotes
+ * - Deployed behind a UUPS proxy; only the admin can upgrade. New state
+ *   variables must be appended after the existing ones
+ * - Roles: the admin (penalty mode, emergency withdraw, upgrades, role
+ *   grants), reward funders, rate setters (duration and tiers) and a
+ *   guardian that can pause new stakes. Withdrawals and claims never pause
+ *
+ * Reward Calculation (reward-per-token accumulator):
+ * - Each stake carries a weight: flexible stakes 1x, locked positions
+ *   amount * tier multiplier
+ * - rewardRate = (rewardPool - accruedRewards) / duration, in TAP per second
+ * - rewardPerToken grows by rewardRate * elapsed / totalWeight
+ * - earned = weight * (rewardPerToken - rewardPerTokenPaid) + stored rewards
  */
-contract Staking is Ownable, ReentrancyGuard {
+contract Staking is
+    Initializable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable,
+    LockedVotes
+{
     using SafeERC20 for IERC20;
-    
+
+    /// @notice Role allowed to fund rewards and start reward periods
+    bytes32 public constant REWARD_FUNDER_ROLE = keccak256("REWARD_FUNDER_ROLE");
+
+    /// @notice Role allowed to change the rewards duration and lock tiers
+    bytes32 public constant RATE_SETTER_ROLE = keccak256("RATE_SETTER_ROLE");
+
+    /// @notice Role allowed to pause and unpause new stakes
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice Where burned penalties go (TAPv2's DEAD_ADDRESS, which pays no transfer fee)
+    address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
     /// @notice TAP token contract
-    IERC20 public immutable stakingToken;
-    
+    IERC20 public stakingToken;
+
     /// @notice Minimum stake amount (100 TAP)
     uint256 public constant MIN_STAKE = 100 * 10**18;
-    
-    /// @notice APY in basis points (1000 = 10%)
-    uint256 public rewardRateBps = 1000;
-    
+
     /// @notice Basis points denominator
     uint256 public constant BPS_DENOMINATOR = 10000;
-    
+
+    /// @notice Maximum reward multiplier for a lock tier (5x)
+    uint256 public constant MAX_MULTIPLIER_BPS = 50000;
+
+    /// @notice Maximum early withdrawal penalty (50%)
+    uint256 public constant MAX_PENALTY_BPS = 5000;
+
     /// @notice Seconds in a year (for APY calculation)
     uint256 public constant SECONDS_PER_YEAR = 365 days;
-    
+
+    /// @notice Fixed-point precision of rewardPerToken
+    uint256 private constant PRECISION = 1e18;
+
+    /// @notice Rewards emitted per second during the current period
+    uint256 public rewardRate;
+
+    /// @notice Timestamp the current reward period ends
+    uint256 public periodFinish;
+
+    /// @notice Duration used by fundRewardPool (default 365 days)
+    uint256 public rewardsDuration;
+
+    /// @notice Last time rewardPerTokenStored was updated
+    uint256 public lastUpdateTime;
+
+    /// @notice Accumulated rewards per unit of weight (scaled by 1e18)
+    uint256 public rewardPerTokenStored;
+
     /// @notice Staker information
     struct StakeInfo {
-        uint256 amount;           // Amount staked
-        uint256 rewardDebt;       // Rewards already accounted for
-        uint256 lastUpdateTime;   // Last time rewards were calculated
+        uint256 amount;              // Amount staked (flexible + locked)
+        uint256 lockedAmount;        // Amount held in open locked positions
+        uint256 weight;              // Reward weight of all stakes
+        uint256 rewardPerTokenPaid;  // rewardPerToken at the last update
+        uint256 rewards;             // Rewards earned but not yet claimed
     }
-    
+
+    /// @notice Lock tier configuration
+    struct Tier {
+        uint256 lockDuration;        // Lock period in seconds
+        uint256 multiplierBps;       // Reward multiplier (10000 = 1x)
+        uint256 penaltyBps;          // Early withdrawal penalty
+        bool enabled;                // Whether new positions can use it
+    }
+
+    /// @notice Locked staking position
+    struct Position {
+        uint256 amount;              // Principal
+        uint256 weight;              // amount * multiplier at creation
+        uint256 tierId;              // Tier the position was opened with
+        uint256 penaltyBps;          // Early withdrawal penalty at creation
+        uint256 startTime;           // Opening timestamp
+        uint256 unlockTime;          // When it can be withdrawn without penalty
+        bool withdrawn;              // Whether the position is closed
+    }
+
     /// @notice Mapping of staker address to their stake info
     mapping(address => StakeInfo) public stakes;
-    
+
+    /// @notice Locked positions of each staker
+    mapping(address => Position[]) public positions;
+
+    /// @notice Lock tiers (ids are array indexes)
+    Tier[] public tiers;
+
+    /// @notice Burn early withdrawal penalties (true) or recycle them into the reward pool (false)
+    bool public burnPenalties;
+
     /// @notice Total tokens staked
     uint256 public totalStaked;
-    
-    /// @notice Total rewards available in the pool
+
+    /// @notice Total reward weight of all stakes
+    uint256 public totalWeight;
+
+    /// @notice Reward tokens held by the contract (funded minus claimed)
     uint256 public rewardPool;
-    
+
+    /// @notice Rewards already distributed to stakers but not yet claimed
+    uint256 public accruedRewards;
+
     /// @notice Total rewards claimed
     uint256 public totalRewardsClaimed;
-    
+
+    /// @notice Total early withdrawal penalties collected
+    uint256 public totalPenalties;
+
+    /// @notice Part of totalPenalties burned to DEAD_ADDRESS (on top of TAPv2.totalBurned)
+    uint256 public totalPenaltiesBurned;
+
     /// @notice Emitted when tokens are staked
     event Staked(address indexed user, uint256 amount);
-    
-    /// @notice Emitted when tokens are withdrawn
+
+    /// @notice Emitted when tokens are withdrawn; amount is what the user is paid
+    /// (an early-closed position's penalty is reported by PenaltyCollected)
     event Withdrawn(address indexed user, uint256 amount);
-    
+
     /// @notice Emitted when rewards are claimed
     event RewardsClaimed(address indexed user, uint256 amount);
-    
+
     /// @notice Emitted when reward pool is funded
     event RewardPoolFunded(uint256 amount);
-    
-    /// @notice Emitted when reward rate is updated
+
+    /// @notice Emitted when reward rate is updated (tokens per second)
     event RewardRateUpdated(uint256 oldRate, uint256 newRate);
-    
+
+    /// @notice Emitted when a reward period starts
+    event RewardPeriodStarted(uint256 amount, uint256 duration, uint256 periodFinish);
+
+    /// @notice Emitted when the default rewards duration changes
+    event RewardsDurationUpdated(uint256 duration);
+
+    /// @notice Emitted when a locked position is opened
+    event PositionOpened(
+        address indexed user,
+        uint256 indexed positionId,
+        uint256 indexed tierId,
+        uint256 amount,
+        uint256 unlockTime
+    );
+
+    /// @notice Emitted when a locked position is closed
+    event PositionClosed(address indexed user, uint256 indexed positionId, uint256 amount, uint256 penalty);
+
+    /// @notice Emitted when an early withdrawal penalty is burned or recycled
+    event PenaltyCollected(address indexed user, uint256 amount, bool burned);
+
+    /// @notice Emitted when a tier is added or changed
+    event TierUpdated(uint256 indexed tierId, uint256 lockDuration, uint256 multiplierBps, uint256 penaltyBps, bool enabled);
+
+    /// @notice Emitted when the penalty mode changes
+    event PenaltyModeUpdated(bool burnPenalties);
+
+    /// @notice Emitted when the token adds its share of transfer fees to the reward pool
+    event TransferFeeReceived(uint256 amount);
+
+    /// @notice Emitted when tokens held beyond the books are added to the reward pool
+    event SurplusReconciled(uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
     /**
-     * @dev Constructor sets the staking token
+     * @dev Initializer (replaces the constructor) sets the staking token,
+     * gives the caller every role and sets the default lock tiers
      * @param _stakingToken TAP token address
      */
-    constructor(address _stakingToken) Ownable(msg.sender) {
+    function initialize(address _stakingToken) external initializer {
         require(_stakingToken != address(0), "Staking token cannot be zero");
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(REWARD_FUNDER_ROLE, msg.sender);
+        _grantRole(RATE_SETTER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+
         stakingToken = IERC20(_stakingToken);
+        rewardsDuration = 365 days;
+
+        // Default tiers: lock, multiplier, early withdrawal penalty
+        _setTier(0, 30 days, 11000, 500, true);    // 1.1x, 5%
+        _setTier(1, 90 days, 12500, 1000, true);   // 1.25x, 10%
+        _setTier(2, 180 days, 15000, 1500, true);  // 1.5x, 15%
+        _setTier(3, 365 days, 20000, 2500, true);  // 2x, 25%
     }
-    
+
+    /**
+     * @dev Settle global rewards and, if given, the account's earned rewards
+     */
+    modifier updateReward(address account) {
+        _updateReward(account);
+        _;
+    }
+
     /**
-     * @notice Fund the reward pool
+     * @notice Fund the reward pool and spread it over rewardsDuration
      * @param amount Amount of TAP to add to reward pool
      */
-    function fundRewardPool(uint256 amount) external onlyOwner {
+    function fundRewardPool(uint256 amount) external onlyRole(REWARD_FUNDER_ROLE) {
         require(amount > 0, "Amount must be greater than 0");
-        stakingToken.safeTransferFrom(msg.sender, address(this), amount);
+        _notifyRewardAmount(amount, rewardsDuration);
+    }
+
+    /**
+     * @notice fundRewardPool with an EIP-2612 permit instead of a prior approve
+     * @param amount Amount of TAP to add to reward pool
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function fundRewardPoolWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        onlyRole(REWARD_FUNDER_ROLE)
+    {
+        require(amount > 0, "Amount must be greater than 0");
+        _permit(amount, deadline, v, r, s);
+        _notifyRewardAmount(amount, rewardsDuration);
+    }
+
+    /**
+     * @notice Fund rewards and start a new reward period
+     * @dev Unallocated rewards (leftover from the current period, emitted
+     * while nothing was staked, or recycled penalties) roll into the new period.
+     * @param amount Amount of TAP to add (may be 0 to re-spread what is left)
+     * @param duration Length of the reward period in seconds
+     */
+    function notifyRewardAmount(uint256 amount, uint256 duration) external onlyRole(REWARD_FUNDER_ROLE) {
+        _notifyRewardAmount(amount, duration);
+    }
+
+    /**
+     * @notice Add transfer fees the token has already sent to this contract to the reward pool
+     * @dev Only callable by the staking token (TAPv2's fee router). Like recycled
+     * penalties, the amount is unallocated until the next reward period.
+     * @param amount Fee amount received
+     */
+    function notifyTransferFee(uint256 amount) external {
+        require(msg.sender == address(stakingToken), "Only staking token");
         rewardPool += amount;
-        emit RewardPoolFunded(amount);
+        emit TransferFeeReceived(amount);
+    }
+
+    /**
+     * @notice Add tokens held beyond the books (sent here directly) to the reward pool
+     * @dev Like recycled penalties, the surplus is unallocated until the next reward period
+     */
+    function reconcileSurplus() external onlyRole(REWARD_FUNDER_ROLE) {
+        (uint256 accounted, uint256 balance) = getAccounting();
+        require(balance > accounted, "No surplus");
+        uint256 surplus = balance - accounted;
+        rewardPool += surplus;
+        emit SurplusReconciled(surplus);
+    }
+
+    /**
+     * @notice Set the period length used by fundRewardPool
+     * @param duration Duration in seconds
+     */
+    function setRewardsDuration(uint256 duration) external onlyRole(RATE_SETTER_ROLE) {
+        require(duration > 0, "Duration must be greater than 0");
+        rewardsDuration = duration;
+        emit RewardsDurationUpdated(duration);
     }
-    
+
     /**
-     * @notice Update reward rate (APY)
-     * @param newRateBps New rate in basis points (1000 = 10%)
+     * @notice Add or update a lock tier
+     * @dev Existing positions keep the multiplier and penalty they were opened with
+     * @param tierId Tier id (use tierCount() to append a new tier)
+     * @param lockDuration Lock period in seconds
+     * @param multiplierBps Reward multiplier (10000 = 1x)
+     * @param penaltyBps Early withdrawal penalty in basis points
+     * @param enabled Whether new positions can use the tier
      */
-    function setRewardRate(uint256 newRateBps) external onlyOwner {
-        require(newRateBps <= 10000, "Rate cannot exceed 100%");
-        uint256 oldRate = rewardRateBps;
-        rewardRateBps = newRateBps;
-        emit RewardRateUpdated(oldRate, newRateBps);
+    function setTier(
+        uint256 tierId,
+        uint256 lockDuration,
+        uint256 multiplierBps,
+        uint256 penaltyBps,
+        bool enabled
+    ) external onlyRole(RATE_SETTER_ROLE) {
+        require(tierId <= tiers.length, "Invalid tier");
+        _setTier(tierId, lockDuration, multiplierBps, penaltyBps, enabled);
     }
-    
+
     /**
-     * @notice Stake TAP tokens
+     * @notice Choose whether early withdrawal penalties are burned or recycled
+     * @param burn True to burn (send to DEAD_ADDRESS), false to add to the reward pool
+     */
+    function setBurnPenalties(bool burn) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        burnPenalties = burn;
+        emit PenaltyModeUpdated(burn);
+    }
+
+    /**
+     * @notice Stop new stakes; withdrawals, exits and claims stay open
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Accept new stakes again
+     */
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Stake TAP tokens without a lock
      * @param amount Amount to stake (must be >= MIN_STAKE for first stake)
      */
-    function stake(uint256 amount) external nonReentrant {
-        require(amount > 0, "Cannot stake 0");
-        
-        StakeInfo storage userStake = stakes[msg.sender];
-        
-        // First stake must meet minimum
-        if (userStake.amount == 0) {
-            require(amount >= MIN_STAKE, "First stake must be at least 100 TAP");
-        }
-        
-        // Calculate and store pending rewards before updating stake
-        if (userStake.amount > 0) {
-            uint256 pending = _calculatePendingRewards(msg.sender);
-            userStake.rewardDebt += pending;
-        }
-        
-        // Transfer tokens to contract
-        stakingToken.safeTransferFrom(msg.sender, address(this), amount);
-        
-        // Update stake info
-        userStake.amount += amount;
-        userStake.lastUpdateTime = block.timestamp;
-        totalStaked += amount;
-        
-        emit Staked(msg.sender, amount);
+    function stake(uint256 amount) external nonReentrant whenNotPaused updateReward(msg.sender) {
+        _deposit(msg.sender, msg.sender, amount, BPS_DENOMINATOR);
     }
-    
+
     /**
-     * @notice Withdraw staked tokens
+     * @notice Stake with an EIP-2612 permit instead of a prior approve
+     * @param amount Amount to stake (must be >= MIN_STAKE for first stake)
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function stakeWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(msg.sender)
+    {
+        _permit(amount, deadline, v, r, s);
+        _deposit(msg.sender, msg.sender, amount, BPS_DENOMINATOR);
+    }
+
+    /**
+     * @notice Stake tokens from the caller on behalf of another address
+     * @dev Used by contracts that hand out tokens (e.g. the Merkle distributor)
+     * @param beneficiary Address the stake is credited to
+     * @param amount Amount to stake (must be >= MIN_STAKE for first stake)
+     */
+    function stakeFor(address beneficiary, uint256 amount)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(beneficiary)
+    {
+        require(beneficiary != address(0), "Beneficiary cannot be zero");
+        _deposit(msg.sender, beneficiary, amount, BPS_DENOMINATOR);
+    }
+
+    /**
+     * @notice Stake TAP tokens in a locked position with boosted rewards
+     * @param amount Amount to stake (must be >= MIN_STAKE for first stake)
+     * @param tierId Lock tier
+     * @return positionId Index of the new position
+     */
+    function stakeLocked(uint256 amount, uint256 tierId)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(msg.sender)
+        returns (uint256 positionId)
+    {
+        return _stakeLocked(msg.sender, msg.sender, amount, tierId);
+    }
+
+    /**
+     * @notice stakeLocked with an EIP-2612 permit instead of a prior approve
+     * @param amount Amount to stake (must be >= MIN_STAKE for first stake)
+     * @param tierId Lock tier
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @return positionId Index of the new position
+     */
+    function stakeLockedWithPermit(
+        uint256 amount,
+        uint256 tierId,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused updateReward(msg.sender) returns (uint256 positionId) {
+        _permit(amount, deadline, v, r, s);
+        return _stakeLocked(msg.sender, msg.sender, amount, tierId);
+    }
+
+    /**
+     * @notice Open a locked position for another address with the caller's tokens
+     * @param beneficiary Address the position belongs to
+     * @param amount Amount to stake (must be >= MIN_STAKE for first stake)
+     * @param tierId Lock tier
+     * @return positionId Index of the new position
+     */
+    function stakeLockedFor(address beneficiary, uint256 amount, uint256 tierId)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(beneficiary)
+        returns (uint256 positionId)
+    {
+        require(beneficiary != address(0), "Beneficiary cannot be zero");
+        return _stakeLocked(msg.sender, beneficiary, amount, tierId);
+    }
+
+    /**
+     * @notice Withdraw flexible (unlocked) staked tokens
      * @param amount Amount to withdraw
      */
-    function withdraw(uint256 amount) external nonReentrant {
+    function withdraw(uint256 amount) external nonReentrant updateReward(msg.sender) {
         StakeInfo storage userStake = stakes[msg.sender];
-        require(userStake.amount >= amount, "Insufficient staked amount");
+        require(userStake.amount - userStake.lockedAmount >= amount, "Insufficient staked amount");
         require(amount > 0, "Cannot withdraw 0");
-        
-        // Calculate and store pending rewards before updating stake
-        uint256 pending = _calculatePendingRewards(msg.sender);
-        userStake.rewardDebt += pending;
-        
-        // Update stake info
-        userStake.amount -= amount;
-        userStake.lastUpdateTime = block.timestamp;
-        totalStaked -= amount;
-        
+
+        _reduceStake(msg.sender, amount, amount);
+
         // Transfer tokens back to user
         stakingToken.safeTransfer(msg.sender, amount);
-        
+
         emit Withdrawn(msg.sender, amount);
     }
-    
+
+    /**
+     * @notice Close a locked position
+     * @dev Before unlockTime the position's penalty is deducted and either
+     * burned or recycled into the reward pool
+     * @param positionId Index of the position
+     */
+    function withdrawPosition(uint256 positionId) external nonReentrant updateReward(msg.sender) {
+        require(positionId < positions[msg.sender].length, "Invalid position");
+        Position storage position = positions[msg.sender][positionId];
+        require(!position.withdrawn, "Position already withdrawn");
+
+        uint256 penalty = block.timestamp < position.unlockTime
+            ? (position.amount * position.penaltyBps) / BPS_DENOMINATOR
+            : 0;
+
+        _closePosition(msg.sender, positionId, penalty);
+        stakingToken.safeTransfer(msg.sender, position.amount - penalty);
+
+        if (penalty > 0) {
+            _collectPenalty(msg.sender, penalty);
+        }
+    }
+
     /**
      * @notice Claim accumulated rewards
      */
-    function claimRewards() external nonReentrant {
-        StakeInfo storage userStake = stakes[msg.sender];
-        
-        // Calculate total rewards
-        uint256 pending = _calculatePendingRewards(msg.sender);
-        uint256 totalReward = userStake.rewardDebt + pending;
-        
+    function claimRewards() external nonReentrant updateReward(msg.sender) {
+        uint256 totalReward = stakes[msg.sender].rewards;
         require(totalReward > 0, "No rewards to claim");
-        require(rewardPool >= totalReward, "Insufficient reward pool");
-        
-        // Reset reward tracking
-        userStake.rewardDebt = 0;
-        userStake.lastUpdateTime = block.timestamp;
-        
-        // Update pool and claimed totals
-        rewardPool -= totalReward;
-        totalRewardsClaimed += totalReward;
-        
-        // Transfer rewards
-        stakingToken.safeTransfer(msg.sender, totalReward);
-        
-        emit RewardsClaimed(msg.sender, totalReward);
-    }
-    
-    /**
-     * @notice Withdraw all staked tokens and claim rewards
-     */
-    function exit() external nonReentrant {
+        _payReward(msg.sender, totalReward);
+    }
+
+    /**
+     * @notice Withdraw flexible stake and every unlocked position, and claim rewards
+     * @dev Positions that are still locked are left untouched
+     */
+    function exit() external nonReentrant updateReward(msg.sender) {
         StakeInfo storage userStake = stakes[msg.sender];
-        require(userStake.amount > 0, "Nothing staked");
-        
-        uint256 stakedAmount = userStake.amount;
-        uint256 pending = _calculatePendingRewards(msg.sender);
-        uint256 totalReward = userStake.rewardDebt + pending;
-        
-        // Reset user stake
-        userStake.amount = 0;
-        userStake.rewardDebt = 0;
-        userStake.lastUpdateTime = block.timestamp;
-        totalStaked -= stakedAmount;
-        
+        uint256 flexible = userStake.amount - userStake.lockedAmount;
+        uint256 total = flexible;
+
+        if (flexible > 0) {
+            _reduceStake(msg.sender, flexible, flexible);
+        }
+
+        Position[] storage userPositions = positions[msg.sender];
+        for (uint256 i = 0; i < userPositions.length; i++) {
+            if (!userPositions[i].withdrawn && block.timestamp >= userPositions[i].unlockTime) {
+                _closePosition(msg.sender, i, 0);
+                total += userPositions[i].amount;
+            }
+        }
+        require(total > 0, "Nothing staked");
+
+        uint256 totalReward = userStake.rewards;
+
         // Transfer staked tokens
-        stakingToken.safeTransfer(msg.sender, stakedAmount);
-        emit Withdrawn(msg.sender, stakedAmount);
-        
-        // Transfer rewards if any and pool has funds
-        if (totalReward > 0 && rewardPool >= totalReward) {
-            rewardPool -= totalReward;
-            totalRewardsClaimed += totalReward;
-            stakingToken.safeTransfer(msg.sender, totalReward);
-            emit RewardsClaimed(msg.sender, totalReward);
+        stakingToken.safeTransfer(msg.sender, total);
+        if (flexible > 0) {
+            emit Withdrawn(msg.sender, flexible);
+        }
+
+        if (totalReward > 0) {
+            _payReward(msg.sender, totalReward);
         }
     }
-    
+
+    /**
+     * @notice Last timestamp rewards are emitted for (now, or the period end)
+     */
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @notice Accumulated rewards per unit of weight (scaled by 1e18)
+     */
+    function rewardPerToken() public view returns (uint256) {
+        if (totalWeight == 0) {
+            return rewardPerTokenStored;
+        }
+        return rewardPerTokenStored +
+            ((lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * PRECISION) / totalWeight;
+    }
+
+    /**
+     * @notice Rewards earned by a user and not yet claimed
+     * @param user User address
+     */
+    function earned(address user) public view returns (uint256) {
+        StakeInfo storage userStake = stakes[user];
+        return userStake.rewards +
+            (userStake.weight * (rewardPerToken() - userStake.rewardPerTokenPaid)) / PRECISION;
+    }
+
     /**
      * @notice Get pending rewards for a user
      * @param user User address
-     * @return Total pending rewards (including stored debt)
+     * @return Total pending rewards
      */
     function pendingRewards(address user) external view returns (uint256) {
-        StakeInfo storage userStake = stakes[user];
-        return userStake.rewardDebt + _calculatePendingRewards(user);
+        return earned(user);
     }
-    
+
     /**
      * @notice Get stake info for a user
      * @param user User address
-     * @return amount Staked amount
+     * @return amount Staked amount (flexible + locked)
      * @return pending Total pending rewards
      */
     function getStakeInfo(address user) external view returns (uint256 amount, uint256 pending) {
+        amount = stakes[user].amount;
+        pending = earned(user);
+    }
+
+    /**
+     * @notice All locked positions of a user, including closed ones
+     * @param user User address
+     */
+    function getPositions(address user) external view returns (Position[] memory) {
+        return positions[user];
+    }
+
+    /**
+     * @notice Number of locked positions a user has opened
+     * @param user User address
+     */
+    function getPositionCount(address user) external view returns (uint256) {
+        return positions[user].length;
+    }
+
+    /**
+     * @notice All lock tiers
+     */
+    function getTiers() external view returns (Tier[] memory) {
+        return tiers;
+    }
+
+    /**
+     * @notice Number of lock tiers
+     */
+    function tierCount() external view returns (uint256) {
+        return tiers.length;
+    }
+
+    /**
+     * @notice What the books say the contract holds, next to what it actually holds
+     * @return accounted totalStaked + rewardPool
+     * @return balance Staking token balance; above accounted is surplus
+     * (see reconcileSurplus), below it a shortfall
+     */
+    function getAccounting() public view returns (uint256 accounted, uint256 balance) {
+        accounted = totalStaked + rewardPool;
+        balance = stakingToken.balanceOf(address(this));
+    }
+
+    /**
+     * @notice Current APY for a flexible (1x) stake
+     * @return APY percentage (e.g., 10 for 10%), 0 when nothing is staked or no period is active
+     */
+    function getCurrentAPY() public view returns (uint256) {
+        if (totalWeight == 0 || block.timestamp >= periodFinish) {
+            return 0;
+        }
+        return (rewardRate * SECONDS_PER_YEAR * 100) / totalWeight;
+    }
+
+    /**
+     * @notice Current APY for a position opened in a tier
+     * @param tierId Lock tier
+     * @return APY percentage including the tier multiplier
+     */
+    function getTierAPY(uint256 tierId) external view returns (uint256) {
+        require(tierId < tiers.length, "Invalid tier");
+        return (getCurrentAPY() * tiers[tierId].multiplierBps) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @dev Settle rewardPerToken, distributed rewards and the account's earnings
+     */
+    function _updateReward(address account) internal {
+        uint256 applicable = lastTimeRewardApplicable();
+        rewardPerTokenStored = rewardPerToken();
+
+        // Emissions only count as distributed while someone is staked;
+        // otherwise they stay unallocated and roll into the next period
+        if (totalWeight > 0 && applicable > lastUpdateTime) {
+            accruedRewards += (applicable - lastUpdateTime) * rewardRate;
+        }
+        lastUpdateTime = applicable;
+
+        if (account != address(0)) {
+            StakeInfo storage userStake = stakes[account];
+            userStake.rewards = earned(account);
+            userStake.rewardPerTokenPaid = rewardPerTokenStored;
+        }
+    }
+
+    /**
+     * @dev Apply the caller's permit for this contract
+     * A failed permit is tolerated when the allowance is already in place, so a
+     * permit front-run by someone else (consuming the nonce) cannot block the call
+     */
+    function _permit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(address(stakingToken)).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+        } catch {
+            require(stakingToken.allowance(msg.sender, address(this)) >= amount, "Permit failed");
+        }
+    }
+
+    /**
+     * @dev Pull tokens from payer and credit what arrived, weighted by
+     * multiplierBps, to user
+     * @return received Amount credited
+     * @return weight Reward weight added
+     */
+    function _deposit(address payer, address user, uint256 amount, uint256 multiplierBps)
+        internal
+        returns (uint256 received, uint256 weight)
+    {
+        require(amount > 0, "Cannot stake 0");
+
         StakeInfo storage userStake = stakes[user];
-        amount = userStake.amount;
-        pending = userStake.rewardDebt + _calculatePendingRewards(user);
+        received = _pullTokens(payer, amount);
+
+        // First stake must meet minimum
+        if (userStake.amount == 0) {
+            require(received >= MIN_STAKE, "First stake must be at least 100 TAP");
+        }
+
+        // Update stake info
+        weight = (received * multiplierBps) / BPS_DENOMINATOR;
+        userStake.amount += received;
+        userStake.weight += weight;
+        totalStaked += received;
+        totalWeight += weight;
+        _increaseLockedVotes(user, received);
+
+        emit Staked(user, received);
     }
-    
+
     /**
-     * @notice Calculate current APY based on reward rate
-     * @return APY percentage (e.g., 10 for 10%)
+     * @dev Transfer amount from payer and return what this contract's balance
+     * actually grew by; less than amount when the token takes a transfer fee
      */
-    function getCurrentAPY() external view returns (uint256) {
-        return rewardRateBps / 100;
+    function _pullTokens(address payer, uint256 amount) internal returns (uint256) {
+        uint256 balanceBefore = stakingToken.balanceOf(address(this));
+        stakingToken.safeTransferFrom(payer, address(this), amount);
+        return stakingToken.balanceOf(address(this)) - balanceBefore;
     }
-    
+
     /**
-     * @dev Calculate pending rewards based on time staked
+     * @dev Pull tokens from payer and open a locked position for user
      */
-    function _calculatePendingRewards(address user) internal view returns (uint256) {
+    function _stakeLocked(address payer, address user, uint256 amount, uint256 tierId)
+        internal
+        returns (uint256 positionId)
+    {
+        require(tierId < tiers.length, "Invalid tier");
+        Tier storage tier = tiers[tierId];
+        require(tier.enabled, "Tier disabled");
+
+        (uint256 received, uint256 weight) = _deposit(payer, user, amount, tier.multiplierBps);
+        stakes[user].lockedAmount += received;
+
+        uint256 unlockTime = block.timestamp + tier.lockDuration;
+        positions[user].push(Position({
+            amount: received,
+            weight: weight,
+            tierId: tierId,
+            penaltyBps: tier.penaltyBps,
+            startTime: block.timestamp,
+            unlockTime: unlockTime,
+            withdrawn: false
+        }));
+
+        positionId = positions[user].length - 1;
+        emit PositionOpened(user, positionId, tierId, received, unlockTime);
+    }
+
+    /**
+     * @dev Remove principal and weight from a user's stake
+     */
+    function _reduceStake(address user, uint256 amount, uint256 weight) internal {
         StakeInfo storage userStake = stakes[user];
-        
-        if (userStake.amount == 0 || userStake.lastUpdateTime == 0) {
-            return 0;
+        userStake.amount -= amount;
+        userStake.weight -= weight;
+        totalStaked -= amount;
+        totalWeight -= weight;
+        _decreaseLockedVotes(user, amount);
+    }
+
+    /**
+     * @dev Mark a position closed and remove it from the stake (no transfer)
+     */
+    function _closePosition(address user, uint256 positionId, uint256 penalty) internal {
+        Position storage position = positions[user][positionId];
+        position.withdrawn = true;
+        stakes[user].lockedAmount -= position.amount;
+        _reduceStake(user, position.amount, position.weight);
+
+        emit Withdrawn(user, position.amount - penalty);
+        emit PositionClosed(user, positionId, position.amount, penalty);
+    }
+
+    /**
+     * @dev Burn a penalty by sending it to DEAD_ADDRESS, or recycle it into the reward pool
+     */
+    function _collectPenalty(address user, uint256 penalty) internal {
+        totalPenalties += penalty;
+        if (burnPenalties) {
+            // Like TAPv2's fee burns: out of circulatingSupply, not totalSupply
+            totalPenaltiesBurned += penalty;
+            stakingToken.safeTransfer(DEAD_ADDRESS, penalty);
+        } else {
+            // Unallocated until the next notifyRewardAmount/fundRewardPool
+            rewardPool += penalty;
+        }
+        emit PenaltyCollected(user, penalty, burnPenalties);
+    }
+
+    /**
+     * @dev Validate and store a tier
+     */
+    function _setTier(
+        uint256 tierId,
+        uint256 lockDuration,
+        uint256 multiplierBps,
+        uint256 penaltyBps,
+        bool enabled
+    ) internal {
+        require(lockDuration > 0, "Lock duration must be greater than 0");
+        require(
+            multiplierBps >= BPS_DENOMINATOR && multiplierBps <= MAX_MULTIPLIER_BPS,
+            "Invalid multiplier"
+        );
+        require(penaltyBps <= MAX_PENALTY_BPS, "Penalty too high");
+
+        Tier memory tier = Tier(lockDuration, multiplierBps, penaltyBps, enabled);
+        if (tierId == tiers.length) {
+            tiers.push(tier);
+        } else {
+            tiers[tierId] = tier;
+        }
+        emit TierUpdated(tierId, lockDuration, multiplierBps, penaltyBps, enabled);
+    }
+
+    /**
+     * @dev Pull funding and start a reward period
+     */
+    function _notifyRewardAmount(uint256 amount, uint256 duration) internal updateReward(address(0)) {
+        require(duration > 0, "Duration must be greater than 0");
+
+        if (amount > 0) {
+            uint256 received = _pullTokens(msg.sender, amount);
+            rewardPool += received;
+            emit RewardPoolFunded(received);
         }
-        
-        uint256 timeStaked = block.timestamp - userStake.lastUpdateTime;
-        
-        // Formula: (amount * rate * time) / (seconds_per_year * bps_denominator)
-        return (userStake.amount * rewardRateBps * timeStaked) / (SECONDS_PER_YEAR * BPS_DENOMINATOR);
+
+        // Everything funded and not yet distributed is spread over the new period
+        uint256 available = rewardPool - accruedRewards;
+        uint256 newRate = available / duration;
+        require(newRate > 0, "Reward rate is zero");
+
+        emit RewardRateUpdated(rewardRate, newRate);
+        rewardRate = newRate;
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + duration;
+
+        emit RewardPeriodStarted(available, duration, periodFinish);
     }
-    
+
+    /**
+     * @dev Pay out a user's settled rewards
+     */
+    function _payReward(address user, uint256 reward) internal {
+        require(rewardPool >= reward, "Insufficient reward pool");
+
+        stakes[user].rewards = 0;
+        rewardPool -= reward;
+        accruedRewards -= reward;
+        totalRewardsClaimed += reward;
+
+        stakingToken.safeTransfer(user, reward);
+        emit RewardsClaimed(user, reward);
+    }
+
+    /**
+     * @dev Only the admin (the timelock once governance is set up) can upgrade
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
     /**
-     * @notice Emergency withdraw by owner (for stuck tokens)
+     * @notice Emergency withdraw by the admin (for stuck tokens)
      * @param token Token address
      * @param amount Amount to withdraw
      */
-    function emergencyWithdraw(address token, uint256 amount) external onlyOwner {
+    function emergencyWithdraw(address token, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(token != address(stakingToken), "Cannot withdraw staking token");
-        IERC20(token).safeTransfer(owner(), amount);
+        IERC20(token).safeTransfer(msg.sender, amount);
     }
 }
@@ -0,0 +1,228 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./Staking.sol";
+
+/**
+ * @title Auto-compounding TAP Staking Vault
+ * @dev ERC-4626 vault that holds one pooled flexible stake in Staking
+ *
+ * Features:
+ * - Deposits are staked right away; shares (csTAP) are ordinary,
+ *   transferable ERC-20 tokens
+ * - compound() is permissionless: it claims the vault's rewards, pays the
+ *   caller a bounty (compoundBountyBps of the harvest, at most 5%) and
+ *   stakes the rest, so the assets behind each share grow
+ * - totalAssets counts the stake, idle TAP and the pending rewards net of
+ *   the bounty, so depositing just before a compound earns nothing extra
+ * - Withdrawals are paid from idle TAP, then from the stake, then from
+ *   pending rewards; they never wait for a compound. A withdrawal that
+ *   reaches into pending rewards harvests them like compound() and earns
+ *   its caller the bounty
+ * - While Staking is paused, maxDeposit and maxMint are 0 and compound
+ *   leaves the harvest idle. Withdrawals keep working
+ *
+ * The vault must be excluded from the TAPv2 transfer fee: deposits revert
+ * if the vault receives less than the deposited amount. Excluded, none of
+ * its legs (deposit, stake, harvest, withdrawal) pay the fee.
+ *
+ * BOUNTY_SETTER_ROLE changes the bounty; the deployer gets it and
+ * DEFAULT_ADMIN_ROLE, which move to the timelock with the governance
+ * handover like the suite's roles.
+ *
+ * While the vault has no stake, deposits wait idle until they add up to
+ * Staking.MIN_STAKE; the deposit or compound that crosses it stakes them.
+ */
+contract StakingVault is ERC4626, AccessControl, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Role that can change the compound bounty
+    bytes32 public constant BOUNTY_SETTER_ROLE = keccak256("BOUNTY_SETTER_ROLE");
+
+    /// @notice Basis points denominator
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    /// @notice Maximum compound bounty (5% of the harvest)
+    uint256 public constant MAX_BOUNTY_BPS = 500;
+
+    /// @notice Staking contract the vault stakes in
+    Staking public immutable staking;
+
+    /// @notice Share of each harvest paid to the compound() caller
+    uint256 public compoundBountyBps;
+
+    /// @notice Total rewards harvested by compound()
+    uint256 public totalHarvested;
+
+    /// @notice Total bounties paid to compound() callers
+    uint256 public totalBounties;
+
+    /// @notice Emitted when rewards are harvested and restaked
+    event Compounded(address indexed caller, uint256 harvested, uint256 bounty, uint256 staked);
+
+    /// @notice Emitted when the compound bounty changes
+    event CompoundBountyUpdated(uint256 oldBps, uint256 newBps);
+
+    /**
+     * @dev Gives the deployer DEFAULT_ADMIN_ROLE and BOUNTY_SETTER_ROLE
+     * @param _staking Staking contract (its staking token is the vault asset)
+     * @param _compoundBountyBps Initial compound bounty in basis points
+     */
+    constructor(address _staking, uint256 _compoundBountyBps)
+        ERC20("Compounding Staked TAP", "csTAP")
+        ERC4626(Staking(_staking).stakingToken())
+    {
+        require(_compoundBountyBps <= MAX_BOUNTY_BPS, "Bounty too high");
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(BOUNTY_SETTER_ROLE, msg.sender);
+        staking = Staking(_staking);
+        compoundBountyBps = _compoundBountyBps;
+    }
+
+    /**
+     * @notice Claim the vault's rewards, pay the caller's bounty and stake the rest
+     * @dev With nothing accrued, nothing is claimed and the bounty is 0
+     * @return bounty Amount paid to the caller
+     */
+    function compound() external nonReentrant returns (uint256 bounty) {
+        uint256 harvested;
+        (harvested, bounty) = _harvest(msg.sender);
+        uint256 staked = _stakeIdle();
+        emit Compounded(msg.sender, harvested, bounty, staked);
+    }
+
+    /**
+     * @notice What compound() would harvest now and the caller's bounty
+     * @return harvest Pending rewards of the vault
+     * @return bounty Bounty on them
+     */
+    function previewCompound() external view returns (uint256 harvest, uint256 bounty) {
+        harvest = staking.earned(address(this));
+        bounty = _bounty(harvest);
+    }
+
+    /**
+     * @notice Change the compound bounty
+     * @param bps New bounty in basis points (at most MAX_BOUNTY_BPS)
+     */
+    function setCompoundBounty(uint256 bps) external onlyRole(BOUNTY_SETTER_ROLE) {
+        require(bps <= MAX_BOUNTY_BPS, "Bounty too high");
+        emit CompoundBountyUpdated(compoundBountyBps, bps);
+        compoundBountyBps = bps;
+    }
+
+    /**
+     * @notice Stake, idle TAP and pending rewards net of the compound bounty
+     */
+    function totalAssets() public view override returns (uint256) {
+        (uint256 staked, uint256 pending) = staking.getStakeInfo(address(this));
+        return staked + IERC20(asset()).balanceOf(address(this)) + pending - _bounty(pending);
+    }
+
+    /**
+     * @dev No deposits while Staking is paused
+     */
+    function maxDeposit(address receiver) public view override returns (uint256) {
+        return staking.paused() ? 0 : super.maxDeposit(receiver);
+    }
+
+    /**
+     * @dev No mints while Staking is paused
+     */
+    function maxMint(address receiver) public view override returns (uint256) {
+        return staking.paused() ? 0 : super.maxMint(receiver);
+    }
+
+    /**
+     * @dev Pull the assets, check none were lost to a transfer fee and stake them
+     */
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares)
+        internal
+        override
+        nonReentrant
+    {
+        IERC20 token = IERC20(asset());
+        uint256 balanceBefore = token.balanceOf(address(this));
+        super._deposit(caller, receiver, assets, shares);
+        require(token.balanceOf(address(this)) - balanceBefore == assets, "Vault not excluded from fee");
+        _stakeIdle();
+    }
+
+    /**
+     * @dev Free enough idle TAP for the withdrawal, then burn shares and pay out
+     */
+    function _withdraw(address caller, address receiver, address owner, uint256 assets, uint256 shares)
+        internal
+        override
+        nonReentrant
+    {
+        uint256 idle = IERC20(asset()).balanceOf(address(this));
+        if (idle < assets) {
+            (uint256 staked, ) = staking.getStakeInfo(address(this));
+            uint256 fromStake = Math.min(assets - idle, staked);
+            if (fromStake > 0) {
+                staking.withdraw(fromStake);
+            }
+            // The rest is pending rewards net of the bounty, which totalAssets
+            // already counts; the caller harvests them and earns the bounty
+            if (idle + fromStake < assets) {
+                (uint256 harvested, uint256 bounty) = _harvest(caller);
+                emit Compounded(caller, harvested, bounty, 0);
+            }
+        }
+        super._withdraw(caller, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev Claim the vault's rewards, if any have accrued, and pay `caller`
+     * the bounty on them
+     * @return harvested Rewards claimed
+     * @return bounty Amount paid to `caller`
+     */
+    function _harvest(address caller) internal returns (uint256 harvested, uint256 bounty) {
+        if (staking.earned(address(this)) == 0) {
+            return (0, 0);
+        }
+        IERC20 token = IERC20(asset());
+        uint256 balanceBefore = token.balanceOf(address(this));
+        staking.claimRewards();
+        harvested = token.balanceOf(address(this)) - balanceBefore;
+
+        bounty = _bounty(harvested);
+        totalHarvested += harvested;
+        totalBounties += bounty;
+        if (bounty > 0) {
+            token.safeTransfer(caller, bounty);
+        }
+    }
+
+    /**
+     * @dev Stake every idle token, unless Staking is paused or the first
+     * stake would be below its minimum
+     * @return amount Amount staked
+     */
+    function _stakeIdle() internal returns (uint256 amount) {
+        IERC20 token = IERC20(asset());
+        amount = token.balanceOf(address(this));
+        (uint256 staked, ) = staking.getStakeInfo(address(this));
+        if (amount == 0 || staking.paused() || (staked == 0 && amount < staking.MIN_STAKE())) {
+            return 0;
+        }
+        token.forceApprove(address(staking), amount);
+        staking.stake(amount);
+    }
+
+    /**
+     * @dev Bounty on a harvest
+     */
+    function _bounty(uint256 harvest) internal view returns (uint256) {
+        return (harvest * compoundBountyBps) / BPS_DENOMINATOR;
+    }
+}
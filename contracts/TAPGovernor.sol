@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+
+/**
+ * @dev Checkpointed balances a contract holds on behalf of voters (see LockedVotes)
+ */
+interface ILockedVotes {
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256);
+}
+
+/**
+ * @title TAP Governor
+ * @dev On-chain governance for the TAP suite
+ *
+ * Features:
+ * - Voting power: delegated TAPv2 votes plus the voter's own tokens locked
+ *   in Staking and Vesting, all read at the proposal snapshot
+ * - For / against / abstain counting; quorum is a share of TAPv2 supply
+ * - Passed proposals are queued in TAPTimelock, which owns TAPv2, Staking
+ *   and Vesting
+ * - Voting delay, period (in blocks) and proposal threshold can be changed
+ *   by governance
+ *
+ * Staked and vested tokens sit in the Staking and Vesting contracts, which
+ * never delegate, so they are not counted twice.
+ */
+contract TAPGovernor is
+    Governor,
+    GovernorSettings,
+    GovernorCountingSimple,
+    GovernorVotes,
+    GovernorVotesQuorumFraction,
+    GovernorTimelockControl
+{
+    /// @notice Staking contract whose stakes count as votes (zero to ignore)
+    ILockedVotes public immutable staking;
+
+    /// @notice Vesting contract whose unreleased tokens count as votes (zero to ignore)
+    ILockedVotes public immutable vesting;
+
+    /**
+     * @param _token TAPv2 (ERC20Votes)
+     * @param _timelock Timelock that executes proposals
+     * @param _staking Staking contract (or zero)
+     * @param _vesting Vesting contract (or zero)
+     * @param _votingDelay Blocks between proposing and voting
+     * @param _votingPeriod Blocks voting stays open
+     * @param _proposalThreshold Votes needed to create a proposal
+     * @param _quorumPercent Share of supply that must vote for or abstain (e.g., 4)
+     */
+    constructor(
+        IVotes _token,
+        TimelockController _timelock,
+        address _staking,
+        address _vesting,
+        uint48 _votingDelay,
+        uint32 _votingPeriod,
+        uint256 _proposalThreshold,
+        uint256 _quorumPercent
+    )
+        Governor("TAP Governor")
+        GovernorSettings(_votingDelay, _votingPeriod, _proposalThreshold)
+        GovernorVotes(_token)
+        GovernorVotesQuorumFraction(_quorumPercent)
+        GovernorTimelockControl(_timelock)
+    {
+        staking = ILockedVotes(_staking);
+        vesting = ILockedVotes(_vesting);
+    }
+
+    /**
+     * @notice Voting power of an account at a timepoint, split by source
+     * @param account Voter
+     * @param timepoint Past block number
+     * @return delegated Delegated TAPv2 votes
+     * @return staked Tokens staked by the account
+     * @return vested Unreleased tokens vesting to the account
+     */
+    function getVotesBreakdown(address account, uint256 timepoint)
+        public
+        view
+        returns (uint256 delegated, uint256 staked, uint256 vested)
+    {
+        delegated = token().getPastVotes(account, timepoint);
+        if (address(staking) != address(0)) {
+            staked = staking.getPastVotes(account, timepoint);
+        }
+        if (address(vesting) != address(0)) {
+            vested = vesting.getPastVotes(account, timepoint);
+        }
+    }
+
+    /**
+     * @dev Delegated votes plus the account's staked and vested tokens
+     */
+    function _getVotes(address account, uint256 timepoint, bytes memory /* params */)
+        internal
+        view
+        override(Governor, GovernorVotes)
+        returns (uint256)
+    {
+        (uint256 delegated, uint256 staked, uint256 vested) = getVotesBreakdown(account, timepoint);
+        return delegated + staked + vested;
+    }
+
+    // The functions below are overrides required by Solidity.
+
+    function votingDelay() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.votingDelay();
+    }
+
+    function votingPeriod() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.votingPeriod();
+    }
+
+    function proposalThreshold() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.proposalThreshold();
+    }
+
+    function quorum(uint256 timepoint)
+        public
+        view
+        override(Governor, GovernorVotesQuorumFraction)
+        returns (uint256)
+    {
+        return super.quorum(timepoint);
+    }
+
+    function state(uint256 proposalId)
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (ProposalState)
+    {
+        return super.state(proposalId);
+    }
+
+    function proposalNeedsQueuing(uint256 proposalId)
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (bool)
+    {
+        return super.proposalNeedsQueuing(proposalId);
+    }
+
+    function _queueOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint48) {
+        return super._queueOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _executeOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) {
+        super._executeOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    function _executor() internal view override(Governor, GovernorTimelockControl) returns (address) {
+        return super._executor();
+    }
+}
@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./TAPv2.sol";
+
+/**
+ * @title TAP v1 to v2 Migrator
+ * @dev Swaps v1 TAP for TAPv2 1:1 during a migration window
+ *
+ * Features:
+ * - Holders deposit v1 TAP and receive the same amount of TAPv2
+ * - Migrations are accepted between migrationStart and migrationEnd; the
+ *   owner can extend the window, never shorten it
+ * - totalMigrated and migratedBy track what has been swapped, for
+ *   reconciliation against a v1 holder snapshot (`migration:reconcile`)
+ * - After the window the owner can sweep the TAPv2 left over
+ *
+ * v1 TAP received is held here for good, so the migrator's v1 balance
+ * always equals totalMigrated.
+ *
+ * The migrator must be excluded from TAPv2 burn (migrate refuses to pay out
+ * otherwise) and should be pause-exempt so a TAPv2 pause does not stop it.
+ */
+contract TAPMigrator is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice v1 TAP token
+    IERC20 public immutable tokenV1;
+
+    /// @notice TAPv2 token paid out
+    TAPv2 public immutable tokenV2;
+
+    /// @notice First timestamp migrations are accepted
+    uint256 public immutable migrationStart;
+
+    /// @notice Last timestamp migrations are accepted
+    uint256 public migrationEnd;
+
+    /// @notice Total v1 TAP migrated
+    uint256 public totalMigrated;
+
+    /// @notice v1 TAP migrated per holder
+    mapping(address => uint256) public migratedBy;
+
+    /// @notice Emitted when a holder migrates
+    event Migrated(address indexed account, uint256 amount);
+
+    /// @notice Emitted when the migration window is extended
+    event MigrationExtended(uint256 oldEnd, uint256 newEnd);
+
+    /// @notice Emitted when leftover TAPv2 is swept after the window
+    event Swept(address indexed to, uint256 amount);
+
+    /**
+     * @param _tokenV1 v1 TAP address
+     * @param _tokenV2 TAPv2 address
+     * @param _migrationStart First timestamp migrations are accepted
+     * @param _migrationEnd Last timestamp migrations are accepted
+     */
+    constructor(address _tokenV1, address _tokenV2, uint256 _migrationStart, uint256 _migrationEnd)
+        Ownable(msg.sender)
+    {
+        require(_tokenV1 != address(0), "Token v1 cannot be zero");
+        require(_tokenV2 != address(0), "Token v2 cannot be zero");
+        require(_tokenV1 != _tokenV2, "Tokens must differ");
+        require(_migrationEnd > _migrationStart, "End must be after start");
+        require(_migrationEnd > block.timestamp, "End must be in the future");
+        tokenV1 = IERC20(_tokenV1);
+        tokenV2 = TAPv2(_tokenV2);
+        migrationStart = _migrationStart;
+        migrationEnd = _migrationEnd;
+    }
+
+    /**
+     * @notice Whether migrations are accepted right now
+     */
+    function migrationOpen() public view returns (bool) {
+        return block.timestamp >= migrationStart && block.timestamp <= migrationEnd;
+    }
+
+    /**
+     * @notice TAPv2 still available for migrations
+     */
+    function available() external view returns (uint256) {
+        return tokenV2.balanceOf(address(this));
+    }
+
+    /**
+     * @notice Swap `amount` v1 TAP (approved to this contract) for TAPv2
+     * @param amount Amount to migrate
+     */
+    function migrate(uint256 amount) external nonReentrant {
+        _migrate(amount);
+    }
+
+    /**
+     * @notice Swap the caller's whole v1 balance
+     */
+    function migrateAll() external nonReentrant {
+        _migrate(tokenV1.balanceOf(msg.sender));
+    }
+
+    /**
+     * @notice Extend the migration window
+     * @param newEnd New last timestamp migrations are accepted
+     */
+    function extendMigration(uint256 newEnd) external onlyOwner {
+        require(newEnd > migrationEnd, "Can only extend");
+        emit MigrationExtended(migrationEnd, newEnd);
+        migrationEnd = newEnd;
+    }
+
+    /**
+     * @notice Send the TAPv2 left over to `to` once the window has closed
+     * @param to Recipient
+     */
+    function sweep(address to) external onlyOwner {
+        require(block.timestamp > migrationEnd, "Migration not ended");
+        require(to != address(0), "Recipient cannot be zero");
+
+        uint256 amount = tokenV2.balanceOf(address(this));
+        require(amount > 0, "Nothing to sweep");
+
+        IERC20(address(tokenV2)).safeTransfer(to, amount);
+        emit Swept(to, amount);
+    }
+
+    /**
+     * @dev Pull v1, pay out the same amount of TAPv2 and record it
+     */
+    function _migrate(uint256 amount) internal {
+        require(migrationOpen(), "Migration not open");
+        require(amount > 0, "Cannot migrate 0");
+        require(tokenV2.isExcludedFromBurn(address(this)), "Migrator not excluded from burn");
+        require(tokenV2.balanceOf(address(this)) >= amount, "Insufficient TAPv2");
+
+        tokenV1.safeTransferFrom(msg.sender, address(this), amount);
+        migratedBy[msg.sender] += amount;
+        totalMigrated += amount;
+
+        IERC20(address(tokenV2)).safeTransfer(msg.sender, amount);
+        emit Migrated(msg.sender, amount);
+    }
+}
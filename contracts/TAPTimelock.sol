@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title TAP Timelock
+ * @dev Owner of TAPv2, Staking and Vesting once governance is deployed.
+ * Proposals that pass in TAPGovernor are queued here and can only be
+ * executed after minDelay, giving holders time to react.
+ *
+ * Roles (see scripts/lib/suite.js):
+ * - Proposer / canceller: TAPGovernor
+ * - Executor: anyone (address(0)), once the delay has passed
+ * - Admin: none after setup; the timelock administers itself
+ */
+contract TAPTimelock is TimelockController {
+    /**
+     * @param minDelay Seconds between queueing and execution
+     * @param proposers Accounts allowed to queue (the governor)
+     * @param executors Accounts allowed to execute (address(0) for anyone)
+     * @param admin Optional setup admin, renounced once roles are granted
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
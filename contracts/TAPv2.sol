@@ -3,29 +3,55 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @dev Staking hook for the share of transfer fees sent to its reward pool
+ */
+interface ITransferFeeReceiver {
+    function stakingToken() external view returns (address);
+    function notifyTransferFee(uint256 amount) external;
+}
 
 /**
  * @title TAP Token v2.0
- * @dev ERC-20 token with automatic burn on transfer (deflationary mechanism)
+ * @dev ERC-20 token with a governed transfer fee (deflationary mechanism)
  * 
  * Token Specifications:
  * - Name: TAP
  * - Symbol: TAP
  * - Decimals: 18
  * - Total Supply: 101,902,975 TAP (initial, decreases over time due to burns)
- * - Burn Rate: 1% per transfer (configurable)
- * - Burn Exclusions: Owner, Staking contract, Vesting contract
+ * - Transfer Fee: 1% per transfer by default, burned (configurable, max 10%)
+ * - Fee Exclusions: Deployer, Staking contract, Vesting contract
  * 
  * Features:
- * - Automatic 1% burn on every transfer
- * - Excludable addresses from burn (for DEX liquidity, staking, etc.)
+ * - Transfer fee split between burning (to DEAD_ADDRESS), a treasury and
+ *   the Staking reward pool
+ * - Separate buy and sell rates for transfers from / to flagged AMM pairs
+ * - Excludable addresses from the fee (for DEX liquidity, staking, etc.)
  * - Manual burn function available to all holders
+ * - EIP-2612 permit: gasless approvals via signed messages
+ * - ERC20Votes: delegated, checkpointed voting power for TAPGovernor
+ *   (holders must delegate, to themselves or others, before votes count)
+ * - Role-based access: the admin sets fees and grants roles, a burn-exclusion
+ *   manager maintains fee exclusions, and a guardian can pause transfers
+ * - While paused, only transfers from pause-exempt addresses (Staking,
+ *   Vesting) go through, so users can still withdraw and release
  */
-contract TAPv2 is ERC20, ERC20Burnable, Ownable {
+contract TAPv2 is ERC20, ERC20Burnable, ERC20Permit, ERC20Votes, AccessControl, Pausable {
+    
+    /// @notice Role allowed to change fee exclusions
+    bytes32 public constant BURN_EXCLUSION_MANAGER_ROLE = keccak256("BURN_EXCLUSION_MANAGER_ROLE");
     
-    /// @notice Burn rate in basis points (100 = 1%)
-    uint256 public constant BURN_RATE = 100;
+    /// @notice Role allowed to pause and unpause transfers
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    
+    /// @notice Highest transfer, buy or sell fee in basis points (10%)
+    uint256 public constant MAX_FEE_BPS = 1000;
     
     /// @notice Basis points denominator (10000 = 100%)
     uint256 public constant BASIS_POINTS = 10000;
@@ -39,19 +65,80 @@ contract TAPv2 is ERC20, ERC20Burnable, Ownable {
     /// @notice Total tokens burned
     uint256 public totalBurned;
     
-    /// @notice Addresses excluded from burn (e.g., staking, vesting, liquidity pools)
+    /// @notice Addresses excluded from the transfer fee (e.g., staking, vesting, liquidity pools)
     mapping(address => bool) public isExcludedFromBurn;
     
+    // Fee settings share one storage slot with the treasury address
+    
+    /// @notice Fee on wallet-to-wallet transfers in basis points (100 = 1%)
+    uint16 public transferFeeBps = 100;
+    
+    /// @notice Fee on transfers from a flagged AMM pair (buys)
+    uint16 public buyFeeBps = 100;
+    
+    /// @notice Fee on transfers to a flagged AMM pair (sells)
+    uint16 public sellFeeBps = 100;
+    
+    /// @notice Share of each fee that is burned
+    uint16 public burnShareBps = 10000;
+    
+    /// @notice Share of each fee sent to the treasury
+    uint16 public treasuryShareBps;
+    
+    /// @notice Share of each fee added to the Staking reward pool
+    uint16 public stakingShareBps;
+    
+    /// @notice Treasury receiving its share of fees
+    address public treasury;
+    
+    /// @notice Staking contract receiving its share of fees
+    address public stakingRewards;
+    
+    /// @notice AMM pairs whose transfers use the buy and sell rates
+    mapping(address => bool) public isAmmPair;
+    
+    /// @notice Senders whose transfers go through while paused (Staking, Vesting)
+    mapping(address => bool) public isPauseExempt;
+    
     /// @notice Emitted when tokens are burned during transfer
     event BurnOnTransfer(address indexed from, address indexed to, uint256 burnAmount);
     
+    /// @notice Emitted when part of a transfer fee goes to the treasury
+    event TreasuryFeeCollected(address indexed from, address indexed to, uint256 amount);
+    
+    /// @notice Emitted when part of a transfer fee goes to the Staking reward pool
+    event StakingFeeCollected(address indexed from, address indexed to, uint256 amount);
+    
     /// @notice Emitted when an address is excluded/included from burn
     event BurnExclusionUpdated(address indexed account, bool excluded);
     
+    /// @notice Emitted when the fee rates change
+    event TransferFeesUpdated(uint256 transferFeeBps, uint256 buyFeeBps, uint256 sellFeeBps);
+    
+    /// @notice Emitted when the fee split changes
+    event FeeSplitUpdated(uint256 burnShareBps, uint256 treasuryShareBps, uint256 stakingShareBps);
+    
+    /// @notice Emitted when the treasury changes
+    event TreasuryUpdated(address indexed treasury);
+    
+    /// @notice Emitted when the Staking fee recipient changes
+    event StakingRewardsUpdated(address indexed stakingRewards);
+    
+    /// @notice Emitted when an AMM pair is flagged or unflagged
+    event AmmPairUpdated(address indexed pair, bool flagged);
+    
+    /// @notice Emitted when an address is made exempt from the pause, or no longer
+    event PauseExemptionUpdated(address indexed account, bool exempt);
+    
     /**
-     * @dev Constructor mints initial supply to deployer and sets up exclusions
+     * @dev Constructor mints initial supply to deployer, gives it every role
+     * and sets up exclusions
      */
-    constructor() ERC20("TAP", "TAP") Ownable(msg.sender) {
+    constructor() ERC20("TAP", "TAP") ERC20Permit("TAP") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(BURN_EXCLUSION_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        
         // Mint initial supply to deployer
         _mint(msg.sender, INITIAL_SUPPLY);
         
@@ -68,8 +155,9 @@ contract TAPv2 is ERC20, ERC20Burnable, Ownable {
      * @param account Address to update
      * @param excluded True to exclude from burn, false to include
      */
-    function setExcludedFromBurn(address account, bool excluded) external onlyOwner {
+    function setExcludedFromBurn(address account, bool excluded) external onlyRole(BURN_EXCLUSION_MANAGER_ROLE) {
         require(account != address(0), "Cannot set zero address");
+        require(excluded || account != stakingRewards, "Staking must stay excluded");
         isExcludedFromBurn[account] = excluded;
         emit BurnExclusionUpdated(account, excluded);
     }
@@ -82,51 +170,194 @@ contract TAPv2 is ERC20, ERC20Burnable, Ownable {
     function batchSetExcludedFromBurn(
         address[] calldata accounts, 
         bool[] calldata excluded
-    ) external onlyOwner {
+    ) external onlyRole(BURN_EXCLUSION_MANAGER_ROLE) {
         require(accounts.length == excluded.length, "Arrays length mismatch");
+        address staking = stakingRewards;
         for (uint256 i = 0; i < accounts.length; i++) {
             require(accounts[i] != address(0), "Cannot set zero address");
+            require(excluded[i] || accounts[i] != staking, "Staking must stay excluded");
             isExcludedFromBurn[accounts[i]] = excluded[i];
             emit BurnExclusionUpdated(accounts[i], excluded[i]);
         }
     }
     
     /**
-     * @dev Override _update to implement burn-on-transfer
-     * Burns 1% of transfer amount unless sender or receiver is excluded
+     * @notice Set the fee rates
+     * @param _transferFeeBps Fee on wallet-to-wallet transfers
+     * @param _buyFeeBps Fee on transfers from a flagged AMM pair
+     * @param _sellFeeBps Fee on transfers to a flagged AMM pair
+     */
+    function setTransferFees(uint16 _transferFeeBps, uint16 _buyFeeBps, uint16 _sellFeeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            _transferFeeBps <= MAX_FEE_BPS && _buyFeeBps <= MAX_FEE_BPS && _sellFeeBps <= MAX_FEE_BPS,
+            "Fee exceeds maximum"
+        );
+        transferFeeBps = _transferFeeBps;
+        buyFeeBps = _buyFeeBps;
+        sellFeeBps = _sellFeeBps;
+        emit TransferFeesUpdated(_transferFeeBps, _buyFeeBps, _sellFeeBps);
+    }
+    
+    /**
+     * @notice Set how each fee is split
+     * @param _burnShareBps Share burned to DEAD_ADDRESS
+     * @param _treasuryShareBps Share sent to the treasury
+     * @param _stakingShareBps Share added to the Staking reward pool
+     */
+    function setFeeSplit(uint16 _burnShareBps, uint16 _treasuryShareBps, uint16 _stakingShareBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            uint256(_burnShareBps) + _treasuryShareBps + _stakingShareBps == BASIS_POINTS,
+            "Split must total 100%"
+        );
+        require(_treasuryShareBps == 0 || treasury != address(0), "Treasury not set");
+        require(_stakingShareBps == 0 || stakingRewards != address(0), "Staking not set");
+        burnShareBps = _burnShareBps;
+        treasuryShareBps = _treasuryShareBps;
+        stakingShareBps = _stakingShareBps;
+        emit FeeSplitUpdated(_burnShareBps, _treasuryShareBps, _stakingShareBps);
+    }
+    
+    /**
+     * @notice Set the treasury that receives its share of fees
+     * @param _treasury Treasury address
+     */
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_treasury != address(0), "Treasury cannot be zero");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+    
+    /**
+     * @notice Set the Staking contract that receives its share of fees
+     * @dev Must be excluded from the fee, so its own stake and reward transfers stay
+     * whole, and stays excluded while it is stakingRewards: a fee on a stake into
+     * Staking would otherwise be credited both to the stake and to the reward pool
+     * @param _stakingRewards Staking contract (stakingToken must be this token)
+     */
+    function setStakingRewards(address _stakingRewards) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_stakingRewards != address(0), "Staking cannot be zero");
+        require(isExcludedFromBurn[_stakingRewards], "Staking must be excluded from fees");
+        require(ITransferFeeReceiver(_stakingRewards).stakingToken() == address(this), "Staking token mismatch");
+        stakingRewards = _stakingRewards;
+        emit StakingRewardsUpdated(_stakingRewards);
+    }
+    
+    /**
+     * @notice Flag an AMM pair so transfers from it use the buy rate and to it the sell rate
+     * @param pair Pair address
+     * @param flagged True to flag
+     */
+    function setAmmPair(address pair, bool flagged) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(pair != address(0), "Cannot set zero address");
+        isAmmPair[pair] = flagged;
+        emit AmmPairUpdated(pair, flagged);
+    }
+    
+    /**
+     * @notice Let an address keep sending while transfers are paused
+     * @dev For contracts holding user funds (Staking, Vesting), so withdrawals
+     * and releases stay open
+     * @param account Address to update
+     * @param exempt True to exempt
+     */
+    function setPauseExempt(address account, bool exempt) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(account != address(0), "Cannot set zero address");
+        isPauseExempt[account] = exempt;
+        emit PauseExemptionUpdated(account, exempt);
+    }
+    
+    /**
+     * @notice Pause transfers, except from pause-exempt addresses
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @notice Resume transfers
+     */
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @notice Fee a transfer would pay, split by destination
+     * @param from Sender
+     * @param to Recipient
+     * @param amount Transfer amount
+     * @return burnAmount Burned to DEAD_ADDRESS
+     * @return treasuryAmount Sent to the treasury
+     * @return stakingAmount Added to the Staking reward pool
+     */
+    function quoteTransferFee(address from, address to, uint256 amount)
+        public
+        view
+        returns (uint256 burnAmount, uint256 treasuryAmount, uint256 stakingAmount)
+    {
+        // Mints, burns and excluded addresses pay no fee
+        if (from == address(0) || to == address(0) || isExcludedFromBurn[from] || isExcludedFromBurn[to]) {
+            return (0, 0, 0);
+        }
+        
+        uint256 rate = transferFeeBps;
+        if (isAmmPair[from]) {
+            rate = buyFeeBps;
+        } else if (isAmmPair[to]) {
+            rate = sellFeeBps;
+        }
+        
+        uint256 fee = (amount * rate) / BASIS_POINTS;
+        treasuryAmount = (fee * treasuryShareBps) / BASIS_POINTS;
+        stakingAmount = (fee * stakingShareBps) / BASIS_POINTS;
+        // Rounding dust is burned
+        burnAmount = fee - treasuryAmount - stakingAmount;
+    }
+    
+    /**
+     * @dev Override _update to take the transfer fee
+     * The fee is split between DEAD_ADDRESS, the treasury and Staking; the
+     * recipient gets the rest
      */
     function _update(
         address from,
         address to,
         uint256 amount
-    ) internal virtual override {
-        // Skip burn logic for minting (from == 0) or burning (to == 0)
-        if (from == address(0) || to == address(0)) {
-            super._update(from, to, amount);
-            return;
+    ) internal virtual override(ERC20, ERC20Votes) {
+        if (paused() && !isPauseExempt[from]) {
+            revert EnforcedPause();
         }
         
-        // Check if burn should be applied
-        bool shouldBurn = !isExcludedFromBurn[from] && !isExcludedFromBurn[to];
+        (uint256 burnAmount, uint256 treasuryAmount, uint256 stakingAmount) = quoteTransferFee(from, to, amount);
         
-        if (shouldBurn && amount > 0) {
-            // Calculate burn amount (1%)
-            uint256 burnAmount = (amount * BURN_RATE) / BASIS_POINTS;
-            uint256 transferAmount = amount - burnAmount;
-            
+        if (burnAmount > 0) {
             // Burn tokens by sending to dead address
-            if (burnAmount > 0) {
-                super._update(from, DEAD_ADDRESS, burnAmount);
-                totalBurned += burnAmount;
-                emit BurnOnTransfer(from, to, burnAmount);
-            }
-            
-            // Transfer remaining amount
-            super._update(from, to, transferAmount);
-        } else {
-            // No burn, regular transfer
-            super._update(from, to, amount);
+            super._update(from, DEAD_ADDRESS, burnAmount);
+            totalBurned += burnAmount;
+            emit BurnOnTransfer(from, to, burnAmount);
         }
+        if (treasuryAmount > 0) {
+            super._update(from, treasury, treasuryAmount);
+            emit TreasuryFeeCollected(from, to, treasuryAmount);
+        }
+        if (stakingAmount > 0) {
+            super._update(from, stakingRewards, stakingAmount);
+            emit StakingFeeCollected(from, to, stakingAmount);
+        }
+        
+        // Transfer remaining amount
+        super._update(from, to, amount - burnAmount - treasuryAmount - stakingAmount);
+        
+        // Credit Staking last, once balances are final
+        if (stakingAmount > 0) {
+            ITransferFeeReceiver(stakingRewards).notifyTransferFee(stakingAmount);
+        }
+    }
+    
+    /**
+     * @inheritdoc Nonces
+     */
+    function nonces(address owner) public view virtual override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
     }
     
     /**
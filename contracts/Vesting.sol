@@ -3,8 +3,22 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./LockedVotes.sol";
+import "./Staking.sol";
+
+/**
+ * @dev Renders a schedule token's metadata (see VestingMetadata)
+ */
+interface IVestingMetadata {
+    function tokenURI(address vesting, uint256 tokenId) external view returns (string memory);
+}
 
 /**
  * @title TAP Token Vesting Contract
@@ -13,20 +27,54 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * Features:
  * - Cliff period: No tokens released before cliff ends
  * - Linear vesting: Tokens released gradually after cliff
+ * - Custom start time: future or backdated start (e.g. aligned to TGE)
+ * - TGE unlock: a percentage unlocked immediately at start
+ * - Stepped releases: discrete unlocks (e.g. monthly or quarterly) instead of per second
+ * - EIP-2612 permit variant of createVesting (no prior approve)
+ * - Schedules vest the amount actually received, so totalLocked stays
+ *   backed if the token takes a fee on the way in; getAccounting compares
+ *   it with the balance
  * - Multiple vesting schedules per beneficiary supported
- * - Owner can create vesting schedules
+ * - Each schedule is an ERC-721 token; its holder is the beneficiary, so a
+ *   transfer moves the schedule (and its votes) to the new holder, under a
+ *   transfer policy set by the admin. tokenURI is rendered on chain by a
+ *   separate metadata renderer the admin sets (see VestingMetadata)
+ * - Vesting creators create schedules; revokers revoke them
  * - Beneficiaries can claim vested tokens anytime
+ * - Unreleased tokens count toward the beneficiary's governance votes
+ * - Beneficiaries can stake unreleased tokens in Staking from here: they
+ *   keep vesting on schedule (release unstakes what it needs, revoke unwinds
+ *   the schedule's stake) and the rewards are claimable by the beneficiary
+ * - A guardian can pause schedule creation; releases and revokes never pause
+ * - Deployed behind a UUPS proxy; only the admin can upgrade
  * 
  * Use Cases:
  * - Team token allocation (e.g., 2 year vesting with 6 month cliff)
  * - Investor token allocation
  * - Advisor token allocation
  */
-contract Vesting is Ownable, ReentrancyGuard {
+contract Vesting is
+    Initializable,
+    AccessControlUpgradeable,
+    ERC721Upgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable,
+    LockedVotes
+{
     using SafeERC20 for IERC20;
     
+    /// @notice Role allowed to create (and fund) schedules, e.g. MerkleDistributor
+    bytes32 public constant VESTING_CREATOR_ROLE = keccak256("VESTING_CREATOR_ROLE");
+    
+    /// @notice Role allowed to revoke schedules (receives the unvested refund)
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+    
+    /// @notice Role allowed to pause and unpause schedule creation
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    
     /// @notice TAP token contract
-    IERC20 public immutable token;
+    IERC20 public token;
     
     /// @notice Vesting schedule structure
     struct VestingSchedule {
@@ -36,14 +84,65 @@ contract Vesting is Ownable, ReentrancyGuard {
         uint256 vestingDuration;  // Total vesting duration in seconds
         uint256 releasedAmount;   // Amount already released
         bool revoked;             // Whether vesting was revoked
+        uint16 tgeBps;            // Share unlocked at startTime (basis points)
+        uint64 stepDuration;      // Unlock step in seconds (0 = linear per second)
+    }
+    
+    /// @notice Who may receive a schedule token from its current holder
+    enum TransferPolicy {
+        Disabled,       // Schedules stay with their holder
+        Allowlisted,    // Only to addresses on the transfer allowlist
+        Open            // To anyone
     }
     
+    /// @notice Basis points denominator
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    
     /// @notice Mapping from beneficiary to their vesting schedules
     mapping(address => VestingSchedule[]) public vestingSchedules;
     
     /// @notice Total tokens locked in all vesting schedules
     uint256 public totalLocked;
     
+    /// @notice Token id of each schedule, by holder and schedule index
+    mapping(address => mapping(uint256 => uint256)) public scheduleTokenId;
+    
+    /// @dev Index of each token's schedule in its holder's vestingSchedules
+    mapping(uint256 => uint256) private _tokenScheduleIndex;
+    
+    /// @notice Last token id minted (ids start at 1)
+    uint256 public lastTokenId;
+    
+    /// @notice Who may receive schedule tokens
+    TransferPolicy public transferPolicy;
+    
+    /// @notice Recipients allowed under TransferPolicy.Allowlisted
+    mapping(address => bool) public isTransferAllowlisted;
+    
+    /// @notice Staking contract unreleased tokens can be staked in (zero = disabled)
+    Staking public staking;
+    
+    /// @notice Unreleased tokens of each schedule staked in Staking, by token id
+    mapping(uint256 => uint256) public stakedAmount;
+    
+    /// @notice Unreleased tokens staked in Staking across all schedules
+    uint256 public totalStaked;
+    
+    /// @notice Staking rewards harvested into this contract and not yet claimed
+    uint256 public stakingRewardsHeld;
+    
+    /// @dev Harvested staking rewards per staked token (scaled by 1e18)
+    uint256 private _rewardPerStakeStored;
+    
+    /// @notice Renders tokenURI (zero = empty URIs)
+    IVestingMetadata public metadataRenderer;
+    
+    /// @dev _rewardPerStakeStored at each token's last settlement
+    mapping(uint256 => uint256) private _rewardPerStakePaid;
+    
+    /// @dev Settled, unclaimed staking rewards of each schedule, by token id
+    mapping(uint256 => uint256) private _stakingRewards;
+    
     /// @notice Emitted when a vesting schedule is created
     event VestingCreated(
         address indexed beneficiary,
@@ -54,6 +153,14 @@ contract Vesting is Ownable, ReentrancyGuard {
         uint256 vestingDuration
     );
     
+    /// @notice Emitted with VestingCreated when a schedule has a TGE unlock or steps
+    event VestingUnlockTerms(
+        address indexed beneficiary,
+        uint256 indexed scheduleIndex,
+        uint256 tgeBps,
+        uint256 stepDuration
+    );
+    
     /// @notice Emitted when tokens are released
     event TokensReleased(
         address indexed beneficiary,
@@ -68,17 +175,69 @@ contract Vesting is Ownable, ReentrancyGuard {
         uint256 refundAmount
     );
     
+    /// @notice Emitted when tokens held beyond totalLocked are sent out
+    event SurplusReconciled(address indexed to, uint256 amount);
+    
+    /// @notice Emitted when a schedule token changes holder. The schedule
+    /// moves from `from`'s fromIndex, which is left empty, to `to`'s toIndex
+    event ScheduleTransferred(
+        address indexed from,
+        address indexed to,
+        uint256 indexed tokenId,
+        uint256 fromIndex,
+        uint256 toIndex
+    );
+    
+    /// @notice Emitted when the transfer policy changes
+    event TransferPolicyUpdated(TransferPolicy policy);
+    
+    /// @notice Emitted when an address is added to or removed from the transfer allowlist
+    event TransferAllowlistUpdated(address indexed account, bool allowed);
+    
+    /// @notice Emitted when the Staking contract changes
+    event StakingUpdated(address staking);
+    
+    /// @notice Emitted when unreleased tokens of a schedule are staked
+    event ScheduleStaked(uint256 indexed tokenId, uint256 amount);
+    
+    /// @notice Emitted when staked tokens of a schedule return to this contract
+    event ScheduleUnstaked(uint256 indexed tokenId, uint256 amount);
+    
+    /// @notice Emitted when a beneficiary claims staking rewards
+    event StakingRewardsClaimed(address indexed beneficiary, uint256 amount);
+    
+    /// @notice Emitted when the metadata renderer changes
+    event MetadataRendererUpdated(address renderer);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
     /**
-     * @dev Constructor sets the TAP token address
+     * @dev Initializer (replaces the constructor) sets the TAP token address
+     * and gives the caller every role
      * @param _token TAP token contract address
      */
-    constructor(address _token) Ownable(msg.sender) {
+    function initialize(address _token) external initializer {
         require(_token != address(0), "Token address cannot be zero");
+        __AccessControl_init();
+        __ERC721_init("TAP Vesting", "vTAP");
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(VESTING_CREATOR_ROLE, msg.sender);
+        _grantRole(REVOKER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        
         token = IERC20(_token);
     }
     
     /**
      * @notice Create a new vesting schedule for a beneficiary
+     * @dev Starts now, with cliff and linear vesting (no TGE unlock, no steps)
      * @param beneficiary Address receiving vested tokens
      * @param amount Total tokens to vest
      * @param cliffDuration Cliff period in seconds (e.g., 180 days = 15552000)
@@ -89,37 +248,75 @@ contract Vesting is Ownable, ReentrancyGuard {
         uint256 amount,
         uint256 cliffDuration,
         uint256 vestingDuration
-    ) external onlyOwner {
-        require(beneficiary != address(0), "Beneficiary cannot be zero address");
-        require(amount > 0, "Amount must be greater than 0");
-        require(vestingDuration > 0, "Vesting duration must be greater than 0");
-        require(cliffDuration <= vestingDuration, "Cliff cannot exceed vesting duration");
-        
-        // Transfer tokens to this contract
-        token.safeTransferFrom(msg.sender, address(this), amount);
-        
-        uint256 startTime = block.timestamp;
-        
-        vestingSchedules[beneficiary].push(VestingSchedule({
-            totalAmount: amount,
-            startTime: startTime,
-            cliffDuration: cliffDuration,
-            vestingDuration: vestingDuration,
-            releasedAmount: 0,
-            revoked: false
-        }));
-        
-        totalLocked += amount;
-        
-        uint256 scheduleIndex = vestingSchedules[beneficiary].length - 1;
-        emit VestingCreated(
-            beneficiary,
-            scheduleIndex,
-            amount,
-            startTime,
-            cliffDuration,
-            vestingDuration
-        );
+    ) external onlyRole(VESTING_CREATOR_ROLE) whenNotPaused {
+        _createVesting(beneficiary, amount, block.timestamp, cliffDuration, vestingDuration, 0, 0);
+    }
+    
+    /**
+     * @notice Stop new schedules; releases and revokes stay open
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @notice Allow new schedules again
+     */
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @notice createVesting with an EIP-2612 permit instead of a prior approve
+     * @param beneficiary Address receiving vested tokens
+     * @param amount Total tokens to vest
+     * @param cliffDuration Cliff period in seconds
+     * @param vestingDuration Total vesting duration in seconds
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function createVestingWithPermit(
+        address beneficiary,
+        uint256 amount,
+        uint256 cliffDuration,
+        uint256 vestingDuration,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external onlyRole(VESTING_CREATOR_ROLE) whenNotPaused {
+        _permit(amount, deadline, v, r, s);
+        _createVesting(beneficiary, amount, block.timestamp, cliffDuration, vestingDuration, 0, 0);
+    }
+    
+    /**
+     * @notice Create a vesting schedule with a custom start, TGE unlock and release steps
+     * @dev Before startTime nothing is vested. At startTime the TGE share unlocks;
+     * the rest vests after the cliff, linearly or in steps of stepDuration counted
+     * from startTime, and is fully vested at startTime + vestingDuration.
+     * @param beneficiary Address receiving vested tokens
+     * @param amount Total tokens to vest (including the TGE share)
+     * @param startTime Vesting start timestamp (may be in the past or future)
+     * @param cliffDuration Cliff period in seconds, counted from startTime
+     * @param vestingDuration Total vesting duration in seconds
+     * @param tgeBps Share unlocked at startTime in basis points (e.g., 1000 = 10%)
+     * @param stepDuration Unlock step in seconds (e.g., 30 days), 0 for linear
+     */
+    function createVestingSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint256 startTime,
+        uint256 cliffDuration,
+        uint256 vestingDuration,
+        uint16 tgeBps,
+        uint64 stepDuration
+    ) external onlyRole(VESTING_CREATOR_ROLE) whenNotPaused {
+        require(startTime > 0, "Start time cannot be zero");
+        require(tgeBps <= BPS_DENOMINATOR, "TGE share exceeds 100%");
+        require(stepDuration <= vestingDuration, "Step exceeds vesting duration");
+        _createVesting(beneficiary, amount, startTime, cliffDuration, vestingDuration, tgeBps, stepDuration);
     }
     
     /**
@@ -135,8 +332,10 @@ contract Vesting is Ownable, ReentrancyGuard {
         uint256 releasable = _releasableAmount(schedule);
         require(releasable > 0, "No tokens to release");
         
+        _unstakeForRelease(scheduleIndex, schedule, releasable);
         schedule.releasedAmount += releasable;
         totalLocked -= releasable;
+        _decreaseLockedVotes(msg.sender, releasable);
         
         token.safeTransfer(msg.sender, releasable);
         
@@ -154,6 +353,7 @@ contract Vesting is Ownable, ReentrancyGuard {
             if (!schedules[i].revoked) {
                 uint256 releasable = _releasableAmount(schedules[i]);
                 if (releasable > 0) {
+                    _unstakeForRelease(i, schedules[i], releasable);
                     schedules[i].releasedAmount += releasable;
                     totalReleasable += releasable;
                     emit TokensReleased(msg.sender, i, releasable);
@@ -163,20 +363,28 @@ contract Vesting is Ownable, ReentrancyGuard {
         
         require(totalReleasable > 0, "No tokens to release");
         totalLocked -= totalReleasable;
+        _decreaseLockedVotes(msg.sender, totalReleasable);
         token.safeTransfer(msg.sender, totalReleasable);
     }
     
     /**
-     * @notice Revoke a vesting schedule (only owner)
-     * @dev Returns unvested tokens to owner, vested tokens remain claimable
+     * @notice Revoke a vesting schedule
+     * @dev Returns unvested tokens to the revoker, vested tokens remain claimable.
+     * A staked schedule is unstaked first; its settled rewards stay claimable
      * @param beneficiary Beneficiary address
      * @param scheduleIndex Index of the vesting schedule
      */
-    function revoke(address beneficiary, uint256 scheduleIndex) external onlyOwner {
+    function revoke(address beneficiary, uint256 scheduleIndex) external onlyRole(REVOKER_ROLE) {
         require(scheduleIndex < vestingSchedules[beneficiary].length, "Invalid schedule index");
         
         VestingSchedule storage schedule = vestingSchedules[beneficiary][scheduleIndex];
         require(!schedule.revoked, "Already revoked");
+        uint256 tokenId = scheduleTokenId[beneficiary][scheduleIndex];
+        require(tokenId != 0, "Schedule transferred");
+        
+        if (stakedAmount[tokenId] > 0) {
+            _unstake(tokenId, stakedAmount[tokenId]);
+        }
         
         uint256 vestedAmount = _vestedAmount(schedule);
         uint256 refundAmount = schedule.totalAmount - vestedAmount;
@@ -186,7 +394,8 @@ contract Vesting is Ownable, ReentrancyGuard {
         
         if (refundAmount > 0) {
             totalLocked -= refundAmount;
-            token.safeTransfer(owner(), refundAmount);
+            _decreaseLockedVotes(beneficiary, refundAmount);
+            token.safeTransfer(msg.sender, refundAmount);
         }
         
         emit VestingRevoked(beneficiary, scheduleIndex, refundAmount);
@@ -214,6 +423,197 @@ contract Vesting is Ownable, ReentrancyGuard {
         return _releasableAmount(vestingSchedules[beneficiary][scheduleIndex]);
     }
     
+    /**
+     * @notice What the books say the contract holds, next to what it actually holds
+     * @return accounted totalLocked plus unclaimed staking rewards
+     * @return balance Token balance plus the tokens staked in Staking; above
+     * accounted is surplus (see reconcileSurplus), below it a shortfall
+     */
+    function getAccounting() public view returns (uint256 accounted, uint256 balance) {
+        accounted = totalLocked + stakingRewardsHeld;
+        balance = token.balanceOf(address(this)) + totalStaked;
+    }
+    
+    /**
+     * @notice Send tokens held beyond totalLocked (sent here directly) to `to`
+     * @param to Recipient
+     */
+    function reconcileSurplus(address to) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(to != address(0), "Recipient cannot be zero");
+        (uint256 accounted, uint256 balance) = getAccounting();
+        require(balance > accounted, "No surplus");
+        uint256 surplus = balance - accounted;
+        token.safeTransfer(to, surplus);
+        emit SurplusReconciled(to, surplus);
+    }
+    
+    /**
+     * @notice Set the Staking contract unreleased tokens can be staked in
+     * @dev Only while nothing is staked; zero disables staking
+     * @param _staking Staking contract (same token), or zero
+     */
+    function setStaking(address _staking) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(totalStaked == 0, "Tokens still staked");
+        require(
+            _staking == address(0) || address(Staking(_staking).stakingToken()) == address(token),
+            "Staking token mismatch"
+        );
+        staking = Staking(_staking);
+        emit StakingUpdated(_staking);
+    }
+    
+    /**
+     * @notice Set the contract that renders tokenURI
+     * @param renderer Metadata renderer (e.g. VestingMetadata), or zero for empty URIs
+     */
+    function setMetadataRenderer(address renderer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        metadataRenderer = IVestingMetadata(renderer);
+        emit MetadataRendererUpdated(renderer);
+    }
+    
+    /**
+     * @notice Stake unreleased tokens of one of the caller's schedules
+     * @dev Vesting (or Staking) must be excluded from the transfer fee. Vesting
+     * stakes for all schedules as one Staking account, so while nothing is
+     * staked (totalStaked == 0) this is Staking's first stake and must be at
+     * least Staking.MIN_STAKE; after that any amount is accepted
+     * @param scheduleIndex Index of the vesting schedule
+     * @param amount Amount to stake, up to the schedule's unreleased, unstaked tokens
+     */
+    function stakeUnreleased(uint256 scheduleIndex, uint256 amount) external nonReentrant {
+        require(address(staking) != address(0), "Staking not set");
+        require(scheduleIndex < vestingSchedules[msg.sender].length, "Invalid schedule index");
+        
+        VestingSchedule storage schedule = vestingSchedules[msg.sender][scheduleIndex];
+        require(!schedule.revoked, "Vesting was revoked");
+        uint256 tokenId = scheduleTokenId[msg.sender][scheduleIndex];
+        require(
+            amount <= schedule.totalAmount - schedule.releasedAmount - stakedAmount[tokenId],
+            "Exceeds unstaked balance"
+        );
+        
+        _harvestStakingRewards();
+        _settleStakingRewards(tokenId);
+        stakedAmount[tokenId] += amount;
+        totalStaked += amount;
+        
+        // Staking credits what it received; a transfer fee would leave it short
+        (uint256 stakedBefore, ) = staking.getStakeInfo(address(this));
+        token.forceApprove(address(staking), amount);
+        staking.stake(amount);
+        (uint256 stakedAfter, ) = staking.getStakeInfo(address(this));
+        require(stakedAfter - stakedBefore == amount, "Vesting not excluded from fee");
+        
+        emit ScheduleStaked(tokenId, amount);
+    }
+    
+    /**
+     * @notice Bring staked tokens of one of the caller's schedules back from Staking
+     * @param scheduleIndex Index of the vesting schedule
+     * @param amount Amount to unstake
+     */
+    function unstakeUnreleased(uint256 scheduleIndex, uint256 amount) external nonReentrant {
+        // Token id 0 (an index past the end) never has a stake
+        uint256 tokenId = scheduleTokenId[msg.sender][scheduleIndex];
+        require(amount <= stakedAmount[tokenId], "Exceeds staked amount");
+        _unstake(tokenId, amount);
+    }
+    
+    /**
+     * @notice Claim the staking rewards of all the caller's schedules
+     */
+    function claimStakingRewards() external nonReentrant {
+        _harvestStakingRewards();
+        
+        uint256 total = 0;
+        uint256 count = vestingSchedules[msg.sender].length;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 tokenId = scheduleTokenId[msg.sender][i];
+            _settleStakingRewards(tokenId);
+            total += _stakingRewards[tokenId];
+            _stakingRewards[tokenId] = 0;
+        }
+        require(total > 0, "No rewards to claim");
+        
+        stakingRewardsHeld -= total;
+        token.safeTransfer(msg.sender, total);
+        emit StakingRewardsClaimed(msg.sender, total);
+    }
+    
+    /**
+     * @notice Staking rewards claimStakingRewards would pay a beneficiary now
+     * @param beneficiary Beneficiary address
+     */
+    function pendingStakingRewards(address beneficiary) external view returns (uint256 total) {
+        uint256 rewardPerStake = _rewardPerStakeStored;
+        if (totalStaked > 0) {
+            rewardPerStake += (staking.earned(address(this)) * 1e18) / totalStaked;
+        }
+        
+        uint256 count = vestingSchedules[beneficiary].length;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 tokenId = scheduleTokenId[beneficiary][i];
+            total += _stakingRewards[tokenId] +
+                (stakedAmount[tokenId] * (rewardPerStake - _rewardPerStakePaid[tokenId])) / 1e18;
+        }
+    }
+    
+    /**
+     * @notice Set who may receive schedule tokens from their holder
+     * @dev Minting at creation is never restricted
+     * @param policy Disabled, Allowlisted or Open
+     */
+    function setTransferPolicy(TransferPolicy policy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        transferPolicy = policy;
+        emit TransferPolicyUpdated(policy);
+    }
+    
+    /**
+     * @notice Allow or disallow an address to receive schedule tokens under TransferPolicy.Allowlisted
+     * @param account Recipient address
+     * @param allowed True to allow
+     */
+    function setTransferAllowlisted(address account, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        isTransferAllowlisted[account] = allowed;
+        emit TransferAllowlistUpdated(account, allowed);
+    }
+    
+    /**
+     * @notice Where a token's schedule is stored
+     * @param tokenId Schedule token id
+     * @return holder Current holder (the beneficiary)
+     * @return scheduleIndex Index in the holder's vestingSchedules
+     */
+    function scheduleOf(uint256 tokenId) public view returns (address holder, uint256 scheduleIndex) {
+        holder = _requireOwned(tokenId);
+        scheduleIndex = _tokenScheduleIndex[tokenId];
+    }
+    
+    /**
+     * @notice Metadata of a schedule token, from the metadata renderer
+     * @param tokenId Schedule token id
+     * @return data: URI of the schedule's JSON metadata, or "" without a renderer
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        if (address(metadataRenderer) == address(0)) {
+            return "";
+        }
+        return metadataRenderer.tokenURI(address(this), tokenId);
+    }
+    
+    /**
+     * @dev ERC-165: AccessControl and ERC-721
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(AccessControlUpgradeable, ERC721Upgradeable)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+    
     /**
      * @notice Get number of vesting schedules for a beneficiary
      * @param beneficiary Beneficiary address
@@ -223,6 +623,165 @@ contract Vesting is Ownable, ReentrancyGuard {
         return vestingSchedules[beneficiary].length;
     }
     
+    /**
+     * @dev Apply the caller's permit for this contract (tolerated if the allowance is already set)
+     */
+    function _permit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+        } catch {
+            require(token.allowance(msg.sender, address(this)) >= amount, "Permit failed");
+        }
+    }
+    
+    /**
+     * @dev Store a schedule and pull its tokens from the creator
+     * The schedule's totalAmount is the amount received, which is less than
+     * amount if the token takes a transfer fee on the way in
+     */
+    function _createVesting(
+        address beneficiary,
+        uint256 amount,
+        uint256 startTime,
+        uint256 cliffDuration,
+        uint256 vestingDuration,
+        uint16 tgeBps,
+        uint64 stepDuration
+    ) internal {
+        require(beneficiary != address(0), "Beneficiary cannot be zero address");
+        require(amount > 0, "Amount must be greater than 0");
+        require(vestingDuration > 0, "Vesting duration must be greater than 0");
+        require(cliffDuration <= vestingDuration, "Cliff cannot exceed vesting duration");
+        
+        // Transfer tokens to this contract; the schedule vests what arrived
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
+        
+        vestingSchedules[beneficiary].push(VestingSchedule({
+            totalAmount: received,
+            startTime: startTime,
+            cliffDuration: cliffDuration,
+            vestingDuration: vestingDuration,
+            releasedAmount: 0,
+            revoked: false,
+            tgeBps: tgeBps,
+            stepDuration: stepDuration
+        }));
+        
+        totalLocked += received;
+        _increaseLockedVotes(beneficiary, received);
+        
+        uint256 scheduleIndex = vestingSchedules[beneficiary].length - 1;
+        uint256 tokenId = ++lastTokenId;
+        scheduleTokenId[beneficiary][scheduleIndex] = tokenId;
+        _tokenScheduleIndex[tokenId] = scheduleIndex;
+        _mint(beneficiary, tokenId);
+        
+        emit VestingCreated(
+            beneficiary,
+            scheduleIndex,
+            received,
+            startTime,
+            cliffDuration,
+            vestingDuration
+        );
+        
+        if (tgeBps > 0 || stepDuration > 0) {
+            emit VestingUnlockTerms(beneficiary, scheduleIndex, tgeBps, stepDuration);
+        }
+    }
+    
+    /**
+     * @dev Apply the transfer policy and move the schedule with its token
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0) && from != to) {
+            require(
+                transferPolicy == TransferPolicy.Open ||
+                    (transferPolicy == TransferPolicy.Allowlisted && isTransferAllowlisted[to]),
+                "Schedule transfer not allowed"
+            );
+            _moveSchedule(from, to, tokenId);
+        }
+    }
+    
+    /**
+     * @dev Move a token's schedule from `from`'s array to the end of `to`'s,
+     * leaving an empty slot (token id 0) so `from`'s other schedules keep
+     * their indexes. Unreleased tokens are votes, so they move too.
+     */
+    function _moveSchedule(address from, address to, uint256 tokenId) internal {
+        uint256 fromIndex = _tokenScheduleIndex[tokenId];
+        VestingSchedule memory schedule = vestingSchedules[from][fromIndex];
+        
+        delete vestingSchedules[from][fromIndex];
+        delete scheduleTokenId[from][fromIndex];
+        
+        vestingSchedules[to].push(schedule);
+        uint256 toIndex = vestingSchedules[to].length - 1;
+        scheduleTokenId[to][toIndex] = tokenId;
+        _tokenScheduleIndex[tokenId] = toIndex;
+        
+        uint256 unreleased = schedule.totalAmount - schedule.releasedAmount;
+        if (unreleased > 0) {
+            _decreaseLockedVotes(from, unreleased);
+            _increaseLockedVotes(to, unreleased);
+        }
+        
+        emit ScheduleTransferred(from, to, tokenId, fromIndex, toIndex);
+    }
+    
+    /**
+     * @dev Claim this contract's rewards from Staking and spread them over
+     * the staked tokens
+     */
+    function _harvestStakingRewards() internal {
+        if (totalStaked == 0 || staking.earned(address(this)) == 0) {
+            return;
+        }
+        uint256 balanceBefore = token.balanceOf(address(this));
+        staking.claimRewards();
+        uint256 harvested = token.balanceOf(address(this)) - balanceBefore;
+        stakingRewardsHeld += harvested;
+        _rewardPerStakeStored += (harvested * 1e18) / totalStaked;
+    }
+    
+    /**
+     * @dev Credit a schedule with its share of the rewards harvested since its last settlement
+     */
+    function _settleStakingRewards(uint256 tokenId) internal {
+        _stakingRewards[tokenId] +=
+            (stakedAmount[tokenId] * (_rewardPerStakeStored - _rewardPerStakePaid[tokenId])) / 1e18;
+        _rewardPerStakePaid[tokenId] = _rewardPerStakeStored;
+    }
+    
+    /**
+     * @dev Withdraw part of a schedule's stake back into this contract
+     */
+    function _unstake(uint256 tokenId, uint256 amount) internal {
+        _harvestStakingRewards();
+        _settleStakingRewards(tokenId);
+        stakedAmount[tokenId] -= amount;
+        totalStaked -= amount;
+        staking.withdraw(amount);
+        emit ScheduleUnstaked(tokenId, amount);
+    }
+    
+    /**
+     * @dev Unstake whatever part of `amount` the caller's schedule does not hold unstaked
+     */
+    function _unstakeForRelease(uint256 scheduleIndex, VestingSchedule storage schedule, uint256 amount) internal {
+        if (totalStaked == 0) {
+            return;
+        }
+        uint256 tokenId = scheduleTokenId[msg.sender][scheduleIndex];
+        uint256 unstaked = schedule.totalAmount - schedule.releasedAmount - stakedAmount[tokenId];
+        if (amount > unstaked) {
+            _unstake(tokenId, amount - unstaked);
+        }
+    }
+    
     /**
      * @dev Calculate vested amount for a schedule
      */
@@ -231,11 +790,17 @@ contract Vesting is Ownable, ReentrancyGuard {
             return schedule.totalAmount; // All remaining is vested if revoked
         }
         
+        // Before start, nothing is vested
+        if (block.timestamp < schedule.startTime) {
+            return 0;
+        }
+        
+        uint256 tgeAmount = (schedule.totalAmount * schedule.tgeBps) / BPS_DENOMINATOR;
         uint256 cliffEnd = schedule.startTime + schedule.cliffDuration;
         
-        // Before cliff ends, nothing is vested
+        // Before cliff ends, only the TGE share is vested
         if (block.timestamp < cliffEnd) {
-            return 0;
+            return tgeAmount;
         }
         
         uint256 vestingEnd = schedule.startTime + schedule.vestingDuration;
@@ -245,9 +810,12 @@ contract Vesting is Ownable, ReentrancyGuard {
             return schedule.totalAmount;
         }
         
-        // Linear vesting between cliff and end
+        // Linear vesting between cliff and end, rounded down to whole steps if stepped
         uint256 timeFromStart = block.timestamp - schedule.startTime;
-        return (schedule.totalAmount * timeFromStart) / schedule.vestingDuration;
+        if (schedule.stepDuration > 0) {
+            timeFromStart -= timeFromStart % schedule.stepDuration;
+        }
+        return tgeAmount + ((schedule.totalAmount - tgeAmount) * timeFromStart) / schedule.vestingDuration;
     }
     
     /**
@@ -256,4 +824,9 @@ contract Vesting is Ownable, ReentrancyGuard {
     function _releasableAmount(VestingSchedule storage schedule) internal view returns (uint256) {
         return _vestedAmount(schedule) - schedule.releasedAmount;
     }
+    
+    /**
+     * @dev Only the admin (the timelock once governance is set up) can upgrade
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
 }
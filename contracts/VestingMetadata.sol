@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Vesting.sol";
+
+/**
+ * @title Vesting Schedule Metadata
+ * @dev Renders the tokenURI of Vesting's schedule tokens
+ *
+ * Features:
+ * - Base64 JSON built on chain: Total, Vested, Released, Remaining and
+ *   Releasable (whole TAP, four decimals), the start, cliff end and end
+ *   dates, the TGE share and whether the schedule was revoked
+ * - Stateless and shared: it reads the schedule from the Vesting that asks,
+ *   so one deployment serves every Vesting proxy
+ * - Kept out of Vesting to leave the proxy implementation room below the
+ *   24 KB contract size limit; the admin can point Vesting at a new renderer
+ *   without an upgrade
+ */
+contract VestingMetadata is IVestingMetadata {
+    using Strings for uint256;
+
+    /**
+     * @notice On-chain JSON metadata with the schedule's amounts and dates
+     * @param vesting Vesting contract that holds the schedule
+     * @param tokenId Schedule token id
+     * @return data: URI of the base64-encoded JSON
+     */
+    function tokenURI(address vesting, uint256 tokenId) external view returns (string memory) {
+        Vesting source = Vesting(vesting);
+        (address holder, uint256 scheduleIndex) = source.scheduleOf(tokenId);
+        Vesting.VestingSchedule memory schedule = _schedule(source, holder, scheduleIndex);
+        uint256 vested = source.vestedAmount(holder, scheduleIndex);
+        uint256 releasable = schedule.revoked ? 0 : source.releasableAmount(holder, scheduleIndex);
+
+        string memory json = string.concat(
+            '{"name":"TAP Vesting #',
+            tokenId.toString(),
+            '","description":"TAP vesting schedule, released to its holder.",',
+            '"attributes":[',
+            _amountAttributes(schedule, vested, releasable),
+            ",",
+            _termAttributes(schedule),
+            "]}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Copy a schedule out of Vesting's public getter
+     */
+    function _schedule(Vesting vesting, address holder, uint256 scheduleIndex)
+        internal
+        view
+        returns (Vesting.VestingSchedule memory schedule)
+    {
+        (
+            schedule.totalAmount,
+            schedule.startTime,
+            schedule.cliffDuration,
+            schedule.vestingDuration,
+            schedule.releasedAmount,
+            schedule.revoked,
+            schedule.tgeBps,
+            schedule.stepDuration
+        ) = vesting.vestingSchedules(holder, scheduleIndex);
+    }
+
+    /**
+     * @dev Metadata attributes for the schedule's amounts
+     */
+    function _amountAttributes(
+        Vesting.VestingSchedule memory schedule,
+        uint256 vested,
+        uint256 releasable
+    ) internal pure returns (string memory) {
+        return string.concat(
+            _attribute("Total", _formatAmount(schedule.totalAmount), true),
+            _attribute("Vested", _formatAmount(vested), true),
+            _attribute("Released", _formatAmount(schedule.releasedAmount), true),
+            _attribute("Remaining", _formatAmount(schedule.totalAmount - schedule.releasedAmount), true),
+            _attribute("Releasable", _formatAmount(releasable), false)
+        );
+    }
+
+    /**
+     * @dev Metadata attributes for the schedule's dates and status
+     */
+    function _termAttributes(Vesting.VestingSchedule memory schedule) internal pure returns (string memory) {
+        return string.concat(
+            _dateAttribute("Start", schedule.startTime),
+            _dateAttribute("Cliff End", schedule.startTime + schedule.cliffDuration),
+            _dateAttribute("End", schedule.startTime + schedule.vestingDuration),
+            _attribute("TGE Unlock (bps)", uint256(schedule.tgeBps).toString(), true),
+            _attribute("Revoked", schedule.revoked ? "Yes" : "No", false)
+        );
+    }
+
+    /**
+     * @dev One string attribute, with a trailing comma unless it is the last
+     */
+    function _attribute(string memory trait, string memory value, bool more) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', trait, '","value":"', value, more ? '"},' : '"}');
+    }
+
+    /**
+     * @dev One date attribute (unix seconds), always followed by a comma
+     */
+    function _dateAttribute(string memory trait, uint256 timestamp) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', trait, '","display_type":"date","value":', timestamp.toString(), "},");
+    }
+
+    /**
+     * @dev Amount in whole TAP with four decimals (truncated), e.g. "1250.5000"
+     */
+    function _formatAmount(uint256 amount) internal pure returns (string memory) {
+        uint256 fraction = (amount % 1e18) / 1e14;
+        string memory padding = fraction < 10 ? "000" : fraction < 100 ? "00" : fraction < 1000 ? "0" : "";
+        return string.concat((amount / 1e18).toString(), ".", padding, fraction.toString());
+    }
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "../Staking.sol";
+import "../Vesting.sol";
+
+/**
+ * @title Upgrade Test Implementations
+ * @dev Test-only implementations used to exercise Staking and Vesting upgrades.
+ * Not deployed by any script.
+ */
+
+/// @dev Compatible upgrade: appends a variable and a reinitializer
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract StakingV2Mock is Staking {
+    uint256 public upgradedAt;
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/// @dev Compatible upgrade: adds a function only
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract VestingV2Mock is Vesting {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/// @dev Incompatible upgrade: a new variable takes Staking's first storage slot
+contract StakingLayoutBreakMock is Initializable, OwnableUpgradeable, UUPSUpgradeable {
+    uint256 public broken;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() external initializer {
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
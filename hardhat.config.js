@@ -1,18 +1,39 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
 
+require("./tasks/vesting");
+require("./tasks/indexer");
+require("./tasks/staking");
+require("./tasks/gas");
+require("./tasks/airdrop");
+require("./tasks/governance");
+require("./tasks/upgrade");
+require("./tasks/roles");
+require("./tasks/migration");
+require("./tasks/ops");
+require("./tasks/devnet");
+require("./tasks/stats");
+require("./tasks/vault");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    // 0.8.24 is the minimum for OpenZeppelin's Governor (TAPGovernor)
+    version: "0.8.24",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200,
       },
+      // Governor uses mcopy (Cancun; live on BSC since the Tycho upgrade)
+      evmVersion: "cancun",
     },
   },
   networks: {
+    // In-process network; with FORK_URL set it forks that RPC's latest block
+    // (ops:simulate runs there to dry-run operations for live networks)
+    hardhat: process.env.FORK_URL ? { forking: { url: process.env.FORK_URL } } : {},
     // BSC Testnet (default deployment target)
     bscTestnet: {
       url: process.env.RPC_URL || "https://data-seed-prebsc-1-s1.binance.org:8545",
@@ -0,0 +1,191 @@
+/**
+ * Indexer Database
+ *
+ * SQLite (via sql.js) storage for the event indexer. The raw event log is the
+ * source of truth; the state tables are derived from it and can be rebuilt
+ * at any time by replaying the events.
+ *
+ * Amounts are stored as decimal strings so uint256 values keep full precision.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+-- Hashes of indexed blocks, used to detect reorgs
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_name ON events (name);
+
+CREATE TABLE IF NOT EXISTS balances (
+    account TEXT PRIMARY KEY,
+    balance TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS burn_exclusions (
+    account TEXT PRIMARY KEY,
+    excluded INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS stakes (
+    user TEXT PRIMARY KEY,
+    amount TEXT NOT NULL,
+    rewards_claimed TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS vesting_schedules (
+    beneficiary TEXT NOT NULL,
+    schedule_index INTEGER NOT NULL,
+    total_amount TEXT NOT NULL,
+    released_amount TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    cliff_duration INTEGER NOT NULL,
+    vesting_duration INTEGER NOT NULL,
+    revoked INTEGER NOT NULL,
+    tge_bps INTEGER NOT NULL DEFAULT 0,
+    step_duration INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (beneficiary, schedule_index)
+);
+
+-- Suite-wide totals (total_burned, total_staked, total_locked, ...)
+CREATE TABLE IF NOT EXISTS stats (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+`;
+
+// Tables derived from the event log
+const STATE_TABLES = ["balances", "burn_exclusions", "stakes", "vesting_schedules", "stats"];
+
+class IndexerDatabase {
+    /**
+     * @param {object} db sql.js Database
+     * @param {string|null} file File the database is persisted to (null = in memory)
+     */
+    constructor(db, file) {
+        this.db = db;
+        this.file = file;
+        this.db.run(SCHEMA);
+        this._migrate();
+    }
+
+    /**
+     * Add columns introduced after a database file was created
+     */
+    _migrate() {
+        const columns = this.all("PRAGMA table_info(vesting_schedules)").map((column) => column.name);
+        if (!columns.includes("tge_bps")) {
+            this.run("ALTER TABLE vesting_schedules ADD COLUMN tge_bps INTEGER NOT NULL DEFAULT 0");
+            this.run("ALTER TABLE vesting_schedules ADD COLUMN step_duration INTEGER NOT NULL DEFAULT 0");
+        }
+    }
+
+    /**
+     * Open (or create) a database file
+     * @param {string|null} [file] Path to the SQLite file; omit for in-memory
+     * @returns {Promise<IndexerDatabase>}
+     */
+    static async open(file = null) {
+        const SQL = await initSqlJs();
+        const data = file && fs.existsSync(file) ? fs.readFileSync(file) : undefined;
+        return new IndexerDatabase(new SQL.Database(data), file);
+    }
+
+    /**
+     * Write the database to its file
+     */
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+        fs.writeFileSync(this.file, Buffer.from(this.db.export()));
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    /**
+     * Run a statement
+     */
+    run(sql, params = []) {
+        this.db.run(sql, params);
+    }
+
+    /**
+     * Run a query and return rows as objects
+     */
+    all(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        statement.bind(params);
+        const rows = [];
+        while (statement.step()) {
+            rows.push(statement.getAsObject());
+        }
+        statement.free();
+        return rows;
+    }
+
+    /**
+     * Run a query and return the first row (or undefined)
+     */
+    get(sql, params = []) {
+        return this.all(sql, params)[0];
+    }
+
+    /**
+     * Run a function inside a transaction
+     */
+    transaction(fn) {
+        this.db.run("BEGIN");
+        try {
+            fn();
+            this.db.run("COMMIT");
+        } catch (error) {
+            this.db.run("ROLLBACK");
+            throw error;
+        }
+    }
+
+    getMeta(key) {
+        const row = this.get("SELECT value FROM meta WHERE key = ?", [key]);
+        return row ? row.value : undefined;
+    }
+
+    setMeta(key, value) {
+        this.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]);
+    }
+
+    /**
+     * Empty every derived state table
+     */
+    clearState() {
+        for (const table of STATE_TABLES) {
+            this.run(`DELETE FROM ${table}`);
+        }
+    }
+}
+
+module.exports = {
+    IndexerDatabase,
+};
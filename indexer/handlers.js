@@ -0,0 +1,206 @@
+/**
+ * Event Handlers
+ *
+ * Apply one decoded event to the derived state tables. Handlers must be
+ * deterministic: replaying the event log in order rebuilds the same state.
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Add a (possibly negative) delta to a stats counter
+ */
+function addStat(db, key, delta) {
+    const row = db.get("SELECT value FROM stats WHERE key = ?", [key]);
+    const current = row ? BigInt(row.value) : 0n;
+    db.run("INSERT OR REPLACE INTO stats (key, value) VALUES (?, ?)", [key, (current + delta).toString()]);
+}
+
+function setStat(db, key, value) {
+    db.run("INSERT OR REPLACE INTO stats (key, value) VALUES (?, ?)", [key, value.toString()]);
+}
+
+function addBalance(db, account, delta) {
+    const row = db.get("SELECT balance FROM balances WHERE account = ?", [account]);
+    const current = row ? BigInt(row.balance) : 0n;
+    db.run("INSERT OR REPLACE INTO balances (account, balance) VALUES (?, ?)", [account, (current + delta).toString()]);
+}
+
+function updateStake(db, user, amountDelta, claimedDelta) {
+    const row = db.get("SELECT amount, rewards_claimed FROM stakes WHERE user = ?", [user]);
+    const amount = (row ? BigInt(row.amount) : 0n) + amountDelta;
+    const claimed = (row ? BigInt(row.rewards_claimed) : 0n) + claimedDelta;
+    db.run(
+        "INSERT OR REPLACE INTO stakes (user, amount, rewards_claimed) VALUES (?, ?, ?)",
+        [user, amount.toString(), claimed.toString()]
+    );
+}
+
+function getSchedule(db, beneficiary, index) {
+    return db.get(
+        "SELECT * FROM vesting_schedules WHERE beneficiary = ? AND schedule_index = ?",
+        [beneficiary, index]
+    );
+}
+
+const handlers = {
+    TAPv2: {
+        Transfer(db, { from, to, value }) {
+            if (from !== ZERO_ADDRESS) {
+                addBalance(db, from, -value);
+            }
+            if (to !== ZERO_ADDRESS) {
+                addBalance(db, to, value);
+            }
+            if (from === ZERO_ADDRESS) {
+                addStat(db, "total_supply", value);
+            }
+            if (to === ZERO_ADDRESS) {
+                addStat(db, "total_supply", -value);
+            }
+        },
+
+        BurnOnTransfer(db, { burnAmount }) {
+            // total_burned mirrors TAPv2.totalBurned; burned_supply adds penalties
+            addStat(db, "total_burned", burnAmount);
+            addStat(db, "burned_supply", burnAmount);
+        },
+
+        TreasuryFeeCollected(db, { amount }) {
+            addStat(db, "total_treasury_fees", amount);
+        },
+
+        StakingFeeCollected(db, { amount }) {
+            addStat(db, "total_staking_fees", amount);
+        },
+
+        BurnExclusionUpdated(db, { account, excluded }) {
+            db.run(
+                "INSERT OR REPLACE INTO burn_exclusions (account, excluded) VALUES (?, ?)",
+                [account, excluded ? 1 : 0]
+            );
+        },
+    },
+
+    Staking: {
+        Staked(db, { user, amount }) {
+            updateStake(db, user, amount, 0n);
+            addStat(db, "total_staked", amount);
+        },
+
+        Withdrawn(db, { user, amount }) {
+            updateStake(db, user, -amount, 0n);
+            addStat(db, "total_staked", -amount);
+        },
+
+        RewardsClaimed(db, { user, amount }) {
+            updateStake(db, user, 0n, amount);
+            addStat(db, "total_rewards_claimed", amount);
+            addStat(db, "reward_pool", -amount);
+        },
+
+        RewardPoolFunded(db, { amount }) {
+            addStat(db, "reward_pool", amount);
+        },
+
+        RewardRateUpdated(db, { newRate }) {
+            setStat(db, "reward_rate", newRate);
+        },
+
+        TransferFeeReceived(db, { amount }) {
+            addStat(db, "reward_pool", amount);
+        },
+
+        SurplusReconciled(db, { amount }) {
+            addStat(db, "reward_pool", amount);
+        },
+
+        PenaltyCollected(db, { user, amount, burned }) {
+            // Withdrawn carries only what the user was paid; the penalty
+            // leaves the stake here. Burned penalties go to the dead address,
+            // recycled ones stay in the contract as unallocated rewards
+            updateStake(db, user, -amount, 0n);
+            addStat(db, "total_staked", -amount);
+            if (burned) {
+                addStat(db, "penalties_burned", amount);
+                addStat(db, "burned_supply", amount);
+            } else {
+                addStat(db, "reward_pool", amount);
+            }
+        },
+    },
+
+    Vesting: {
+        VestingCreated(db, { beneficiary, scheduleIndex, amount, startTime, cliffDuration, vestingDuration }) {
+            db.run(
+                `INSERT OR REPLACE INTO vesting_schedules
+                    (beneficiary, schedule_index, total_amount, released_amount,
+                     start_time, cliff_duration, vesting_duration, revoked)
+                 VALUES (?, ?, ?, '0', ?, ?, ?, 0)`,
+                [
+                    beneficiary,
+                    Number(scheduleIndex),
+                    amount.toString(),
+                    Number(startTime),
+                    Number(cliffDuration),
+                    Number(vestingDuration),
+                ]
+            );
+            addStat(db, "total_locked", amount);
+        },
+
+        VestingUnlockTerms(db, { beneficiary, scheduleIndex, tgeBps, stepDuration }) {
+            db.run(
+                "UPDATE vesting_schedules SET tge_bps = ?, step_duration = ? WHERE beneficiary = ? AND schedule_index = ?",
+                [Number(tgeBps), Number(stepDuration), beneficiary, Number(scheduleIndex)]
+            );
+        },
+
+        TokensReleased(db, { beneficiary, scheduleIndex, amount }) {
+            const schedule = getSchedule(db, beneficiary, Number(scheduleIndex));
+            const released = BigInt(schedule.released_amount) + amount;
+            db.run(
+                "UPDATE vesting_schedules SET released_amount = ? WHERE beneficiary = ? AND schedule_index = ?",
+                [released.toString(), beneficiary, Number(scheduleIndex)]
+            );
+            addStat(db, "total_locked", -amount);
+        },
+
+        VestingRevoked(db, { beneficiary, scheduleIndex, refundAmount }) {
+            const schedule = getSchedule(db, beneficiary, Number(scheduleIndex));
+            const total = BigInt(schedule.total_amount) - refundAmount;
+            db.run(
+                "UPDATE vesting_schedules SET total_amount = ?, revoked = 1 WHERE beneficiary = ? AND schedule_index = ?",
+                [total.toString(), beneficiary, Number(scheduleIndex)]
+            );
+            addStat(db, "total_locked", -refundAmount);
+        },
+
+        // Mirrors Vesting._moveSchedule: the schedule is appended for the
+        // recipient and the sender's slot is left empty
+        ScheduleTransferred(db, { from, to, fromIndex, toIndex }) {
+            db.run(
+                "UPDATE vesting_schedules SET beneficiary = ?, schedule_index = ? WHERE beneficiary = ? AND schedule_index = ?",
+                [to, Number(toIndex), from, Number(fromIndex)]
+            );
+        },
+    },
+};
+
+/**
+ * Apply a decoded event to the state tables
+ * @param {import("./db").IndexerDatabase} db Database
+ * @param {string} contract Contract name (TAPv2, Staking or Vesting)
+ * @param {string} name Event name
+ * @param {object} args Event arguments (bigints for uint256)
+ */
+function applyEvent(db, contract, name, args) {
+    const handler = handlers[contract] && handlers[contract][name];
+    if (handler) {
+        handler(db, args);
+    }
+}
+
+module.exports = {
+    applyEvent,
+};
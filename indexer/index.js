@@ -0,0 +1,231 @@
+/**
+ * TAP Event Indexer
+ *
+ * Replays TAPv2, Staking and Vesting events into SQLite so historical
+ * analytics can be run against token, staking and vesting state.
+ *
+ * - Only blocks at least `confirmations` deep are indexed
+ * - Progress is stored in the database, so a restart resumes where it stopped
+ * - Before each sync the last indexed block hash is compared with the chain;
+ *   on a mismatch the indexer rolls back to the common ancestor, drops the
+ *   orphaned events and rebuilds state from the remaining event log
+ */
+
+const { ethers } = require("ethers");
+const { TAPV2_ABI, STAKING_ABI, VESTING_ABI } = require("../sdk/abis");
+const { IndexerDatabase } = require("./db");
+const { applyEvent } = require("./handlers");
+
+const INTERFACES = {
+    TAPv2: new ethers.Interface(TAPV2_ABI),
+    Staking: new ethers.Interface(STAKING_ABI),
+    Vesting: new ethers.Interface(VESTING_ABI),
+};
+
+/**
+ * Convert decoded event args into a plain object (bigints kept as bigints)
+ */
+function argsToObject(fragment, args) {
+    const result = {};
+    fragment.inputs.forEach((input, i) => {
+        result[input.name] = args[i];
+    });
+    return result;
+}
+
+/**
+ * JSON for storage: bigints become decimal strings
+ */
+function argsToJson(args) {
+    return JSON.stringify(args, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * Restore stored JSON args, turning integer fields back into bigints
+ */
+function argsFromJson(fragment, json) {
+    const stored = JSON.parse(json);
+    const result = {};
+    for (const input of fragment.inputs) {
+        const value = stored[input.name];
+        result[input.name] = input.type.startsWith("uint") || input.type.startsWith("int") ? BigInt(value) : value;
+    }
+    return result;
+}
+
+class Indexer {
+    /**
+     * @param {object} options
+     * @param {import("ethers").Provider} options.provider JSON-RPC provider
+     * @param {{ TAPv2: string, Staking: string, Vesting: string }} options.addresses Contract addresses
+     * @param {IndexerDatabase} options.db Open database
+     * @param {number} [options.confirmations] Blocks to wait before indexing (default 12)
+     * @param {number} [options.batchSize] Blocks per getLogs request (default 2000)
+     * @param {number} [options.startBlock] First block to index on a fresh database (default 0)
+     * @param {Function} [options.log] Logger (defaults to console.log)
+     */
+    constructor(options) {
+        this.provider = options.provider;
+        this.db = options.db;
+        this.confirmations = options.confirmations === undefined ? 12 : options.confirmations;
+        this.batchSize = options.batchSize || 2000;
+        this.startBlock = options.startBlock || 0;
+        this.log = options.log || console.log;
+
+        this.contractsByAddress = {};
+        for (const [name, address] of Object.entries(options.addresses)) {
+            this.contractsByAddress[address.toLowerCase()] = name;
+        }
+    }
+
+    /**
+     * Last indexed block, or startBlock - 1 on a fresh database
+     * @returns {number}
+     */
+    lastIndexedBlock() {
+        const value = this.db.getMeta("last_block");
+        return value === undefined ? this.startBlock - 1 : Number(value);
+    }
+
+    /**
+     * Index every confirmed block not yet indexed
+     * @returns {Promise<number>} Last indexed block after the sync
+     */
+    async sync() {
+        await this._checkReorg();
+
+        const head = await this.provider.getBlockNumber();
+        const target = head - this.confirmations;
+        let from = this.lastIndexedBlock() + 1;
+
+        while (from <= target) {
+            const to = Math.min(from + this.batchSize - 1, target);
+            await this._indexRange(from, to);
+            from = to + 1;
+        }
+
+        return this.lastIndexedBlock();
+    }
+
+    /**
+     * Sync repeatedly until stop() is called
+     * @param {number} [intervalMs] Delay between syncs
+     */
+    async watch(intervalMs = 5000) {
+        this.watching = true;
+        while (this.watching) {
+            const last = await this.sync();
+            this.log(`Indexed up to block ${last}`);
+            await new Promise((resolve) => setTimeout(resolve, intervalMs));
+        }
+    }
+
+    stop() {
+        this.watching = false;
+    }
+
+    /**
+     * Fetch, store and apply the logs of an inclusive block range
+     */
+    async _indexRange(from, to) {
+        const logs = await this.provider.getLogs({
+            address: Object.keys(this.contractsByAddress),
+            fromBlock: from,
+            toBlock: to,
+        });
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        // Block hashes (for reorg detection) and timestamps for every block with events
+        const blockNumbers = [...new Set(logs.map((entry) => entry.blockNumber)), to];
+        const blocks = {};
+        for (const number of blockNumbers) {
+            blocks[number] = await this.provider.getBlock(number);
+        }
+
+        this.db.transaction(() => {
+            for (const entry of logs) {
+                const contract = this.contractsByAddress[entry.address.toLowerCase()];
+                const parsed = INTERFACES[contract].parseLog(entry);
+                if (!parsed) {
+                    continue;
+                }
+
+                const args = argsToObject(parsed.fragment, parsed.args);
+                this.db.run(
+                    `INSERT INTO events (block_number, log_index, transaction_hash, contract, name, args)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [entry.blockNumber, entry.index, entry.transactionHash, contract, parsed.name, argsToJson(args)]
+                );
+                applyEvent(this.db, contract, parsed.name, args);
+            }
+
+            for (const number of blockNumbers) {
+                this.db.run(
+                    "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)",
+                    [number, blocks[number].hash, blocks[number].timestamp]
+                );
+            }
+            this.db.setMeta("last_block", to);
+        });
+        this.db.save();
+    }
+
+    /**
+     * Roll back if the chain no longer contains the last indexed block
+     */
+    async _checkReorg() {
+        const last = this.lastIndexedBlock();
+        if (last < this.startBlock) {
+            return;
+        }
+
+        if (await this._isCanonical(last)) {
+            return;
+        }
+
+        // Walk back through stored blocks to the newest one still on chain
+        const stored = this.db.all("SELECT number FROM blocks WHERE number < ? ORDER BY number DESC", [last]);
+        let ancestor = this.startBlock - 1;
+        for (const { number } of stored) {
+            if (await this._isCanonical(number)) {
+                ancestor = number;
+                break;
+            }
+        }
+
+        this.log(`Reorg detected: rolling back from block ${last} to ${ancestor}`);
+        this.db.transaction(() => {
+            this.db.run("DELETE FROM events WHERE block_number > ?", [ancestor]);
+            this.db.run("DELETE FROM blocks WHERE number > ?", [ancestor]);
+            this.db.setMeta("last_block", ancestor);
+            this._rebuildState();
+        });
+        this.db.save();
+    }
+
+    /**
+     * Whether the stored hash of a block matches the chain
+     */
+    async _isCanonical(number) {
+        const row = this.db.get("SELECT hash FROM blocks WHERE number = ?", [number]);
+        const block = await this.provider.getBlock(number);
+        return Boolean(row && block && block.hash === row.hash);
+    }
+
+    /**
+     * Recompute all state tables from the stored event log
+     */
+    _rebuildState() {
+        this.db.clearState();
+        const events = this.db.all("SELECT contract, name, args FROM events ORDER BY block_number, log_index");
+        for (const event of events) {
+            const fragment = INTERFACES[event.contract].getEvent(event.name);
+            applyEvent(this.db, event.contract, event.name, argsFromJson(fragment, event.args));
+        }
+    }
+}
+
+module.exports = {
+    Indexer,
+    IndexerDatabase,
+};
@@ -0,0 +1,62 @@
+/**
+ * TAP Full Suite Deployment Script
+ *
+ * Deploys TAPv2, Staking and Vesting, excludes Staking and Vesting from
+ * burn-on-transfer, funds the reward pool and seeds vesting schedules.
+ * With a "governance" section, also deploys TAPTimelock and TAPGovernor and
+ * hands the admin role of TAPv2, Staking and Vesting to the timelock. A
+ * "roles" section (a role manifest) assigns the operational roles.
+ * Safe to re-run: steps already completed on the network are skipped.
+ *
+ * Configuration is read from config/suite.json, or from the file named
+ * by the SUITE_CONFIG environment variable.
+ *
+ * Usage:
+ *   npm run deploy:suite          - Deploy to BSC Testnet
+ *   npm run deploy:suite:local    - Deploy to local Hardhat network
+ */
+
+const hre = require("hardhat");
+const { validateEnvironment, ensureDeployerFunded } = require("./lib/network");
+const { loadSuiteConfig, deploySuite } = require("./lib/suite");
+
+async function main() {
+    console.log("=".repeat(60));
+    console.log("TAP Full Suite Deployment Script");
+    console.log("=".repeat(60));
+
+    const networkName = hre.network.name;
+    console.log(`\nNetwork: ${networkName}`);
+    validateEnvironment(networkName);
+
+    const config = loadSuiteConfig(process.env.SUITE_CONFIG);
+
+    const [deployer] = await hre.ethers.getSigners();
+    console.log(`Deployer address: ${deployer.address}`);
+    await ensureDeployerFunded(hre, deployer.address);
+
+    console.log("\nRunning deployment steps...");
+    const { tapv2, staking, vesting, timelock, governor } = await deploySuite(hre, config);
+
+    console.log("\n" + "=".repeat(60));
+    console.log("✅ TAP suite deployed successfully!");
+    console.log("=".repeat(60));
+    console.log(`TAPv2:   ${await tapv2.getAddress()}`);
+    console.log(`Staking: ${await staking.getAddress()}`);
+    console.log(`Vesting: ${await vesting.getAddress()}`);
+    console.log(`Reward pool: ${hre.ethers.formatEther(await staking.rewardPool())} TAP`);
+    console.log(`Vesting locked: ${hre.ethers.formatEther(await vesting.totalLocked())} TAP`);
+    if (governor) {
+        console.log(`Timelock: ${await timelock.getAddress()} (admin of TAPv2, Staking, Vesting)`);
+        console.log(`Governor: ${await governor.getAddress()}`);
+    }
+    console.log("=".repeat(60));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("\n❌ Deployment failed!");
+        console.error(error);
+        process.exit(1);
+    });
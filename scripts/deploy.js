@@ -2,7 +2,8 @@
  * TAP Token Deployment Script
  * 
  * This script deploys the TAP ERC-20 token to the configured network.
- * It validates environment variables before deployment to prevent accidents.
+ * It validates environment variables before deployment to prevent accidents,
+ * and records the deployment in the deployments/<chainId>.json manifest.
  * 
  * Usage:
  *   npm run deploy          - Deploy to BSC Testnet
@@ -10,6 +11,8 @@
  */
 
 const hre = require("hardhat");
+const { validateEnvironment, ensureDeployerFunded } = require("./lib/network");
+const { readManifest, writeManifest, recordDeployment } = require("./lib/deployments");
 
 async function main() {
     console.log("=".repeat(60));
@@ -19,43 +22,14 @@ async function main() {
     // Validate environment variables for non-local networks
     const networkName = hre.network.name;
     console.log(`\nNetwork: ${networkName}`);
-
-    if (networkName !== "hardhat" && networkName !== "localhost") {
-        // Check for required environment variables
-        if (!process.env.RPC_URL) {
-            console.error("\n❌ ERROR: RPC_URL environment variable is not set!");
-            console.error("Please copy .env.example to .env and configure it.");
-            process.exit(1);
-        }
-
-        if (!process.env.PRIVATE_KEY) {
-            console.error("\n❌ ERROR: PRIVATE_KEY environment variable is not set!");
-            console.error("Please copy .env.example to .env and configure it.");
-            process.exit(1);
-        }
-
-        // Validate private key format (basic check)
-        if (process.env.PRIVATE_KEY.length !== 64) {
-            console.error("\n❌ ERROR: PRIVATE_KEY appears to be invalid!");
-            console.error("Private key should be 64 hex characters (without 0x prefix).");
-            process.exit(1);
-        }
-    }
+    validateEnvironment(networkName);
 
     // Get deployer account
     const [deployer] = await hre.ethers.getSigners();
     console.log(`Deployer address: ${deployer.address}`);
 
     // Check deployer balance
-    const balance = await hre.ethers.provider.getBalance(deployer.address);
-    const balanceInEth = hre.ethers.formatEther(balance);
-    console.log(`Deployer balance: ${balanceInEth} BNB`);
-
-    if (balance === 0n) {
-        console.error("\n❌ ERROR: Deployer account has no BNB for gas!");
-        console.error("Please fund your wallet before deploying.");
-        process.exit(1);
-    }
+    await ensureDeployerFunded(hre, deployer.address);
 
     // Deploy TAP token
     console.log("\nDeploying TAP token...");
@@ -67,11 +41,19 @@ async function main() {
 
     const contractAddress = await tap.getAddress();
 
+    // Record the deployment in deployments/<chainId>.json
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = readManifest(chainId);
+    manifest.network = networkName;
+    await recordDeployment(hre, manifest, "TAP", tap);
+    writeManifest(manifest);
+
     console.log("\n" + "=".repeat(60));
     console.log("✅ TAP Token deployed successfully!");
     console.log("=".repeat(60));
     console.log(`Contract Address: ${contractAddress}`);
     console.log(`Transaction Hash: ${tap.deploymentTransaction().hash}`);
+    console.log(`Manifest: deployments/${chainId}.json`);
     console.log("=".repeat(60));
 
     // Verify deployment
@@ -0,0 +1,60 @@
+/**
+ * Local Devnet Bootstrap Script
+ *
+ * Deploys the full suite to a local node and seeds it for front-end work:
+ * TAPv2 balances on the standard Hardhat accounts, vesting schedules in
+ * every phase, staking positions with accrued rewards, and burns. The
+ * suite config is config/devnet.json (no governance, so the deployer
+ * keeps every role), or the file named by SUITE_CONFIG.
+ *
+ * Start a node first, then move time with the devnet:* tasks:
+ *   npx hardhat node
+ *   npm run devnet
+ *   npx hardhat devnet:advance --time 30d --network localhost
+ */
+
+const path = require("path");
+const hre = require("hardhat");
+const { loadSuiteConfig, deploySuite } = require("./lib/suite");
+const { requireLocalNetwork, seedDevnet } = require("./lib/devnet");
+
+async function main() {
+    console.log("=".repeat(60));
+    console.log("TAP Local Devnet Bootstrap");
+    console.log("=".repeat(60));
+    console.log(`\nNetwork: ${hre.network.name}`);
+    requireLocalNetwork(hre);
+
+    const config = loadSuiteConfig(process.env.SUITE_CONFIG || path.join(__dirname, "..", "config", "devnet.json"));
+
+    console.log("\nDeploying the suite...");
+    const contracts = await deploySuite(hre, config);
+
+    console.log("\nSeeding...");
+    const devnet = await seedDevnet(hre, contracts);
+
+    const { tapv2, staking, vesting } = contracts;
+    console.log("\n" + "=".repeat(60));
+    console.log("✅ Devnet ready");
+    console.log("=".repeat(60));
+    console.log(`TAPv2:   ${await tapv2.getAddress()}`);
+    console.log(`Staking: ${await staking.getAddress()}`);
+    console.log(`Vesting: ${await vesting.getAddress()}`);
+    console.log(`Chain time: ${devnet.seededAt}`);
+    console.log(`Total staked: ${hre.ethers.formatEther(await staking.totalStaked())} TAP`);
+    console.log(`Vesting locked: ${hre.ethers.formatEther(await vesting.totalLocked())} TAP`);
+    console.log(`Total burned: ${hre.ethers.formatEther(await tapv2.totalBurned())} TAP`);
+    console.log("Vesting schedules:");
+    for (const { phase, beneficiary, index } of devnet.schedules) {
+        console.log(`  ${phase.padEnd(13)} ${beneficiary} #${index}`);
+    }
+    console.log("=".repeat(60));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("\n❌ Devnet bootstrap failed!");
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,224 @@
+/**
+ * Deployment Manifests
+ *
+ * Every deployment is recorded in deployments/<chainId>.json so that later
+ * scripts, tasks and the front-end can find contracts without scraping logs.
+ *
+ * Manifest layout (version 1):
+ * {
+ *   "version": 1,
+ *   "chainId": 97,
+ *   "network": "bscTestnet",
+ *   "updatedAt": "2024-01-01T00:00:00.000Z",
+ *   "contracts": {
+ *     "TAPv2": {
+ *       "address": "0x...",
+ *       "transactionHash": "0x...",
+ *       "blockNumber": 123,
+ *       "constructorArgs": [],
+ *       "compiler": { "version": "0.8.24", "settings": { ... } },
+ *       "abiHash": "0x...",
+ *       "deployedAt": "2024-01-01T00:00:00.000Z"
+ *     },
+ *     "Staking": {
+ *       "address": "0x...",              // the proxy; this never changes
+ *       "proxy": "uups",
+ *       "implementation": "0x...",       // updated by recordUpgrade
+ *       "initializerArgs": ["0x..."],
+ *       ...                              // as above, without constructorArgs
+ *       "upgradedAt": "2024-02-01T00:00:00.000Z"
+ *     }
+ *   }
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Current manifest schema version
+const MANIFEST_VERSION = 1;
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Path of the manifest for a chain
+ * @param {string} dir Deployments directory
+ * @param {bigint|number} chainId Chain id
+ * @returns {string} Manifest file path
+ */
+function manifestPath(dir, chainId) {
+    return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * Read the manifest for a chain
+ * @param {bigint|number} chainId Chain id
+ * @param {string} [dir] Deployments directory
+ * @returns {object} Manifest, or an empty manifest if none exists yet
+ */
+function readManifest(chainId, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const file = manifestPath(dir, chainId);
+    if (!fs.existsSync(file)) {
+        return { version: MANIFEST_VERSION, chainId: Number(chainId), contracts: {} };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(
+            `Unsupported manifest version ${manifest.version} in ${file} (expected ${MANIFEST_VERSION})`
+        );
+    }
+    return manifest;
+}
+
+/**
+ * Write a manifest to disk
+ * @param {object} manifest Manifest to write
+ * @param {string} [dir] Deployments directory
+ */
+function writeManifest(manifest, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    fs.mkdirSync(dir, { recursive: true });
+    manifest.version = MANIFEST_VERSION;
+    manifest.updatedAt = new Date().toISOString();
+    fs.writeFileSync(manifestPath(dir, manifest.chainId), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Compiler settings hardhat.config.js applies to a contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} sourceName Source file of the contract (e.g. contracts/TAPv2.sol)
+ * @returns {{ version: string, settings: object }}
+ */
+function compilerSettingsFor(hre, sourceName) {
+    const solidity = hre.config.solidity;
+    const compiler = solidity.overrides[sourceName] || solidity.compilers[0];
+    return {
+        version: compiler.version,
+        settings: {
+            optimizer: compiler.settings.optimizer,
+            evmVersion: compiler.settings.evmVersion,
+        },
+    };
+}
+
+/**
+ * Convert constructor arguments into JSON-safe values
+ */
+function serializeArgs(args) {
+    return args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg));
+}
+
+/**
+ * Record a freshly deployed contract in a manifest (does not write to disk)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {object} manifest Manifest to update
+ * @param {string} name Contract name
+ * @param {object} contract Deployed ethers contract
+ * @param {Array} [constructorArgs] Arguments passed to the constructor
+ * @returns {Promise<object>} The recorded entry
+ */
+async function recordDeployment(hre, manifest, name, contract, constructorArgs = []) {
+    const { ethers } = hre;
+    const artifact = await hre.artifacts.readArtifact(name);
+    const deployTx = contract.deploymentTransaction();
+    const receipt = await deployTx.wait();
+
+    const entry = {
+        address: await contract.getAddress(),
+        transactionHash: deployTx.hash,
+        blockNumber: receipt.blockNumber,
+        constructorArgs: serializeArgs(constructorArgs),
+        compiler: compilerSettingsFor(hre, artifact.sourceName),
+        abiHash: ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(artifact.abi))),
+        deployedAt: new Date().toISOString(),
+    };
+
+    manifest.contracts[name] = entry;
+    return entry;
+}
+
+/**
+ * Record a freshly deployed proxy in a manifest (does not write to disk)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {object} manifest Manifest to update
+ * @param {string} name Contract name of the implementation
+ * @param {object} proxy ethers contract attached to the proxy (from deployProxy)
+ * @param {Array} [initializerArgs] Arguments passed to initialize()
+ * @returns {Promise<object>} The recorded entry
+ */
+async function recordProxyDeployment(hre, manifest, name, proxy, initializerArgs = []) {
+    const entry = await recordDeployment(hre, manifest, name, proxy);
+    delete entry.constructorArgs;
+
+    manifest.contracts[name] = {
+        address: entry.address,
+        proxy: "uups",
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(entry.address),
+        initializerArgs: serializeArgs(initializerArgs),
+        ...entry,
+    };
+    return manifest.contracts[name];
+}
+
+/**
+ * Point a recorded proxy at its new implementation (does not write to disk)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {object} manifest Manifest to update
+ * @param {string} name Contract name the proxy is recorded under
+ * @param {string} implementation New implementation address
+ * @param {string} [implementationName] Contract name of the new implementation, if it differs
+ * @returns {Promise<object>} The updated entry
+ */
+async function recordUpgrade(hre, manifest, name, implementation, implementationName = name) {
+    const entry = manifest.contracts[name];
+    if (!entry || !entry.proxy) {
+        throw new Error(`No ${name} proxy recorded for chain ${manifest.chainId}`);
+    }
+
+    const artifact = await hre.artifacts.readArtifact(implementationName);
+    entry.implementation = implementation;
+    entry.compiler = compilerSettingsFor(hre, artifact.sourceName);
+    entry.abiHash = hre.ethers.keccak256(hre.ethers.toUtf8Bytes(JSON.stringify(artifact.abi)));
+    entry.upgradedAt = new Date().toISOString();
+    return entry;
+}
+
+/**
+ * Look up a deployment by contract name on the current network
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} name Contract name
+ * @param {string} [dir] Deployments directory
+ * @returns {Promise<object>} Manifest entry
+ */
+async function getDeployment(hre, name, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const entry = readManifest(chainId, dir).contracts[name];
+    if (!entry) {
+        throw new Error(`No ${name} deployment recorded for chain ${chainId}`);
+    }
+    return entry;
+}
+
+/**
+ * Load a deployed contract by name, connected to the default signer
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} name Contract name
+ * @param {string} [dir] Deployments directory
+ * @returns {Promise<object>} ethers contract instance
+ */
+async function getDeployedContract(hre, name, dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const entry = await getDeployment(hre, name, dir);
+    return hre.ethers.getContractAt(name, entry.address);
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    DEFAULT_DEPLOYMENTS_DIR,
+    readManifest,
+    writeManifest,
+    recordDeployment,
+    recordProxyDeployment,
+    recordUpgrade,
+    getDeployment,
+    getDeployedContract,
+};
@@ -0,0 +1,227 @@
+/**
+ * Local Devnet Seeding
+ *
+ * Fills a freshly deployed suite on a local network with the state the
+ * front-end needs to render: funded accounts, vesting schedules in every
+ * phase, staking positions with rewards accrued, and burns.
+ *
+ * Accounts are the node's unlocked signers (the standard Hardhat accounts).
+ * The deployer (account 0) funds everything; accounts 1 and up are users:
+ *   1-4   vesting beneficiaries (pre-cliff, mid-vest, fully vested, revoked)
+ *   5-7   stakers (flexible, locked 90 days, flexible plus locked 365 days)
+ *   8-9   wallet-to-wallet transfers (fee burns) and a manual burn
+ *
+ * Stakes are opened first and the chain is advanced so rewards accrue;
+ * vesting schedules are created afterwards with start times in the past,
+ * so each is in its named phase as of the seeded chain time.
+ *
+ * The devnet only ever runs on the Hardhat network or a local node, since
+ * it relies on evm_increaseTime and hardhat_mine.
+ *
+ * The manifest survives a node restart while the chain does not, so the
+ * `devnet` entry records the seeded Staking and Vesting addresses and the
+ * last seeded block. Seeding runs again when either contract moved or lost
+ * its code, or when that block is no longer on the chain.
+ */
+
+const { readManifest, writeManifest, DEFAULT_DEPLOYMENTS_DIR } = require("./deployments");
+const { isLocalNetwork } = require("./network");
+
+const DAY = 24 * 60 * 60;
+
+// TAP sent to each user account
+const ACCOUNT_BALANCE = "100000";
+
+// Days the chain is advanced between staking and creating the schedules
+const ACCRUAL_DAYS = 7;
+
+// Vesting schedules; startDaysAgo is relative to the seeded chain time
+const VESTING_PLAN = [
+    { phase: "pre-cliff", account: 1, amount: "50000", startDaysAgo: 10, cliffDays: 90, durationDays: 365 },
+    { phase: "mid-vest", account: 2, amount: "50000", startDaysAgo: 182, cliffDays: 30, durationDays: 365, tgeBps: 1000 },
+    { phase: "monthly", account: 2, amount: "24000", startDaysAgo: 95, cliffDays: 0, durationDays: 360, stepDays: 30 },
+    { phase: "fully-vested", account: 3, amount: "50000", startDaysAgo: 400, cliffDays: 30, durationDays: 365 },
+    { phase: "revoked", account: 4, amount: "50000", startDaysAgo: 120, cliffDays: 30, durationDays: 365, revoke: true },
+];
+
+// Staking positions; tier is omitted for a flexible stake
+const STAKING_PLAN = [
+    { account: 5, amount: "20000" },
+    { account: 6, amount: "30000", tier: 1 },
+    { account: 7, amount: "10000" },
+    { account: 7, amount: "25000", tier: 3 },
+];
+
+// Fee-paying transfers between user accounts, and a manual burn
+const BURN_PLAN = {
+    transfers: [
+        { from: 8, to: 9, amount: "10000" },
+        { from: 9, to: 8, amount: "2500" },
+    ],
+    burn: { account: 9, amount: "1000" },
+};
+
+/**
+ * Throw unless the network is local
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ */
+function requireLocalNetwork(hre) {
+    if (!isLocalNetwork(hre.network.name)) {
+        throw new Error(`The devnet only runs on hardhat or localhost, not ${hre.network.name}`);
+    }
+}
+
+/**
+ * Move chain time forward and mine a block at the new time
+ * @param {object} provider ethers provider of a Hardhat network
+ * @param {number} seconds Seconds to advance
+ * @returns {Promise<number>} Timestamp of the mined block
+ */
+async function advanceTime(provider, seconds) {
+    await provider.send("evm_increaseTime", [seconds]);
+    await provider.send("evm_mine", []);
+    return (await provider.getBlock("latest")).timestamp;
+}
+
+/**
+ * Mine blocks without transactions
+ * @param {object} provider ethers provider of a Hardhat network
+ * @param {number} count Number of blocks
+ * @param {number} [interval] Seconds between blocks (default 1)
+ * @returns {Promise<number>} Latest block number
+ */
+async function mineBlocks(provider, count, interval = 1) {
+    await provider.send("hardhat_mine", [`0x${count.toString(16)}`, `0x${interval.toString(16)}`]);
+    return provider.getBlockNumber();
+}
+
+/**
+ * Whether a manifest's devnet entry describes the chain as it is now
+ * @param {object} provider ethers provider
+ * @param {object} devnet The manifest's `devnet` entry
+ * @param {{ staking: string, vesting: string }} addresses Current suite addresses
+ * @returns {Promise<boolean>}
+ */
+async function isSeeded(provider, devnet, addresses) {
+    if (!devnet.contracts || !devnet.block) {
+        return false;
+    }
+    for (const name of ["staking", "vesting"]) {
+        if (devnet.contracts[name] !== addresses[name] || (await provider.getCode(addresses[name])) === "0x") {
+            return false;
+        }
+    }
+    // A restarted node redeploys to the same addresses, but not the same blocks
+    const block = await provider.getBlock(devnet.block.number);
+    return Boolean(block) && block.hash === devnet.block.hash;
+}
+
+/**
+ * Seed a deployed suite with devnet state
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {{ tapv2: object, staking: object, vesting: object }} contracts Suite contracts
+ *   (the deployer must still hold the suite roles, i.e. no governance handover)
+ * @param {object} [options]
+ * @param {string} [options.deploymentsDir] Where deployment manifests are kept
+ * @param {Function} [options.log] Logger (defaults to console.log)
+ * @returns {Promise<object>} The manifest's `devnet` entry (accounts and schedules by phase)
+ */
+async function seedDevnet(hre, { tapv2, staking, vesting }, options = {}) {
+    requireLocalNetwork(hre);
+    const { ethers } = hre;
+    const dir = options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR;
+    const log = options.log || console.log;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = readManifest(chainId, dir);
+    const stakingAddress = await staking.getAddress();
+    const vestingAddress = await vesting.getAddress();
+    if (manifest.devnet) {
+        if (await isSeeded(ethers.provider, manifest.devnet, { staking: stakingAddress, vesting: vestingAddress })) {
+            log(`- Devnet already seeded at ${manifest.devnet.seededAt}, skipping`);
+            return manifest.devnet;
+        }
+        log("- Devnet seed in the manifest is not on this chain, seeding again");
+    }
+
+    const signers = await ethers.getSigners();
+    if (signers.length < 10) {
+        throw new Error(`The devnet needs 10 unlocked accounts, the network has ${signers.length}`);
+    }
+    const [deployer] = signers;
+
+    // Users pay the transfer fee like real holders; only the deployer is excluded
+    log(`- Sending ${ACCOUNT_BALANCE} TAP to accounts 1-${signers.length - 1}...`);
+    for (const signer of signers.slice(1)) {
+        await (await tapv2.transfer(signer.address, ethers.parseEther(ACCOUNT_BALANCE))).wait();
+    }
+
+    log(`- Opening ${STAKING_PLAN.length} staking positions...`);
+    for (const { account, amount, tier } of STAKING_PLAN) {
+        const staker = signers[account];
+        const value = ethers.parseEther(amount);
+        await (await tapv2.connect(staker).approve(stakingAddress, value)).wait();
+        const tx = tier === undefined
+            ? await staking.connect(staker).stake(value)
+            : await staking.connect(staker).stakeLocked(value, tier);
+        await tx.wait();
+    }
+
+    log("- Recording burns...");
+    for (const { from, to, amount } of BURN_PLAN.transfers) {
+        await (await tapv2.connect(signers[from]).transfer(signers[to].address, ethers.parseEther(amount))).wait();
+    }
+    const { account: burner, amount: burnAmount } = BURN_PLAN.burn;
+    await (await tapv2.connect(signers[burner]).burn(ethers.parseEther(burnAmount))).wait();
+
+    log(`- Advancing ${ACCRUAL_DAYS} days so rewards accrue...`);
+    const now = await advanceTime(ethers.provider, ACCRUAL_DAYS * DAY);
+
+    log(`- Creating ${VESTING_PLAN.length} vesting schedules...`);
+    const schedules = [];
+    for (const entry of VESTING_PLAN) {
+        const beneficiary = signers[entry.account].address;
+        const amount = ethers.parseEther(entry.amount);
+        await (await tapv2.approve(vestingAddress, amount)).wait();
+        await (await vesting.createVestingSchedule(
+            beneficiary,
+            amount,
+            now - entry.startDaysAgo * DAY,
+            entry.cliffDays * DAY,
+            entry.durationDays * DAY,
+            entry.tgeBps || 0,
+            (entry.stepDays || 0) * DAY
+        )).wait();
+
+        const index = Number(await vesting.getScheduleCount(beneficiary)) - 1;
+        if (entry.revoke) {
+            await (await vesting.revoke(beneficiary, index)).wait();
+        }
+        schedules.push({ phase: entry.phase, beneficiary, index });
+    }
+
+    const block = await ethers.provider.getBlock("latest");
+    manifest.devnet = {
+        seededAt: new Date(now * 1000).toISOString(),
+        contracts: { staking: stakingAddress, vesting: vestingAddress },
+        block: { number: block.number, hash: block.hash },
+        deployer: deployer.address,
+        accounts: signers.slice(1).map((signer) => signer.address),
+        schedules,
+    };
+    writeManifest(manifest, dir);
+    return manifest.devnet;
+}
+
+module.exports = {
+    ACCOUNT_BALANCE,
+    ACCRUAL_DAYS,
+    VESTING_PLAN,
+    STAKING_PLAN,
+    BURN_PLAN,
+    requireLocalNetwork,
+    advanceTime,
+    mineBlocks,
+    isSeeded,
+    seedDevnet,
+};
@@ -0,0 +1,46 @@
+/**
+ * Human-readable duration parsing
+ *
+ * Accepts plain seconds (number or numeric string) or a number followed by
+ * a unit: "90s", "30min", "12h", "180d", "2w", "6mo", "2y".
+ * Months are 30 days and years are 365 days, matching Staking.SECONDS_PER_YEAR.
+ */
+
+const UNIT_SECONDS = {
+    s: 1,
+    min: 60,
+    h: 60 * 60,
+    d: 24 * 60 * 60,
+    w: 7 * 24 * 60 * 60,
+    mo: 30 * 24 * 60 * 60,
+    y: 365 * 24 * 60 * 60,
+};
+
+/**
+ * Parse a duration into seconds
+ * @param {number|string} value Seconds, or a string like "180d"
+ * @returns {number} Duration in seconds
+ */
+function parseDuration(value) {
+    if (typeof value === "number") {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid duration: ${value}`);
+        }
+        return value;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(s|min|h|d|w|mo|y)?\s*$/.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid duration: "${value}"`);
+    }
+
+    const seconds = Number(match[1]) * UNIT_SECONDS[match[2] || "s"];
+    if (!Number.isInteger(seconds)) {
+        throw new Error(`Duration "${value}" is not a whole number of seconds`);
+    }
+    return seconds;
+}
+
+module.exports = {
+    parseDuration,
+};
@@ -0,0 +1,29 @@
+/**
+ * Event log helpers shared by the scripts
+ */
+
+// Blocks per getLogs request; public RPCs cap the range
+const DEFAULT_BATCH_SIZE = 2000;
+
+/**
+ * Query events in block ranges of `batchSize`
+ * @param {object} contract ethers contract
+ * @param {object} filter Event filter
+ * @param {number} fromBlock First block
+ * @param {number} toBlock Last block
+ * @param {number} [batchSize] Blocks per request (default 2000)
+ * @returns {Promise<Array<object>>}
+ */
+async function queryInBatches(contract, filter, fromBlock, toBlock, batchSize = DEFAULT_BATCH_SIZE) {
+    const events = [];
+    for (let from = fromBlock; from <= toBlock; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, toBlock);
+        events.push(...(await contract.queryFilter(filter, from, to)));
+    }
+    return events;
+}
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    queryInBatches,
+};
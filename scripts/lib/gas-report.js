@@ -0,0 +1,218 @@
+/**
+ * Gas Report
+ *
+ * Runs representative scenarios against fresh deployments on the in-process
+ * Hardhat network and records the gas used by each call, so what users pay
+ * can be tracked over time and compared with a committed baseline.
+ *
+ * Scenario names are stable keys ("Contract.function (detail)"); scaling
+ * scenarios such as releaseAll include their size in the name.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { deployProxy } = require("./upgrades");
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE = path.join(__dirname, "..", "..", "gas", "baseline.json");
+
+/** Default sizes for the scaling scenarios */
+const DEFAULT_SIZES = {
+    schedules: [1, 5, 20],
+    accounts: [1, 10, 50],
+};
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Gas used by a transaction
+ * @param {Promise<import("ethers").ContractTransactionResponse>} txPromise
+ * @returns {Promise<number>}
+ */
+async function gasOf(txPromise) {
+    const receipt = await (await txPromise).wait();
+    return Number(receipt.gasUsed);
+}
+
+/**
+ * Run every scenario and collect gas per call
+ * @param {object} hre Hardhat runtime environment (hardhat network)
+ * @param {object} [options]
+ * @param {{ schedules: number[], accounts: number[] }} [options.sizes] Scaling scenario sizes
+ * @returns {Promise<Record<string, number>>} Gas used by scenario name
+ */
+async function runGasScenarios(hre, options = {}) {
+    const { ethers } = hre;
+    const { time } = require("@nomicfoundation/hardhat-network-helpers");
+    const sizes = { ...DEFAULT_SIZES, ...options.sizes };
+    const [, alice, bob] = await ethers.getSigners();
+    const results = {};
+    const amount = ethers.parseEther("1000");
+
+    // ---------- TAP / TAPv2 ----------
+    const tap = await ethers.deployContract("TAP");
+    await tap.transfer(alice.address, amount);
+    results["TAP.transfer"] = await gasOf(tap.connect(alice).transfer(bob.address, amount / 2n));
+
+    const tapv2 = await ethers.deployContract("TAPv2");
+    await tapv2.transfer(alice.address, amount * 10n);
+    await tapv2.transfer(bob.address, amount);
+    results["TAPv2.transfer (excluded)"] = await gasOf(tapv2.transfer(bob.address, amount));
+    results["TAPv2.transfer (burn on transfer)"] = await gasOf(tapv2.connect(alice).transfer(bob.address, amount));
+    results["TAPv2.burn"] = await gasOf(tapv2.connect(alice).burn(amount));
+
+    for (const count of sizes.accounts) {
+        // Deterministic addresses keep calldata (and so gas) identical across runs
+        const accounts = Array.from({ length: count }, (_, i) => ethers.getAddress(ethers.id(`gas-${count}-${i}`).slice(0, 42)));
+        results[`TAPv2.batchSetExcludedFromBurn (accounts=${count})`] = await gasOf(
+            tapv2.batchSetExcludedFromBurn(accounts, accounts.map(() => true))
+        );
+    }
+
+    // ---------- Staking ----------
+    const staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+    const stakingAddress = await staking.getAddress();
+    await tapv2.setExcludedFromBurn(stakingAddress, true);
+    await tapv2.approve(stakingAddress, ethers.MaxUint256);
+    await tapv2.connect(alice).approve(stakingAddress, ethers.MaxUint256);
+
+    results["Staking.fundRewardPool"] = await gasOf(staking.fundRewardPool(ethers.parseEther("100000")));
+    results["Staking.stake (first)"] = await gasOf(staking.connect(alice).stake(amount));
+    results["Staking.stake (top-up)"] = await gasOf(staking.connect(alice).stake(amount));
+    results["Staking.stakeLocked"] = await gasOf(staking.connect(alice).stakeLocked(amount, 1));
+    await time.increase(30 * DAY);
+    results["Staking.claimRewards"] = await gasOf(staking.connect(alice).claimRewards());
+    results["Staking.withdraw"] = await gasOf(staking.connect(alice).withdraw(amount));
+    results["Staking.withdrawPosition (early)"] = await gasOf(staking.connect(alice).withdrawPosition(0));
+    await time.increase(DAY);
+    results["Staking.exit"] = await gasOf(staking.connect(alice).exit());
+
+    // ---------- Vesting ----------
+    const vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+    const vestingAddress = await vesting.getAddress();
+    await tapv2.setExcludedFromBurn(vestingAddress, true);
+    await tapv2.approve(vestingAddress, ethers.MaxUint256);
+
+    results["Vesting.createVesting"] = await gasOf(vesting.createVesting(alice.address, amount, 0, 365 * DAY));
+    await time.increase(30 * DAY);
+    results["Vesting.release"] = await gasOf(vesting.connect(alice).release(0));
+
+    // releaseAll scales with the schedule count; give each size its own beneficiary
+    const beneficiaries = (await ethers.getSigners()).slice(3);
+    if (beneficiaries.length < sizes.schedules.length) {
+        throw new Error(`Need ${sizes.schedules.length} spare signers for releaseAll scenarios`);
+    }
+    for (const [i, count] of sizes.schedules.entries()) {
+        const beneficiary = beneficiaries[i];
+        for (let j = 0; j < count; j++) {
+            await vesting.createVesting(beneficiary.address, amount, 0, 365 * DAY);
+        }
+        await time.increase(30 * DAY);
+        results[`Vesting.releaseAll (schedules=${count})`] = await gasOf(vesting.connect(beneficiary).releaseAll());
+    }
+
+    return results;
+}
+
+/**
+ * Load a baseline file
+ * @param {string} [file] Baseline path
+ * @returns {{ version: number, gas: Record<string, number> } | null} null when the file does not exist
+ */
+function readBaseline(file = DEFAULT_BASELINE) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (baseline.version !== BASELINE_VERSION) {
+        throw new Error(`Unsupported gas baseline version ${baseline.version} in ${file}`);
+    }
+    return baseline;
+}
+
+/**
+ * Write results as the new baseline
+ * @param {Record<string, number>} results Gas by scenario
+ * @param {object} [meta] Extra fields to record (e.g. compiler settings)
+ * @param {string} [file] Baseline path
+ */
+function writeBaseline(results, meta = {}, file = DEFAULT_BASELINE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const baseline = { version: BASELINE_VERSION, ...meta, gas: results };
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + "\n");
+}
+
+/**
+ * @typedef {object} GasComparison
+ * @property {string} name Scenario name
+ * @property {number|null} gas Gas used now (null if the scenario no longer runs)
+ * @property {number|null} baseline Baseline gas (null for new scenarios)
+ * @property {number|null} delta gas - baseline
+ * @property {number|null} deltaPct Delta in percent of the baseline
+ * @property {"ok"|"regressed"|"improved"|"new"|"missing"} status
+ */
+
+/**
+ * Compare results with a baseline
+ * @param {Record<string, number>} results Gas by scenario
+ * @param {Record<string, number>} baseline Baseline gas by scenario
+ * @param {number} tolerancePct Allowed increase in percent before a scenario counts as regressed
+ * @returns {GasComparison[]}
+ */
+function compareGas(results, baseline, tolerancePct) {
+    const rows = [];
+
+    for (const [name, gas] of Object.entries(results)) {
+        if (baseline[name] === undefined) {
+            rows.push({ name, gas, baseline: null, delta: null, deltaPct: null, status: "new" });
+            continue;
+        }
+
+        const delta = gas - baseline[name];
+        const deltaPct = (delta / baseline[name]) * 100;
+        let status = "ok";
+        if (deltaPct > tolerancePct) {
+            status = "regressed";
+        } else if (deltaPct < -tolerancePct) {
+            status = "improved";
+        }
+        rows.push({ name, gas, baseline: baseline[name], delta, deltaPct, status });
+    }
+
+    for (const name of Object.keys(baseline)) {
+        if (results[name] === undefined) {
+            rows.push({ name, gas: null, baseline: baseline[name], delta: null, deltaPct: null, status: "missing" });
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Render comparisons as a Markdown table
+ * @param {GasComparison[]} rows
+ * @returns {string}
+ */
+function formatGasTable(rows) {
+    const fmt = (value) => (value === null ? "-" : value.toLocaleString("en-US"));
+    const pct = (value) => (value === null ? "-" : `${value > 0 ? "+" : ""}${value.toFixed(2)}%`);
+
+    const lines = [
+        "| Scenario | Gas | Baseline | Delta | Status |",
+        "|----------|----:|---------:|------:|--------|",
+    ];
+    for (const row of rows) {
+        lines.push(`| ${row.name} | ${fmt(row.gas)} | ${fmt(row.baseline)} | ${pct(row.deltaPct)} | ${row.status} |`);
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    DEFAULT_BASELINE,
+    DEFAULT_SIZES,
+    runGasScenarios,
+    readBaseline,
+    writeBaseline,
+    compareGas,
+    formatGasTable,
+};
@@ -0,0 +1,227 @@
+/**
+ * Governance Helpers
+ *
+ * Builds, looks up and drives TAPGovernor proposals through their
+ * lifecycle. Used by the `gov:*` Hardhat tasks.
+ *
+ * Lifecycle:
+ *   propose -> (votingDelay blocks) -> vote -> (votingPeriod blocks)
+ *   -> queue in TAPTimelock -> (timelock delay) -> execute
+ *
+ * Proposals are identified by id; their actions and description are read
+ * back from the governor's ProposalCreated event, so nothing needs to be
+ * stored off-chain between steps.
+ */
+
+const { ethers } = require("ethers");
+
+// Governor.ProposalState, by enum value
+const PROPOSAL_STATES = [
+    "Pending",
+    "Active",
+    "Canceled",
+    "Defeated",
+    "Succeeded",
+    "Queued",
+    "Expired",
+    "Executed",
+];
+
+// GovernorCountingSimple.VoteType
+const VOTE_SUPPORT = { against: 0, for: 1, abstain: 2 };
+
+/**
+ * Parse a vote choice
+ * @param {string|number} value "for", "against", "abstain" or 0-2
+ * @returns {number} Support value for castVote
+ */
+function parseSupport(value) {
+    const key = String(value).toLowerCase();
+    if (key in VOTE_SUPPORT) {
+        return VOTE_SUPPORT[key];
+    }
+    if (/^[0-2]$/.test(key)) {
+        return Number(key);
+    }
+    throw new Error(`Invalid vote "${value}" (expected for, against or abstain)`);
+}
+
+/**
+ * Encode a contract call as a proposal action
+ * @param {object} contract ethers contract the call targets
+ * @param {string} method Function name (or signature when overloaded)
+ * @param {Array} [args] Function arguments
+ * @param {bigint} [value] Native value sent with the call
+ * @returns {Promise<{ target: string, value: bigint, calldata: string }>}
+ */
+async function encodeAction(contract, method, args = [], value = 0n) {
+    return {
+        target: await contract.getAddress(),
+        value: BigInt(value),
+        calldata: contract.interface.encodeFunctionData(method, args),
+    };
+}
+
+/**
+ * Proposal id the governor assigns to a set of actions and description
+ * @param {object} governor TAPGovernor contract
+ * @param {Array<{ target: string, value: bigint, calldata: string }>} actions
+ * @param {string} description Proposal description
+ * @returns {Promise<bigint>}
+ */
+async function getProposalId(governor, actions, description) {
+    return governor.hashProposal(
+        actions.map((action) => action.target),
+        actions.map((action) => action.value),
+        actions.map((action) => action.calldata),
+        ethers.id(description)
+    );
+}
+
+/**
+ * Submit a proposal
+ * @param {object} governor TAPGovernor contract, connected to the proposer
+ * @param {Array<{ target: string, value: bigint, calldata: string }>} actions
+ * @param {string} description Proposal description (also identifies it)
+ * @returns {Promise<{ proposalId: bigint, receipt: object }>}
+ */
+async function propose(governor, actions, description) {
+    if (actions.length === 0) {
+        throw new Error("A proposal needs at least one action");
+    }
+    const tx = await governor.propose(
+        actions.map((action) => action.target),
+        actions.map((action) => action.value),
+        actions.map((action) => action.calldata),
+        description
+    );
+    const receipt = await tx.wait();
+    return { proposalId: await getProposalId(governor, actions, description), receipt };
+}
+
+/**
+ * Read a proposal's actions and description back from ProposalCreated
+ * @param {object} governor TAPGovernor contract
+ * @param {bigint|string} proposalId Proposal id
+ * @param {number} [fromBlock] First block to search (e.g. the governor's deployment block)
+ * @returns {Promise<{ proposalId: bigint, proposer: string, actions: Array<object>,
+ *   description: string, descriptionHash: string, voteStart: bigint, voteEnd: bigint }>}
+ */
+async function findProposal(governor, proposalId, fromBlock = 0) {
+    const id = BigInt(proposalId);
+    const events = await governor.queryFilter(governor.filters.ProposalCreated(), fromBlock);
+    const event = events.find((entry) => entry.args.proposalId === id);
+    if (!event) {
+        throw new Error(`Proposal ${id} not found`);
+    }
+
+    const { proposer, targets, calldatas, description, voteStart, voteEnd } = event.args;
+    // args.values would be Array.prototype.values, so read the field by position
+    const values = event.args[3];
+    return {
+        proposalId: id,
+        proposer,
+        actions: targets.map((target, i) => ({
+            target,
+            value: values[i],
+            calldata: calldatas[i],
+        })),
+        description,
+        descriptionHash: ethers.id(description),
+        voteStart,
+        voteEnd,
+    };
+}
+
+/**
+ * Queue a succeeded proposal in the timelock
+ * @param {object} governor TAPGovernor contract
+ * @param {object} proposal Result of findProposal
+ * @returns {Promise<object>} Transaction receipt
+ */
+async function queueProposal(governor, proposal) {
+    const tx = await governor.queue(
+        proposal.actions.map((action) => action.target),
+        proposal.actions.map((action) => action.value),
+        proposal.actions.map((action) => action.calldata),
+        proposal.descriptionHash
+    );
+    return tx.wait();
+}
+
+/**
+ * Execute a queued proposal once the timelock delay has passed
+ * @param {object} governor TAPGovernor contract
+ * @param {object} proposal Result of findProposal
+ * @returns {Promise<object>} Transaction receipt
+ */
+async function executeProposal(governor, proposal) {
+    const value = proposal.actions.reduce((sum, action) => sum + action.value, 0n);
+    const tx = await governor.execute(
+        proposal.actions.map((action) => action.target),
+        proposal.actions.map((action) => action.value),
+        proposal.actions.map((action) => action.calldata),
+        proposal.descriptionHash,
+        { value }
+    );
+    return tx.wait();
+}
+
+/**
+ * State, tally and timing of a proposal
+ * @param {object} governor TAPGovernor contract
+ * @param {bigint|string} proposalId Proposal id
+ * @returns {Promise<{ state: string, snapshot: bigint, deadline: bigint, eta: bigint,
+ *   forVotes: bigint, againstVotes: bigint, abstainVotes: bigint, quorum: bigint }>}
+ */
+async function getProposalStatus(governor, proposalId) {
+    const [state, snapshot, deadline, eta, votes] = await Promise.all([
+        governor.state(proposalId),
+        governor.proposalSnapshot(proposalId),
+        governor.proposalDeadline(proposalId),
+        governor.proposalEta(proposalId),
+        governor.proposalVotes(proposalId),
+    ]);
+
+    const clock = await governor.clock();
+    // quorum() only accepts past timepoints
+    const quorum = snapshot < clock ? await governor.quorum(snapshot) : await governor.quorum(clock - 1n);
+
+    return {
+        state: PROPOSAL_STATES[Number(state)],
+        snapshot,
+        deadline,
+        eta,
+        againstVotes: votes.againstVotes,
+        forVotes: votes.forVotes,
+        abstainVotes: votes.abstainVotes,
+        quorum,
+    };
+}
+
+/**
+ * Voting power of an account, split by source
+ * @param {object} governor TAPGovernor contract
+ * @param {string} account Voter
+ * @param {bigint|number} [timepoint] Past block (defaults to the previous block)
+ * @returns {Promise<{ delegated: bigint, staked: bigint, vested: bigint, total: bigint, timepoint: bigint }>}
+ */
+async function getVotingPower(governor, account, timepoint) {
+    const at = timepoint === undefined ? (await governor.clock()) - 1n : BigInt(timepoint);
+    const [delegated, staked, vested] = await governor.getVotesBreakdown(account, at);
+    return { delegated, staked, vested, total: delegated + staked + vested, timepoint: at };
+}
+
+module.exports = {
+    PROPOSAL_STATES,
+    VOTE_SUPPORT,
+    parseSupport,
+    encodeAction,
+    getProposalId,
+    propose,
+    findProposal,
+    queueProposal,
+    executeProposal,
+    getProposalStatus,
+    getVotingPower,
+};
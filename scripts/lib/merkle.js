@@ -0,0 +1,186 @@
+/**
+ * Merkle Airdrop Builder
+ *
+ * Builds the Merkle tree for MerkleDistributor from a recipient list and
+ * verifies proofs locally. Used by the `airdrop:*` Hardhat tasks.
+ *
+ * Recipient format (CSV header or JSON keys):
+ *   address, amount
+ *
+ * - amount is whole TAP ("2500" or "2500.5")
+ * - each leaf is (index, account, amount) in StandardMerkleTree encoding,
+ *   matching MerkleDistributor's leaf hash
+ *
+ * Output (airdrop JSON):
+ *   { root, total, count, leafEncoding, claims: { <address>: { index, amount, proof } } }
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { readRows } = require("./vesting-import");
+
+const LEAF_ENCODING = ["uint256", "address", "uint256"];
+const COLUMNS = ["address", "amount"];
+
+/**
+ * Read raw recipient rows from a .csv or .json file
+ * @param {string} file Path to the input file
+ * @returns {Array<object>} Raw rows with their source line
+ */
+function readRecipients(file) {
+    return readRows(file, COLUMNS);
+}
+
+/**
+ * Validate and normalize raw recipient rows
+ * @param {Array<object>} rawRows Rows from readRecipients
+ * @returns {{ recipients: Array<{ address: string, amount: bigint }>, errors: Array<string> }}
+ */
+function validateRecipients(rawRows) {
+    const recipients = [];
+    const errors = [];
+    const seen = new Map();
+
+    for (const raw of rawRows) {
+        const where = `row ${raw.line}`;
+
+        try {
+            if (!raw.address || !ethers.isAddress(raw.address)) {
+                throw new Error(`invalid address "${raw.address}"`);
+            }
+            const address = ethers.getAddress(raw.address);
+            if (address === ethers.ZeroAddress) {
+                throw new Error("address cannot be the zero address");
+            }
+
+            const amount = ethers.parseEther(String(raw.amount));
+            if (amount <= 0n) {
+                throw new Error("amount must be greater than 0");
+            }
+
+            // One leaf per address keeps the claims JSON keyed by address
+            if (seen.has(address)) {
+                throw new Error(`duplicate of row ${seen.get(address)}; merge the amounts`);
+            }
+            seen.set(address, raw.line);
+
+            recipients.push({ address, amount });
+        } catch (error) {
+            errors.push(`${where}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    return { recipients, errors };
+}
+
+/**
+ * Build the distribution tree
+ * @param {Array<{ address: string, amount: bigint }>} recipients Validated recipients
+ * @returns {{ root: string, total: bigint, count: number, leafEncoding: string[],
+ *   claims: Object<string, { index: number, amount: bigint, proof: string[] }> }}
+ */
+function buildTree(recipients) {
+    if (recipients.length === 0) {
+        throw new Error("No recipients");
+    }
+
+    const values = recipients.map((recipient, index) => [index, recipient.address, recipient.amount]);
+    const tree = StandardMerkleTree.of(values, LEAF_ENCODING);
+
+    const claims = {};
+    let total = 0n;
+    for (const [i, [index, address, amount]] of tree.entries()) {
+        claims[address] = { index, amount, proof: tree.getProof(i) };
+        total += amount;
+    }
+
+    return { root: tree.root, total, count: recipients.length, leafEncoding: LEAF_ENCODING, claims };
+}
+
+/**
+ * Write a distribution as JSON (amounts as decimal wei strings)
+ * @param {object} distribution Result of buildTree
+ * @param {string} file Output path
+ */
+function writeDistribution(distribution, file) {
+    const claims = {};
+    for (const [address, claim] of Object.entries(distribution.claims)) {
+        claims[address] = { index: claim.index, amount: claim.amount.toString(), proof: claim.proof };
+    }
+
+    const json = {
+        root: distribution.root,
+        total: distribution.total.toString(),
+        count: distribution.count,
+        leafEncoding: distribution.leafEncoding,
+        claims,
+    };
+    fs.writeFileSync(file, JSON.stringify(json, null, 2) + "\n");
+}
+
+/**
+ * Read a distribution written by writeDistribution
+ * @param {string} file Airdrop JSON
+ * @returns {object} Distribution with bigint amounts
+ */
+function readDistribution(file) {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    const claims = {};
+    for (const [address, claim] of Object.entries(json.claims)) {
+        claims[address] = { ...claim, amount: BigInt(claim.amount) };
+    }
+    return { ...json, total: BigInt(json.total), claims };
+}
+
+/**
+ * Check a single proof against a root
+ * @param {string} root Merkle root
+ * @param {string} address Claimant
+ * @param {{ index: number, amount: bigint, proof: string[] }} claim Claim entry
+ * @returns {boolean}
+ */
+function verifyClaim(root, address, claim) {
+    return StandardMerkleTree.verify(root, LEAF_ENCODING, [claim.index, address, claim.amount], claim.proof);
+}
+
+/**
+ * Verify every proof, the index set and the total of a distribution
+ * @param {object} distribution Distribution (from buildTree or readDistribution)
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function verifyDistribution(distribution) {
+    const problems = [];
+    const indexes = new Set();
+    let total = 0n;
+
+    for (const [address, claim] of Object.entries(distribution.claims)) {
+        if (!verifyClaim(distribution.root, address, claim)) {
+            problems.push(`${address}: proof does not match root`);
+        }
+        if (indexes.has(claim.index)) {
+            problems.push(`${address}: index ${claim.index} is used twice`);
+        }
+        indexes.add(claim.index);
+        total += claim.amount;
+    }
+
+    if (total !== distribution.total) {
+        problems.push(`claims add up to ${total}, not the recorded total ${distribution.total}`);
+    }
+    if (indexes.size !== distribution.count) {
+        problems.push(`${indexes.size} claims, expected ${distribution.count}`);
+    }
+    return problems;
+}
+
+module.exports = {
+    LEAF_ENCODING,
+    readRecipients,
+    validateRecipients,
+    buildTree,
+    writeDistribution,
+    readDistribution,
+    verifyClaim,
+    verifyDistribution,
+};
@@ -0,0 +1,192 @@
+/**
+ * v1 -> v2 Migration Tooling
+ *
+ * Takes a holder snapshot of v1 TAP at a block by replaying its Transfer
+ * events, and reconciles it against TAPMigrator's Migrated events. Used by
+ * the `migration:*` Hardhat tasks.
+ *
+ * Snapshot JSON:
+ *   { token, block, totalSupply, holders: [{ address, balance }] }
+ * (balances are decimal strings in wei, largest first)
+ *
+ * The snapshot must replay Transfer events from the token's deployment
+ * block; it refuses to finish if the balances do not add up to
+ * totalSupply at the snapshot block. Take it at a block before the
+ * migration window opens: later snapshots already have migrated tokens
+ * moved to the migrator and would count them twice.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { DEFAULT_BATCH_SIZE, queryInBatches } = require("./events");
+
+/**
+ * Balances of every v1 holder at a block
+ * @param {object} token v1 TAP contract
+ * @param {number} block Snapshot block
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] Token deployment block (default 0)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @returns {Promise<{ token: string, block: number, totalSupply: bigint,
+ *   holders: Array<{ address: string, balance: bigint }> }>}
+ */
+async function takeSnapshot(token, block, options = {}) {
+    const fromBlock = options.fromBlock || 0;
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+    const events = await queryInBatches(token, token.filters.Transfer(), fromBlock, block, batchSize);
+    const balances = new Map();
+    for (const { args } of events) {
+        if (args.from !== ethers.ZeroAddress) {
+            balances.set(args.from, (balances.get(args.from) || 0n) - args.value);
+        }
+        if (args.to !== ethers.ZeroAddress) {
+            balances.set(args.to, (balances.get(args.to) || 0n) + args.value);
+        }
+    }
+
+    const holders = [...balances.entries()]
+        .filter(([, balance]) => balance > 0n)
+        .map(([address, balance]) => ({ address, balance }))
+        .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : a.address.localeCompare(b.address)));
+
+    const totalSupply = await token.totalSupply({ blockTag: block });
+    const sum = holders.reduce((total, holder) => total + holder.balance, 0n);
+    if (sum !== totalSupply) {
+        throw new Error(
+            `Snapshot balances (${sum}) do not add up to totalSupply (${totalSupply}) at block ${block}; ` +
+            "replay from the token's deployment block"
+        );
+    }
+
+    return { token: await token.getAddress(), block, totalSupply, holders };
+}
+
+/**
+ * Write a snapshot as JSON
+ * @param {object} snapshot From takeSnapshot
+ * @param {string} file Output path
+ */
+function writeSnapshot(snapshot, file) {
+    const json = {
+        token: snapshot.token,
+        block: snapshot.block,
+        totalSupply: snapshot.totalSupply.toString(),
+        holders: snapshot.holders.map(({ address, balance }) => ({ address, balance: balance.toString() })),
+    };
+    fs.writeFileSync(file, JSON.stringify(json, null, 2) + "\n");
+}
+
+/**
+ * Read a snapshot written by writeSnapshot
+ * @param {string} file Snapshot JSON
+ * @returns {object} Snapshot with bigint balances
+ */
+function readSnapshot(file) {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+        token: json.token,
+        block: json.block,
+        totalSupply: BigInt(json.totalSupply),
+        holders: json.holders.map(({ address, balance }) => ({ address, balance: BigInt(balance) })),
+    };
+}
+
+/**
+ * @typedef {object} ReconciliationRow
+ * @property {string} address Holder
+ * @property {bigint} snapshot v1 balance at the snapshot block (0 if not a holder then)
+ * @property {bigint} migrated v1 migrated by the holder
+ * @property {bigint} unmigrated Snapshot balance not migrated yet
+ */
+
+/**
+ * Compare a snapshot with what each holder has migrated
+ *
+ * Holders can migrate more than their snapshot balance (tokens received
+ * after the snapshot); they are listed with `unmigrated` 0. The migrator's
+ * own v1 balance is left out of the snapshot side, since it is migrated
+ * tokens.
+ * @param {object} snapshot From takeSnapshot or readSnapshot
+ * @param {object} migrator TAPMigrator contract
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] Migrator deployment block (default 0)
+ * @param {number|string} [options.toBlock] Last block to count (default latest)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @returns {Promise<{ rows: Array<ReconciliationRow>, snapshotTotal: bigint, migratedTotal: bigint,
+ *   unmigratedTotal: bigint, holders: number, fullyMigrated: number, problems: Array<string> }>}
+ */
+async function reconcileMigration(snapshot, migrator, options = {}) {
+    const provider = migrator.runner.provider || migrator.runner;
+    const migratorAddress = await migrator.getAddress();
+    const toBlock = options.toBlock === undefined || options.toBlock === "latest"
+        ? await provider.getBlockNumber()
+        : Number(options.toBlock);
+
+    const events = await queryInBatches(
+        migrator,
+        migrator.filters.Migrated(),
+        options.fromBlock || 0,
+        toBlock,
+        options.batchSize || DEFAULT_BATCH_SIZE
+    );
+    const migrated = new Map();
+    for (const { args } of events) {
+        migrated.set(args.account, (migrated.get(args.account) || 0n) + args.amount);
+    }
+
+    const rows = new Map();
+    for (const { address, balance } of snapshot.holders) {
+        if (address !== migratorAddress) {
+            rows.set(address, { address, snapshot: balance, migrated: 0n, unmigrated: 0n });
+        }
+    }
+    for (const [address, amount] of migrated) {
+        const row = rows.get(address) || { address, snapshot: 0n, migrated: 0n, unmigrated: 0n };
+        row.migrated = amount;
+        rows.set(address, row);
+    }
+
+    let snapshotTotal = 0n;
+    let migratedTotal = 0n;
+    let unmigratedTotal = 0n;
+    let fullyMigrated = 0;
+    for (const row of rows.values()) {
+        row.unmigrated = row.snapshot > row.migrated ? row.snapshot - row.migrated : 0n;
+        snapshotTotal += row.snapshot;
+        migratedTotal += row.migrated;
+        unmigratedTotal += row.unmigrated;
+        if (row.snapshot > 0n && row.unmigrated === 0n) {
+            fullyMigrated++;
+        }
+    }
+
+    // The events must agree with the migrator's own books
+    const problems = [];
+    const tokenV1 = await migrator.tokenV1();
+    if (tokenV1 !== snapshot.token) {
+        problems.push(`Snapshot is of ${snapshot.token}, but the migrator takes ${tokenV1}`);
+    }
+    const totalMigrated = await migrator.totalMigrated({ blockTag: toBlock });
+    if (totalMigrated !== migratedTotal) {
+        problems.push(`Migrated events total ${migratedTotal}, but totalMigrated is ${totalMigrated}`);
+    }
+
+    return {
+        rows: [...rows.values()].sort((a, b) => (b.unmigrated > a.unmigrated ? 1 : b.unmigrated < a.unmigrated ? -1 : 0)),
+        snapshotTotal,
+        migratedTotal,
+        unmigratedTotal,
+        holders: [...rows.values()].filter((row) => row.snapshot > 0n).length,
+        fullyMigrated,
+        problems,
+    };
+}
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    takeSnapshot,
+    writeSnapshot,
+    readSnapshot,
+    reconcileMigration,
+};
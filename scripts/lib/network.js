@@ -0,0 +1,65 @@
+/**
+ * Network helpers shared by the deployment scripts
+ */
+
+/**
+ * Check whether a network is a local development network
+ * @param {string} networkName Hardhat network name
+ * @returns {boolean} True for the in-process and localhost networks
+ */
+function isLocalNetwork(networkName) {
+    return networkName === "hardhat" || networkName === "localhost";
+}
+
+/**
+ * Validate environment variables required for non-local networks.
+ * Exits the process with a readable message when something is missing.
+ * @param {string} networkName Hardhat network name
+ */
+function validateEnvironment(networkName) {
+    if (isLocalNetwork(networkName)) {
+        return;
+    }
+
+    // Check for required environment variables
+    if (!process.env.RPC_URL) {
+        console.error("\n❌ ERROR: RPC_URL environment variable is not set!");
+        console.error("Please copy .env.example to .env and configure it.");
+        process.exit(1);
+    }
+
+    if (!process.env.PRIVATE_KEY) {
+        console.error("\n❌ ERROR: PRIVATE_KEY environment variable is not set!");
+        console.error("Please copy .env.example to .env and configure it.");
+        process.exit(1);
+    }
+
+    // Validate private key format (basic check)
+    if (process.env.PRIVATE_KEY.length !== 64) {
+        console.error("\n❌ ERROR: PRIVATE_KEY appears to be invalid!");
+        console.error("Private key should be 64 hex characters (without 0x prefix).");
+        process.exit(1);
+    }
+}
+
+/**
+ * Ensure the deployer has gas money, exiting the process if not
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} address Deployer address
+ */
+async function ensureDeployerFunded(hre, address) {
+    const balance = await hre.ethers.provider.getBalance(address);
+    console.log(`Deployer balance: ${hre.ethers.formatEther(balance)} BNB`);
+
+    if (balance === 0n) {
+        console.error("\n❌ ERROR: Deployer account has no BNB for gas!");
+        console.error("Please fund your wallet before deploying.");
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    isLocalNetwork,
+    validateEnvironment,
+    ensureDeployerFunded,
+};
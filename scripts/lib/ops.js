@@ -0,0 +1,589 @@
+/**
+ * Owner Operations
+ *
+ * Builds the admin calls behind the `ops:*` Hardhat tasks, simulates them
+ * against the current chain state and reports what they change, so an
+ * operator sees the effect before sending anything or handing a batch to
+ * multisig signers.
+ *
+ * An operation is a list of actions (encoded calls, sent in order) and a
+ * list of watches (views read before and after):
+ *   { title, actions: [{ label, target, value, calldata, interface }],
+ *     watches: [{ label, contract, method, args, field, format }] }
+ *
+ * Simulation executes the actions from the sender (impersonated) inside an
+ * evm_snapshot and reverts it afterwards. On the Hardhat and localhost
+ * networks that happens in place. On live networks the operation is written
+ * to a JSON request and simulated by `ops:simulate` in a second Hardhat
+ * process, whose in-process network forks the live network's latest block
+ * (FORK_URL, see hardhat.config.js), so nothing is ever sent.
+ *
+ * Safe batches use the Transaction Builder JSON format (version 1.0) and
+ * carry raw calldata, so they import into any Safe on the same chain.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { ethers } = require("ethers");
+const { encodeAction } = require("./governance");
+const { isLocalNetwork } = require("./network");
+
+const SECONDS_PER_DAY = 86400n;
+
+// Gas money for the impersonated sender inside a simulation (100 native)
+const SIMULATION_BALANCE = "0x56bc75e2d63100000";
+
+const ERC20_ABI = [
+    "function balanceOf(address account) view returns (uint256)",
+];
+
+/**
+ * Encode an action with a readable label
+ * @param {string} name Contract name for the label
+ * @param {object} contract ethers contract the call targets
+ * @param {string} method Function name
+ * @param {Array} [args] Function arguments
+ * @returns {Promise<{ label: string, target: string, value: bigint, calldata: string, interface: object }>}
+ */
+async function action(name, contract, method, args = []) {
+    return {
+        label: `${name}.${method}(${args.map(formatArg).join(", ")})`,
+        ...(await encodeAction(contract, method, args)),
+        interface: contract.interface,
+    };
+}
+
+/**
+ * Render a call argument for a label; arrays keep their brackets
+ */
+function formatArg(arg) {
+    return Array.isArray(arg) ? `[${arg.map(formatArg).join(", ")}]` : String(arg);
+}
+
+/**
+ * A view to read before and after the operation
+ * @param {string} label Row label
+ * @param {object} contract ethers contract
+ * @param {string} method View name
+ * @param {Array} [args] View arguments
+ * @param {string} [format] "token", "rate", "time", "bool" or "raw"
+ * @param {string|number} [field] Output to keep when the view returns several
+ * @returns {object}
+ */
+function watch(label, contract, method, args = [], format = "raw", field = undefined) {
+    return { label, contract, method, args, format, field };
+}
+
+/**
+ * Re-spread what is left in the reward pool so emissions run at a target rate
+ *
+ * Staking derives its rate from what is funded, so this picks the period
+ * length: notifyRewardAmount(0, available / rate). The resulting rate is
+ * the closest one at or above the target, less what accrues between now and
+ * execution. When the pool cannot keep the rate up for `minDuration`, this
+ * refuses and reports the rate it can sustain and the funding missing, or,
+ * with `fund`, adds the missing funding from the sender over `minDuration`.
+ * @param {{ tapv2: object, staking: object }} contracts Suite contracts
+ * @param {{ ratePerSecond: bigint, minDuration?: bigint, fund?: boolean }} params Target
+ *   emissions per second, the shortest period to sustain them (defaults to
+ *   rewardsDuration) and whether to fund a shortfall
+ * @returns {Promise<object>} Operation
+ */
+async function setRewardRateOperation({ tapv2, staking }, { ratePerSecond, minDuration, fund = false }) {
+    if (ratePerSecond <= 0n) {
+        throw new Error("Reward rate must be greater than 0");
+    }
+    const [rewardPool, accruedRewards, rewardRate, lastUpdateTime, periodFinish, totalWeight, rewardsDuration, block] =
+        await Promise.all([
+            staking.rewardPool(),
+            staking.accruedRewards(),
+            staking.rewardRate(),
+            staking.lastUpdateTime(),
+            staking.periodFinish(),
+            staking.totalWeight(),
+            staking.rewardsDuration(),
+            staking.runner.provider.getBlock("latest"),
+        ]);
+    // Emissions since the last update (while anyone is staked) are settled before the rate changes
+    const now = BigInt(block.timestamp);
+    const applicable = now < periodFinish ? now : periodFinish;
+    const pending = totalWeight > 0n && applicable > lastUpdateTime ? (applicable - lastUpdateTime) * rewardRate : 0n;
+    const available = rewardPool - accruedRewards - pending;
+    const minimum = minDuration !== undefined ? minDuration : rewardsDuration;
+    const perDay = (rate) => `${ethers.formatEther(rate * SECONDS_PER_DAY)} TAP/day`;
+
+    const duration = available / ratePerSecond;
+    if (duration >= minimum && duration > 0n) {
+        return {
+            title: `Emit ${perDay(ratePerSecond)} for ${duration / SECONDS_PER_DAY} days`,
+            actions: [await action("Staking", staking, "notifyRewardAmount", [0n, duration])],
+            watches: stakingWatches(staking),
+        };
+    }
+
+    const shortfall = ratePerSecond * minimum - available;
+    if (!fund) {
+        throw new Error(
+            `The reward pool has ${ethers.formatEther(available)} TAP unallocated: ${perDay(ratePerSecond)} ` +
+            `would last ${duration / SECONDS_PER_DAY} days, less than the ${minimum / SECONDS_PER_DAY}-day minimum. ` +
+            `It can sustain ${perDay(available / minimum)} for that long; ` +
+            `${ethers.formatEther(shortfall)} TAP more keeps the target rate (pass --fund to add it)`
+        );
+    }
+    return {
+        title: `Fund ${ethers.formatEther(shortfall)} TAP and emit ${perDay(ratePerSecond)} for ${minimum / SECONDS_PER_DAY} days`,
+        actions: [
+            await action("TAPv2", tapv2, "approve", [await staking.getAddress(), shortfall]),
+            await action("Staking", staking, "notifyRewardAmount", [shortfall, minimum]),
+        ],
+        watches: stakingWatches(staking),
+    };
+}
+
+/**
+ * Fund the reward pool from the sender, over rewardsDuration or a given period
+ * @param {{ tapv2: object, staking: object }} contracts Suite contracts
+ * @param {{ from: string, amount: bigint, duration?: bigint }} params
+ * @returns {Promise<object>} Operation
+ */
+async function fundRewardPoolOperation({ tapv2, staking }, { from, amount, duration }) {
+    if (amount <= 0n) {
+        throw new Error("Amount must be greater than 0");
+    }
+    const fund = duration
+        ? await action("Staking", staking, "notifyRewardAmount", [amount, duration])
+        : await action("Staking", staking, "fundRewardPool", [amount]);
+
+    return {
+        title: `Fund the reward pool with ${ethers.formatEther(amount)} TAP`,
+        actions: [await action("TAPv2", tapv2, "approve", [await staking.getAddress(), amount]), fund],
+        watches: [
+            ...stakingWatches(staking),
+            watch("TAPv2.balanceOf(sender)", tapv2, "balanceOf", [from], "token"),
+        ],
+    };
+}
+
+/**
+ * Exclude accounts from (or include them in) the TAPv2 transfer fee
+ * @param {{ tapv2: object }} contracts Suite contracts
+ * @param {{ accounts: string[], excluded: boolean }} params
+ * @returns {Promise<object>} Operation
+ */
+async function setExcludedOperation({ tapv2 }, { accounts, excluded }) {
+    if (accounts.length === 0) {
+        throw new Error("No accounts given");
+    }
+    for (const account of accounts) {
+        if (!ethers.isAddress(account)) {
+            throw new Error(`"${account}" is not an address`);
+        }
+    }
+
+    const call = accounts.length === 1
+        ? await action("TAPv2", tapv2, "setExcludedFromBurn", [accounts[0], excluded])
+        : await action("TAPv2", tapv2, "batchSetExcludedFromBurn", [accounts, accounts.map(() => excluded)]);
+
+    return {
+        title: excluded
+            ? `Exclude ${accounts.length} account(s) from the transfer fee`
+            : `Charge the transfer fee to ${accounts.length} account(s) again`,
+        actions: [call],
+        watches: accounts.map((account) =>
+            watch(`TAPv2.isExcludedFromBurn(${account})`, tapv2, "isExcludedFromBurn", [account], "bool")
+        ),
+    };
+}
+
+/**
+ * Create a vesting schedule funded by the sender
+ *
+ * Uses createVesting (starting now) unless a start, TGE share or step is
+ * given, in which case it uses createVestingSchedule.
+ * @param {{ tapv2: object, vesting: object }} contracts Suite contracts
+ * @param {{ from: string, beneficiary: string, amount: bigint, cliff: bigint, duration: bigint,
+ *   start?: bigint, tgeBps?: number, step?: bigint }} params
+ * @returns {Promise<object>} Operation
+ */
+async function createVestingOperation({ tapv2, vesting }, params) {
+    const { from, beneficiary, amount, cliff, duration } = params;
+    if (!ethers.isAddress(beneficiary)) {
+        throw new Error(`"${beneficiary}" is not an address`);
+    }
+
+    const custom = params.start !== undefined || params.tgeBps || params.step;
+    const create = custom
+        ? await action("Vesting", vesting, "createVestingSchedule", [
+            beneficiary,
+            amount,
+            params.start !== undefined ? params.start : BigInt((await vesting.runner.provider.getBlock("latest")).timestamp),
+            cliff,
+            duration,
+            params.tgeBps || 0,
+            params.step || 0n,
+        ])
+        : await action("Vesting", vesting, "createVesting", [beneficiary, amount, cliff, duration]);
+
+    return {
+        title: `Vest ${ethers.formatEther(amount)} TAP for ${beneficiary}`,
+        actions: [await action("TAPv2", tapv2, "approve", [await vesting.getAddress(), amount]), create],
+        watches: [
+            watch("Vesting.totalLocked", vesting, "totalLocked", [], "token"),
+            watch("Vesting.getScheduleCount(beneficiary)", vesting, "getScheduleCount", [beneficiary]),
+            watch("TAPv2.balanceOf(sender)", tapv2, "balanceOf", [from], "token"),
+        ],
+    };
+}
+
+/**
+ * Revoke a vesting schedule; the unvested part goes to the sender. The
+ * schedule is named by its token id, or by beneficiary and index.
+ * @param {{ tapv2: object, vesting: object }} contracts Suite contracts
+ * @param {{ from: string, tokenId?: bigint|number, beneficiary?: string, index?: number }} params
+ * @returns {Promise<object>} Operation
+ */
+async function revokeOperation({ tapv2, vesting }, { from, tokenId, beneficiary, index }) {
+    if (tokenId !== undefined) {
+        [beneficiary, index] = await vesting.scheduleOf(tokenId);
+        index = Number(index);
+    } else {
+        const count = await vesting.getScheduleCount(beneficiary);
+        if (BigInt(index) >= count) {
+            throw new Error(`${beneficiary} has ${count} schedule(s); there is no index ${index}`);
+        }
+        tokenId = await vesting.scheduleTokenId(beneficiary, index);
+        if (tokenId === 0n) {
+            throw new Error(`Schedule ${index} of ${beneficiary} was transferred to another holder`);
+        }
+    }
+
+    return {
+        title: `Revoke schedule ${index} of ${beneficiary} (token ${tokenId})`,
+        actions: [await action("Vesting", vesting, "revoke", [beneficiary, index])],
+        watches: [
+            watch("Vesting.totalLocked", vesting, "totalLocked", [], "token"),
+            watch("schedule.totalAmount", vesting, "vestingSchedules", [beneficiary, index], "token", "totalAmount"),
+            watch("schedule.revoked", vesting, "vestingSchedules", [beneficiary, index], "bool", "revoked"),
+            watch("TAPv2.balanceOf(sender)", tapv2, "balanceOf", [from], "token"),
+        ],
+    };
+}
+
+/**
+ * Recover a token other than TAPv2 sent to Staking by mistake
+ * @param {{ staking: object }} contracts Suite contracts
+ * @param {{ from: string, token: string, amount?: bigint }} params Amount defaults to the whole balance
+ * @returns {Promise<object>} Operation
+ */
+async function emergencyWithdrawOperation({ staking }, { from, token, amount }) {
+    if (!ethers.isAddress(token)) {
+        throw new Error(`"${token}" is not an address`);
+    }
+    const erc20 = new ethers.Contract(token, ERC20_ABI, staking.runner);
+    const stakingAddress = await staking.getAddress();
+    const value = amount !== undefined ? amount : await erc20.balanceOf(stakingAddress);
+
+    return {
+        title: `Withdraw ${value} (base units) of ${token} from Staking`,
+        actions: [await action("Staking", staking, "emergencyWithdraw", [token, value])],
+        watches: [
+            watch("token.balanceOf(Staking)", erc20, "balanceOf", [stakingAddress]),
+            watch("token.balanceOf(sender)", erc20, "balanceOf", [from]),
+        ],
+    };
+}
+
+/**
+ * Reward pool views shown by the Staking operations
+ */
+function stakingWatches(staking) {
+    return [
+        watch("Staking.rewardPool", staking, "rewardPool", [], "token"),
+        watch("Staking.rewardRate", staking, "rewardRate", [], "rate"),
+        watch("Staking.periodFinish", staking, "periodFinish", [], "time"),
+    ];
+}
+
+/**
+ * Read every watch through a provider
+ * @returns {Promise<Array>} Values, in watch order
+ */
+async function readWatches(provider, watches) {
+    const values = [];
+    for (const { contract, method, args, field } of watches) {
+        const result = await contract.connect(provider)[method](...args);
+        values.push(field === undefined ? result : result[field]);
+    }
+    return values;
+}
+
+/**
+ * Best-effort revert reason: Error(string), a custom error of one of the
+ * interfaces, or the provider's message
+ * @param {Error} error Error thrown by the call
+ * @param {Array<object>} interfaces ethers Interfaces to decode custom errors with
+ * @returns {string}
+ */
+function revertReason(error, interfaces) {
+    if (error.reason) {
+        return error.reason;
+    }
+    const data = error.data || (error.error && error.error.data) || (error.info && error.info.error && error.info.error.data);
+    if (typeof data === "string" && data.length >= 10) {
+        for (const iface of interfaces) {
+            const parsed = iface.parseError(data);
+            if (parsed && parsed.name === "Error") {
+                return parsed.args[0];
+            }
+            if (parsed) {
+                return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+            }
+        }
+    }
+    return error.shortMessage || error.message;
+}
+
+/**
+ * Run an operation from `from` and revert every state change afterwards
+ *
+ * The provider must accept evm_snapshot and hardhat_impersonateAccount
+ * (the Hardhat network, a Hardhat node or a fork from simulationProvider).
+ * @param {object} provider ethers provider
+ * @param {string} from Sender (the signer, or a Safe)
+ * @param {object} operation Operation from one of the builders
+ * @returns {Promise<{ ok: boolean, failed?: string, reason?: string, gasUsed: bigint[],
+ *   changes: Array<{ label: string, format: string, before: *, after: *, changed: boolean }> }>}
+ */
+async function simulateOperation(provider, from, operation) {
+    const interfaces = operation.actions.map((step) => step.interface);
+    const snapshot = await provider.send("evm_snapshot", []);
+    try {
+        const before = await readWatches(provider, operation.watches);
+        await provider.send("hardhat_impersonateAccount", [from]);
+        await provider.send("hardhat_setBalance", [from, SIMULATION_BALANCE]);
+
+        const gasUsed = [];
+        for (const step of operation.actions) {
+            const tx = { from, to: step.target, data: step.calldata, value: ethers.toQuantity(step.value) };
+            try {
+                // eth_call first: it reports the revert data that eth_sendTransaction may not
+                await provider.call({ from, to: step.target, data: step.calldata, value: step.value });
+                const hash = await provider.send("eth_sendTransaction", [tx]);
+                gasUsed.push((await provider.getTransactionReceipt(hash)).gasUsed);
+            } catch (error) {
+                return { ok: false, failed: step.label, reason: revertReason(error, interfaces), gasUsed, changes: [] };
+            }
+        }
+
+        const after = await readWatches(provider, operation.watches);
+        const changes = operation.watches.map(({ label, format }, i) => ({
+            label,
+            format,
+            before: before[i],
+            after: after[i],
+            changed: before[i] !== after[i],
+        }));
+        return { ok: true, gasUsed, changes };
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+        await provider.send("hardhat_stopImpersonatingAccount", [from]).catch(() => {});
+    }
+}
+
+/**
+ * JSON that keeps bigints ({ "bigint": "123" })
+ * @param {*} value Value to serialize
+ * @returns {string}
+ */
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? { bigint: item.toString() } : item));
+}
+
+/**
+ * Parse JSON written by toJson
+ * @param {string} json
+ * @returns {*}
+ */
+function fromJson(json) {
+    return JSON.parse(json, (key, item) =>
+        item && typeof item === "object" && Object.keys(item).length === 1 && typeof item.bigint === "string"
+            ? BigInt(item.bigint)
+            : item
+    );
+}
+
+/**
+ * An operation as a JSON simulation request for ops:simulate: contracts
+ * become addresses and ABIs
+ * @param {object} operation Operation from one of the builders
+ * @param {string} from Sender to impersonate
+ * @param {{ blockNumber: number }} [fork] Live block the simulation must run at or after
+ * @returns {Promise<string>}
+ */
+async function simulationRequest(operation, from, fork) {
+    return toJson({
+        from,
+        fork,
+        title: operation.title,
+        actions: operation.actions.map((step) => ({
+            label: step.label,
+            target: step.target,
+            value: step.value,
+            calldata: step.calldata,
+            abi: step.interface.formatJson(),
+        })),
+        watches: await Promise.all(operation.watches.map(async (item) => ({
+            label: item.label,
+            address: await item.contract.getAddress(),
+            abi: item.contract.interface.formatJson(),
+            method: item.method,
+            args: item.args,
+            format: item.format,
+            field: item.field,
+        }))),
+    });
+}
+
+/**
+ * Run a simulation request on this Hardhat runtime's network
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime (the hardhat network)
+ * @param {string} request From simulationRequest
+ * @returns {Promise<object>} Result of simulateOperation
+ */
+async function runSimulationRequest(hre, request) {
+    const { from, fork, title, actions, watches } = fromJson(request);
+    const provider = hre.ethers.provider;
+    if (fork) {
+        if ((await provider.getBlockNumber()) < fork.blockNumber) {
+            throw new Error("The hardhat network is not a fork of the live network; set FORK_URL (see hardhat.config.js)");
+        }
+        // Calls at the fork block itself need the live chain's hardfork history,
+        // which Hardhat only knows for Ethereum networks; a local block has its own
+        await provider.send("evm_mine", []);
+    }
+    const operation = {
+        title,
+        actions: actions.map(({ abi, ...step }) => ({ ...step, interface: new ethers.Interface(abi) })),
+        watches: watches.map(({ address, abi, ...item }) => ({ ...item, contract: new ethers.Contract(address, abi, provider) })),
+    };
+    return simulateOperation(provider, from, operation);
+}
+
+/**
+ * Simulate an operation: in place on a local network, otherwise on a fork
+ * of the network's latest block in a separate `hardhat ops:simulate` run
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} from Sender to impersonate
+ * @param {object} operation Operation from one of the builders
+ * @returns {Promise<object>} Result of simulateOperation
+ */
+async function simulate(hre, from, operation) {
+    if (isLocalNetwork(hre.network.name)) {
+        return simulateOperation(hre.ethers.provider, from, operation);
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-ops-"));
+    try {
+        const requestFile = path.join(dir, "request.json");
+        const resultFile = path.join(dir, "result.json");
+        const fork = { blockNumber: await hre.ethers.provider.getBlockNumber() };
+        fs.writeFileSync(requestFile, await simulationRequest(operation, from, fork));
+        await promisify(execFile)(
+            "npx",
+            [
+                "hardhat", "ops:simulate",
+                "--request", requestFile,
+                "--result", resultFile,
+                "--network", "hardhat",
+                "--config", hre.config.paths.configFile,
+            ],
+            { cwd: hre.config.paths.root, env: { ...process.env, FORK_URL: hre.network.config.url } }
+        );
+        return fromJson(fs.readFileSync(resultFile, "utf8"));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Render a watched value
+ * @param {*} value Value read
+ * @param {string} format Watch format
+ * @returns {string}
+ */
+function formatValue(value, format) {
+    switch (format) {
+        case "token":
+            return `${ethers.formatEther(value)} TAP`;
+        case "rate":
+            return `${ethers.formatEther(value * SECONDS_PER_DAY)} TAP/day`;
+        case "time":
+            return value === 0n ? "-" : new Date(Number(value) * 1000).toISOString();
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Before/after lines for a simulation
+ * @param {object} simulation Result of simulateOperation
+ * @returns {string[]}
+ */
+function formatChanges(simulation) {
+    return simulation.changes.map(({ label, format, before, after, changed }) =>
+        changed
+            ? `  ${label}: ${formatValue(before, format)} -> ${formatValue(after, format)}`
+            : `  ${label}: ${formatValue(before, format)} (unchanged)`
+    );
+}
+
+/**
+ * Safe Transaction Builder batch for an operation
+ * @param {object} operation Operation from one of the builders
+ * @param {object} options
+ * @param {bigint|number} options.chainId Chain id
+ * @param {string} options.safe Safe address that will execute the batch
+ * @param {number} [options.createdAt] Timestamp in milliseconds (default now)
+ * @returns {object} Batch JSON
+ */
+function toSafeBatch(operation, { chainId, safe, createdAt = Date.now() }) {
+    return {
+        version: "1.0",
+        chainId: chainId.toString(),
+        createdAt,
+        meta: {
+            name: operation.title,
+            description: operation.actions.map((step) => step.label).join("; "),
+            txBuilderVersion: "1.16.5",
+            createdFromSafeAddress: ethers.getAddress(safe),
+            createdFromOwnerAddress: "",
+        },
+        transactions: operation.actions.map((step) => ({
+            to: step.target,
+            value: step.value.toString(),
+            data: step.calldata,
+        })),
+    };
+}
+
+module.exports = {
+    setRewardRateOperation,
+    fundRewardPoolOperation,
+    setExcludedOperation,
+    createVestingOperation,
+    revokeOperation,
+    emergencyWithdrawOperation,
+    simulateOperation,
+    simulationRequest,
+    runSimulationRequest,
+    simulate,
+    toJson,
+    fromJson,
+    revertReason,
+    formatValue,
+    formatChanges,
+    toSafeBatch,
+};
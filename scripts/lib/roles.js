@@ -0,0 +1,216 @@
+/**
+ * Role Manifests
+ *
+ * TAPv2, Staking, Vesting and StakingVault split their admin surface into
+ * AccessControl roles. A role manifest declares who should hold each role:
+ *
+ * {
+ *   "TAPv2":   { "BURN_EXCLUSION_MANAGER_ROLE": ["0x..."], "GUARDIAN_ROLE": ["0x..."] },
+ *   "Staking": { "REWARD_FUNDER_ROLE": ["TAPTimelock"], "RATE_SETTER_ROLE": ["0x..."] },
+ *   "Vesting": { "VESTING_CREATOR_ROLE": ["0x...", "MerkleDistributor"], "REVOKER_ROLE": [] },
+ *   "StakingVault": { "BOUNTY_SETTER_ROLE": ["0x..."] }
+ * }
+ *
+ * StakingVault is deployed separately (vault:deploy) and is only managed
+ * once the deployment manifest records it.
+ *
+ * Accounts are addresses or contract names from the deployment manifest.
+ * Listed roles are authoritative: accounts not listed lose the role, and an
+ * empty list revokes it from everyone. Roles left out are not touched.
+ * DEFAULT_ADMIN_ROLE is not managed here; it moves to the timelock with the
+ * governance handover (see suite.js).
+ *
+ * Current holders are found by replaying RoleGranted/RoleRevoked events from
+ * the contract's deployment block and confirming each with hasRole.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+// Roles a manifest may assign, per contract
+const ROLE_NAMES = {
+    TAPv2: ["BURN_EXCLUSION_MANAGER_ROLE", "GUARDIAN_ROLE"],
+    Staking: ["REWARD_FUNDER_ROLE", "RATE_SETTER_ROLE", "GUARDIAN_ROLE"],
+    Vesting: ["VESTING_CREATOR_ROLE", "REVOKER_ROLE", "GUARDIAN_ROLE"],
+    StakingVault: ["BOUNTY_SETTER_ROLE"],
+};
+
+// Contracts in ROLE_NAMES that a deployment may not have
+const OPTIONAL_CONTRACTS = ["StakingVault"];
+
+/**
+ * Role id as the contracts compute it
+ * @param {string} name Role constant (e.g. GUARDIAN_ROLE)
+ * @returns {string} bytes32 role id
+ */
+function roleId(name) {
+    return name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name);
+}
+
+/**
+ * Validate a role manifest
+ * @param {object} raw Parsed JSON
+ * @returns {object} The manifest, contract -> role -> accounts
+ */
+function parseRoleManifest(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw new Error("Role manifest must be an object of contract -> role -> accounts");
+    }
+
+    for (const [contract, roles] of Object.entries(raw)) {
+        if (!ROLE_NAMES[contract]) {
+            throw new Error(`Unknown contract "${contract}" in role manifest (expected ${Object.keys(ROLE_NAMES).join(", ")})`);
+        }
+        for (const [role, accounts] of Object.entries(roles)) {
+            if (!ROLE_NAMES[contract].includes(role)) {
+                throw new Error(`Unknown role ${contract}.${role} (expected ${ROLE_NAMES[contract].join(", ")})`);
+            }
+            if (!Array.isArray(accounts) || accounts.some((account) => typeof account !== "string")) {
+                throw new Error(`${contract}.${role} must be a list of addresses or contract names`);
+            }
+        }
+    }
+    return raw;
+}
+
+/**
+ * Load and validate a role manifest file
+ * @param {string} file Path to the JSON manifest
+ * @returns {object} The manifest
+ */
+function loadRoleManifest(file) {
+    return parseRoleManifest(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Replace contract names in a role manifest with their deployed addresses
+ * @param {object} roles Role manifest
+ * @param {object} deployments Deployment manifest (for contract names)
+ * @returns {object} Same shape, with checksummed addresses only
+ */
+function resolveRoleManifest(roles, deployments) {
+    const resolved = {};
+    for (const [contract, entries] of Object.entries(roles)) {
+        resolved[contract] = {};
+        for (const [role, accounts] of Object.entries(entries)) {
+            const addresses = accounts.map((account) => {
+                if (ethers.isAddress(account)) {
+                    return ethers.getAddress(account);
+                }
+                const deployed = deployments.contracts[account];
+                if (!deployed) {
+                    throw new Error(`${contract}.${role}: "${account}" is not an address or a deployed contract`);
+                }
+                return ethers.getAddress(deployed.address);
+            });
+            if (new Set(addresses).size !== addresses.length) {
+                throw new Error(`${contract}.${role} lists the same account twice`);
+            }
+            resolved[contract][role] = addresses;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Accounts currently holding a role
+ * @param {object} contract AccessControl contract
+ * @param {string} role Role id
+ * @param {number} [fromBlock] Block to replay role events from (the deployment block)
+ * @returns {Promise<string[]>} Sorted holder addresses
+ */
+async function getRoleHolders(contract, role, fromBlock = 0) {
+    const granted = await contract.queryFilter(contract.filters.RoleGranted(role), fromBlock);
+    const candidates = new Set(granted.map((event) => event.args.account));
+
+    const holders = [];
+    for (const account of candidates) {
+        if (await contract.hasRole(role, account)) {
+            holders.push(account);
+        }
+    }
+    return holders.sort();
+}
+
+/**
+ * Grants and revocations that bring the chain in line with a role manifest
+ *
+ * Grants come first, so a role handed from one account to another is never
+ * left without a holder between the two transactions.
+ * @param {Object<string, { contract: object, fromBlock?: number }>} targets Contracts by name
+ * @param {object} roles Resolved role manifest (see resolveRoleManifest)
+ * @returns {Promise<Array<{ contract: string, role: string, roleId: string,
+ *   account: string, action: "grant"|"revoke" }>>}
+ */
+async function planRoleChanges(targets, roles) {
+    const grants = [];
+    const revokes = [];
+
+    for (const [name, entries] of Object.entries(roles)) {
+        const target = targets[name];
+        if (!target) {
+            if (OPTIONAL_CONTRACTS.includes(name)) {
+                continue;
+            }
+            throw new Error(`No ${name} contract to apply roles to`);
+        }
+        for (const [role, accounts] of Object.entries(entries)) {
+            const id = roleId(role);
+            const holders = await getRoleHolders(target.contract, id, target.fromBlock);
+
+            for (const account of accounts) {
+                if (!holders.includes(account)) {
+                    grants.push({ contract: name, role, roleId: id, account, action: "grant" });
+                }
+            }
+            for (const holder of holders) {
+                if (!accounts.includes(holder)) {
+                    revokes.push({ contract: name, role, roleId: id, account: holder, action: "revoke" });
+                }
+            }
+        }
+    }
+    return [...grants, ...revokes];
+}
+
+/**
+ * Send planned role changes (the signer must hold DEFAULT_ADMIN_ROLE)
+ * @param {Object<string, { contract: object }>} targets Contracts by name
+ * @param {Array<object>} changes From planRoleChanges
+ * @param {Function} [log] Logger
+ */
+async function applyRoleChanges(targets, changes, log = () => {}) {
+    for (const change of changes) {
+        const { contract } = targets[change.contract];
+        log(`- ${change.action === "grant" ? "Granting" : "Revoking"} ${change.contract}.${change.role} ` +
+            `${change.action === "grant" ? "to" : "from"} ${change.account}...`);
+        const method = change.action === "grant" ? "grantRole" : "revokeRole";
+        await (await contract[method](change.roleId, change.account)).wait();
+    }
+}
+
+/**
+ * Planned role changes as gov:propose --actions entries
+ * @param {Array<object>} changes From planRoleChanges
+ * @returns {Array<{ contract: string, method: string, args: Array }>}
+ */
+function roleChangeActions(changes) {
+    return changes.map((change) => ({
+        contract: change.contract,
+        method: change.action === "grant" ? "grantRole" : "revokeRole",
+        args: [change.roleId, change.account],
+    }));
+}
+
+module.exports = {
+    ROLE_NAMES,
+    OPTIONAL_CONTRACTS,
+    roleId,
+    parseRoleManifest,
+    loadRoleManifest,
+    resolveRoleManifest,
+    getRoleHolders,
+    planRoleChanges,
+    applyRoleChanges,
+    roleChangeActions,
+};
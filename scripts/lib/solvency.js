@@ -0,0 +1,130 @@
+/**
+ * Staking Reward Pool Solvency
+ *
+ * Compares what Staking has committed (rewards earned by stakers but not yet
+ * claimed, plus emissions still scheduled for the current reward period)
+ * with what the reward pool holds, and reports when emissions run out.
+ *
+ * Staking only emits what was funded, so the pool cannot go short by design;
+ * the practical risk is the reward period ending unnoticed, which is what the
+ * runway alert is for. A negative surplus would indicate an accounting bug,
+ * as would a token balance below what the books account for (totalStaked +
+ * rewardPool).
+ */
+
+const { DEFAULT_BATCH_SIZE, queryInBatches } = require("./events");
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+/**
+ * Every address that has ever staked, from Staked events
+ * @param {object} staking Staking contract
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] Staking deployment block (default 0)
+ * @param {number} [options.batchSize] Blocks per getLogs request
+ * @returns {Promise<string[]>}
+ */
+async function collectStakers(staking, options = {}) {
+    const provider = staking.runner.provider || staking.runner;
+    const events = await queryInBatches(
+        staking,
+        staking.filters.Staked(),
+        options.fromBlock || 0,
+        await provider.getBlockNumber(),
+        options.batchSize || DEFAULT_BATCH_SIZE
+    );
+    return [...new Set(events.map((event) => event.args.user))];
+}
+
+/**
+ * @typedef {object} SolvencyReport
+ * @property {bigint} totalStaked
+ * @property {bigint} rewardRate Rewards emitted per second
+ * @property {bigint} rewardPool
+ * @property {bigint} liabilities Rewards earned by stakers and not yet claimed
+ * @property {bigint} scheduled Emissions still to come in the current period
+ * @property {bigint} surplus rewardPool - liabilities - scheduled (unallocated funds)
+ * @property {bigint} accounted totalStaked + rewardPool
+ * @property {bigint} tokenBalance Staking token actually held; above accounted
+ *   is unreconciled surplus (Staking.reconcileSurplus), below it a shortfall
+ * @property {bigint} accrualPerYear Emissions per year at the current rate (0 when no period is active)
+ * @property {number} runwaySeconds Seconds until the current reward period ends
+ * @property {number} dryAt Unix time emissions stop (periodFinish)
+ * @property {number} timestamp Block timestamp the report was taken at
+ * @property {number} stakers Number of stakers with a balance or unclaimed rewards
+ */
+
+/**
+ * Assess reward pool solvency
+ * @param {object} staking Staking contract
+ * @param {object} [options]
+ * @param {string[]} [options.stakers] Stakers to include (defaults to collectStakers)
+ * @param {number} [options.fromBlock] Where collectStakers starts (the Staking deployment block)
+ * @param {number} [options.batchSize] Blocks per getLogs request for collectStakers
+ * @returns {Promise<SolvencyReport>}
+ */
+async function assessSolvency(staking, options = {}) {
+    const provider = staking.runner.provider || staking.runner;
+    const stakers = options.stakers || (await collectStakers(staking, options));
+
+    const [totalStaked, rewardRate, rewardPool, periodFinish, [accounted, tokenBalance], block] = await Promise.all([
+        staking.totalStaked(),
+        staking.rewardRate(),
+        staking.rewardPool(),
+        staking.periodFinish(),
+        staking.getAccounting(),
+        provider.getBlock("latest"),
+    ]);
+
+    let liabilities = 0n;
+    let active = 0;
+    for (const user of stakers) {
+        const [amount, pending] = await staking.getStakeInfo(user);
+        liabilities += pending;
+        if (amount > 0n || pending > 0n) {
+            active++;
+        }
+    }
+
+    const now = BigInt(block.timestamp);
+    const remaining = periodFinish > now ? periodFinish - now : 0n;
+    const scheduled = remaining * rewardRate;
+
+    return {
+        totalStaked,
+        rewardRate,
+        rewardPool,
+        liabilities,
+        scheduled,
+        surplus: rewardPool - liabilities - scheduled,
+        accounted,
+        tokenBalance,
+        accrualPerYear: remaining > 0n ? rewardRate * SECONDS_PER_YEAR : 0n,
+        runwaySeconds: Number(remaining),
+        dryAt: Number(periodFinish),
+        timestamp: block.timestamp,
+        stakers: active,
+    };
+}
+
+/**
+ * Classify a report against a minimum runway
+ * @param {SolvencyReport} report Report from assessSolvency
+ * @param {number} minRunwaySeconds Alert threshold
+ * @returns {"ok"|"low-runway"|"insolvent"}
+ */
+function solvencyStatus(report, minRunwaySeconds) {
+    if (report.surplus < 0n || report.tokenBalance < report.accounted) {
+        return "insolvent";
+    }
+    if (report.runwaySeconds < minRunwaySeconds) {
+        return "low-runway";
+    }
+    return "ok";
+}
+
+module.exports = {
+    collectStakers,
+    assessSolvency,
+    solvencyStatus,
+};
@@ -0,0 +1,542 @@
+/**
+ * Full Suite Deployment
+ *
+ * Deploys TAPv2, Staking and Vesting in dependency order and wires them
+ * together. Every step checks the chain (and the deployment manifest)
+ * before acting, so the flow can be re-run against the same network and
+ * will only perform the steps that are still missing.
+ *
+ * Steps:
+ *   1. Deploy TAPv2
+ *   2. Deploy Staking(TAPv2) behind a UUPS proxy
+ *   3. Deploy Vesting(TAPv2) behind a UUPS proxy, and VestingMetadata
+ *      (the renderer of its schedule tokens' tokenURI)
+ *   4. Exclude Staking and Vesting from burn-on-transfer, and exempt them
+ *      from a TAPv2 pause so withdrawals and releases stay open; point
+ *      Vesting at Staking so beneficiaries can stake unreleased tokens, and
+ *      at VestingMetadata
+ *   5. Fund the staking reward pool up to the configured total
+ *   6. Create the configured vesting schedules
+ *
+ * With a "governance" section in the config:
+ *   7. Deploy TAPTimelock(timelockDelay)
+ *   8. Deploy TAPGovernor(TAPv2, TAPTimelock, Staking, Vesting, settings)
+ *   9. Make the governor the timelock's proposer and canceller, then
+ *      renounce the deployer's timelock admin role
+ *
+ * With a "roles" section (a role manifest, see roles.js):
+ *  10. Grant and revoke roles on TAPv2, Staking and Vesting to match it
+ *
+ * With a "governance" section again:
+ *  11. Grant DEFAULT_ADMIN_ROLE on TAPv2, Staking and Vesting, and every
+ *      role the role manifest leaves out, to the timelock; then renounce
+ *      every deployer role the role manifest does not assign to it
+ *
+ * A StakingVault recorded in the manifest (see vault:deploy) is included
+ * in steps 10 and 11 like the suite contracts.
+ *
+ * Funding and schedules are recorded in the manifest under the Staking and
+ * Vesting addresses they went to: `rewardFunding[staking].funded` is the
+ * TAP funded so far, and each `vesting[id]` names its Vesting. A contract
+ * redeployed in step 1-3 starts with no records, so it is funded and seeded
+ * again. Without a funding record for an existing Staking (manifests from
+ * before it was kept), the funded total is read from its RewardPoolFunded
+ * events. A funding or schedule transaction is recorded as pending, by its
+ * hash, as soon as it is sent; a re-run after a crash or timeout looks the
+ * transaction up and records it if it went through instead of repeating it.
+ *
+ * After step 11 the steps above that need a role the deployer gave up
+ * (burn exclusions, reward pool, vesting) need a proposal. So do upgrades
+ * of the Staking and Vesting proxies (see `upgrade`).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+    DEFAULT_DEPLOYMENTS_DIR,
+    readManifest,
+    writeManifest,
+    recordDeployment,
+    recordProxyDeployment,
+} = require("./deployments");
+const { deployProxy } = require("./upgrades");
+const { queryInBatches } = require("./events");
+const {
+    ROLE_NAMES,
+    roleId,
+    parseRoleManifest,
+    resolveRoleManifest,
+    planRoleChanges,
+    applyRoleChanges,
+} = require("./roles");
+const { parseDuration } = require("./duration");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "..", "config", "suite.json");
+
+// Voting delay and period are in blocks (TAPv2 uses a block-number clock)
+const GOVERNANCE_DEFAULTS = {
+    votingDelay: 1,
+    votingPeriod: 201600,   // ~1 week of 3s BSC blocks
+    proposalThreshold: "0",
+    quorumPercent: 4,
+    timelockDelay: "2d",
+};
+
+/**
+ * Fail with a clear message when a step needs a role the deployer no longer holds
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} name Contract name (for the message)
+ * @param {object} contract AccessControl contract
+ * @param {string} role Role constant
+ */
+async function requireDeployerRole(hre, name, contract, role) {
+    const [signer] = await hre.ethers.getSigners();
+    if (!(await contract.hasRole(roleId(role), signer.address))) {
+        throw new Error(`The deployer does not hold ${name}.${role}; make this change through a governance proposal`);
+    }
+}
+
+/**
+ * Hand DEFAULT_ADMIN_ROLE, and every role the role manifest leaves out, to
+ * the timelock; then renounce every deployer role the manifest does not
+ * assign to it. The admin role goes last so the deployer can still grant.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {Object<string, { contract: object }>} targets Contracts by name (see roles.js)
+ * @param {string} timelockAddress TAPTimelock address
+ * @param {object} [roles] Resolved role manifest
+ * @param {Function} [log] Logger (defaults to console.log)
+ */
+async function handOverRoles(hre, targets, timelockAddress, roles, log = console.log) {
+    const [deployer] = await hre.ethers.getSigners();
+    for (const [name, { contract }] of Object.entries(targets)) {
+        const assigned = (roles && roles[name]) || {};
+        const handedOver = ["DEFAULT_ADMIN_ROLE", ...ROLE_NAMES[name].filter((role) => !assigned[role])];
+        for (const role of handedOver) {
+            if (await contract.hasRole(roleId(role), timelockAddress)) {
+                log(`- Timelock already holds ${name}.${role}, skipping`);
+                continue;
+            }
+            await requireDeployerRole(hre, name, contract, "DEFAULT_ADMIN_ROLE");
+            log(`- Granting ${name}.${role} to the timelock...`);
+            await (await contract.grantRole(roleId(role), timelockAddress)).wait();
+        }
+
+        for (const role of [...ROLE_NAMES[name], "DEFAULT_ADMIN_ROLE"]) {
+            if ((assigned[role] || []).includes(deployer.address)) {
+                continue;
+            }
+            if (await contract.hasRole(roleId(role), deployer.address)) {
+                log(`- Renouncing the deployer's ${name}.${role}...`);
+                await (await contract.renounceRole(roleId(role), deployer.address)).wait();
+            }
+        }
+    }
+}
+
+/**
+ * Load and validate a suite configuration file
+ * @param {string} [configPath] Path to the JSON config (defaults to config/suite.json)
+ * @returns {{ rewardPool: string, vesting: Array<object>, governance?: object, roles?: object }}
+ *   Parsed configuration
+ */
+function loadSuiteConfig(configPath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+    config.rewardPool = config.rewardPool || "0";
+    config.vesting = config.vesting || [];
+
+    const ids = new Set();
+    for (const entry of config.vesting) {
+        if (!entry.id) {
+            throw new Error("Every vesting entry needs a unique id");
+        }
+        if (ids.has(entry.id)) {
+            throw new Error(`Duplicate vesting id: ${entry.id}`);
+        }
+        ids.add(entry.id);
+
+        entry.cliffDuration = parseDuration(entry.cliffDuration);
+        entry.vestingDuration = parseDuration(entry.vestingDuration);
+    }
+
+    if (config.governance) {
+        config.governance = parseGovernanceConfig(config.governance);
+    }
+    if (config.roles) {
+        config.roles = parseRoleManifest(config.roles);
+    }
+
+    return config;
+}
+
+/**
+ * Fill in defaults and validate the governance section of a suite config
+ * @param {object} governance Raw "governance" section
+ * @returns {{ votingDelay: number, votingPeriod: number, proposalThreshold: string,
+ *   quorumPercent: number, timelockDelay: number }}
+ */
+function parseGovernanceConfig(governance) {
+    const parsed = { ...GOVERNANCE_DEFAULTS, ...governance };
+    parsed.timelockDelay = parseDuration(parsed.timelockDelay);
+
+    for (const key of ["votingDelay", "votingPeriod", "quorumPercent"]) {
+        parsed[key] = Number(parsed[key]);
+        if (!Number.isInteger(parsed[key]) || parsed[key] < 0) {
+            throw new Error(`governance.${key} must be a whole number`);
+        }
+    }
+    if (parsed.votingPeriod === 0) {
+        throw new Error("governance.votingPeriod must be greater than 0");
+    }
+    if (parsed.quorumPercent > 100) {
+        throw new Error("governance.quorumPercent cannot exceed 100");
+    }
+    parsed.proposalThreshold = String(parsed.proposalThreshold);
+
+    return parsed;
+}
+
+/**
+ * Deploy (or resume deploying) the full contract suite
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {object} config Suite configuration (see loadSuiteConfig)
+ * @param {object} [options]
+ * @param {string} [options.deploymentsDir] Where deployment manifests are kept
+ * @param {Function} [options.log] Logger (defaults to console.log)
+ * @returns {Promise<{ tapv2: object, staking: object, vesting: object, timelock?: object,
+ *   governor?: object, manifest: object }>}
+ */
+async function deploySuite(hre, config, options = {}) {
+    const { ethers } = hre;
+    const dir = options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR;
+    const log = options.log || console.log;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = readManifest(chainId, dir);
+    manifest.network = hre.network.name;
+    manifest.vesting = manifest.vesting || {};
+    manifest.rewardFunding = manifest.rewardFunding || {};
+
+    /**
+     * Deploy a contract (or, with `proxy`, a UUPS proxy initialized with
+     * `args`) unless a live deployment is already recorded
+     */
+    async function deployOnce(name, args, { proxy = false } = {}) {
+        const recorded = manifest.contracts[name];
+        if (recorded) {
+            const code = await ethers.provider.getCode(recorded.address);
+            if (code !== "0x") {
+                log(`- ${name}: already deployed at ${recorded.address}, skipping`);
+                return ethers.getContractAt(name, recorded.address);
+            }
+        }
+
+        log(`- ${name}: deploying${proxy ? " behind a proxy" : ""}...`);
+        let contract;
+        let entry;
+        if (proxy) {
+            contract = await deployProxy(hre, name, args);
+            entry = await recordProxyDeployment(hre, manifest, name, contract, args);
+        } else {
+            const factory = await ethers.getContractFactory(name);
+            contract = await factory.deploy(...args);
+            await contract.waitForDeployment();
+            entry = await recordDeployment(hre, manifest, name, contract, args);
+        }
+        forgetRecords(name, entry.address);
+        writeManifest(manifest, dir);
+        log(`  deployed at ${entry.address}`);
+        return contract;
+    }
+
+    /**
+     * Drop what the manifest recorded for an earlier deployment of `name`.
+     * A restarted local node redeploys to the same addresses, so the
+     * records are dropped by name as well as by address.
+     */
+    function forgetRecords(name, address) {
+        if (name === "Staking") {
+            delete manifest.rewardFunding[address];
+        }
+        if (name === "Vesting") {
+            manifest.vesting = {};
+        }
+    }
+
+    /**
+     * Receipt of a transaction recorded as pending: waits for it if it is
+     * still in the mempool; undefined if the node does not know it (dropped)
+     */
+    async function pendingReceipt(hash) {
+        const receipt = await ethers.provider.getTransactionReceipt(hash);
+        if (receipt) {
+            return receipt;
+        }
+        const tx = await ethers.provider.getTransaction(hash);
+        if (!tx) {
+            return undefined;
+        }
+        log(`  waiting for pending transaction ${hash}...`);
+        try {
+            return await tx.wait();
+        } catch (error) {
+            // A reverted transaction rejects with its receipt
+            if (error.receipt) {
+                return error.receipt;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Record a created schedule from its VestingCreated event
+     */
+    async function recordSchedule(entry, vestingAddress, receipt) {
+        // TAPv2's ERC-20 Transfer shares its topic with Vesting's ERC-721 Transfer
+        const created = receipt.logs
+            .filter((entryLog) => entryLog.address === vestingAddress)
+            .map((entryLog) => vesting.interface.parseLog(entryLog))
+            .find((parsed) => parsed && parsed.name === "VestingCreated");
+
+        manifest.vesting[entry.id] = {
+            vesting: vestingAddress,
+            beneficiary: entry.beneficiary,
+            scheduleIndex: Number(created.args.scheduleIndex),
+            tokenId: Number(await vesting.scheduleTokenId(entry.beneficiary, created.args.scheduleIndex)),
+            transactionHash: receipt.hash,
+        };
+        writeManifest(manifest, dir);
+    }
+
+    /**
+     * Fail with a clear message when a step needs a role the deployer no longer holds
+     */
+    async function requireRole(name, contract, role) {
+        await requireDeployerRole(hre, name, contract, role);
+    }
+
+    /**
+     * Bring roles in line with config.roles, if present
+     * @returns {Promise<object|undefined>} The resolved role manifest
+     */
+    async function applyRoleManifest() {
+        if (!config.roles) {
+            return undefined;
+        }
+        const resolved = resolveRoleManifest(config.roles, manifest);
+        const changes = await planRoleChanges(targets, resolved);
+        if (changes.length === 0) {
+            log("- Roles match the role manifest, skipping");
+            return resolved;
+        }
+        for (const name of new Set(changes.map((change) => change.contract))) {
+            await requireRole(name, targets[name].contract, "DEFAULT_ADMIN_ROLE");
+        }
+        await applyRoleChanges(targets, changes, log);
+        return resolved;
+    }
+
+    // 1-3. Contracts, in dependency order
+    const tapv2 = await deployOnce("TAPv2", []);
+    const tapv2Address = await tapv2.getAddress();
+    const staking = await deployOnce("Staking", [tapv2Address], { proxy: true });
+    const vesting = await deployOnce("Vesting", [tapv2Address], { proxy: true });
+    const metadata = await deployOnce("VestingMetadata", []);
+    const targets = {
+        TAPv2: { contract: tapv2, fromBlock: manifest.contracts.TAPv2.blockNumber },
+        Staking: { contract: staking, fromBlock: manifest.contracts.Staking.blockNumber },
+        Vesting: { contract: vesting, fromBlock: manifest.contracts.Vesting.blockNumber },
+    };
+    const vaultEntry = manifest.contracts.StakingVault;
+    if (vaultEntry && (await ethers.provider.getCode(vaultEntry.address)) !== "0x") {
+        targets.StakingVault = {
+            contract: await ethers.getContractAt("StakingVault", vaultEntry.address),
+            fromBlock: vaultEntry.blockNumber,
+        };
+    }
+
+    // 4. Burn and pause exemptions for the contracts that custody tokens
+    for (const [name, contract] of [["Staking", staking], ["Vesting", vesting]]) {
+        const address = await contract.getAddress();
+        if (await tapv2.isExcludedFromBurn(address)) {
+            log(`- ${name} already excluded from burn, skipping`);
+        } else {
+            await requireRole("TAPv2", tapv2, "BURN_EXCLUSION_MANAGER_ROLE");
+            log(`- Excluding ${name} from burn...`);
+            await (await tapv2.setExcludedFromBurn(address, true)).wait();
+        }
+
+        if (await tapv2.isPauseExempt(address)) {
+            log(`- ${name} already exempt from the pause, skipping`);
+        } else {
+            await requireRole("TAPv2", tapv2, "DEFAULT_ADMIN_ROLE");
+            log(`- Exempting ${name} from the pause...`);
+            await (await tapv2.setPauseExempt(address, true)).wait();
+        }
+    }
+
+    const stakingAddress = await staking.getAddress();
+    if ((await vesting.staking()) === stakingAddress) {
+        log("- Vesting already stakes in Staking, skipping");
+    } else {
+        await requireRole("Vesting", vesting, "DEFAULT_ADMIN_ROLE");
+        log("- Pointing Vesting at Staking...");
+        await (await vesting.setStaking(stakingAddress)).wait();
+    }
+
+    const metadataAddress = await metadata.getAddress();
+    if ((await vesting.metadataRenderer()) === metadataAddress) {
+        log("- Vesting already renders metadata with VestingMetadata, skipping");
+    } else {
+        await requireRole("Vesting", vesting, "DEFAULT_ADMIN_ROLE");
+        log("- Pointing Vesting at VestingMetadata...");
+        await (await vesting.setMetadataRenderer(metadataAddress)).wait();
+    }
+
+    // 5. Reward pool: fund up to the configured total. Claims drain
+    // rewardPool, so the target is compared with what was funded, not held
+    if (!manifest.rewardFunding[stakingAddress]) {
+        const events = await queryInBatches(
+            staking,
+            staking.filters.RewardPoolFunded(),
+            manifest.contracts.Staking.blockNumber,
+            await ethers.provider.getBlockNumber()
+        );
+        const funded = events.reduce((sum, event) => sum + event.args.amount, 0n);
+        manifest.rewardFunding[stakingAddress] = { funded: funded.toString() };
+    }
+    const funding = manifest.rewardFunding[stakingAddress];
+    if (funding.pending) {
+        const { transactionHash, amount } = funding.pending;
+        const receipt = await pendingReceipt(transactionHash);
+        if (receipt && receipt.status === 1) {
+            log(`- Reward pool funding ${transactionHash} went through, recording it`);
+            funding.funded = (BigInt(funding.funded) + BigInt(amount)).toString();
+        } else {
+            log(`- Reward pool funding ${transactionHash} did not go through`);
+        }
+        delete funding.pending;
+        writeManifest(manifest, dir);
+    }
+    const targetFunding = ethers.parseEther(config.rewardPool);
+    const funded = BigInt(funding.funded);
+    if (funded >= targetFunding) {
+        log(`- Reward pool already funded with ${ethers.formatEther(funded)} TAP, skipping`);
+    } else {
+        const topUp = targetFunding - funded;
+        await requireRole("Staking", staking, "REWARD_FUNDER_ROLE");
+        log(`- Funding reward pool with ${ethers.formatEther(topUp)} TAP...`);
+        await (await tapv2.approve(stakingAddress, topUp)).wait();
+        const tx = await staking.fundRewardPool(topUp);
+        funding.pending = { transactionHash: tx.hash, amount: topUp.toString() };
+        writeManifest(manifest, dir);
+        await tx.wait();
+        funding.funded = targetFunding.toString();
+        delete funding.pending;
+    }
+    writeManifest(manifest, dir);
+
+    // 6. Seed vesting schedules
+    const vestingAddress = await vesting.getAddress();
+    for (const entry of config.vesting) {
+        const recorded = manifest.vesting[entry.id];
+        // Entries from before the Vesting address was kept belong to the recorded Vesting
+        if (recorded && (recorded.vesting || vestingAddress) === vestingAddress) {
+            if (!recorded.pending) {
+                log(`- Vesting "${entry.id}" already created, skipping`);
+                continue;
+            }
+            const receipt = await pendingReceipt(recorded.transactionHash);
+            if (receipt && receipt.status === 1) {
+                log(`- Vesting "${entry.id}" was created by ${recorded.transactionHash}, recording it`);
+                await recordSchedule(entry, vestingAddress, receipt);
+                continue;
+            }
+            log(`- Vesting "${entry.id}" transaction ${recorded.transactionHash} did not go through`);
+        }
+
+        await requireRole("Vesting", vesting, "VESTING_CREATOR_ROLE");
+        const amount = ethers.parseEther(entry.amount);
+        log(`- Creating vesting "${entry.id}" for ${entry.beneficiary}...`);
+        await (await tapv2.approve(vestingAddress, amount)).wait();
+        const tx = await vesting.createVesting(
+            entry.beneficiary,
+            amount,
+            entry.cliffDuration,
+            entry.vestingDuration
+        );
+        manifest.vesting[entry.id] = {
+            vesting: vestingAddress,
+            beneficiary: entry.beneficiary,
+            pending: true,
+            transactionHash: tx.hash,
+        };
+        writeManifest(manifest, dir);
+        await recordSchedule(entry, vestingAddress, await tx.wait());
+    }
+
+    writeManifest(manifest, dir);
+
+    if (!config.governance) {
+        // 10. Role manifest
+        await applyRoleManifest();
+        return { tapv2, staking, vesting, manifest };
+    }
+
+    // 7-8. Timelock and governor
+    const settings = config.governance;
+    const [deployer] = await ethers.getSigners();
+    const timelock = await deployOnce("TAPTimelock", [
+        settings.timelockDelay,
+        [],
+        [ethers.ZeroAddress],
+        deployer.address,
+    ]);
+    const timelockAddress = await timelock.getAddress();
+    const governor = await deployOnce("TAPGovernor", [
+        tapv2Address,
+        timelockAddress,
+        await staking.getAddress(),
+        await vesting.getAddress(),
+        settings.votingDelay,
+        settings.votingPeriod,
+        ethers.parseEther(settings.proposalThreshold),
+        settings.quorumPercent,
+    ]);
+    const governorAddress = await governor.getAddress();
+
+    // 9. Timelock roles: only the governor queues and cancels
+    for (const role of ["PROPOSER_ROLE", "CANCELLER_ROLE"]) {
+        const id = await timelock[role]();
+        if (await timelock.hasRole(id, governorAddress)) {
+            log(`- Governor already has ${role}, skipping`);
+            continue;
+        }
+        log(`- Granting ${role} to the governor...`);
+        await (await timelock.grantRole(id, governorAddress)).wait();
+    }
+    const adminRole = await timelock.DEFAULT_ADMIN_ROLE();
+    if (await timelock.hasRole(adminRole, deployer.address)) {
+        log("- Renouncing the deployer's timelock admin role...");
+        await (await timelock.renounceRole(adminRole, deployer.address)).wait();
+    }
+
+    // 10. Role manifest
+    const roles = await applyRoleManifest();
+
+    // 11. Hand the admin role, and roles the manifest leaves out, to the timelock
+    await handOverRoles(hre, targets, timelockAddress, roles, log);
+
+    writeManifest(manifest, dir);
+
+    return { tapv2, staking, vesting, timelock, governor, manifest };
+}
+
+module.exports = {
+    GOVERNANCE_DEFAULTS,
+    loadSuiteConfig,
+    parseGovernanceConfig,
+    requireDeployerRole,
+    handOverRoles,
+    deploySuite,
+};
@@ -0,0 +1,100 @@
+/**
+ * Upgradeable Deployments
+ *
+ * Staking and Vesting run behind UUPS (ERC-1967) proxies, so bug fixes and
+ * new features ship without migrating stakers or vesting beneficiaries.
+ * Every deployment and upgrade goes through @openzeppelin/hardhat-upgrades,
+ * which refuses:
+ * - implementations with constructors that set state, selfdestruct or
+ *   delegatecall
+ * - upgrades whose storage layout is incompatible with the current
+ *   implementation (removed, reordered, renamed or retyped variables)
+ *
+ * The layouts of deployed implementations are kept in .openzeppelin/; the
+ * testnet and mainnet files are committed like the deployment manifests.
+ */
+
+const PROXY_KIND = "uups";
+
+/**
+ * Deploy a contract behind a UUPS proxy and run its initializer
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} name Contract name (e.g. Staking)
+ * @param {Array} [args] initialize() arguments
+ * @returns {Promise<object>} ethers contract attached to the proxy
+ */
+async function deployProxy(hre, name, args = []) {
+    const factory = await hre.ethers.getContractFactory(name);
+    const proxy = await hre.upgrades.deployProxy(factory, args, { kind: PROXY_KIND });
+    await proxy.waitForDeployment();
+    return proxy;
+}
+
+/**
+ * Implementation a proxy currently delegates to
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} proxyAddress Proxy address
+ * @returns {Promise<string>}
+ */
+async function getImplementation(hre, proxyAddress) {
+    return hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+}
+
+/**
+ * Check that `name` can safely replace a proxy's current implementation
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} proxyAddress Proxy address
+ * @param {string} name Contract name of the new implementation
+ * @throws If the implementation is unsafe or its storage layout is incompatible
+ */
+async function validateUpgrade(hre, proxyAddress, name) {
+    const factory = await hre.ethers.getContractFactory(name);
+    await hre.upgrades.validateUpgrade(proxyAddress, factory, { kind: PROXY_KIND });
+}
+
+/**
+ * Validate and upgrade a proxy to `name`
+ *
+ * When the signer is the proxy's admin the upgrade is executed. Otherwise
+ * (e.g. the timelock is the admin) only the new implementation is deployed;
+ * the admin then has to call upgradeToAndCall(implementation, data).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {string} proxyAddress Proxy address
+ * @param {string} name Contract name of the new implementation
+ * @param {object} [options]
+ * @param {{ fn: string, args?: Array }} [options.call] Reinitializer to run with the upgrade
+ * @returns {Promise<{ implementation: string, previousImplementation: string,
+ *   upgraded: boolean, data: string }>} `data` is the encoded reinitializer call, or "0x"
+ */
+async function upgradeProxy(hre, proxyAddress, name, options = {}) {
+    const { ethers, upgrades } = hre;
+    const factory = await ethers.getContractFactory(name);
+    const previousImplementation = await getImplementation(hre, proxyAddress);
+    const data = options.call
+        ? factory.interface.encodeFunctionData(options.call.fn, options.call.args || [])
+        : "0x";
+
+    // Ask the live proxy, not the new implementation's ABI
+    const proxy = await ethers.getContractAt("IAccessControl", proxyAddress);
+    const [signer] = await ethers.getSigners();
+    if (await proxy.hasRole(ethers.ZeroHash, signer.address)) {
+        const upgraded = await upgrades.upgradeProxy(proxyAddress, factory, {
+            kind: PROXY_KIND,
+            call: options.call,
+        });
+        await upgraded.deployTransaction.wait();
+        const implementation = await getImplementation(hre, proxyAddress);
+        return { implementation, previousImplementation, upgraded: true, data };
+    }
+
+    const implementation = await upgrades.prepareUpgrade(proxyAddress, factory, { kind: PROXY_KIND });
+    return { implementation, previousImplementation, upgraded: false, data };
+}
+
+module.exports = {
+    PROXY_KIND,
+    deployProxy,
+    getImplementation,
+    validateUpgrade,
+    upgradeProxy,
+};
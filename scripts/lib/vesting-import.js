@@ -0,0 +1,233 @@
+/**
+ * Batch Vesting Import
+ *
+ * Reads vesting rows from CSV or JSON, validates them, and creates one
+ * Vesting schedule per row. Used by the `vesting:import` Hardhat task.
+ *
+ * Row format (CSV header or JSON keys):
+ *   beneficiary, amount, cliff, duration
+ *
+ * - amount is whole TAP ("2500" or "2500.5")
+ * - cliff and duration are seconds or human strings ("180d", "2y")
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseDuration } = require("./duration");
+
+const COLUMNS = ["beneficiary", "amount", "cliff", "duration"];
+
+/**
+ * Parse a CSV document with a header row
+ * @param {string} text CSV contents
+ * @param {string[]} [columns] Columns the header must contain
+ * @returns {Array<object>} Raw rows keyed by header, each with its source line
+ */
+function parseCsv(text, columns = COLUMNS) {
+    const lines = text.split(/\r?\n/);
+    let header = null;
+    const rows = [];
+
+    lines.forEach((raw, i) => {
+        const line = raw.trim();
+        if (line === "" || line.startsWith("#")) {
+            return;
+        }
+
+        const cells = line.split(",").map((cell) => cell.trim());
+        if (!header) {
+            header = cells.map((cell) => cell.toLowerCase());
+            const missing = columns.filter((column) => !header.includes(column));
+            if (missing.length > 0) {
+                throw new Error(`CSV header is missing column(s): ${missing.join(", ")}`);
+            }
+            return;
+        }
+
+        const row = { line: i + 1 };
+        header.forEach((column, j) => {
+            row[column] = cells[j];
+        });
+        rows.push(row);
+    });
+
+    return rows;
+}
+
+/**
+ * Read raw rows from a .csv or .json file
+ * @param {string} file Path to the input file
+ * @param {string[]} [columns] Columns a CSV header must contain
+ * @returns {Array<object>} Raw rows
+ */
+function readRows(file, columns = COLUMNS) {
+    const text = fs.readFileSync(file, "utf8");
+
+    if (path.extname(file).toLowerCase() === ".json") {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error("JSON input must be an array of rows");
+        }
+        return data.map((row, i) => ({ ...row, line: i + 1 }));
+    }
+
+    return parseCsv(text, columns);
+}
+
+/**
+ * Key identifying a schedule's terms, used for duplicate and resume checks
+ */
+function scheduleKey(beneficiary, amount, cliffDuration, vestingDuration) {
+    return [beneficiary.toLowerCase(), amount, cliffDuration, vestingDuration].join(":");
+}
+
+/**
+ * Validate and normalize raw rows
+ * @param {Array<object>} rawRows Rows from readRows
+ * @returns {{ rows: Array<object>, errors: Array<string> }}
+ *   rows have beneficiary, amount (bigint), cliffDuration, vestingDuration, line
+ */
+function validateRows(rawRows) {
+    const rows = [];
+    const errors = [];
+    const seen = new Map();
+
+    for (const raw of rawRows) {
+        const where = `row ${raw.line}`;
+
+        try {
+            if (!raw.beneficiary || !ethers.isAddress(raw.beneficiary)) {
+                throw new Error(`invalid beneficiary "${raw.beneficiary}"`);
+            }
+            const beneficiary = ethers.getAddress(raw.beneficiary);
+            if (beneficiary === ethers.ZeroAddress) {
+                throw new Error("beneficiary cannot be the zero address");
+            }
+
+            const amount = ethers.parseEther(String(raw.amount));
+            if (amount <= 0n) {
+                throw new Error("amount must be greater than 0");
+            }
+
+            const cliffDuration = parseDuration(raw.cliff);
+            const vestingDuration = parseDuration(raw.duration);
+            if (vestingDuration === 0) {
+                throw new Error("duration must be greater than 0");
+            }
+            if (cliffDuration > vestingDuration) {
+                throw new Error("cliff cannot exceed duration");
+            }
+
+            const key = scheduleKey(beneficiary, amount, cliffDuration, vestingDuration);
+            if (seen.has(key)) {
+                throw new Error(`duplicate of row ${seen.get(key)}`);
+            }
+            seen.set(key, raw.line);
+
+            rows.push({ line: raw.line, beneficiary, amount, cliffDuration, vestingDuration });
+        } catch (error) {
+            errors.push(`${where}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    return { rows, errors };
+}
+
+/**
+ * Find rows whose schedules already exist on chain
+ * @param {object} vesting Vesting contract
+ * @param {Array<object>} rows Validated rows
+ * @returns {Promise<Set<object>>} Rows that already have a VestingCreated event
+ */
+async function findExistingRows(vesting, rows) {
+    const created = new Set();
+    const events = await vesting.queryFilter(vesting.filters.VestingCreated());
+    for (const event of events) {
+        const { beneficiary, amount, cliffDuration, vestingDuration } = event.args;
+        created.add(scheduleKey(beneficiary, amount, Number(cliffDuration), Number(vestingDuration)));
+    }
+
+    return new Set(rows.filter((row) =>
+        created.has(scheduleKey(row.beneficiary, row.amount, row.cliffDuration, row.vestingDuration))
+    ));
+}
+
+/**
+ * Import vesting schedules
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {object} vesting Vesting contract (connected to a VESTING_CREATOR_ROLE holder)
+ * @param {Array<object>} rawRows Rows from readRows
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Print the plan without sending transactions
+ * @param {boolean} [options.resume] Skip rows already created on chain
+ * @param {Function} [options.log] Logger (defaults to console.log)
+ * @returns {Promise<{ created: Array<object>, skipped: Array<object>, total: bigint }>}
+ */
+async function importVesting(hre, vesting, rawRows, options = {}) {
+    const log = options.log || console.log;
+    const { rows, errors } = validateRows(rawRows);
+    if (errors.length > 0) {
+        throw new Error(`Invalid vesting rows:\n  ${errors.join("\n  ")}`);
+    }
+
+    const existing = options.resume ? await findExistingRows(vesting, rows) : new Set();
+    const pending = rows.filter((row) => !existing.has(row));
+    const skipped = rows.filter((row) => existing.has(row));
+    const total = pending.reduce((sum, row) => sum + row.amount, 0n);
+
+    log(`Vesting plan (${pending.length} to create, ${skipped.length} already on chain):`);
+    for (const row of rows) {
+        const status = existing.has(row) ? "skip" : "create";
+        log(
+            `  [${status}] row ${row.line}: ${row.beneficiary} ` +
+            `${hre.ethers.formatEther(row.amount)} TAP, cliff ${row.cliffDuration}s, duration ${row.vestingDuration}s`
+        );
+    }
+    log(`Total required: ${hre.ethers.formatEther(total)} TAP`);
+
+    if (options.dryRun || pending.length === 0) {
+        return { created: [], skipped, total };
+    }
+
+    // Preflight: the creator must hold the role and enough TAP
+    const owner = vesting.runner;
+    const ownerAddress = await owner.getAddress();
+    if (!(await vesting.hasRole(await vesting.VESTING_CREATOR_ROLE(), ownerAddress))) {
+        throw new Error(`${ownerAddress} does not hold VESTING_CREATOR_ROLE on Vesting`);
+    }
+    const token = await hre.ethers.getContractAt("IERC20", await vesting.token(), owner);
+    const vestingAddress = await vesting.getAddress();
+
+    const balance = await token.balanceOf(ownerAddress);
+    if (balance < total) {
+        throw new Error(
+            `Owner balance ${hre.ethers.formatEther(balance)} TAP is below the required ` +
+            `${hre.ethers.formatEther(total)} TAP`
+        );
+    }
+
+    const allowance = await token.allowance(ownerAddress, vestingAddress);
+    if (allowance < total) {
+        log(`Approving ${hre.ethers.formatEther(total)} TAP for Vesting...`);
+        await (await token.approve(vestingAddress, total)).wait();
+    }
+
+    const created = [];
+    for (const row of pending) {
+        const tx = await vesting.createVesting(row.beneficiary, row.amount, row.cliffDuration, row.vestingDuration);
+        await tx.wait();
+        log(`  created row ${row.line} (${tx.hash})`);
+        created.push({ ...row, transactionHash: tx.hash });
+    }
+
+    return { created, skipped, total };
+}
+
+module.exports = {
+    parseCsv,
+    readRows,
+    validateRows,
+    findExistingRows,
+    importVesting,
+};
@@ -0,0 +1,122 @@
+/**
+ * Minimal human-readable ABIs for the functions and events the SDK uses.
+ * Keep in sync with contracts/ when public signatures change.
+ */
+
+const TAPV2_ABI = [
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function totalSupply() view returns (uint256)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function MAX_FEE_BPS() view returns (uint256)",
+    "function BASIS_POINTS() view returns (uint256)",
+    "function transferFeeBps() view returns (uint16)",
+    "function buyFeeBps() view returns (uint16)",
+    "function sellFeeBps() view returns (uint16)",
+    "function burnShareBps() view returns (uint16)",
+    "function treasuryShareBps() view returns (uint16)",
+    "function stakingShareBps() view returns (uint16)",
+    "function treasury() view returns (address)",
+    "function isAmmPair(address account) view returns (bool)",
+    "function quoteTransferFee(address from, address to, uint256 amount) view returns (uint256 burnAmount, uint256 treasuryAmount, uint256 stakingAmount)",
+    "function DEAD_ADDRESS() view returns (address)",
+    "function totalBurned() view returns (uint256)",
+    "function circulatingSupply() view returns (uint256)",
+    "function isExcludedFromBurn(address account) view returns (bool)",
+    "function paused() view returns (bool)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event BurnOnTransfer(address indexed from, address indexed to, uint256 burnAmount)",
+    "event BurnExclusionUpdated(address indexed account, bool excluded)",
+    "event TreasuryFeeCollected(address indexed from, address indexed to, uint256 amount)",
+    "event StakingFeeCollected(address indexed from, address indexed to, uint256 amount)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+];
+
+const STAKING_ABI = [
+    "function stakingToken() view returns (address)",
+    "function MIN_STAKE() view returns (uint256)",
+    "function totalStaked() view returns (uint256)",
+    "function rewardPool() view returns (uint256)",
+    "function getCurrentAPY() view returns (uint256)",
+    "function getStakeInfo(address user) view returns (uint256 amount, uint256 pending)",
+    "function pendingRewards(address user) view returns (uint256)",
+    "function stake(uint256 amount)",
+    "function withdraw(uint256 amount)",
+    "function claimRewards()",
+    "function exit()",
+    "function getTiers() view returns (tuple(uint256 lockDuration, uint256 multiplierBps, uint256 penaltyBps, bool enabled)[])",
+    "function getTierAPY(uint256 tierId) view returns (uint256)",
+    "function getPositions(address user) view returns (tuple(uint256 amount, uint256 weight, uint256 tierId, uint256 penaltyBps, uint256 startTime, uint256 unlockTime, bool withdrawn)[])",
+    "function burnPenalties() view returns (bool)",
+    "function totalPenaltiesBurned() view returns (uint256)",
+    "function getAccounting() view returns (uint256 accounted, uint256 balance)",
+    "function paused() view returns (bool)",
+    "function stakeLocked(uint256 amount, uint256 tierId) returns (uint256 positionId)",
+    "function stakeWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function stakeLockedWithPermit(uint256 amount, uint256 tierId, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (uint256 positionId)",
+    "function withdrawPosition(uint256 positionId)",
+    "event Staked(address indexed user, uint256 amount)",
+    "event Withdrawn(address indexed user, uint256 amount)",
+    "event RewardsClaimed(address indexed user, uint256 amount)",
+    "event RewardPoolFunded(uint256 amount)",
+    "event RewardRateUpdated(uint256 oldRate, uint256 newRate)",
+    "event PositionOpened(address indexed user, uint256 indexed positionId, uint256 indexed tierId, uint256 amount, uint256 unlockTime)",
+    "event PositionClosed(address indexed user, uint256 indexed positionId, uint256 amount, uint256 penalty)",
+    "event PenaltyCollected(address indexed user, uint256 amount, bool burned)",
+    "event TransferFeeReceived(uint256 amount)",
+    "event SurplusReconciled(uint256 amount)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+];
+
+const VESTING_ABI = [
+    "function token() view returns (address)",
+    "function totalLocked() view returns (uint256)",
+    "function getScheduleCount(address beneficiary) view returns (uint256)",
+    "function vestingSchedules(address beneficiary, uint256 index) view returns (uint256 totalAmount, uint256 startTime, uint256 cliffDuration, uint256 vestingDuration, uint256 releasedAmount, bool revoked, uint16 tgeBps, uint64 stepDuration)",
+    "function vestedAmount(address beneficiary, uint256 scheduleIndex) view returns (uint256)",
+    "function releasableAmount(address beneficiary, uint256 scheduleIndex) view returns (uint256)",
+    "function release(uint256 scheduleIndex)",
+    "function releaseAll()",
+    "function getAccounting() view returns (uint256 accounted, uint256 balance)",
+    "function paused() view returns (bool)",
+    "function scheduleTokenId(address holder, uint256 index) view returns (uint256)",
+    "function scheduleOf(uint256 tokenId) view returns (address holder, uint256 scheduleIndex)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function transferPolicy() view returns (uint8)",
+    "function isTransferAllowlisted(address account) view returns (bool)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "function staking() view returns (address)",
+    "function stakedAmount(uint256 tokenId) view returns (uint256)",
+    "function totalStaked() view returns (uint256)",
+    "function stakeUnreleased(uint256 scheduleIndex, uint256 amount)",
+    "function unstakeUnreleased(uint256 scheduleIndex, uint256 amount)",
+    "function claimStakingRewards()",
+    "function pendingStakingRewards(address beneficiary) view returns (uint256)",
+    "event VestingCreated(address indexed beneficiary, uint256 indexed scheduleIndex, uint256 amount, uint256 startTime, uint256 cliffDuration, uint256 vestingDuration)",
+    "event VestingUnlockTerms(address indexed beneficiary, uint256 indexed scheduleIndex, uint256 tgeBps, uint256 stepDuration)",
+    "event TokensReleased(address indexed beneficiary, uint256 indexed scheduleIndex, uint256 amount)",
+    "event VestingRevoked(address indexed beneficiary, uint256 indexed scheduleIndex, uint256 refundAmount)",
+    "event ScheduleTransferred(address indexed from, address indexed to, uint256 indexed tokenId, uint256 fromIndex, uint256 toIndex)",
+    "event ScheduleStaked(uint256 indexed tokenId, uint256 amount)",
+    "event ScheduleUnstaked(uint256 indexed tokenId, uint256 amount)",
+    "event StakingRewardsClaimed(address indexed beneficiary, uint256 amount)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+];
+
+module.exports = {
+    TAPV2_ABI,
+    STAKING_ABI,
+    VESTING_ABI,
+};
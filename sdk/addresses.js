@@ -0,0 +1,45 @@
+/**
+ * Per-network contract address resolution
+ *
+ * Addresses come from deployment manifests (deployments/<chainId>.json)
+ * passed in by the caller, and can be overridden (or supplied entirely) with
+ * explicit addresses. Nothing here touches the file system, so the SDK can be
+ * bundled for the browser; bundlers import the manifests as JSON, and Node
+ * code can load them with sdk/node.js.
+ */
+
+const CONTRACTS = ["TAPv2", "Staking", "Vesting"];
+
+/**
+ * @typedef {object} SuiteAddresses
+ * @property {string} TAPv2 TAPv2 token address
+ * @property {string} Staking Staking contract address
+ * @property {string} Vesting Vesting contract address
+ */
+
+/**
+ * Resolve suite addresses for a chain
+ * @param {bigint|number} chainId Chain id
+ * @param {object} [options]
+ * @param {Partial<SuiteAddresses>} [options.addresses] Explicit addresses (take precedence)
+ * @param {Object<string, object>} [options.manifests] Deployment manifests by chain id
+ * @returns {SuiteAddresses}
+ */
+function resolveAddresses(chainId, options = {}) {
+    const overrides = options.addresses || {};
+    const manifest = (options.manifests || {})[chainId.toString()] || { contracts: {} };
+
+    const addresses = {};
+    for (const name of CONTRACTS) {
+        const address = overrides[name] || (manifest.contracts[name] && manifest.contracts[name].address);
+        if (!address) {
+            throw new Error(`No ${name} address for chain ${chainId}; pass its deployment manifest or addresses`);
+        }
+        addresses[name] = address;
+    }
+    return addresses;
+}
+
+module.exports = {
+    resolveAddresses,
+};
@@ -0,0 +1,472 @@
+/**
+ * TAP JavaScript SDK
+ *
+ * Thin ethers v6 wrapper around TAPv2, Staking and Vesting for the dApp and
+ * backend services. This entry has no Node-only dependencies; sdk/node.js
+ * adds loading deployment manifests from disk.
+ *
+ * Usage:
+ *   const { TAPClient } = require("tap-token");
+ *   const manifest = require("tap-token/deployments/56.json");
+ *   const client = await TAPClient.connect(signer, { manifests: { 56: manifest } });
+ *   const { amount, pending } = await client.getStakeInfo(address);
+ *   await client.stake(ethers.parseEther("1000"));
+ *   await client.stakeWithPermit(ethers.parseEther("1000")); // one transaction
+ */
+
+const { ethers } = require("ethers");
+const { TAPV2_ABI, STAKING_ABI, VESTING_ABI } = require("./abis");
+const { resolveAddresses } = require("./addresses");
+const { buildPermit, signPermit } = require("./permit");
+
+/** Default permit lifetime in seconds */
+const PERMIT_TTL = 60 * 60;
+
+/**
+ * @typedef {object} StakeInfo
+ * @property {bigint} amount Staked amount
+ * @property {bigint} pending Unclaimed rewards
+ */
+
+/**
+ * @typedef {object} TierInfo
+ * @property {number} id Tier id
+ * @property {number} lockDuration Lock period in seconds
+ * @property {bigint} multiplierBps Reward multiplier (10000 = 1x)
+ * @property {bigint} penaltyBps Early withdrawal penalty
+ * @property {boolean} enabled Whether new positions can use the tier
+ * @property {bigint} apy Current APY percentage for a new position in this tier
+ */
+
+/**
+ * @typedef {object} PositionInfo
+ * @property {number} id Position id
+ * @property {number} tierId Tier the position was opened with
+ * @property {bigint} amount Principal
+ * @property {bigint} weight Reward weight
+ * @property {bigint} penaltyBps Early withdrawal penalty
+ * @property {number} startTime Opening timestamp
+ * @property {number} unlockTime When the position can be withdrawn without penalty
+ * @property {boolean} withdrawn Whether the position is closed
+ */
+
+/**
+ * @typedef {object} WithdrawQuote
+ * @property {bigint} amount Position principal
+ * @property {bigint} penalty Penalty deducted if withdrawn at `timestamp`
+ * @property {bigint} received Amount returned to the staker
+ * @property {boolean} early Whether the position is still locked
+ */
+
+/**
+ * @typedef {object} ScheduleInfo
+ * @property {number} index Schedule index in the beneficiary's list
+ * @property {bigint} tokenId Vesting NFT representing the schedule
+ * @property {bigint} totalAmount Total tokens in the schedule
+ * @property {bigint} releasedAmount Tokens already released
+ * @property {bigint} staked Unreleased tokens staked in Staking
+ * @property {number} startTime Vesting start timestamp
+ * @property {number} cliffDuration Cliff in seconds
+ * @property {number} vestingDuration Vesting duration in seconds
+ * @property {bigint} tgeBps Share unlocked at start (basis points)
+ * @property {number} stepDuration Unlock step in seconds (0 = linear)
+ * @property {bigint} vested Tokens vested so far
+ * @property {bigint} releasable Tokens releasable now
+ * @property {boolean} revoked Whether the schedule was revoked
+ */
+
+/**
+ * @typedef {object} PauseStatus
+ * @property {boolean} transfers TAPv2 transfers are paused (Staking and Vesting payouts still go through)
+ * @property {boolean} staking New stakes are paused (withdrawals and claims stay open)
+ * @property {boolean} vesting New schedules are paused (releases stay open)
+ */
+
+/**
+ * @typedef {object} TransferQuote
+ * @property {bigint} amount Amount sent
+ * @property {bigint} fee Total transfer fee
+ * @property {bigint} burn Part of the fee burned in transit
+ * @property {bigint} treasury Part of the fee sent to the treasury
+ * @property {bigint} staking Part of the fee added to the Staking reward pool
+ * @property {bigint} received Amount the recipient receives
+ * @property {boolean} burnApplied Whether a transfer fee applies (kept under its old name)
+ */
+
+class TAPClient {
+    /**
+     * @param {import("ethers").ContractRunner} runner Signer or provider
+     * @param {import("./addresses").SuiteAddresses} addresses Contract addresses
+     */
+    constructor(runner, addresses) {
+        this.runner = runner;
+        this.addresses = addresses;
+        this.token = new ethers.Contract(addresses.TAPv2, TAPV2_ABI, runner);
+        this.staking = new ethers.Contract(addresses.Staking, STAKING_ABI, runner);
+        this.vesting = new ethers.Contract(addresses.Vesting, VESTING_ABI, runner);
+    }
+
+    /**
+     * Create a client, resolving addresses for the runner's network
+     * @param {import("ethers").ContractRunner} runner Signer or provider
+     * @param {object} [options] See resolveAddresses
+     * @returns {Promise<TAPClient>}
+     */
+    static async connect(runner, options = {}) {
+        const provider = runner.provider || runner;
+        const chainId = options.chainId || (await provider.getNetwork()).chainId;
+        return new TAPClient(runner, resolveAddresses(chainId, options));
+    }
+
+    /**
+     * Address of the connected signer
+     */
+    async _signerAddress() {
+        if (!this.runner.getAddress) {
+            throw new Error("A signer is required for transactions");
+        }
+        return this.runner.getAddress();
+    }
+
+    // ========== Token ==========
+
+    /**
+     * @returns {Promise<bigint>} Total supply minus tokens held by the dead address
+     */
+    async circulatingSupply() {
+        return this.token.circulatingSupply();
+    }
+
+    /**
+     * @returns {Promise<bigint>} Tokens burned by burn-on-transfer (TAPv2.totalBurned)
+     */
+    async totalBurned() {
+        return this.token.totalBurned();
+    }
+
+    /**
+     * @returns {Promise<bigint>} Early withdrawal penalties Staking burned (Staking.totalPenaltiesBurned)
+     */
+    async penaltiesBurned() {
+        return this.staking.totalPenaltiesBurned();
+    }
+
+    /**
+     * @returns {Promise<bigint>} Everything burned: totalBurned plus penaltiesBurned
+     */
+    async burnedSupply() {
+        const [fees, penalties] = await Promise.all([this.totalBurned(), this.penaltiesBurned()]);
+        return fees + penalties;
+    }
+
+    /**
+     * What the guardians have paused across the suite
+     * @returns {Promise<PauseStatus>}
+     */
+    async getPauseStatus() {
+        const [transfers, staking, vesting] = await Promise.all([
+            this.token.paused(),
+            this.staking.paused(),
+            this.vesting.paused(),
+        ]);
+        return { transfers, staking, vesting };
+    }
+
+    /**
+     * Predict what the recipient of a transfer receives
+     * @param {string} from Sender
+     * @param {string} to Recipient
+     * @param {bigint} amount Amount sent
+     * @returns {Promise<TransferQuote>}
+     */
+    async quoteTransfer(from, to, amount) {
+        const [burn, treasury, staking] = await this.token.quoteTransferFee(from, to, amount);
+        const fee = burn + treasury + staking;
+        return { amount, fee, burn, treasury, staking, received: amount - fee, burnApplied: fee > 0n };
+    }
+
+    // ========== Staking ==========
+
+    /**
+     * @param {string} user Staker address
+     * @returns {Promise<StakeInfo>}
+     */
+    async getStakeInfo(user) {
+        const [amount, pending] = await this.staking.getStakeInfo(user);
+        return { amount, pending };
+    }
+
+    /**
+     * @param {string} user Staker address
+     * @returns {Promise<bigint>} Unclaimed rewards
+     */
+    async pendingRewards(user) {
+        return this.staking.pendingRewards(user);
+    }
+
+    /**
+     * Approve (if the allowance is short) and stake in one call
+     * @param {bigint} amount Amount to stake
+     * @returns {Promise<import("ethers").TransactionReceipt>} Stake receipt
+     */
+    async stake(amount) {
+        const owner = await this._signerAddress();
+        const allowance = await this.token.allowance(owner, this.addresses.Staking);
+        if (allowance < amount) {
+            await (await this.token.approve(this.addresses.Staking, amount)).wait();
+        }
+        return (await this.staking.stake(amount)).wait();
+    }
+
+    /**
+     * Stake in a single transaction using an EIP-2612 permit
+     * @param {bigint} amount Amount to stake
+     * @param {object} [options]
+     * @param {number} [options.deadline] Permit deadline (default: one hour from the latest block)
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async stakeWithPermit(amount, options = {}) {
+        const { deadline, v, r, s } = await this._signStakingPermit(amount, options.deadline);
+        return (await this.staking.stakeWithPermit(amount, deadline, v, r, s)).wait();
+    }
+
+    /**
+     * Open a locked position in a single transaction using an EIP-2612 permit
+     * @param {bigint} amount Amount to stake
+     * @param {number} tierId Lock tier
+     * @param {object} [options]
+     * @param {number} [options.deadline] Permit deadline (default: one hour from the latest block)
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async stakeLockedWithPermit(amount, tierId, options = {}) {
+        const { deadline, v, r, s } = await this._signStakingPermit(amount, options.deadline);
+        return (await this.staking.stakeLockedWithPermit(amount, tierId, deadline, v, r, s)).wait();
+    }
+
+    /**
+     * Sign a permit for Staking to pull `amount`
+     */
+    async _signStakingPermit(amount, deadline) {
+        await this._signerAddress();
+        if (deadline === undefined) {
+            const latest = await this.runner.provider.getBlock("latest");
+            deadline = latest.timestamp + PERMIT_TTL;
+        }
+        return signPermit(this.runner, this.addresses.TAPv2, this.addresses.Staking, amount, deadline);
+    }
+
+    /**
+     * Lock tiers with the APY a new position would currently earn
+     * @returns {Promise<TierInfo[]>}
+     */
+    async getTiers() {
+        const tiers = await this.staking.getTiers();
+        return Promise.all(tiers.map(async (tier, id) => ({
+            id,
+            lockDuration: Number(tier.lockDuration),
+            multiplierBps: tier.multiplierBps,
+            penaltyBps: tier.penaltyBps,
+            enabled: tier.enabled,
+            apy: await this.staking.getTierAPY(id),
+        })));
+    }
+
+    /**
+     * Locked positions of a staker, including closed ones
+     * @param {string} user Staker address
+     * @returns {Promise<PositionInfo[]>}
+     */
+    async getPositions(user) {
+        const positions = await this.staking.getPositions(user);
+        return positions.map((position, id) => ({
+            id,
+            tierId: Number(position.tierId),
+            amount: position.amount,
+            weight: position.weight,
+            penaltyBps: position.penaltyBps,
+            startTime: Number(position.startTime),
+            unlockTime: Number(position.unlockTime),
+            withdrawn: position.withdrawn,
+        }));
+    }
+
+    /**
+     * Approve (if the allowance is short) and open a locked position
+     * @param {bigint} amount Amount to stake
+     * @param {number} tierId Lock tier
+     * @returns {Promise<import("ethers").TransactionReceipt>} Stake receipt
+     */
+    async stakeLocked(amount, tierId) {
+        const owner = await this._signerAddress();
+        const allowance = await this.token.allowance(owner, this.addresses.Staking);
+        if (allowance < amount) {
+            await (await this.token.approve(this.addresses.Staking, amount)).wait();
+        }
+        return (await this.staking.stakeLocked(amount, tierId)).wait();
+    }
+
+    /**
+     * Predict what withdrawing a position returns
+     * @param {string} user Staker address
+     * @param {number} positionId Position id
+     * @param {number} [timestamp] Withdrawal time (defaults to the latest block)
+     * @returns {Promise<WithdrawQuote>}
+     */
+    async quoteWithdrawPosition(user, positionId, timestamp) {
+        const positions = await this.getPositions(user);
+        const position = positions[positionId];
+        if (!position || position.withdrawn) {
+            throw new Error(`No open position ${positionId} for ${user}`);
+        }
+
+        if (timestamp === undefined) {
+            const provider = this.runner.provider || this.runner;
+            timestamp = (await provider.getBlock("latest")).timestamp;
+        }
+
+        const early = timestamp < position.unlockTime;
+        const penalty = early ? (position.amount * position.penaltyBps) / 10000n : 0n;
+        return { amount: position.amount, penalty, received: position.amount - penalty, early };
+    }
+
+    /**
+     * Close a locked position (paying the penalty if it is still locked)
+     * @param {number} positionId Position id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async withdrawPosition(positionId) {
+        return (await this.staking.withdrawPosition(positionId)).wait();
+    }
+
+    /**
+     * Withdraw the flexible stake and unlocked positions, and claim rewards
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async exit() {
+        return (await this.staking.exit()).wait();
+    }
+
+    // ========== Vesting ==========
+
+    /**
+     * All schedules of a beneficiary with their vested and releasable amounts.
+     * Slots left empty by schedules transferred away are skipped.
+     * @param {string} beneficiary Beneficiary address
+     * @returns {Promise<ScheduleInfo[]>}
+     */
+    async getSchedules(beneficiary) {
+        const count = Number(await this.vesting.getScheduleCount(beneficiary));
+        const indexes = Array.from({ length: count }, (_, i) => i);
+
+        const schedules = await Promise.all(indexes.map(async (index) => {
+            const [schedule, tokenId, vested, releasable] = await Promise.all([
+                this.vesting.vestingSchedules(beneficiary, index),
+                this.vesting.scheduleTokenId(beneficiary, index),
+                this.vesting.vestedAmount(beneficiary, index),
+                this.vesting.releasableAmount(beneficiary, index),
+            ]);
+            const staked = await this.vesting.stakedAmount(tokenId);
+            return {
+                index,
+                tokenId,
+                totalAmount: schedule.totalAmount,
+                releasedAmount: schedule.releasedAmount,
+                staked,
+                startTime: Number(schedule.startTime),
+                cliffDuration: Number(schedule.cliffDuration),
+                vestingDuration: Number(schedule.vestingDuration),
+                tgeBps: schedule.tgeBps,
+                stepDuration: Number(schedule.stepDuration),
+                vested,
+                // releaseAll skips revoked schedules, so they are never releasable
+                releasable: schedule.revoked ? 0n : releasable,
+                revoked: schedule.revoked,
+            };
+        }));
+        return schedules.filter((schedule) => schedule.tokenId !== 0n);
+    }
+
+    /**
+     * @param {string} beneficiary Beneficiary address
+     * @returns {Promise<bigint>} Vested amount summed across all schedules
+     */
+    async vestedAmount(beneficiary) {
+        const schedules = await this.getSchedules(beneficiary);
+        return schedules.reduce((sum, schedule) => sum + schedule.vested, 0n);
+    }
+
+    /**
+     * @param {string} beneficiary Beneficiary address
+     * @returns {Promise<bigint>} Amount releaseAll would pay out now
+     */
+    async releasableAmount(beneficiary) {
+        const schedules = await this.getSchedules(beneficiary);
+        return schedules.reduce((sum, schedule) => sum + schedule.releasable, 0n);
+    }
+
+    /**
+     * Release every vested token across all of the signer's schedules
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async releaseAll() {
+        return (await this.vesting.releaseAll()).wait();
+    }
+
+    /**
+     * Transfer one of the signer's schedules (its vesting NFT) to another
+     * holder. Subject to the contract's transfer policy.
+     * @param {string} to Recipient
+     * @param {bigint|number} tokenId Vesting NFT id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async transferSchedule(to, tokenId) {
+        const from = await this._signerAddress();
+        return (await this.vesting.safeTransferFrom(from, to, tokenId)).wait();
+    }
+
+    /**
+     * Stake unreleased tokens of one of the signer's schedules. They keep
+     * vesting; releases unstake what they need. While Vesting has nothing
+     * staked, the amount must be at least Staking's 100 TAP minimum.
+     * @param {number} scheduleIndex Schedule index
+     * @param {bigint} amount Amount to stake
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async stakeUnreleased(scheduleIndex, amount) {
+        return (await this.vesting.stakeUnreleased(scheduleIndex, amount)).wait();
+    }
+
+    /**
+     * Move staked tokens of one of the signer's schedules back into Vesting
+     * @param {number} scheduleIndex Schedule index
+     * @param {bigint} amount Amount to unstake
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async unstakeUnreleased(scheduleIndex, amount) {
+        return (await this.vesting.unstakeUnreleased(scheduleIndex, amount)).wait();
+    }
+
+    /**
+     * @param {string} beneficiary Beneficiary address
+     * @returns {Promise<bigint>} Staking rewards earned by the beneficiary's staked schedules
+     */
+    async pendingStakingRewards(beneficiary) {
+        return this.vesting.pendingStakingRewards(beneficiary);
+    }
+
+    /**
+     * Claim the staking rewards of all of the signer's schedules
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async claimStakingRewards() {
+        return (await this.vesting.claimStakingRewards()).wait();
+    }
+}
+
+module.exports = {
+    TAPClient,
+    resolveAddresses,
+    buildPermit,
+    signPermit,
+    abis: require("./abis"),
+};
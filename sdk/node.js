@@ -0,0 +1,37 @@
+/**
+ * TAP JavaScript SDK for Node
+ *
+ * The SDK, plus loading deployment manifests from disk. Kept out of
+ * sdk/index.js so the browser bundle does not pull in fs.
+ *
+ * Usage:
+ *   const { TAPClient, loadManifests } = require("tap-token/sdk/node");
+ *   const client = await TAPClient.connect(signer, { manifests: loadManifests() });
+ */
+
+const fs = require("fs");
+const { readManifest, DEFAULT_DEPLOYMENTS_DIR } = require("../scripts/lib/deployments");
+
+/**
+ * Every deployment manifest in a directory, by chain id
+ * @param {string} [dir] Deployments directory (defaults to deployments/)
+ * @returns {Object<string, object>}
+ */
+function loadManifests(dir = DEFAULT_DEPLOYMENTS_DIR) {
+    const manifests = {};
+    if (!fs.existsSync(dir)) {
+        return manifests;
+    }
+    for (const file of fs.readdirSync(dir)) {
+        const match = /^(\d+)\.json$/.exec(file);
+        if (match) {
+            manifests[match[1]] = readManifest(match[1], dir);
+        }
+    }
+    return manifests;
+}
+
+module.exports = {
+    ...require("./index"),
+    loadManifests,
+};
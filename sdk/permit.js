@@ -0,0 +1,106 @@
+/**
+ * EIP-2612 Permits
+ *
+ * Builds and signs TAPv2 permit payloads so approvals can ride along with
+ * Staking and Vesting calls (stakeWithPermit, createVestingWithPermit, ...)
+ * instead of needing a separate approve transaction.
+ */
+
+const { ethers } = require("ethers");
+const { TAPV2_ABI } = require("./abis");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * @typedef {object} PermitSignature
+ * @property {bigint} value Approved amount
+ * @property {bigint} deadline Last timestamp the permit is valid
+ * @property {number} v
+ * @property {string} r
+ * @property {string} s
+ */
+
+/**
+ * Build the EIP-712 typed data of a permit
+ * @param {object} params
+ * @param {string} params.token Token address
+ * @param {string} params.name Token EIP-712 name
+ * @param {string} [params.version] Token EIP-712 version (default "1")
+ * @param {bigint|number} params.chainId Chain the permit is valid on
+ * @param {string} params.owner Token holder
+ * @param {string} params.spender Approved spender
+ * @param {bigint} params.value Approved amount
+ * @param {bigint} params.nonce Holder's current permit nonce
+ * @param {bigint|number} params.deadline Last timestamp the permit is valid
+ * @returns {{ domain: object, types: object, message: object }}
+ */
+function buildPermit(params) {
+    return {
+        domain: {
+            name: params.name,
+            version: params.version || "1",
+            chainId: BigInt(params.chainId),
+            verifyingContract: params.token,
+        },
+        types: PERMIT_TYPES,
+        message: {
+            owner: params.owner,
+            spender: params.spender,
+            value: BigInt(params.value),
+            nonce: BigInt(params.nonce),
+            deadline: BigInt(params.deadline),
+        },
+    };
+}
+
+/**
+ * Sign a permit for `spender` with the signer's current nonce
+ * @param {import("ethers").Signer} signer Token holder
+ * @param {string} token Token address
+ * @param {string} spender Approved spender (e.g. the Staking address)
+ * @param {bigint} value Approved amount
+ * @param {bigint|number} deadline Last timestamp the permit is valid
+ * @param {object} [options]
+ * @param {bigint|number} [options.chainId] Defaults to the signer's network
+ * @param {bigint} [options.nonce] Defaults to the token's nonces(owner)
+ * @returns {Promise<PermitSignature>}
+ */
+async function signPermit(signer, token, spender, value, deadline, options = {}) {
+    const contract = new ethers.Contract(token, TAPV2_ABI, signer);
+    const owner = await signer.getAddress();
+
+    const [domain, nonce, chainId] = await Promise.all([
+        contract.eip712Domain(),
+        options.nonce === undefined ? contract.nonces(owner) : options.nonce,
+        options.chainId === undefined ? signer.provider.getNetwork().then((network) => network.chainId) : options.chainId,
+    ]);
+
+    const payload = buildPermit({
+        token,
+        name: domain.name,
+        version: domain.version,
+        chainId,
+        owner,
+        spender,
+        value,
+        nonce,
+        deadline,
+    });
+    const signature = ethers.Signature.from(await signer.signTypedData(payload.domain, payload.types, payload.message));
+
+    return { value: BigInt(value), deadline: BigInt(deadline), v: signature.v, r: signature.r, s: signature.s };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    buildPermit,
+    signPermit,
+};
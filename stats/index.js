@@ -0,0 +1,179 @@
+/**
+ * TAP Token Stats
+ *
+ * Supply figures for listing sites and the dashboard, read from the chain:
+ *
+ *   totalSupply        TAPv2.totalSupply
+ *   feesBurned         TAPv2.totalBurned (fees sent to the dead address)
+ *   penaltiesBurned    Staking.totalPenaltiesBurned (penalties sent there)
+ *   burnedSupply       feesBurned + penaltiesBurned
+ *   lockedSupply       Vesting.totalLocked
+ *   stakedSupply       Staking.totalStaked
+ *   circulatingSupply  TAPv2.circulatingSupply (supply outside the dead
+ *                      address), minus lockedSupply, minus the balances of
+ *                      the excluded treasury/team addresses
+ *   apy                Staking.getCurrentAPY (percent, flexible stake)
+ *
+ * Staked tokens count as circulating: stakers can withdraw them at any time.
+ * The exception is unreleased vesting tokens that Vesting stakes for its
+ * beneficiaries: they are in both lockedSupply and stakedSupply, and stay out
+ * of circulatingSupply.
+ *
+ * All figures are read together at one block and cached for `ttlMs`, so a
+ * burst of requests costs one round of RPC calls. Concurrent requests for an
+ * expired snapshot share the same refresh.
+ */
+
+const { ethers } = require("ethers");
+const { TAPV2_ABI, STAKING_ABI, VESTING_ABI } = require("../sdk/abis");
+
+const DECIMALS = 18;
+
+/**
+ * Format a token amount with all 18 decimals ("1.500000000000000000")
+ * @param {bigint} amount Amount in wei
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    const negative = amount < 0n;
+    const digits = (negative ? -amount : amount).toString().padStart(DECIMALS + 1, "0");
+    const whole = digits.slice(0, -DECIMALS);
+    return `${negative ? "-" : ""}${whole}.${digits.slice(-DECIMALS)}`;
+}
+
+/**
+ * @typedef {object} StatsSnapshot
+ * @property {bigint} totalSupply
+ * @property {bigint} circulatingSupply
+ * @property {bigint} feesBurned TAPv2.totalBurned
+ * @property {bigint} penaltiesBurned Staking.totalPenaltiesBurned
+ * @property {bigint} burnedSupply feesBurned + penaltiesBurned
+ * @property {bigint} lockedSupply
+ * @property {bigint} stakedSupply
+ * @property {bigint} apy APY percentage
+ * @property {Object<string, bigint>} excluded Balance of each excluded address
+ * @property {number} blockNumber Block the figures were read at
+ * @property {number} timestamp Block timestamp
+ * @property {number} fetchedAt When the snapshot was taken (ms, service clock)
+ */
+
+class TokenStats {
+    /**
+     * @param {object} options
+     * @param {import("ethers").Provider} options.provider JSON-RPC provider
+     * @param {{ TAPv2: string, Staking: string, Vesting: string }} options.addresses Contract addresses
+     * @param {string[]} [options.excluded] Treasury/team addresses left out of circulating supply
+     * @param {number} [options.ttlMs] How long a snapshot is served before it is re-read (default 30s)
+     * @param {function(): number} [options.clock] Current time in ms (defaults to Date.now)
+     */
+    constructor(options) {
+        this.provider = options.provider;
+        this.tapv2 = new ethers.Contract(options.addresses.TAPv2, TAPV2_ABI, options.provider);
+        this.staking = new ethers.Contract(options.addresses.Staking, STAKING_ABI, options.provider);
+        this.vesting = new ethers.Contract(options.addresses.Vesting, VESTING_ABI, options.provider);
+        this.excluded = [...new Set((options.excluded || []).map((address) => ethers.getAddress(address)))];
+        this.ttlMs = options.ttlMs === undefined ? 30000 : options.ttlMs;
+        this.clock = options.clock || Date.now;
+
+        this.snapshot = undefined;
+        this.pending = undefined;
+    }
+
+    /**
+     * Current figures, from the cache while it is fresh
+     * @returns {Promise<StatsSnapshot>}
+     */
+    async get() {
+        if (this.snapshot && this.clock() - this.snapshot.fetchedAt < this.ttlMs) {
+            return this.snapshot;
+        }
+        if (!this.pending) {
+            this.pending = this._read()
+                .then((snapshot) => {
+                    this.snapshot = snapshot;
+                    return snapshot;
+                })
+                .finally(() => {
+                    this.pending = undefined;
+                });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Drop the cached snapshot so the next get() reads the chain
+     */
+    invalidate() {
+        this.snapshot = undefined;
+    }
+
+    /**
+     * Read every figure at the latest block
+     */
+    async _read() {
+        const fetchedAt = this.clock();
+        const block = await this.provider.getBlock("latest");
+        const blockTag = block.number;
+
+        const [totalSupply, outsideDead, feesBurned, penaltiesBurned, lockedSupply, stakedSupply, apy, balances] = await Promise.all([
+            this.tapv2.totalSupply({ blockTag }),
+            this.tapv2.circulatingSupply({ blockTag }),
+            this.tapv2.totalBurned({ blockTag }),
+            this.staking.totalPenaltiesBurned({ blockTag }),
+            this.vesting.totalLocked({ blockTag }),
+            this.staking.totalStaked({ blockTag }),
+            this.staking.getCurrentAPY({ blockTag }),
+            Promise.all(this.excluded.map((address) => this.tapv2.balanceOf(address, { blockTag }))),
+        ]);
+
+        const excluded = {};
+        this.excluded.forEach((address, i) => {
+            excluded[address] = balances[i];
+        });
+        const excludedTotal = balances.reduce((sum, balance) => sum + balance, 0n);
+
+        return {
+            totalSupply,
+            circulatingSupply: outsideDead - lockedSupply - excludedTotal,
+            feesBurned,
+            penaltiesBurned,
+            burnedSupply: feesBurned + penaltiesBurned,
+            lockedSupply,
+            stakedSupply,
+            apy,
+            excluded,
+            blockNumber: block.number,
+            timestamp: block.timestamp,
+            fetchedAt,
+        };
+    }
+}
+
+/**
+ * JSON form of a snapshot: amounts as 18-decimal strings
+ * @param {StatsSnapshot} snapshot
+ * @returns {object}
+ */
+function snapshotToJson(snapshot) {
+    return {
+        totalSupply: formatAmount(snapshot.totalSupply),
+        circulatingSupply: formatAmount(snapshot.circulatingSupply),
+        feesBurned: formatAmount(snapshot.feesBurned),
+        penaltiesBurned: formatAmount(snapshot.penaltiesBurned),
+        burnedSupply: formatAmount(snapshot.burnedSupply),
+        lockedSupply: formatAmount(snapshot.lockedSupply),
+        stakedSupply: formatAmount(snapshot.stakedSupply),
+        apy: Number(snapshot.apy),
+        excluded: Object.fromEntries(
+            Object.entries(snapshot.excluded).map(([address, balance]) => [address, formatAmount(balance)])
+        ),
+        blockNumber: snapshot.blockNumber,
+        timestamp: snapshot.timestamp,
+    };
+}
+
+module.exports = {
+    TokenStats,
+    formatAmount,
+    snapshotToJson,
+};
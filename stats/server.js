@@ -0,0 +1,86 @@
+/**
+ * TAP Token Stats HTTP Server
+ *
+ * GET /stats                 Every figure as JSON
+ * GET /total-supply          Plain-text numbers with 18 decimals,
+ * GET /circulating-supply    the format CoinGecko and CoinMarketCap
+ * GET /total-burned          expect for supply endpoints (fee burns,
+ * GET /penalties-burned      burned staking penalties and their sum)
+ * GET /burned-supply
+ * GET /locked-supply
+ * GET /staked-supply
+ * GET /apy                   Plain-text integer percentage
+ *
+ * Responses allow any origin so the dashboard can call the service
+ * directly. A failed RPC read answers 502 and is retried on the next request.
+ */
+
+const http = require("http");
+const { formatAmount, snapshotToJson } = require("./index");
+
+// Plain-text endpoints and the snapshot field each one serves
+const TEXT_ROUTES = {
+    "/total-supply": (snapshot) => formatAmount(snapshot.totalSupply),
+    "/circulating-supply": (snapshot) => formatAmount(snapshot.circulatingSupply),
+    "/total-burned": (snapshot) => formatAmount(snapshot.feesBurned),
+    "/penalties-burned": (snapshot) => formatAmount(snapshot.penaltiesBurned),
+    "/burned-supply": (snapshot) => formatAmount(snapshot.burnedSupply),
+    "/locked-supply": (snapshot) => formatAmount(snapshot.lockedSupply),
+    "/staked-supply": (snapshot) => formatAmount(snapshot.stakedSupply),
+    "/apy": (snapshot) => snapshot.apy.toString(),
+};
+
+/**
+ * Create (but do not start) the stats server
+ * @param {import("./index").TokenStats} stats Stats source
+ * @param {object} [options]
+ * @param {Function} [options.log] Logger for failed reads (defaults to console.error)
+ * @returns {http.Server}
+ */
+function createStatsServer(stats, options = {}) {
+    const log = options.log || console.error;
+    const maxAge = Math.floor(stats.ttlMs / 1000);
+
+    return http.createServer(async (req, res) => {
+        const send = (status, contentType, body) => {
+            res.writeHead(status, {
+                "Content-Type": contentType,
+                "Access-Control-Allow-Origin": "*",
+                "Cache-Control": status === 200 ? `public, max-age=${maxAge}` : "no-store",
+            });
+            res.end(req.method === "HEAD" ? undefined : body);
+        };
+        const sendJson = (status, body) => send(status, "application/json; charset=utf-8", JSON.stringify(body) + "\n");
+
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            sendJson(405, { error: "Method not allowed" });
+            return;
+        }
+        const { pathname } = new URL(req.url, "http://localhost");
+        const route = pathname.replace(/\/+$/, "") || "/";
+        if (route !== "/stats" && !TEXT_ROUTES[route]) {
+            sendJson(404, { error: "Not found", endpoints: ["/stats", ...Object.keys(TEXT_ROUTES)] });
+            return;
+        }
+
+        let snapshot;
+        try {
+            snapshot = await stats.get();
+        } catch (error) {
+            log(`Stats read failed: ${error.shortMessage || error.message}`);
+            sendJson(502, { error: "Chain read failed" });
+            return;
+        }
+
+        if (route === "/stats") {
+            sendJson(200, snapshotToJson(snapshot));
+        } else {
+            send(200, "text/plain; charset=utf-8", TEXT_ROUTES[route](snapshot));
+        }
+    });
+}
+
+module.exports = {
+    TEXT_ROUTES,
+    createStatsServer,
+};
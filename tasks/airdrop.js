@@ -0,0 +1,124 @@
+/**
+ * Airdrop Hardhat Tasks
+ *
+ * airdrop:build  - Build the Merkle tree and per-address proofs from a CSV or JSON list
+ * airdrop:verify - Verify every proof in an airdrop JSON locally
+ * airdrop:deploy - Deploy a MerkleDistributor for an airdrop JSON and fund it
+ *
+ * Usage:
+ *   npx hardhat airdrop:build --file community.csv --out airdrop.json
+ *   npx hardhat airdrop:verify --file airdrop.json
+ *   npx hardhat airdrop:deploy --file airdrop.json --claim-period 90d --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("airdrop:build", "Build a Merkle airdrop from a CSV or JSON recipient list")
+    .addParam("file", "CSV or JSON file with address, amount rows")
+    .addOptionalParam("out", "Output JSON with root and proofs", "airdrop.json", types.string)
+    .setAction(async (args) => {
+        const {
+            readRecipients,
+            validateRecipients,
+            buildTree,
+            writeDistribution,
+            verifyDistribution,
+        } = require("../scripts/lib/merkle");
+        const { formatEther } = require("ethers");
+
+        const { recipients, errors } = validateRecipients(readRecipients(args.file));
+        if (errors.length > 0) {
+            errors.forEach((error) => console.error(`- ${error}`));
+            throw new Error(`${errors.length} invalid row(s); nothing written`);
+        }
+
+        const distribution = buildTree(recipients);
+        const problems = verifyDistribution(distribution);
+        if (problems.length > 0) {
+            throw new Error(`Built tree failed verification: ${problems[0]}`);
+        }
+
+        writeDistribution(distribution, args.out);
+        console.log(`Root:       ${distribution.root}`);
+        console.log(`Recipients: ${distribution.count}`);
+        console.log(`Total:      ${formatEther(distribution.total)} TAP`);
+        console.log(`Written to ${args.out}`);
+        return distribution;
+    });
+
+task("airdrop:verify", "Verify every proof in an airdrop JSON")
+    .addParam("file", "Airdrop JSON from airdrop:build")
+    .addOptionalParam("address", "Only check this address", undefined, types.string)
+    .setAction(async (args) => {
+        const { readDistribution, verifyClaim, verifyDistribution } = require("../scripts/lib/merkle");
+        const { getAddress, formatEther } = require("ethers");
+
+        const distribution = readDistribution(args.file);
+
+        if (args.address) {
+            const address = getAddress(args.address);
+            const claim = distribution.claims[address];
+            if (!claim) {
+                throw new Error(`${address} is not in this airdrop`);
+            }
+            const valid = verifyClaim(distribution.root, address, claim);
+            console.log(`${address}: index ${claim.index}, ${formatEther(claim.amount)} TAP, proof ${valid ? "valid" : "INVALID"}`);
+            if (!valid) {
+                process.exitCode = 1;
+            }
+            return valid;
+        }
+
+        const problems = verifyDistribution(distribution);
+        problems.forEach((problem) => console.error(`- ${problem}`));
+        console.log(`${distribution.count} claim(s) checked against ${distribution.root}: ${problems.length === 0 ? "ok" : `${problems.length} problem(s)`}`);
+        if (problems.length > 0) {
+            process.exitCode = 1;
+        }
+        return problems.length === 0;
+    });
+
+task("airdrop:deploy", "Deploy and fund a MerkleDistributor for an airdrop JSON")
+    .addParam("file", "Airdrop JSON from airdrop:build")
+    .addOptionalParam("claimPeriod", "How long claims stay open (e.g. 90d)", "90d", types.string)
+    .addFlag("noFund", "Deploy without transferring the airdrop total")
+    .setAction(async (args, hre) => {
+        const { readDistribution, verifyDistribution } = require("../scripts/lib/merkle");
+        const { getDeployedContract, readManifest, writeManifest, recordDeployment } = require("../scripts/lib/deployments");
+        const { parseDuration } = require("../scripts/lib/duration");
+        const { ethers } = hre;
+
+        const distribution = readDistribution(args.file);
+        const problems = verifyDistribution(distribution);
+        if (problems.length > 0) {
+            throw new Error(`Airdrop JSON failed verification: ${problems[0]}`);
+        }
+
+        const tapv2 = await getDeployedContract(hre, "TAPv2");
+        const latest = await ethers.provider.getBlock("latest");
+        const deadline = latest.timestamp + parseDuration(args.claimPeriod);
+        const constructorArgs = [await tapv2.getAddress(), distribution.root, deadline];
+
+        const distributor = await ethers.deployContract("MerkleDistributor", constructorArgs);
+        await distributor.waitForDeployment();
+        const address = await distributor.getAddress();
+        console.log(`MerkleDistributor: ${address}`);
+        console.log(`Claims close ${new Date(deadline * 1000).toISOString()}`);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const manifest = readManifest(chainId);
+        manifest.network = hre.network.name;
+        await recordDeployment(hre, manifest, "MerkleDistributor", distributor, constructorArgs);
+        writeManifest(manifest);
+
+        // Claims must pay out in full
+        await (await tapv2.setExcludedFromBurn(address, true)).wait();
+        console.log("Excluded from burn");
+
+        if (!args.noFund) {
+            await (await tapv2.transfer(address, distribution.total)).wait();
+            console.log(`Funded with ${ethers.formatEther(distribution.total)} TAP`);
+        }
+
+        return distributor;
+    });
@@ -0,0 +1,49 @@
+/**
+ * Local Devnet Hardhat Tasks
+ *
+ * devnet:advance - Move chain time forward (rewards accrue, schedules vest)
+ * devnet:mine    - Mine empty blocks (governance voting periods, checkpoints)
+ *
+ * Both only run on the hardhat and localhost networks. Seed the devnet
+ * first with `npm run devnet`.
+ *
+ * Usage:
+ *   npx hardhat devnet:advance --time 30d --network localhost
+ *   npx hardhat devnet:mine --blocks 100 --interval 3 --network localhost
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("devnet:advance", "Move local chain time forward and mine a block")
+    .addParam("time", "How far to advance (e.g. 3600, 12h, 30d)")
+    .addOptionalParam("blocks", "Extra empty blocks to mine afterwards", 0, types.int)
+    .setAction(async (args, hre) => {
+        const { requireLocalNetwork, advanceTime, mineBlocks } = require("../scripts/lib/devnet");
+        const { parseDuration } = require("../scripts/lib/duration");
+        requireLocalNetwork(hre);
+
+        const seconds = parseDuration(args.time);
+        await advanceTime(hre.ethers.provider, seconds);
+        if (args.blocks > 0) {
+            await mineBlocks(hre.ethers.provider, args.blocks);
+        }
+        const block = await hre.ethers.provider.getBlock("latest");
+        console.log(`Advanced ${seconds}s; chain time ${new Date(block.timestamp * 1000).toISOString()}, block ${block.number}`);
+        return block.timestamp;
+    });
+
+task("devnet:mine", "Mine empty blocks on the local chain")
+    .addParam("blocks", "Number of blocks", undefined, types.int)
+    .addOptionalParam("interval", "Seconds between blocks", 1, types.int)
+    .setAction(async (args, hre) => {
+        const { requireLocalNetwork, mineBlocks } = require("../scripts/lib/devnet");
+        requireLocalNetwork(hre);
+        if (args.blocks <= 0 || args.interval <= 0) {
+            throw new Error("--blocks and --interval must be greater than 0");
+        }
+
+        const number = await mineBlocks(hre.ethers.provider, args.blocks, args.interval);
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+        console.log(`Mined ${args.blocks} block(s); block ${number}, chain time ${new Date(timestamp * 1000).toISOString()}`);
+        return number;
+    });
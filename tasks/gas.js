@@ -0,0 +1,81 @@
+/**
+ * Gas Hardhat Tasks
+ *
+ * gas:report - Measure gas for representative calls and compare with the baseline
+ *
+ * Exits with code 1 when any scenario uses more than --tolerance percent
+ * above the committed baseline (gas/baseline.json), so it can gate CI.
+ * After an intentional change, refresh the baseline with --update.
+ *
+ * Usage:
+ *   npx hardhat gas:report
+ *   npx hardhat gas:report --tolerance 2 --out gas-report.md
+ *   npx hardhat gas:report --update
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("gas:report", "Measure gas per function and compare with the committed baseline")
+    .addOptionalParam("baseline", "Baseline file", undefined, types.string)
+    .addOptionalParam("tolerance", "Allowed increase over the baseline in percent", 5, types.float)
+    .addOptionalParam("out", "Also write the Markdown table to this file", undefined, types.string)
+    .addFlag("update", "Write the measured gas as the new baseline")
+    .setAction(async (args, hre) => {
+        const fs = require("fs");
+        const path = require("path");
+        const {
+            DEFAULT_BASELINE,
+            runGasScenarios,
+            readBaseline,
+            writeBaseline,
+            compareGas,
+            formatGasTable,
+        } = require("../scripts/lib/gas-report");
+
+        if (hre.network.name !== "hardhat") {
+            throw new Error("gas:report runs on the in-process hardhat network only");
+        }
+
+        await hre.run("compile", { quiet: true });
+        const file = args.baseline || DEFAULT_BASELINE;
+        const results = await runGasScenarios(hre);
+
+        const baseline = readBaseline(file);
+        const rows = compareGas(results, baseline ? baseline.gas : {}, args.tolerance);
+        const table = formatGasTable(rows);
+        console.log(table);
+
+        // Extra cost of the burn leg of a TAPv2 transfer
+        const excluded = results["TAPv2.transfer (excluded)"];
+        const burned = results["TAPv2.transfer (burn on transfer)"];
+        const overhead = burned - excluded;
+        console.log(`\nBurn-on-transfer overhead: ${overhead} gas (+${((overhead / excluded) * 100).toFixed(1)}%)`);
+
+        if (args.out) {
+            fs.writeFileSync(args.out, table + "\n");
+        }
+
+        if (args.update) {
+            const { version, settings } = hre.config.solidity.compilers[0];
+            writeBaseline(results, { compiler: { version, optimizer: settings.optimizer } }, file);
+            console.log(`Baseline written to ${path.relative(process.cwd(), file)}`);
+            return rows;
+        }
+
+        if (!baseline) {
+            console.log(`No baseline at ${file}; run with --update to create one`);
+            return rows;
+        }
+
+        const regressed = rows.filter((row) => row.status === "regressed");
+        if (regressed.length > 0) {
+            console.log(`\n${regressed.length} scenario(s) regressed by more than ${args.tolerance}%:`);
+            for (const row of regressed) {
+                console.log(`- ${row.name}: ${row.baseline} -> ${row.gas}`);
+            }
+            process.exitCode = 1;
+        } else {
+            console.log(`\nNo regressions beyond ${args.tolerance}%`);
+        }
+        return rows;
+    });
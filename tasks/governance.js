@@ -0,0 +1,213 @@
+/**
+ * Governance Hardhat Tasks
+ *
+ * gov:delegate - Delegate TAPv2 voting power (to yourself by default)
+ * gov:power    - Show an account's voting power: delegated, staked, vested
+ * gov:propose  - Create a proposal calling a suite contract
+ * gov:vote     - Vote for, against or abstain
+ * gov:queue    - Queue a succeeded proposal in the timelock
+ * gov:execute  - Execute a queued proposal after the timelock delay
+ * gov:status   - Show a proposal's state and tally
+ *
+ * On the hardhat and localhost networks, --advance mines blocks (and moves
+ * time forward) until the step is possible, so a full proposal can be run
+ * end to end locally:
+ *
+ *   npx hardhat node
+ *   npm run deploy:suite:local
+ *   npx hardhat gov:delegate --network localhost
+ *   npx hardhat gov:propose --contract Staking --method setRewardsDuration \
+ *     --args '[2592000]' --description "30-day reward periods" --network localhost
+ *   npx hardhat gov:vote --id <id> --support for --advance --network localhost
+ *   npx hardhat gov:queue --id <id> --advance --network localhost
+ *   npx hardhat gov:execute --id <id> --advance --network localhost
+ */
+
+const { task, types } = require("hardhat/config");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * TAPGovernor from the manifest, with the block to search proposals from
+ */
+async function loadGovernor(hre) {
+    const { getDeployment } = require("../scripts/lib/deployments");
+    const entry = await getDeployment(hre, "TAPGovernor");
+    const governor = await hre.ethers.getContractAt("TAPGovernor", entry.address);
+    return { governor, fromBlock: entry.blockNumber };
+}
+
+/**
+ * Mine and move time forward on a local network until block `block`
+ * (and timestamp `timestamp`, if given) has been reached
+ */
+async function advance(hre, { block, timestamp }) {
+    if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+        throw new Error("--advance only works on the hardhat and localhost networks");
+    }
+    const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+    if (timestamp !== undefined && BigInt(await time.latest()) < timestamp) {
+        await time.increaseTo(timestamp);
+    }
+    const current = BigInt(await hre.ethers.provider.getBlockNumber());
+    if (block !== undefined && current < block) {
+        await mine(block - current);
+    }
+}
+
+/**
+ * Turn --contract/--method/--args or an --actions file into proposal actions
+ */
+async function buildActions(hre, args) {
+    const fs = require("fs");
+    const { getDeployedContract } = require("../scripts/lib/deployments");
+    const { encodeAction } = require("../scripts/lib/governance");
+
+    let specs;
+    if (args.actions) {
+        specs = JSON.parse(fs.readFileSync(args.actions, "utf8"));
+    } else if (args.contract && args.method) {
+        specs = [{ contract: args.contract, method: args.method, args: JSON.parse(args.args), value: args.value }];
+    } else {
+        throw new Error("Pass --contract and --method, or an --actions file");
+    }
+
+    const actions = [];
+    for (const spec of specs) {
+        const contract = await getDeployedContract(hre, spec.contract);
+        actions.push(await encodeAction(contract, spec.method, spec.args || [], spec.value || 0));
+    }
+    return actions;
+}
+
+task("gov:delegate", "Delegate TAPv2 voting power")
+    .addOptionalParam("to", "Delegatee (defaults to yourself)", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { getDeployedContract } = require("../scripts/lib/deployments");
+
+        const [signer] = await hre.ethers.getSigners();
+        const delegatee = args.to || signer.address;
+        const tapv2 = await getDeployedContract(hre, "TAPv2");
+
+        await (await tapv2.delegate(delegatee)).wait();
+        console.log(`${signer.address} delegated to ${delegatee}`);
+        console.log(`Votes of ${delegatee}: ${hre.ethers.formatEther(await tapv2.getVotes(delegatee))} TAP`);
+    });
+
+task("gov:power", "Show voting power split into delegated, staked and vested TAP")
+    .addOptionalParam("account", "Voter (defaults to the first signer)", undefined, types.string)
+    .addOptionalParam("block", "Past block to read (defaults to the previous block)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { getVotingPower } = require("../scripts/lib/governance");
+        const { formatEther } = hre.ethers;
+
+        const account = args.account || (await hre.ethers.getSigners())[0].address;
+        const { governor } = await loadGovernor(hre);
+        const power = await getVotingPower(governor, account, args.block);
+
+        console.log(`Voting power of ${account} at block ${power.timepoint}`);
+        console.log(`- Delegated: ${formatEther(power.delegated)} TAP`);
+        console.log(`- Staked:    ${formatEther(power.staked)} TAP`);
+        console.log(`- Vesting:   ${formatEther(power.vested)} TAP`);
+        console.log(`- Total:     ${formatEther(power.total)} TAP`);
+        return power;
+    });
+
+task("gov:propose", "Create a governance proposal")
+    .addParam("description", "Proposal description (also identifies it)")
+    .addOptionalParam("contract", "Target contract from the manifest (e.g. Staking)", undefined, types.string)
+    .addOptionalParam("method", "Function to call on the target", undefined, types.string)
+    .addOptionalParam("args", "JSON array of function arguments", "[]", types.string)
+    .addOptionalParam("value", "Native value sent with the call (wei)", "0", types.string)
+    .addOptionalParam("actions", "JSON file of [{ contract, method, args, value }] for multi-call proposals", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { propose } = require("../scripts/lib/governance");
+
+        const { governor } = await loadGovernor(hre);
+        const actions = await buildActions(hre, args);
+        const { proposalId } = await propose(governor, actions, args.description);
+
+        console.log(`Proposal ${proposalId}`);
+        console.log(`- Actions: ${actions.length}`);
+        console.log(`- Voting starts after block ${await governor.proposalSnapshot(proposalId)}`);
+        return proposalId;
+    });
+
+task("gov:vote", "Vote on an active proposal")
+    .addParam("id", "Proposal id")
+    .addOptionalParam("support", "for, against or abstain", "for", types.string)
+    .addOptionalParam("reason", "Reason recorded with the vote", "", types.string)
+    .addFlag("advance", "Mine past the voting delay first (local networks only)")
+    .setAction(async (args, hre) => {
+        const { parseSupport, getVotingPower } = require("../scripts/lib/governance");
+
+        const [signer] = await hre.ethers.getSigners();
+        const { governor } = await loadGovernor(hre);
+        const support = parseSupport(args.support);
+
+        const snapshot = await governor.proposalSnapshot(args.id);
+        if (args.advance) {
+            await advance(hre, { block: snapshot + 1n });
+        }
+
+        await (await governor.castVoteWithReason(args.id, support, args.reason)).wait();
+        const { total } = await getVotingPower(governor, signer.address, snapshot);
+        console.log(`${signer.address} voted ${args.support} with ${hre.ethers.formatEther(total)} TAP`);
+    });
+
+task("gov:queue", "Queue a succeeded proposal in the timelock")
+    .addParam("id", "Proposal id")
+    .addFlag("advance", "Mine past the end of voting first (local networks only)")
+    .setAction(async (args, hre) => {
+        const { findProposal, queueProposal } = require("../scripts/lib/governance");
+
+        const { governor, fromBlock } = await loadGovernor(hre);
+        const proposal = await findProposal(governor, args.id, fromBlock);
+        if (args.advance) {
+            await advance(hre, { block: proposal.voteEnd + 1n });
+        }
+
+        await queueProposal(governor, proposal);
+        const eta = await governor.proposalEta(args.id);
+        console.log(`Queued; executable from ${new Date(Number(eta) * 1000).toISOString()}`);
+    });
+
+task("gov:execute", "Execute a queued proposal")
+    .addParam("id", "Proposal id")
+    .addFlag("advance", "Move time past the timelock delay first (local networks only)")
+    .setAction(async (args, hre) => {
+        const { findProposal, executeProposal } = require("../scripts/lib/governance");
+
+        const { governor, fromBlock } = await loadGovernor(hre);
+        const proposal = await findProposal(governor, args.id, fromBlock);
+        if (args.advance) {
+            await advance(hre, { timestamp: await governor.proposalEta(args.id) });
+        }
+
+        const receipt = await executeProposal(governor, proposal);
+        console.log(`Executed in ${receipt.hash}`);
+    });
+
+task("gov:status", "Show a proposal's state and tally")
+    .addParam("id", "Proposal id")
+    .setAction(async (args, hre) => {
+        const { findProposal, getProposalStatus } = require("../scripts/lib/governance");
+        const { formatEther } = hre.ethers;
+
+        const { governor, fromBlock } = await loadGovernor(hre);
+        const proposal = await findProposal(governor, args.id, fromBlock);
+        const status = await getProposalStatus(governor, args.id);
+
+        console.log(`Proposal ${args.id}: ${status.state}`);
+        console.log(`- ${proposal.description}`);
+        console.log(`- Voting: blocks ${status.snapshot + 1n} to ${status.deadline}`);
+        console.log(`- For:     ${formatEther(status.forVotes)} TAP`);
+        console.log(`- Against: ${formatEther(status.againstVotes)} TAP`);
+        console.log(`- Abstain: ${formatEther(status.abstainVotes)} TAP`);
+        console.log(`- Quorum:  ${formatEther(status.quorum)} TAP`);
+        if (status.eta > 0n) {
+            console.log(`- Executable from ${new Date(Number(status.eta) * 1000).toISOString()}`);
+        }
+        return status;
+    });
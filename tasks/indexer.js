@@ -0,0 +1,44 @@
+/**
+ * Indexer Hardhat Tasks
+ *
+ * indexer:sync - Replay suite events into a SQLite database
+ *
+ * Usage:
+ *   npx hardhat indexer:sync --db data/indexer.sqlite --network bscTestnet
+ *   npx hardhat indexer:sync --db data/indexer.sqlite --watch --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("indexer:sync", "Index TAPv2, Staking and Vesting events into SQLite")
+    .addOptionalParam("db", "SQLite database file", "data/indexer.sqlite", types.string)
+    .addOptionalParam("confirmations", "Blocks to wait before indexing", 12, types.int)
+    .addOptionalParam("batchSize", "Blocks per getLogs request", 2000, types.int)
+    .addFlag("watch", "Keep polling for new blocks")
+    .setAction(async (args, hre) => {
+        const { Indexer, IndexerDatabase } = require("../indexer");
+        const { getDeployment } = require("../scripts/lib/deployments");
+
+        const deployments = {};
+        for (const name of ["TAPv2", "Staking", "Vesting"]) {
+            deployments[name] = await getDeployment(hre, name);
+        }
+
+        const db = await IndexerDatabase.open(args.db);
+        const indexer = new Indexer({
+            provider: hre.ethers.provider,
+            addresses: Object.fromEntries(Object.entries(deployments).map(([name, entry]) => [name, entry.address])),
+            db,
+            confirmations: args.confirmations,
+            batchSize: args.batchSize,
+            startBlock: Math.min(...Object.values(deployments).map((entry) => entry.blockNumber)),
+        });
+
+        if (args.watch) {
+            process.on("SIGINT", () => indexer.stop());
+            await indexer.watch();
+        } else {
+            console.log(`Indexed up to block ${await indexer.sync()}`);
+        }
+        db.close();
+    });
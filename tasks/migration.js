@@ -0,0 +1,148 @@
+/**
+ * Migration Hardhat Tasks
+ *
+ * migration:deploy    - Deploy TAPMigrator for v1 TAP -> TAPv2 and fund it
+ * migration:snapshot  - Write the v1 holder balances at a block to JSON
+ * migration:reconcile - Compare a snapshot with what holders have migrated
+ *
+ * v1 TAP, TAPv2 and TAPMigrator are read from the deployment manifest
+ * (recorded as "TAP", "TAPv2" and "TAPMigrator") unless passed explicitly.
+ *
+ * Usage:
+ *   npx hardhat migration:deploy --duration 180d --network bscTestnet
+ *   npx hardhat migration:snapshot --block 41000000 --from-block 35000000 --out snapshot.json --network bscTestnet
+ *   npx hardhat migration:reconcile --snapshot snapshot.json --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+/**
+ * Address from an explicit flag, or a contract recorded in the manifest
+ */
+async function resolveAddress(hre, explicit, name) {
+    const { getDeployment } = require("../scripts/lib/deployments");
+    return explicit || (await getDeployment(hre, name)).address;
+}
+
+task("migration:deploy", "Deploy and fund TAPMigrator (v1 TAP -> TAPv2, 1:1)")
+    .addOptionalParam("v1", "v1 TAP address (defaults to TAP in the manifest)", undefined, types.string)
+    .addOptionalParam("start", "Window start as a unix timestamp (defaults to now)", undefined, types.int)
+    .addOptionalParam("duration", "How long the window stays open (e.g. 180d)", "180d", types.string)
+    .addOptionalParam("amount", "TAPv2 to fund it with, in whole TAP (defaults to the v1 total supply)", undefined, types.string)
+    .addFlag("noFund", "Deploy without transferring TAPv2")
+    .setAction(async (args, hre) => {
+        const { getDeployedContract, readManifest, writeManifest, recordDeployment } = require("../scripts/lib/deployments");
+        const { parseDuration } = require("../scripts/lib/duration");
+        const { ethers } = hre;
+
+        const v1Address = await resolveAddress(hre, args.v1, "TAP");
+        const v1 = await ethers.getContractAt("TAP", v1Address);
+        const tapv2 = await getDeployedContract(hre, "TAPv2");
+
+        const latest = await ethers.provider.getBlock("latest");
+        const start = args.start === undefined ? latest.timestamp : args.start;
+        const end = start + parseDuration(args.duration);
+        const constructorArgs = [v1Address, await tapv2.getAddress(), start, end];
+
+        const migrator = await ethers.deployContract("TAPMigrator", constructorArgs);
+        await migrator.waitForDeployment();
+        const address = await migrator.getAddress();
+        console.log(`TAPMigrator: ${address}`);
+        console.log(`Window: ${new Date(start * 1000).toISOString()} - ${new Date(end * 1000).toISOString()}`);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const manifest = readManifest(chainId);
+        manifest.network = hre.network.name;
+        await recordDeployment(hre, manifest, "TAPMigrator", migrator, constructorArgs);
+        writeManifest(manifest);
+
+        // Payouts must be 1:1 and keep working through a TAPv2 pause
+        await (await tapv2.setExcludedFromBurn(address, true)).wait();
+        await (await tapv2.setPauseExempt(address, true)).wait();
+        console.log("Excluded from burn and exempt from the pause");
+
+        if (!args.noFund) {
+            const amount = args.amount ? ethers.parseEther(args.amount) : await v1.totalSupply();
+            await (await tapv2.transfer(address, amount)).wait();
+            console.log(`Funded with ${ethers.formatEther(amount)} TAPv2`);
+        }
+
+        return migrator;
+    });
+
+task("migration:snapshot", "Write v1 TAP holder balances at a block from Transfer events")
+    .addOptionalParam("v1", "v1 TAP address (defaults to TAP in the manifest)", undefined, types.string)
+    .addOptionalParam("block", "Snapshot block (defaults to the latest)", undefined, types.int)
+    .addOptionalParam("fromBlock", "v1 deployment block (defaults to the manifest's, or 0)", undefined, types.int)
+    .addOptionalParam("batchSize", "Blocks per getLogs request", undefined, types.int)
+    .addOptionalParam("out", "Output JSON", "snapshot.json", types.string)
+    .setAction(async (args, hre) => {
+        const { readManifest } = require("../scripts/lib/deployments");
+        const { takeSnapshot, writeSnapshot } = require("../scripts/lib/migration");
+        const { ethers } = hre;
+
+        const v1Address = await resolveAddress(hre, args.v1, "TAP");
+        const { chainId } = await ethers.provider.getNetwork();
+        const recorded = readManifest(chainId).contracts.TAP;
+        const fromBlock = args.fromBlock !== undefined
+            ? args.fromBlock
+            : (recorded && recorded.address === v1Address ? recorded.blockNumber : 0);
+        const block = args.block !== undefined ? args.block : await ethers.provider.getBlockNumber();
+
+        const token = await ethers.getContractAt("TAP", v1Address);
+        const snapshot = await takeSnapshot(token, block, { fromBlock, batchSize: args.batchSize });
+        writeSnapshot(snapshot, args.out);
+
+        console.log(`Snapshot of ${v1Address} at block ${block}`);
+        console.log(`- Holders:      ${snapshot.holders.length}`);
+        console.log(`- Total supply: ${ethers.formatEther(snapshot.totalSupply)} TAP`);
+        console.log(`Written to ${args.out}`);
+        return snapshot;
+    });
+
+task("migration:reconcile", "Compare a v1 holder snapshot with what has been migrated")
+    .addParam("snapshot", "Snapshot JSON from migration:snapshot")
+    .addOptionalParam("migrator", "TAPMigrator address (defaults to the manifest)", undefined, types.string)
+    .addOptionalParam("out", "Also write every holder's row to this CSV", undefined, types.string)
+    .addOptionalParam("batchSize", "Blocks per getLogs request", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const fs = require("fs");
+        const { readManifest } = require("../scripts/lib/deployments");
+        const { readSnapshot, reconcileMigration } = require("../scripts/lib/migration");
+        const { ethers } = hre;
+        const { formatEther } = ethers;
+
+        const migratorAddress = await resolveAddress(hre, args.migrator, "TAPMigrator");
+        const { chainId } = await ethers.provider.getNetwork();
+        const recorded = readManifest(chainId).contracts.TAPMigrator;
+        const fromBlock = recorded && recorded.address === migratorAddress ? recorded.blockNumber : 0;
+
+        const migrator = await ethers.getContractAt("TAPMigrator", migratorAddress);
+        const report = await reconcileMigration(readSnapshot(args.snapshot), migrator, {
+            fromBlock,
+            batchSize: args.batchSize,
+        });
+
+        console.log(`TAPMigrator: ${migratorAddress}`);
+        console.log(`- Snapshot holders: ${report.holders} (${report.fullyMigrated} fully migrated)`);
+        console.log(`- Snapshot total:   ${formatEther(report.snapshotTotal)} TAP`);
+        console.log(`- Migrated:         ${formatEther(report.migratedTotal)} TAP`);
+        console.log(`- Unmigrated:       ${formatEther(report.unmigratedTotal)} TAP`);
+        console.log(`- TAPv2 available:  ${formatEther(await migrator.available())} TAP`);
+        report.problems.forEach((problem) => console.error(`! ${problem}`));
+
+        if (args.out) {
+            const lines = ["address,snapshot,migrated,unmigrated"].concat(
+                report.rows.map((row) =>
+                    [row.address, formatEther(row.snapshot), formatEther(row.migrated), formatEther(row.unmigrated)].join(",")
+                )
+            );
+            fs.writeFileSync(args.out, lines.join("\n") + "\n");
+            console.log(`Rows written to ${args.out}`);
+        }
+
+        if (report.problems.length > 0) {
+            process.exitCode = 1;
+        }
+        return report;
+    });
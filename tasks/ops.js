@@ -0,0 +1,190 @@
+/**
+ * Owner Operations Hardhat Tasks
+ *
+ * ops:setRewardRate         - Re-spread the reward pool to emit a target TAP/day
+ * ops:fundRewardPool        - Approve and fund the Staking reward pool
+ * ops:setExcludedFromBurn   - Exclude accounts from the TAPv2 fee (or --include them again)
+ * ops:createVesting         - Approve and create a vesting schedule
+ * ops:revoke                - Revoke a vesting schedule
+ * ops:emergencyWithdraw     - Recover a stray token from Staking
+ * ops:simulate              - Simulate a JSON request on the in-process network
+ *                             (run by the tasks above on live networks)
+ *
+ * Addresses come from the deployment manifest. Every task simulates its
+ * calls against the current state first and prints what they change
+ * (reward pool, exclusions, totalLocked, balances). It then sends them from
+ * the signer, or with --safe writes a Safe Transaction Builder batch for
+ * that Safe to sign instead; --dry-run stops after the simulation. Nothing
+ * is sent or written if the simulation reverts.
+ *
+ * Usage:
+ *   npx hardhat ops:fundRewardPool --amount 50000 --dry-run --network bscTestnet
+ *   npx hardhat ops:setRewardRate --per-day 250 --safe 0xSafe --network bscTestnet
+ *   npx hardhat ops:setRewardRate --per-day 500 --min-duration 90d --fund --network bscTestnet
+ *   npx hardhat ops:setExcludedFromBurn --accounts 0xPair,0xRouter --network bscTestnet
+ *   npx hardhat ops:createVesting --beneficiary 0xTeam --amount 100000 --cliff 180d --duration 730d --network bscTestnet
+ *   npx hardhat ops:revoke --beneficiary 0xTeam --index 0 --safe 0xSafe --out revoke.json --network bscTestnet
+ *   npx hardhat ops:revoke --token-id 12 --safe 0xSafe --out revoke.json --network bscTestnet
+ *   npx hardhat ops:emergencyWithdraw --token 0xStray --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+/**
+ * An ops task with the shared --safe, --out and --dry-run options
+ */
+function opsTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("safe", "Write a Safe batch for this Safe instead of sending from the signer", undefined, types.string)
+        .addOptionalParam("out", "Safe batch JSON written with --safe", "safe-batch.json", types.string)
+        .addFlag("dryRun", "Simulate only");
+}
+
+/**
+ * Build an operation, simulate it, and send it or export it for a Safe
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat runtime
+ * @param {object} args Task arguments (safe, out, dryRun)
+ * @param {function(object, string): Promise<object>} build (contracts, sender) -> operation
+ */
+async function runOperation(hre, args, build) {
+    const fs = require("fs");
+    const { getDeployedContract } = require("../scripts/lib/deployments");
+    const { simulate, formatChanges, toSafeBatch } = require("../scripts/lib/ops");
+    const { ethers } = hre;
+
+    const [signer] = await ethers.getSigners();
+    if (!args.safe && !signer) {
+        throw new Error("No signer configured; set PRIVATE_KEY, or pass --safe to export a batch");
+    }
+    const from = args.safe ? ethers.getAddress(args.safe) : signer.address;
+
+    const contracts = {
+        tapv2: await getDeployedContract(hre, "TAPv2"),
+        staking: await getDeployedContract(hre, "Staking"),
+        vesting: await getDeployedContract(hre, "Vesting"),
+    };
+    const operation = await build(contracts, from);
+
+    console.log(`${operation.title} (${hre.network.name}, from ${from})`);
+    operation.actions.forEach((step, i) => console.log(`  ${i + 1}. ${step.label}`));
+
+    const simulation = await simulate(hre, from, operation);
+    if (!simulation.ok) {
+        throw new Error(`Simulation reverted at ${simulation.failed}: ${simulation.reason}`);
+    }
+    console.log(`Simulated (gas ${simulation.gasUsed.join(" + ")}):`);
+    formatChanges(simulation).forEach((line) => console.log(line));
+
+    if (args.dryRun) {
+        return { operation, simulation };
+    }
+    if (args.safe) {
+        const { chainId } = await ethers.provider.getNetwork();
+        fs.writeFileSync(args.out, JSON.stringify(toSafeBatch(operation, { chainId, safe: from }), null, 2) + "\n");
+        console.log(`Wrote ${args.out}; import it in the Safe's Transaction Builder to sign`);
+    } else {
+        for (const step of operation.actions) {
+            const tx = await signer.sendTransaction({ to: step.target, data: step.calldata, value: step.value });
+            await tx.wait();
+            console.log(`- ${step.label}: ${tx.hash}`);
+        }
+    }
+    return { operation, simulation };
+}
+
+opsTask("ops:setRewardRate", "Re-spread the unallocated reward pool to emit a target amount per day")
+    .addParam("perDay", "TAP emitted per day across all stakers")
+    .addOptionalParam("minDuration", "Shortest period the pool must sustain the rate (e.g. 30d; defaults to rewardsDuration)", undefined, types.string)
+    .addFlag("fund", "Add the funding missing for --min-duration from the sender")
+    .setAction(async (args, hre) => {
+        const { setRewardRateOperation } = require("../scripts/lib/ops");
+        const { parseDuration } = require("../scripts/lib/duration");
+        const ratePerSecond = hre.ethers.parseEther(args.perDay) / 86400n;
+        const minDuration = args.minDuration ? BigInt(parseDuration(args.minDuration)) : undefined;
+        return runOperation(hre, args, (contracts) =>
+            setRewardRateOperation(contracts, { ratePerSecond, minDuration, fund: args.fund })
+        );
+    });
+
+opsTask("ops:fundRewardPool", "Approve and add TAP to the Staking reward pool")
+    .addParam("amount", "Amount in whole TAP")
+    .addOptionalParam("duration", "Reward period to spread over (e.g. 90d; defaults to rewardsDuration)", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { fundRewardPoolOperation } = require("../scripts/lib/ops");
+        const { parseDuration } = require("../scripts/lib/duration");
+        const amount = hre.ethers.parseEther(args.amount);
+        const duration = args.duration ? BigInt(parseDuration(args.duration)) : undefined;
+        return runOperation(hre, args, (contracts, from) => fundRewardPoolOperation(contracts, { from, amount, duration }));
+    });
+
+opsTask("ops:setExcludedFromBurn", "Exclude accounts from the TAPv2 transfer fee, or include them again")
+    .addParam("accounts", "Comma-separated addresses (more than one uses batchSetExcludedFromBurn)")
+    .addFlag("include", "Charge the fee to these accounts again")
+    .setAction(async (args, hre) => {
+        const { setExcludedOperation } = require("../scripts/lib/ops");
+        const accounts = args.accounts.split(",").map((account) => account.trim()).filter(Boolean);
+        return runOperation(hre, args, (contracts) => setExcludedOperation(contracts, { accounts, excluded: !args.include }));
+    });
+
+opsTask("ops:createVesting", "Approve and create a vesting schedule")
+    .addParam("beneficiary", "Beneficiary address")
+    .addParam("amount", "Amount in whole TAP")
+    .addOptionalParam("cliff", "Cliff (e.g. 180d)", "0", types.string)
+    .addParam("duration", "Total vesting duration (e.g. 730d)")
+    .addOptionalParam("start", "Start as a unix timestamp (defaults to now)", undefined, types.int)
+    .addOptionalParam("tgeBps", "Share unlocked at start, in basis points", 0, types.int)
+    .addOptionalParam("step", "Unlock step (e.g. 30d; defaults to linear)", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { createVestingOperation } = require("../scripts/lib/ops");
+        const { parseDuration } = require("../scripts/lib/duration");
+        const params = {
+            beneficiary: args.beneficiary,
+            amount: hre.ethers.parseEther(args.amount),
+            cliff: BigInt(parseDuration(args.cliff)),
+            duration: BigInt(parseDuration(args.duration)),
+            start: args.start !== undefined ? BigInt(args.start) : undefined,
+            tgeBps: args.tgeBps,
+            step: args.step ? BigInt(parseDuration(args.step)) : undefined,
+        };
+        return runOperation(hre, args, (contracts, from) => createVestingOperation(contracts, { ...params, from }));
+    });
+
+opsTask("ops:revoke", "Revoke a vesting schedule (the unvested part goes to the sender)")
+    .addOptionalParam("tokenId", "Schedule token id (instead of --beneficiary and --index)", undefined, types.int)
+    .addOptionalParam("beneficiary", "Beneficiary address", undefined, types.string)
+    .addOptionalParam("index", "Schedule index", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { revokeOperation } = require("../scripts/lib/ops");
+        if (args.tokenId === undefined && (args.beneficiary === undefined || args.index === undefined)) {
+            throw new Error("Pass --token-id, or --beneficiary and --index");
+        }
+        return runOperation(hre, args, (contracts, from) =>
+            revokeOperation(contracts, { from, tokenId: args.tokenId, beneficiary: args.beneficiary, index: args.index })
+        );
+    });
+
+opsTask("ops:emergencyWithdraw", "Recover a token other than TAPv2 sent to Staking")
+    .addParam("token", "Token address")
+    .addOptionalParam("amount", "Amount in the token's base units (defaults to Staking's whole balance)", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { emergencyWithdrawOperation } = require("../scripts/lib/ops");
+        const amount = args.amount !== undefined ? BigInt(args.amount) : undefined;
+        return runOperation(hre, args, (contracts, from) =>
+            emergencyWithdrawOperation(contracts, { from, token: args.token, amount })
+        );
+    });
+
+task("ops:simulate", "Simulate an ops request on the in-process Hardhat network (forked with FORK_URL)")
+    .addParam("request", "Request JSON written by simulationRequest")
+    .addParam("result", "Where to write the simulation result JSON")
+    .setAction(async (args, hre) => {
+        const fs = require("fs");
+        const { runSimulationRequest, toJson } = require("../scripts/lib/ops");
+
+        if (hre.network.name !== "hardhat") {
+            throw new Error("ops:simulate runs on the in-process hardhat network only");
+        }
+        const simulation = await runSimulationRequest(hre, fs.readFileSync(args.request, "utf8"));
+        fs.writeFileSync(args.result, toJson(simulation));
+        return simulation;
+    });
@@ -0,0 +1,152 @@
+/**
+ * Role Hardhat Tasks
+ *
+ * roles:list       - Show who holds each role on TAPv2, Staking, Vesting and
+ *                    (once deployed) StakingVault
+ * roles:apply      - Grant and revoke roles to match a role manifest (or
+ *                    write the changes as a governance proposal)
+ * guardian:pause   - Pause staking deposits, vesting creation and,
+ *                    optionally, TAPv2 transfers
+ * guardian:unpause - Lift a pause
+ *
+ * Withdrawals, claims and releases are never paused.
+ *
+ * Usage:
+ *   npx hardhat roles:list --network bscTestnet
+ *   npx hardhat roles:apply --file config/roles.json --dry-run --network bscTestnet
+ *   npx hardhat roles:apply --file config/roles.json --out role-proposal.json --network bscTestnet
+ *   npx hardhat gov:propose --actions role-proposal.json --description "Assign roles" --network bscTestnet
+ *   npx hardhat guardian:pause --contracts Staking,Vesting,TAPv2 --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+const PAUSABLE = ["TAPv2", "Staking", "Vesting"];
+
+/**
+ * Role targets for roles.js: each deployed contract with its deployment block
+ */
+async function loadTargets(hre) {
+    const { readManifest, getDeployment, getDeployedContract } = require("../scripts/lib/deployments");
+    const { ROLE_NAMES, OPTIONAL_CONTRACTS } = require("../scripts/lib/roles");
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = readManifest(chainId);
+    const targets = {};
+    for (const name of Object.keys(ROLE_NAMES)) {
+        if (OPTIONAL_CONTRACTS.includes(name) && !manifest.contracts[name]) {
+            continue;
+        }
+        const entry = await getDeployment(hre, name);
+        targets[name] = { contract: await getDeployedContract(hre, name), fromBlock: entry.blockNumber };
+    }
+    return targets;
+}
+
+/**
+ * Parse --contracts into a list of pausable contract names
+ */
+function parseContracts(value) {
+    const names = value.split(",").map((name) => name.trim()).filter(Boolean);
+    for (const name of names) {
+        if (!PAUSABLE.includes(name)) {
+            throw new Error(`Cannot pause "${name}" (expected ${PAUSABLE.join(", ")})`);
+        }
+    }
+    return names;
+}
+
+task("roles:list", "Show the holders of every role on the deployed contracts")
+    .setAction(async (args, hre) => {
+        const { ROLE_NAMES, roleId, getRoleHolders } = require("../scripts/lib/roles");
+
+        const targets = await loadTargets(hre);
+        const holders = {};
+        for (const [name, { contract, fromBlock }] of Object.entries(targets)) {
+            holders[name] = {};
+            const paused = PAUSABLE.includes(name) && (await contract.paused());
+            console.log(`${name} (${await contract.getAddress()})${paused ? " [paused]" : ""}`);
+            for (const role of ["DEFAULT_ADMIN_ROLE", ...ROLE_NAMES[name]]) {
+                holders[name][role] = await getRoleHolders(contract, roleId(role), fromBlock);
+                console.log(`- ${role}: ${holders[name][role].join(", ") || "(none)"}`);
+            }
+        }
+        return holders;
+    });
+
+task("roles:apply", "Grant and revoke roles to match a JSON role manifest")
+    .addParam("file", "Role manifest (see config/roles.json)")
+    .addFlag("dryRun", "Print the changes without sending transactions")
+    .addOptionalParam("out", "Where to write the changes as gov:propose --actions when the signer is not the admin", "role-proposal.json", types.string)
+    .setAction(async (args, hre) => {
+        const fs = require("fs");
+        const { readManifest } = require("../scripts/lib/deployments");
+        const {
+            loadRoleManifest,
+            resolveRoleManifest,
+            planRoleChanges,
+            applyRoleChanges,
+            roleChangeActions,
+        } = require("../scripts/lib/roles");
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const roles = resolveRoleManifest(loadRoleManifest(args.file), readManifest(chainId));
+        const targets = await loadTargets(hre);
+        const changes = await planRoleChanges(targets, roles);
+
+        console.log(`Role changes (${changes.length}):`);
+        for (const change of changes) {
+            console.log(`  [${change.action}] ${change.contract}.${change.role} ${change.account}`);
+        }
+        if (args.dryRun || changes.length === 0) {
+            return changes;
+        }
+
+        const [signer] = await hre.ethers.getSigners();
+        const names = [...new Set(changes.map((change) => change.contract))];
+        const isAdmin = await Promise.all(names.map((name) => targets[name].contract.hasRole(hre.ethers.ZeroHash, signer.address)));
+        if (isAdmin.every(Boolean)) {
+            await applyRoleChanges(targets, changes, console.log);
+            console.log("Roles now match the manifest");
+        } else {
+            fs.writeFileSync(args.out, JSON.stringify(roleChangeActions(changes), null, 2) + "\n");
+            console.log(`The signer is not the admin of ${names.filter((name, i) => !isAdmin[i]).join(", ")}.`);
+            console.log(`Wrote the changes to ${args.out}; propose them to governance:`);
+            console.log(
+                `  npx hardhat gov:propose --actions ${args.out} --description "Update roles" --network ${hre.network.name}`
+            );
+        }
+        return changes;
+    });
+
+task("guardian:pause", "Pause staking deposits, vesting creation and, optionally, TAPv2 transfers")
+    .addOptionalParam("contracts", "Comma-separated contracts to pause (Staking, Vesting, TAPv2)", "Staking,Vesting", types.string)
+    .setAction(async (args, hre) => {
+        const { getDeployedContract } = require("../scripts/lib/deployments");
+
+        for (const name of parseContracts(args.contracts)) {
+            const contract = await getDeployedContract(hre, name);
+            if (await contract.paused()) {
+                console.log(`- ${name} already paused, skipping`);
+                continue;
+            }
+            await (await contract.pause()).wait();
+            console.log(`- ${name} paused`);
+        }
+    });
+
+task("guardian:unpause", "Lift a pause")
+    .addOptionalParam("contracts", "Comma-separated contracts to unpause (Staking, Vesting, TAPv2)", "Staking,Vesting", types.string)
+    .setAction(async (args, hre) => {
+        const { getDeployedContract } = require("../scripts/lib/deployments");
+
+        for (const name of parseContracts(args.contracts)) {
+            const contract = await getDeployedContract(hre, name);
+            if (!(await contract.paused())) {
+                console.log(`- ${name} is not paused, skipping`);
+                continue;
+            }
+            await (await contract.unpause()).wait();
+            console.log(`- ${name} unpaused`);
+        }
+    });
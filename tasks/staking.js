@@ -0,0 +1,76 @@
+/**
+ * Staking Hardhat Tasks
+ *
+ * staking:solvency - Check reward pool liabilities and runway
+ *
+ * Exits with code 1 when the current reward period ends within --min-runway
+ * (or the pool cannot cover what is committed), so it can run from cron or
+ * CI as an alert.
+ *
+ * Usage:
+ *   npx hardhat staking:solvency --min-runway 30d --network bscTestnet
+ *   npx hardhat staking:solvency --json --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("staking:solvency", "Forecast Staking reward pool solvency")
+    .addOptionalParam("staking", "Staking contract address (defaults to the deployment manifest)", undefined, types.string)
+    .addOptionalParam("fromBlock", "First block to scan for stakers (defaults to the Staking deployment block)", undefined, types.int)
+    .addOptionalParam("minRunway", "Alert when runway is below this duration (e.g. 30d)", "30d", types.string)
+    .addFlag("json", "Print a machine-readable JSON report")
+    .setAction(async (args, hre) => {
+        const { assessSolvency, solvencyStatus } = require("../scripts/lib/solvency");
+        const { getDeployment } = require("../scripts/lib/deployments");
+        const { parseDuration } = require("../scripts/lib/duration");
+        const { formatEther } = hre.ethers;
+
+        const entry = args.staking ? undefined : await getDeployment(hre, "Staking");
+        const address = args.staking || entry.address;
+        const staking = await hre.ethers.getContractAt("Staking", address);
+        const minRunwaySeconds = parseDuration(args.minRunway);
+        const fromBlock = args.fromBlock !== undefined ? args.fromBlock : entry ? entry.blockNumber : 0;
+
+        const report = await assessSolvency(staking, { fromBlock });
+        const status = solvencyStatus(report, minRunwaySeconds);
+        const dryAt = new Date(report.dryAt * 1000).toISOString();
+
+        if (args.json) {
+            console.log(JSON.stringify({
+                network: hre.network.name,
+                staking: address,
+                status,
+                alert: status !== "ok",
+                minRunwaySeconds,
+                runwaySeconds: report.runwaySeconds,
+                dryAt,
+                totalStaked: report.totalStaked.toString(),
+                rewardRate: report.rewardRate.toString(),
+                rewardPool: report.rewardPool.toString(),
+                liabilities: report.liabilities.toString(),
+                scheduled: report.scheduled.toString(),
+                surplus: report.surplus.toString(),
+                accounted: report.accounted.toString(),
+                tokenBalance: report.tokenBalance.toString(),
+                accrualPerYear: report.accrualPerYear.toString(),
+                stakers: report.stakers,
+            }, null, 2));
+        } else {
+            const runwayDays = (report.runwaySeconds / 86400).toFixed(1);
+            console.log(`Staking: ${address} (${hre.network.name})`);
+            console.log(`- Total staked:    ${formatEther(report.totalStaked)} TAP across ${report.stakers} staker(s)`);
+            console.log(`- Emission / year: ${formatEther(report.accrualPerYear)} TAP`);
+            console.log(`- Reward pool:     ${formatEther(report.rewardPool)} TAP`);
+            console.log(`- Owed now:        ${formatEther(report.liabilities)} TAP`);
+            console.log(`- Still scheduled: ${formatEther(report.scheduled)} TAP`);
+            console.log(`- Unallocated:     ${formatEther(report.surplus)} TAP`);
+            console.log(`- Books / balance: ${formatEther(report.accounted)} / ${formatEther(report.tokenBalance)} TAP`);
+            console.log(`- Runway:          ${runwayDays} days (rewards end ${dryAt})`);
+            console.log(`Status: ${status}`);
+        }
+
+        if (status !== "ok") {
+            process.exitCode = 1;
+        }
+        return { ...report, status };
+    });
@@ -0,0 +1,59 @@
+/**
+ * Token Stats Hardhat Tasks
+ *
+ * stats:serve - Serve supply, burn, locked, staked and APY figures over HTTP
+ *
+ * Addresses left out of circulating supply are read from --exclude-file
+ * (config/stats.json by default): { "excluded": ["0x...", "TAPTimelock"] }.
+ * Entries are addresses or contract names from the deployment manifest.
+ *
+ * Usage:
+ *   npx hardhat stats:serve --port 8080 --network bscTestnet
+ *   npx hardhat stats:serve --ttl 60 --exclude 0xTreasury,0xTeam --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("stats:serve", "Serve token supply and staking stats as JSON and plain text")
+    .addOptionalParam("port", "Port to listen on", 8080, types.int)
+    .addOptionalParam("host", "Interface to bind", "127.0.0.1", types.string)
+    .addOptionalParam("ttl", "Seconds to cache chain reads", 30, types.int)
+    .addOptionalParam("excludeFile", "JSON file with the excluded addresses", "config/stats.json", types.string)
+    .addOptionalParam("exclude", "Extra comma-separated addresses or contract names to exclude", "", types.string)
+    .setAction(async (args, hre) => {
+        const fs = require("fs");
+        const { TokenStats } = require("../stats");
+        const { createStatsServer } = require("../stats/server");
+        const { getDeployment } = require("../scripts/lib/deployments");
+
+        const config = fs.existsSync(args.excludeFile) ? JSON.parse(fs.readFileSync(args.excludeFile, "utf8")) : {};
+        const entries = [
+            ...(config.excluded || []),
+            ...args.exclude.split(",").map((entry) => entry.trim()).filter(Boolean),
+        ];
+        const excluded = [];
+        for (const entry of entries) {
+            excluded.push(hre.ethers.isAddress(entry) ? entry : (await getDeployment(hre, entry)).address);
+        }
+
+        const addresses = {};
+        for (const name of ["TAPv2", "Staking", "Vesting"]) {
+            addresses[name] = (await getDeployment(hre, name)).address;
+        }
+
+        const stats = new TokenStats({
+            provider: hre.ethers.provider,
+            addresses,
+            excluded,
+            ttlMs: args.ttl * 1000,
+        });
+        const server = createStatsServer(stats);
+        await new Promise((resolve) => server.listen(args.port, args.host, resolve));
+        console.log(`Serving TAP stats on http://${args.host}:${args.port}/stats (${hre.network.name})`);
+        if (excluded.length > 0) {
+            console.log(`Excluded from circulating supply: ${excluded.join(", ")}`);
+        }
+
+        await new Promise((resolve) => process.on("SIGINT", resolve));
+        await new Promise((resolve) => server.close(resolve));
+    });
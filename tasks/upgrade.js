@@ -0,0 +1,80 @@
+/**
+ * Upgrade Hardhat Tasks
+ *
+ * upgrade:validate - Check a new implementation against a deployed proxy
+ * upgrade          - Validate, then upgrade a proxy (or prepare the upgrade
+ *                    for governance when the timelock owns it)
+ *
+ * Both refuse implementations that are unsafe for proxies or whose storage
+ * layout is incompatible with the implementation currently in use.
+ *
+ * Usage:
+ *   npx hardhat upgrade:validate --contract Staking --implementation StakingV2 --network bscTestnet
+ *   npx hardhat upgrade --contract Staking --implementation StakingV2 --network bscTestnet
+ *   npx hardhat upgrade --contract Staking --implementation StakingV2 \
+ *     --call initializeV2 --args '[]' --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+/**
+ * Proxy address and implementation name for --contract/--implementation
+ */
+async function resolveProxy(hre, args) {
+    const { getDeployment } = require("../scripts/lib/deployments");
+
+    const entry = await getDeployment(hre, args.contract);
+    if (!entry.proxy) {
+        throw new Error(`${args.contract} was not deployed behind a proxy`);
+    }
+    return { proxyAddress: entry.address, implementationName: args.implementation || args.contract };
+}
+
+task("upgrade:validate", "Check that a new implementation can safely replace a proxy's current one")
+    .addParam("contract", "Proxy from the manifest (Staking or Vesting)")
+    .addOptionalParam("implementation", "Contract name of the new implementation (defaults to --contract)", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { validateUpgrade, getImplementation } = require("../scripts/lib/upgrades");
+
+        const { proxyAddress, implementationName } = await resolveProxy(hre, args);
+        await validateUpgrade(hre, proxyAddress, implementationName);
+
+        console.log(`${implementationName} is a safe upgrade for ${args.contract} (${proxyAddress})`);
+        console.log(`- Current implementation: ${await getImplementation(hre, proxyAddress)}`);
+    });
+
+task("upgrade", "Upgrade a proxy after validating the new implementation")
+    .addParam("contract", "Proxy from the manifest (Staking or Vesting)")
+    .addOptionalParam("implementation", "Contract name of the new implementation (defaults to --contract)", undefined, types.string)
+    .addOptionalParam("call", "Reinitializer to call with the upgrade (e.g. initializeV2)", undefined, types.string)
+    .addOptionalParam("args", "JSON array of reinitializer arguments", "[]", types.string)
+    .setAction(async (args, hre) => {
+        const { upgradeProxy } = require("../scripts/lib/upgrades");
+        const { readManifest, writeManifest, recordUpgrade } = require("../scripts/lib/deployments");
+
+        const { proxyAddress, implementationName } = await resolveProxy(hre, args);
+        const call = args.call ? { fn: args.call, args: JSON.parse(args.args) } : undefined;
+        const result = await upgradeProxy(hre, proxyAddress, implementationName, { call });
+
+        console.log(`${args.contract} (${proxyAddress})`);
+        console.log(`- Previous implementation: ${result.previousImplementation}`);
+        console.log(`- New implementation:      ${result.implementation}`);
+
+        if (result.upgraded) {
+            const { chainId } = await hre.ethers.provider.getNetwork();
+            const manifest = readManifest(chainId);
+            await recordUpgrade(hre, manifest, args.contract, result.implementation, implementationName);
+            writeManifest(manifest);
+            console.log("Upgraded and recorded in the manifest");
+        } else {
+            console.log("The signer is not the proxy's admin; the new implementation is deployed but not active.");
+            console.log("Propose the upgrade to governance:");
+            console.log(
+                `  npx hardhat gov:propose --contract ${args.contract} --method upgradeToAndCall ` +
+                `--args '${JSON.stringify([result.implementation, result.data])}' ` +
+                `--description "Upgrade ${args.contract} to ${implementationName}" ` +
+                `--network ${hre.network.name}`
+            );
+        }
+        return result;
+    });
@@ -0,0 +1,111 @@
+/**
+ * Staking Vault Hardhat Tasks
+ *
+ * vault:deploy   - Deploy StakingVault on the manifest's Staking, exclude it from the fee
+ *                  and, once governance is deployed, hand its roles to the timelock.
+ *                  A vault the manifest records (with code) is kept and only the
+ *                  missing steps run, unless --force deploys a new one
+ * vault:compound - Harvest and restake the vault's rewards for the bounty
+ *
+ * Usage:
+ *   npx hardhat vault:deploy --bounty-bps 50 --network bscTestnet
+ *   npx hardhat vault:compound --min-harvest 100 --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("vault:deploy", "Deploy the auto-compounding StakingVault")
+    .addOptionalParam("bountyBps", "Share of each harvest paid to the compound() caller", 50, types.int)
+    .addOptionalParam("out", "Where to write the TAPv2 changes as gov:propose --actions when the signer lacks the roles", "vault-proposal.json", types.string)
+    .addFlag("force", "Deploy a new vault even if the manifest records a live one (the old one keeps its deposits)")
+    .setAction(async (args, hre) => {
+        const fs = require("fs");
+        const { getDeployedContract, readManifest, writeManifest, recordDeployment } = require("../scripts/lib/deployments");
+        const { roleId } = require("../scripts/lib/roles");
+        const { handOverRoles } = require("../scripts/lib/suite");
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+
+        const staking = await getDeployedContract(hre, "Staking");
+        const tapv2 = await getDeployedContract(hre, "TAPv2");
+        const constructorArgs = [await staking.getAddress(), args.bountyBps];
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const manifest = readManifest(chainId);
+        const recorded = manifest.contracts.StakingVault;
+        let vault;
+        if (recorded && !args.force && (await ethers.provider.getCode(recorded.address)) !== "0x") {
+            // A new vault would orphan this one and its deposits
+            vault = await ethers.getContractAt("StakingVault", recorded.address);
+            console.log(`StakingVault: already deployed at ${recorded.address}, skipping (--force deploys a new one)`);
+        } else {
+            vault = await ethers.deployContract("StakingVault", constructorArgs);
+            await vault.waitForDeployment();
+            console.log(`StakingVault: ${await vault.getAddress()}`);
+
+            manifest.network = hre.network.name;
+            await recordDeployment(hre, manifest, "StakingVault", vault, constructorArgs);
+            writeManifest(manifest);
+        }
+        const address = await vault.getAddress();
+
+        // Deposits refuse a fee, and withdrawals must keep paying out through a TAPv2 pause
+        const exemptions = [
+            { role: "BURN_EXCLUSION_MANAGER_ROLE", method: "setExcludedFromBurn", done: "isExcludedFromBurn" },
+            { role: "DEFAULT_ADMIN_ROLE", method: "setPauseExempt", done: "isPauseExempt" },
+        ];
+        const proposed = [];
+        for (const { role, method, done } of exemptions) {
+            if (await tapv2[done](address)) {
+                continue;
+            }
+            if (await tapv2.hasRole(roleId(role), signer.address)) {
+                await (await tapv2[method](address, true)).wait();
+            } else {
+                proposed.push({ contract: "TAPv2", method, args: [address, true] });
+            }
+        }
+        if (proposed.length === 0) {
+            console.log("Excluded from burn and exempt from the pause");
+        } else {
+            fs.writeFileSync(args.out, JSON.stringify(proposed, null, 2) + "\n");
+            console.log(`The signer no longer holds the TAPv2 roles; wrote the exemptions to ${args.out}. Propose them before opening deposits:`);
+            console.log(
+                `  npx hardhat gov:propose --actions ${args.out} --description "Exempt StakingVault" --network ${hre.network.name}`
+            );
+        }
+
+        // The bounty setter and admin go where the suite's roles went
+        if (manifest.contracts.TAPTimelock) {
+            await handOverRoles(hre, { StakingVault: { contract: vault } }, manifest.contracts.TAPTimelock.address);
+        }
+
+        return vault;
+    });
+
+task("vault:compound", "Harvest and restake the StakingVault's rewards")
+    .addOptionalParam("vault", "StakingVault address (defaults to the deployment manifest)", undefined, types.string)
+    .addOptionalParam("minHarvest", "Skip unless at least this much TAP is pending", "0", types.string)
+    .setAction(async (args, hre) => {
+        const { getDeployment } = require("../scripts/lib/deployments");
+        const { ethers } = hre;
+
+        const address = args.vault || (await getDeployment(hre, "StakingVault")).address;
+        const vault = await ethers.getContractAt("StakingVault", address);
+
+        const [harvest, bounty] = await vault.previewCompound();
+        console.log(`Pending: ${ethers.formatEther(harvest)} TAP (bounty ${ethers.formatEther(bounty)} TAP)`);
+        if (harvest === 0n || harvest < ethers.parseEther(args.minHarvest)) {
+            console.log("Below --min-harvest, skipped");
+            return null;
+        }
+
+        const receipt = await (await vault.compound()).wait();
+        const compounded = receipt.logs
+            .filter((entry) => entry.address.toLowerCase() === address.toLowerCase())
+            .map((entry) => vault.interface.parseLog(entry))
+            .find((parsed) => parsed && parsed.name === "Compounded");
+        console.log(`Harvested ${ethers.formatEther(compounded.args.harvested)} TAP, restaked ${ethers.formatEther(compounded.args.staked)} TAP`);
+        console.log(`Price per share: ${ethers.formatEther(await vault.convertToAssets(ethers.parseEther("1")))} TAP`);
+        return receipt;
+    });
@@ -0,0 +1,37 @@
+/**
+ * Vesting Hardhat Tasks
+ *
+ * vesting:import - Create vesting schedules in bulk from a CSV or JSON file
+ *
+ * Usage:
+ *   npx hardhat vesting:import --file team.csv --dry-run --network bscTestnet
+ *   npx hardhat vesting:import --file team.csv --resume --network bscTestnet
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("vesting:import", "Create vesting schedules from a CSV or JSON file")
+    .addParam("file", "CSV or JSON file with beneficiary, amount, cliff, duration rows")
+    .addOptionalParam("vesting", "Vesting contract address (defaults to the deployment manifest)", undefined, types.string)
+    .addFlag("dryRun", "Print the plan and total token requirement without sending transactions")
+    .addFlag("resume", "Skip rows whose schedules already exist on chain (VestingCreated events)")
+    .setAction(async (args, hre) => {
+        const { readRows, importVesting } = require("../scripts/lib/vesting-import");
+        const { getDeployment } = require("../scripts/lib/deployments");
+
+        const address = args.vesting || (await getDeployment(hre, "Vesting")).address;
+        const vesting = await hre.ethers.getContractAt("Vesting", address);
+
+        console.log(`Vesting: ${address} (${hre.network.name})`);
+        const result = await importVesting(hre, vesting, readRows(args.file), {
+            dryRun: args.dryRun,
+            resume: args.resume,
+        });
+
+        if (args.dryRun) {
+            console.log("Dry run: no transactions sent.");
+        } else {
+            console.log(`Created ${result.created.length} schedule(s), skipped ${result.skipped.length}.`);
+        }
+        return result;
+    });
@@ -0,0 +1,291 @@
+/**
+ * Full Suite Deployment Tests
+ * Tests deployment order, wiring and re-runnability of the suite deployer
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySuite, parseGovernanceConfig } = require("../scripts/lib/suite");
+const { readManifest, writeManifest, recordDeployment } = require("../scripts/lib/deployments");
+
+describe("Suite Deployment", function () {
+    const { ethers } = hre;
+    let deploymentsDir;
+    let config;
+    let deployer;
+    let beneficiary;
+
+    const silent = () => {};
+
+    beforeEach(async function () {
+        [deployer, beneficiary] = await ethers.getSigners();
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-deployments-"));
+        config = {
+            rewardPool: "50000",
+            vesting: [
+                {
+                    id: "team",
+                    beneficiary: beneficiary.address,
+                    amount: "10000",
+                    cliffDuration: 180 * 24 * 60 * 60,
+                    vestingDuration: 365 * 24 * 60 * 60,
+                },
+            ],
+        };
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("should deploy and wire the whole suite", async function () {
+        const { tapv2, staking, vesting, manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.stakingToken()).to.equal(await tapv2.getAddress());
+        expect(await vesting.token()).to.equal(await tapv2.getAddress());
+        expect(await tapv2.isExcludedFromBurn(await staking.getAddress())).to.be.true;
+        expect(await tapv2.isExcludedFromBurn(await vesting.getAddress())).to.be.true;
+        expect(await tapv2.isPauseExempt(await staking.getAddress())).to.be.true;
+        expect(await tapv2.isPauseExempt(await vesting.getAddress())).to.be.true;
+        expect(await vesting.staking()).to.equal(await staking.getAddress());
+        expect(await vesting.metadataRenderer()).to.equal(manifest.contracts.VestingMetadata.address);
+        expect(await vesting.tokenURI(1)).to.match(/^data:application\/json;base64,/);
+        expect(await staking.rewardPool()).to.equal(ethers.parseEther("50000"));
+        expect(await vesting.getScheduleCount(beneficiary.address)).to.equal(1);
+        expect(await vesting.totalLocked()).to.equal(ethers.parseEther("10000"));
+    });
+
+    it("should deploy Staking and Vesting behind UUPS proxies", async function () {
+        const { tapv2, staking, vesting, manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        for (const [name, contract] of [["Staking", staking], ["Vesting", vesting]]) {
+            const entry = manifest.contracts[name];
+            expect(entry.address).to.equal(await contract.getAddress());
+            expect(entry.proxy).to.equal("uups");
+            expect(entry.implementation).to.equal(await hre.upgrades.erc1967.getImplementationAddress(entry.address));
+            expect(entry.initializerArgs).to.deep.equal([await tapv2.getAddress()]);
+        }
+        expect(manifest.contracts.TAPv2).to.not.have.property("proxy");
+    });
+
+    it("should skip completed steps when re-run", async function () {
+        const first = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const second = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await second.tapv2.getAddress()).to.equal(await first.tapv2.getAddress());
+        expect(await second.staking.getAddress()).to.equal(await first.staking.getAddress());
+        expect(await second.vesting.getAddress()).to.equal(await first.vesting.getAddress());
+        expect(await second.staking.rewardPool()).to.equal(ethers.parseEther("50000"));
+        expect(await second.vesting.getScheduleCount(beneficiary.address)).to.equal(1);
+    });
+
+    it("should only top up the reward pool to the new target", async function () {
+        await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        config.rewardPool = "80000";
+        const { staking } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.rewardPool()).to.equal(ethers.parseEther("80000"));
+    });
+
+    it("should not fund the reward pool again after claims drain it", async function () {
+        const { tapv2, staking } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        await tapv2.transfer(beneficiary.address, ethers.parseEther("1000"));
+        await tapv2.connect(beneficiary).approve(await staking.getAddress(), ethers.parseEther("1000"));
+        await staking.connect(beneficiary).stake(ethers.parseEther("1000"));
+        await time.increase(30 * 24 * 60 * 60);
+        await staking.connect(beneficiary).claimRewards();
+        const periodFinish = await staking.periodFinish();
+        const balance = await tapv2.balanceOf(deployer.address);
+
+        const { manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.rewardPool()).to.be.lt(ethers.parseEther("50000"));
+        expect(await staking.periodFinish()).to.equal(periodFinish);
+        expect(await tapv2.balanceOf(deployer.address)).to.equal(balance);
+        expect(manifest.rewardFunding[await staking.getAddress()].funded).to.equal(ethers.parseEther("50000").toString());
+    });
+
+    it("should read the funded total from events when the manifest has none", async function () {
+        const { staking } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const file = path.join(deploymentsDir, "31337.json");
+        const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+        delete stored.rewardFunding;
+        fs.writeFileSync(file, JSON.stringify(stored));
+
+        config.rewardPool = "60000";
+        await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.rewardPool()).to.equal(ethers.parseEther("60000"));
+    });
+
+    it("should fund and seed a redeployed Staking and Vesting", async function () {
+        await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const file = path.join(deploymentsDir, "31337.json");
+        const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+        // As after a node restart: the recorded contracts are gone
+        stored.contracts.Staking.address = ethers.Wallet.createRandom().address;
+        stored.contracts.Vesting.address = ethers.Wallet.createRandom().address;
+        fs.writeFileSync(file, JSON.stringify(stored));
+
+        const { staking, vesting, manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.rewardPool()).to.equal(ethers.parseEther("50000"));
+        expect(await vesting.getScheduleCount(beneficiary.address)).to.equal(1);
+        expect(manifest.vesting.team.vesting).to.equal(await vesting.getAddress());
+    });
+
+    it("should seed vesting entries added after the first run", async function () {
+        await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        config.vesting.push({ ...config.vesting[0], id: "advisor", amount: "5000" });
+        const { vesting, manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await vesting.getScheduleCount(beneficiary.address)).to.equal(2);
+        expect(manifest.vesting.advisor.scheduleIndex).to.equal(1);
+        expect(await vesting.ownerOf(manifest.vesting.advisor.tokenId)).to.equal(manifest.vesting.advisor.beneficiary);
+    });
+
+    it("should record funding and schedules sent before a crash instead of repeating them", async function () {
+        const { tapv2, staking, vesting } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const file = path.join(deploymentsDir, "31337.json");
+
+        // As if the script died after sending, before recording the result
+        const topUp = ethers.parseEther("30000");
+        await tapv2.approve(await staking.getAddress(), topUp);
+        const funding = await staking.fundRewardPool(topUp);
+        const advisor = { ...config.vesting[0], id: "advisor", amount: "5000" };
+        await tapv2.approve(await vesting.getAddress(), ethers.parseEther(advisor.amount));
+        const created = await vesting.createVesting(
+            advisor.beneficiary,
+            ethers.parseEther(advisor.amount),
+            advisor.cliffDuration,
+            advisor.vestingDuration
+        );
+        const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+        stored.rewardFunding[await staking.getAddress()].pending = {
+            transactionHash: funding.hash,
+            amount: topUp.toString(),
+        };
+        stored.vesting.advisor = {
+            vesting: await vesting.getAddress(),
+            beneficiary: advisor.beneficiary,
+            pending: true,
+            transactionHash: created.hash,
+        };
+        fs.writeFileSync(file, JSON.stringify(stored));
+
+        config.rewardPool = "80000";
+        config.vesting.push(advisor);
+        const { manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.rewardPool()).to.equal(ethers.parseEther("80000"));
+        expect(manifest.rewardFunding[await staking.getAddress()]).to.deep.equal({
+            funded: ethers.parseEther("80000").toString(),
+        });
+        expect(await vesting.getScheduleCount(beneficiary.address)).to.equal(2);
+        expect(manifest.vesting.advisor).to.include({ scheduleIndex: 1, tokenId: 2, transactionHash: created.hash });
+        expect(manifest.vesting.advisor).to.not.have.property("pending");
+    });
+
+    it("should repeat a pending step whose transaction never landed", async function () {
+        const { staking, vesting } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const file = path.join(deploymentsDir, "31337.json");
+        const unknown = ethers.id("dropped transaction");
+        const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+        stored.rewardFunding[await staking.getAddress()].pending = {
+            transactionHash: unknown,
+            amount: ethers.parseEther("30000").toString(),
+        };
+        stored.vesting.advisor = { vesting: await vesting.getAddress(), pending: true, transactionHash: unknown };
+        fs.writeFileSync(file, JSON.stringify(stored));
+
+        config.rewardPool = "80000";
+        config.vesting.push({ ...config.vesting[0], id: "advisor", amount: "5000" });
+        const { manifest } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        expect(await staking.rewardPool()).to.equal(ethers.parseEther("80000"));
+        expect(await vesting.getScheduleCount(beneficiary.address)).to.equal(2);
+        expect(manifest.vesting.advisor.scheduleIndex).to.equal(1);
+    });
+
+    it("should hand the admin role to the timelock when governance is configured", async function () {
+        config.governance = parseGovernanceConfig({ votingPeriod: 100, timelockDelay: "1d" });
+        const first = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const timelockAddress = await first.timelock.getAddress();
+
+        expect(await first.governor.timelock()).to.equal(timelockAddress);
+        expect(await first.governor.staking()).to.equal(await first.staking.getAddress());
+        for (const contract of [first.tapv2, first.staking, first.vesting]) {
+            expect(await contract.hasRole(ethers.ZeroHash, timelockAddress)).to.be.true;
+            expect(await contract.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+        }
+        expect(await first.staking.hasRole(ethers.id("REWARD_FUNDER_ROLE"), timelockAddress)).to.be.true;
+        expect(await first.staking.hasRole(ethers.id("REWARD_FUNDER_ROLE"), deployer.address)).to.be.false;
+        expect(first.manifest.contracts.TAPGovernor.compiler.version).to.equal("0.8.24");
+
+        // Re-running is a no-op, but new work needing a role needs a proposal
+        const second = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        expect(await second.governor.getAddress()).to.equal(await first.governor.getAddress());
+
+        config.rewardPool = "80000";
+        await expect(deploySuite(hre, config, { deploymentsDir, log: silent }))
+            .to.be.rejectedWith("The deployer does not hold Staking.REWARD_FUNDER_ROLE");
+    });
+
+    it("should apply the role manifest and keep the deployer's assigned roles on handover", async function () {
+        const [, , guardian, funder] = await ethers.getSigners();
+        config.roles = {
+            TAPv2: { GUARDIAN_ROLE: [deployer.address] },
+            Staking: { REWARD_FUNDER_ROLE: [funder.address, "TAPTimelock"], GUARDIAN_ROLE: [guardian.address] },
+        };
+        config.governance = parseGovernanceConfig({ votingPeriod: 100, timelockDelay: "1d" });
+        const { tapv2, staking, vesting, timelock } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const timelockAddress = await timelock.getAddress();
+        const role = (name) => ethers.id(name);
+
+        expect(await tapv2.hasRole(role("GUARDIAN_ROLE"), deployer.address)).to.be.true;
+        expect(await tapv2.hasRole(role("GUARDIAN_ROLE"), timelockAddress)).to.be.false;
+        expect(await staking.hasRole(role("REWARD_FUNDER_ROLE"), funder.address)).to.be.true;
+        expect(await staking.hasRole(role("REWARD_FUNDER_ROLE"), timelockAddress)).to.be.true;
+        expect(await staking.hasRole(role("GUARDIAN_ROLE"), guardian.address)).to.be.true;
+        expect(await staking.hasRole(role("GUARDIAN_ROLE"), deployer.address)).to.be.false;
+        // Roles the manifest leaves out go to the timelock
+        expect(await staking.hasRole(role("RATE_SETTER_ROLE"), timelockAddress)).to.be.true;
+        expect(await vesting.hasRole(role("REVOKER_ROLE"), timelockAddress)).to.be.true;
+        expect(await vesting.hasRole(role("VESTING_CREATOR_ROLE"), deployer.address)).to.be.false;
+        expect(await tapv2.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+
+        // Changing the manifest after the handover needs a proposal
+        config.roles.Staking.GUARDIAN_ROLE = [deployer.address];
+        await expect(deploySuite(hre, config, { deploymentsDir, log: silent }))
+            .to.be.rejectedWith("The deployer does not hold Staking.DEFAULT_ADMIN_ROLE");
+    });
+
+    it("should include a recorded StakingVault in the role manifest and the handover", async function () {
+        const [, , setter] = await ethers.getSigners();
+        config.roles = { StakingVault: { BOUNTY_SETTER_ROLE: [setter.address] } };
+        // Without a vault the StakingVault entry is skipped
+        const { staking } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+
+        const vault = await ethers.deployContract("StakingVault", [await staking.getAddress(), 50]);
+        const manifest = readManifest(31337, deploymentsDir);
+        await recordDeployment(hre, manifest, "StakingVault", vault, [await staking.getAddress(), 50]);
+        writeManifest(manifest, deploymentsDir);
+
+        config.governance = parseGovernanceConfig({ votingPeriod: 100, timelockDelay: "1d" });
+        const { timelock } = await deploySuite(hre, config, { deploymentsDir, log: silent });
+        const timelockAddress = await timelock.getAddress();
+        const setterRole = ethers.id("BOUNTY_SETTER_ROLE");
+
+        expect(await vault.hasRole(setterRole, setter.address)).to.be.true;
+        expect(await vault.hasRole(setterRole, deployer.address)).to.be.false;
+        expect(await vault.hasRole(ethers.ZeroHash, timelockAddress)).to.be.true;
+        expect(await vault.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+        await expect(vault.setCompoundBounty(10)).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Deployment Manifest Tests
+ * Tests manifest recording (including proxies), versioning and loading contracts by name
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    MANIFEST_VERSION,
+    readManifest,
+    writeManifest,
+    recordDeployment,
+    recordProxyDeployment,
+    recordUpgrade,
+    getDeployment,
+    getDeployedContract,
+} = require("../scripts/lib/deployments");
+const { deployProxy, upgradeProxy } = require("../scripts/lib/upgrades");
+
+describe("Deployment Manifests", function () {
+    const { ethers } = hre;
+    let dir;
+    let chainId;
+
+    beforeEach(async function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-manifest-"));
+        ({ chainId } = await ethers.provider.getNetwork());
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function deployAndRecord(name, args = []) {
+        const contract = await ethers.deployContract(name, args);
+        await contract.waitForDeployment();
+
+        const manifest = readManifest(chainId, dir);
+        const entry = await recordDeployment(hre, manifest, name, contract, args);
+        writeManifest(manifest, dir);
+        return { contract, entry };
+    }
+
+    it("should record address, tx, block, args, compiler and ABI hash", async function () {
+        const { contract: tapv2 } = await deployAndRecord("TAPv2");
+        const args = [await tapv2.getAddress(), ethers.id("root"), 4102444800];
+        const { contract: distributor, entry } = await deployAndRecord("MerkleDistributor", args);
+
+        const receipt = await distributor.deploymentTransaction().wait();
+        const artifact = await hre.artifacts.readArtifact("MerkleDistributor");
+
+        expect(entry.address).to.equal(await distributor.getAddress());
+        expect(entry.transactionHash).to.equal(receipt.hash);
+        expect(entry.blockNumber).to.equal(receipt.blockNumber);
+        expect(entry.constructorArgs).to.deep.equal([args[0], args[1], "4102444800"]);
+        expect(entry.compiler.version).to.equal(hre.config.solidity.compilers[0].version);
+        expect(entry.compiler.settings.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+        expect(entry.abiHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(artifact.abi))));
+    });
+
+    it("should record proxies with their implementation and follow upgrades", async function () {
+        const tapv2 = await ethers.deployContract("TAPv2");
+        const staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+
+        const manifest = readManifest(chainId, dir);
+        const entry = await recordProxyDeployment(hre, manifest, "Staking", staking, [await tapv2.getAddress()]);
+        const implementation = await hre.upgrades.erc1967.getImplementationAddress(entry.address);
+
+        expect(entry.address).to.equal(await staking.getAddress());
+        expect(entry.proxy).to.equal("uups");
+        expect(entry.implementation).to.equal(implementation);
+        expect(entry.initializerArgs).to.deep.equal([await tapv2.getAddress()]);
+        expect(entry).to.not.have.property("constructorArgs");
+
+        const result = await upgradeProxy(hre, entry.address, "StakingV2Mock");
+        await recordUpgrade(hre, manifest, "Staking", result.implementation, "StakingV2Mock");
+        const artifact = await hre.artifacts.readArtifact("StakingV2Mock");
+
+        expect(entry.address).to.equal(await staking.getAddress());
+        expect(entry.implementation).to.equal(result.implementation).and.not.equal(implementation);
+        expect(entry.abiHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(artifact.abi))));
+        expect(entry.upgradedAt).to.be.a("string");
+        await expect(recordUpgrade(hre, manifest, "TAPv2", implementation)).to.be.rejectedWith("No TAPv2 proxy recorded");
+    });
+
+    it("should write a versioned manifest per chain id", async function () {
+        await deployAndRecord("TAPv2");
+
+        const file = path.join(dir, `${chainId}.json`);
+        const onDisk = JSON.parse(fs.readFileSync(file, "utf8"));
+
+        expect(onDisk.version).to.equal(MANIFEST_VERSION);
+        expect(onDisk.chainId).to.equal(Number(chainId));
+        expect(onDisk.contracts).to.have.property("TAPv2");
+    });
+
+    it("should reject manifests with an unknown version", async function () {
+        fs.writeFileSync(
+            path.join(dir, `${chainId}.json`),
+            JSON.stringify({ version: MANIFEST_VERSION + 1, chainId: Number(chainId), contracts: {} })
+        );
+
+        expect(() => readManifest(chainId, dir)).to.throw("Unsupported manifest version");
+    });
+
+    it("should load a deployed contract by name", async function () {
+        const { contract: tapv2 } = await deployAndRecord("TAPv2");
+
+        const loaded = await getDeployedContract(hre, "TAPv2", dir);
+
+        expect(await loaded.getAddress()).to.equal(await tapv2.getAddress());
+        expect(await loaded.circulatingSupply()).to.equal(await tapv2.circulatingSupply());
+    });
+
+    it("should fail clearly for unknown contracts", async function () {
+        await expect(getDeployment(hre, "Vesting", dir)).to.be.rejectedWith("No Vesting deployment recorded");
+    });
+});
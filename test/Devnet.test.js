@@ -0,0 +1,143 @@
+/**
+ * Local Devnet Tests
+ * Tests devnet seeding (vesting phases, staking rewards, burns), re-runs
+ * and the time controls
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySuite } = require("../scripts/lib/suite");
+const { ACCOUNT_BALANCE, VESTING_PLAN, seedDevnet, advanceTime, mineBlocks } = require("../scripts/lib/devnet");
+
+describe("Local Devnet", function () {
+    const { ethers } = hre;
+    const DAY = 24 * 60 * 60;
+    const silent = () => {};
+    let deploymentsDir;
+    let contracts;
+    let devnet;
+
+    beforeEach(async function () {
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-devnet-"));
+        contracts = await deploySuite(hre, { rewardPool: "1000000", vesting: [] }, { deploymentsDir, log: silent });
+        devnet = await seedDevnet(hre, contracts, { deploymentsDir, log: silent });
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    /**
+     * The seeded schedule for a phase
+     */
+    function scheduleFor(phase) {
+        return devnet.schedules.find((schedule) => schedule.phase === phase);
+    }
+
+    it("should fund every user account", async function () {
+        const { tapv2 } = contracts;
+        const signers = await ethers.getSigners();
+
+        expect(devnet.accounts).to.deep.equal(signers.slice(1).map((signer) => signer.address));
+        // Accounts outside the plans keep exactly what they were sent
+        expect(await tapv2.balanceOf(signers[10].address)).to.equal(ethers.parseEther(ACCOUNT_BALANCE));
+    });
+
+    it("should leave a vesting schedule in each phase", async function () {
+        const { vesting } = contracts;
+        expect(devnet.schedules.map((schedule) => schedule.phase)).to.deep.equal(VESTING_PLAN.map((entry) => entry.phase));
+
+        const releasable = async (phase) => {
+            const { beneficiary, index } = scheduleFor(phase);
+            return vesting.releasableAmount(beneficiary, index);
+        };
+        const total = async (phase) => {
+            const { beneficiary, index } = scheduleFor(phase);
+            return (await vesting.vestingSchedules(beneficiary, index)).totalAmount;
+        };
+
+        expect(await releasable("pre-cliff")).to.equal(0n);
+
+        const midVest = await releasable("mid-vest");
+        expect(midVest).to.be.gt(0n);
+        expect(midVest).to.be.lt(await total("mid-vest"));
+
+        expect(await releasable("monthly")).to.equal(ethers.parseEther("6000"));
+        expect(await releasable("fully-vested")).to.equal(await total("fully-vested"));
+
+        const { beneficiary, index } = scheduleFor("revoked");
+        expect((await vesting.vestingSchedules(beneficiary, index)).revoked).to.be.true;
+    });
+
+    it("should open staking positions with rewards accrued", async function () {
+        const { staking } = contracts;
+        const signers = await ethers.getSigners();
+
+        expect(await staking.totalStaked()).to.equal(ethers.parseEther("85000"));
+        expect(await staking.getPositionCount(signers[6].address)).to.equal(1n);
+        for (const account of [5, 6, 7]) {
+            const [, pending] = await staking.getStakeInfo(signers[account].address);
+            expect(pending).to.be.gt(0n);
+        }
+    });
+
+    it("should record burns", async function () {
+        const { tapv2 } = contracts;
+        const signers = await ethers.getSigners();
+        const burns = await tapv2.queryFilter(tapv2.filters.BurnOnTransfer());
+
+        expect(burns).to.have.length(2);
+        expect(await tapv2.totalBurned()).to.equal(ethers.parseEther("125"));
+        expect(await tapv2.balanceOf(await tapv2.DEAD_ADDRESS())).to.equal(ethers.parseEther("125"));
+        expect(await tapv2.totalSupply()).to.equal(ethers.parseEther("101902975") - ethers.parseEther("1000"));
+        expect(await tapv2.balanceOf(signers[8].address)).to.be.lt(ethers.parseEther(ACCOUNT_BALANCE));
+    });
+
+    it("should not seed twice", async function () {
+        const { vesting } = contracts;
+        const locked = await vesting.totalLocked();
+
+        const again = await seedDevnet(hre, contracts, { deploymentsDir, log: silent });
+
+        expect(again).to.deep.equal(devnet);
+        expect(await vesting.totalLocked()).to.equal(locked);
+    });
+
+    it("should deploy and seed again after the node restarts", async function () {
+        // A restarted node is a fresh chain that reuses the same manifest
+        await hre.network.provider.request({ method: "hardhat_reset", params: [] });
+        const first = await deploySuite(hre, { rewardPool: "1000000", vesting: [] }, { deploymentsDir, log: silent });
+        const seeded = await seedDevnet(hre, first, { deploymentsDir, log: silent });
+
+        await hre.network.provider.request({ method: "hardhat_reset", params: [] });
+        const second = await deploySuite(hre, { rewardPool: "1000000", vesting: [] }, { deploymentsDir, log: silent });
+        const lines = [];
+        const reseeded = await seedDevnet(hre, second, { deploymentsDir, log: (line) => lines.push(line) });
+
+        // Same deployer nonces, so the same addresses; the seeded block is what is missing
+        expect(await second.staking.getAddress()).to.equal(await first.staking.getAddress());
+        expect(lines[0]).to.equal("- Devnet seed in the manifest is not on this chain, seeding again");
+        expect(reseeded.block.number).to.equal(seeded.block.number);
+        expect(await second.staking.totalStaked()).to.equal(ethers.parseEther("85000"));
+        const { beneficiary, index } = reseeded.schedules.find((schedule) => schedule.phase === "fully-vested");
+        expect((await second.vesting.vestingSchedules(beneficiary, index)).totalAmount).to.equal(ethers.parseEther("50000"));
+    });
+
+    it("should advance time and mine blocks", async function () {
+        const { vesting } = contracts;
+        const { beneficiary, index } = scheduleFor("pre-cliff");
+        const before = await ethers.provider.getBlock("latest");
+
+        const timestamp = await advanceTime(ethers.provider, 90 * DAY);
+        expect(timestamp).to.be.gte(before.timestamp + 90 * DAY);
+        expect(await vesting.releasableAmount(beneficiary, index)).to.be.gt(0n);
+
+        const number = await mineBlocks(ethers.provider, 10, 3);
+        expect(number).to.equal(before.number + 11);
+        // hardhat_mine puts the first block one second on, then one every interval
+        expect((await ethers.provider.getBlock("latest")).timestamp).to.equal(timestamp + 1 + 9 * 3);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Gas Report Tests
+ * Tests scenario collection and baseline comparison
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    runGasScenarios,
+    readBaseline,
+    writeBaseline,
+    compareGas,
+    formatGasTable,
+} = require("../scripts/lib/gas-report");
+
+describe("Gas Report", function () {
+    describe("Comparison", function () {
+        const baseline = { "A.same": 100000, "A.up": 100000, "A.down": 100000, "A.gone": 5000 };
+        const results = { "A.same": 100400, "A.up": 106000, "A.down": 90000, "A.added": 7000 };
+
+        it("should classify scenarios against the tolerance", async function () {
+            const rows = compareGas(results, baseline, 5);
+            const status = Object.fromEntries(rows.map((row) => [row.name, row.status]));
+
+            expect(status).to.deep.equal({
+                "A.same": "ok",
+                "A.up": "regressed",
+                "A.down": "improved",
+                "A.added": "new",
+                "A.gone": "missing",
+            });
+            expect(rows.find((row) => row.name === "A.up").delta).to.equal(6000);
+        });
+
+        it("should render a Markdown table", async function () {
+            const table = formatGasTable(compareGas(results, baseline, 5));
+            expect(table).to.include("| A.up | 106,000 | 100,000 | +6.00% | regressed |");
+            expect(table).to.include("| A.gone | - | 5,000 | - | missing |");
+        });
+    });
+
+    describe("Baseline file", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-gas-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("should round-trip results", async function () {
+            const file = path.join(dir, "baseline.json");
+            writeBaseline({ "A.fn": 1 }, {}, file);
+            expect(readBaseline(file).gas).to.deep.equal({ "A.fn": 1 });
+        });
+
+        it("should return null without a baseline and reject unknown versions", async function () {
+            const file = path.join(dir, "baseline.json");
+            expect(readBaseline(file)).to.equal(null);
+
+            fs.writeFileSync(file, JSON.stringify({ version: 99, gas: {} }));
+            expect(() => readBaseline(file)).to.throw("Unsupported gas baseline version 99");
+        });
+    });
+
+    describe("Scenarios", function () {
+        it("should measure every function including scaling scenarios", async function () {
+            const results = await runGasScenarios(hre, { sizes: { schedules: [1, 3], accounts: [2] } });
+
+            expect(results).to.include.keys(
+                "TAPv2.transfer (burn on transfer)",
+                "TAPv2.batchSetExcludedFromBurn (accounts=2)",
+                "Staking.stake (first)",
+                "Staking.claimRewards",
+                "Vesting.releaseAll (schedules=1)",
+                "Vesting.releaseAll (schedules=3)"
+            );
+            expect(results["Vesting.releaseAll (schedules=3)"]).to.be.gt(results["Vesting.releaseAll (schedules=1)"]);
+            expect(results["TAPv2.transfer (burn on transfer)"]).to.be.gt(results["TAPv2.transfer (excluded)"]);
+        });
+    });
+});
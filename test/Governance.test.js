@@ -0,0 +1,274 @@
+/**
+ * Governance Tests
+ * Tests voting power (delegated, staked, vested), the proposal lifecycle
+ * through TAPGovernor and TAPTimelock (including proxy upgrades), and the
+ * suite's governance handover
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySuite, parseGovernanceConfig } = require("../scripts/lib/suite");
+const {
+    parseSupport,
+    encodeAction,
+    propose,
+    findProposal,
+    queueProposal,
+    executeProposal,
+    getProposalStatus,
+    getVotingPower,
+} = require("../scripts/lib/governance");
+const { getImplementation, upgradeProxy } = require("../scripts/lib/upgrades");
+
+describe("Governance", function () {
+    const { ethers } = hre;
+    const DAY = 24 * 60 * 60;
+    const VOTING_PERIOD = 10;
+    const QUORUM_STAKE = ethers.parseEther("5000000");   // above 4% of supply
+
+    /**
+     * Suite with governance, voters funded before the handover
+     */
+    async function governedSuiteFixture() {
+        const [deployer, staker, vestee, other] = await ethers.getSigners();
+        const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-governance-"));
+
+        const config = {
+            rewardPool: "50000",
+            vesting: [
+                {
+                    id: "team",
+                    beneficiary: vestee.address,
+                    amount: "1000000",
+                    cliffDuration: 0,
+                    vestingDuration: 365 * DAY,
+                },
+            ],
+            governance: parseGovernanceConfig({
+                votingDelay: 1,
+                votingPeriod: VOTING_PERIOD,
+                proposalThreshold: "1000",
+                quorumPercent: 4,
+                timelockDelay: "1d",
+            }),
+        };
+        const suite = await deploySuite(hre, config, { deploymentsDir, log: () => {} });
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+
+        await suite.tapv2.transfer(staker.address, QUORUM_STAKE);
+        await suite.tapv2.connect(staker).approve(await suite.staking.getAddress(), ethers.MaxUint256);
+
+        return { ...suite, deployer, staker, vestee, other };
+    }
+
+    /**
+     * Propose, pass and execute a single call as `voter`
+     */
+    async function passProposal({ governor }, voter, action, description) {
+        const { proposalId } = await propose(governor.connect(voter), [action], description);
+        await mine(2);
+        await governor.connect(voter).castVote(proposalId, parseSupport("for"));
+        await mine(VOTING_PERIOD);
+
+        const proposal = await findProposal(governor, proposalId);
+        await queueProposal(governor, proposal);
+        await time.increase(DAY);
+        await executeProposal(governor, proposal);
+        return proposalId;
+    }
+
+    describe("Voting power", function () {
+        it("should only count TAPv2 balances once delegated", async function () {
+            const { tapv2, governor, staker } = await loadFixture(governedSuiteFixture);
+
+            await mine();
+            expect((await getVotingPower(governor, staker.address)).total).to.equal(0);
+
+            await tapv2.connect(staker).delegate(staker.address);
+            await mine();
+            const power = await getVotingPower(governor, staker.address);
+            expect(power.delegated).to.equal(QUORUM_STAKE);
+            expect(power.total).to.equal(QUORUM_STAKE);
+        });
+
+        it("should move delegated votes net of the transfer burn", async function () {
+            const { tapv2, staker, other } = await loadFixture(governedSuiteFixture);
+            const amount = ethers.parseEther("1000");
+
+            await tapv2.connect(staker).delegate(staker.address);
+            await tapv2.connect(other).delegate(other.address);
+            await tapv2.connect(staker).transfer(other.address, amount);
+
+            expect(await tapv2.getVotes(other.address)).to.equal(amount - amount / 100n);
+            expect(await tapv2.getVotes(staker.address)).to.equal(QUORUM_STAKE - amount);
+        });
+
+        it("should count staked tokens, flexible and locked, toward the staker", async function () {
+            const { staking, governor, staker } = await loadFixture(governedSuiteFixture);
+            const flexible = ethers.parseEther("1000");
+
+            await staking.connect(staker).stake(flexible);
+            await staking.connect(staker).stakeLocked(QUORUM_STAKE - flexible, 1);
+            await mine();
+
+            const power = await getVotingPower(governor, staker.address);
+            expect(power.delegated).to.equal(0);
+            expect(power.staked).to.equal(QUORUM_STAKE);
+
+            await staking.connect(staker).withdraw(flexible);
+            await mine();
+            expect((await getVotingPower(governor, staker.address)).staked).to.equal(QUORUM_STAKE - flexible);
+        });
+
+        it("should count unreleased vesting and drop it on release", async function () {
+            const { vesting, governor, vestee } = await loadFixture(governedSuiteFixture);
+            const total = ethers.parseEther("1000000");
+
+            await mine();
+            expect((await getVotingPower(governor, vestee.address)).vested).to.equal(total);
+
+            await time.increase(365 * DAY);
+            await vesting.connect(vestee).releaseAll();
+            await mine();
+            expect((await getVotingPower(governor, vestee.address)).vested).to.equal(0);
+        });
+
+        it("should read locked votes at past blocks only", async function () {
+            const { staking, staker } = await loadFixture(governedSuiteFixture);
+
+            const before = await ethers.provider.getBlockNumber();
+            await staking.connect(staker).stake(QUORUM_STAKE);
+
+            expect(await staking.getPastVotes(staker.address, before)).to.equal(0);
+            expect(await staking.getVotes(staker.address)).to.equal(QUORUM_STAKE);
+            await expect(
+                staking.getPastVotes(staker.address, before + 10)
+            ).to.be.revertedWith("Future lookup");
+        });
+    });
+
+    describe("Proposals", function () {
+        it("should change Staking settings through the timelock", async function () {
+            const fixture = await loadFixture(governedSuiteFixture);
+            const { staking, governor, staker } = fixture;
+            await staking.connect(staker).stake(QUORUM_STAKE);
+
+            const action = await encodeAction(staking, "setRewardsDuration", [30 * DAY]);
+            const proposalId = await passProposal(fixture, staker, action, "30-day reward periods");
+
+            expect(await staking.rewardsDuration()).to.equal(30 * DAY);
+            expect((await getProposalStatus(governor, proposalId)).state).to.equal("Executed");
+        });
+
+        it("should let governance manage burn exclusions and vesting", async function () {
+            const fixture = await loadFixture(governedSuiteFixture);
+            const { tapv2, vesting, staking, staker, vestee, other } = fixture;
+            await staking.connect(staker).stake(QUORUM_STAKE);
+
+            await passProposal(
+                fixture,
+                staker,
+                await encodeAction(tapv2, "setExcludedFromBurn", [other.address, true]),
+                "Exclude the liquidity pool"
+            );
+            expect(await tapv2.isExcludedFromBurn(other.address)).to.be.true;
+
+            await passProposal(
+                fixture,
+                staker,
+                await encodeAction(vesting, "revoke", [vestee.address, 0]),
+                "Revoke the team schedule"
+            );
+            expect((await vesting.vestingSchedules(vestee.address, 0)).revoked).to.be.true;
+        });
+
+        it("should upgrade Staking through a proposal", async function () {
+            const fixture = await loadFixture(governedSuiteFixture);
+            const { staking, staker } = fixture;
+            const stakingAddress = await staking.getAddress();
+            await staking.connect(staker).stake(QUORUM_STAKE);
+
+            const prepared = await upgradeProxy(hre, stakingAddress, "StakingV2Mock", { call: { fn: "initializeV2" } });
+            expect(prepared.upgraded).to.be.false;
+
+            const action = await encodeAction(staking, "upgradeToAndCall", [prepared.implementation, prepared.data]);
+            await passProposal(fixture, staker, action, "Upgrade Staking");
+
+            const upgraded = await ethers.getContractAt("StakingV2Mock", stakingAddress);
+            expect(await getImplementation(hre, stakingAddress)).to.equal(prepared.implementation);
+            expect(await upgraded.upgradedAt()).to.be.gt(0);
+            expect((await upgraded.stakes(staker.address)).amount).to.equal(QUORUM_STAKE);
+        });
+
+        it("should lock the deployer out of admin functions", async function () {
+            const { tapv2, staking, vesting, timelock, deployer, other } = await loadFixture(governedSuiteFixture);
+
+            expect(await staking.hasRole(ethers.ZeroHash, await timelock.getAddress())).to.be.true;
+            await expect(staking.setRewardsDuration(DAY))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+            await expect(tapv2.setExcludedFromBurn(other.address, true))
+                .to.be.revertedWithCustomError(tapv2, "AccessControlUnauthorizedAccount");
+            await expect(vesting.createVesting(other.address, 1, 0, DAY))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+            expect(await timelock.hasRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address)).to.be.false;
+        });
+
+        it("should defeat proposals that miss quorum", async function () {
+            const { tapv2, staking, governor, staker, other } = await loadFixture(governedSuiteFixture);
+            await tapv2.connect(staker).transfer(other.address, ethers.parseEther("10000"));
+            await tapv2.connect(other).delegate(other.address);
+            await mine();
+
+            const action = await encodeAction(staking, "setRewardsDuration", [DAY]);
+            const { proposalId } = await propose(governor.connect(other), [action], "Too few votes");
+            await mine(2);
+            await governor.connect(other).castVote(proposalId, parseSupport("for"));
+            await mine(VOTING_PERIOD);
+
+            expect((await getProposalStatus(governor, proposalId)).state).to.equal("Defeated");
+        });
+
+        it("should not count tokens staked after the snapshot", async function () {
+            const { staking, governor, staker } = await loadFixture(governedSuiteFixture);
+            await staking.connect(staker).stake(ethers.parseEther("10000"));
+            await mine();
+
+            const action = await encodeAction(staking, "setRewardsDuration", [DAY]);
+            const { proposalId } = await propose(governor.connect(staker), [action], "Flash stake");
+            await mine(2);
+
+            await staking.connect(staker).stake(QUORUM_STAKE - ethers.parseEther("10000"));
+            await governor.connect(staker).castVote(proposalId, parseSupport("for"));
+
+            const status = await getProposalStatus(governor, proposalId);
+            expect(status.forVotes).to.equal(ethers.parseEther("10000"));
+        });
+
+        it("should require the proposal threshold", async function () {
+            const { staking, governor, other } = await loadFixture(governedSuiteFixture);
+            const action = await encodeAction(staking, "setRewardsDuration", [DAY]);
+
+            await expect(propose(governor.connect(other), [action], "No votes"))
+                .to.be.revertedWithCustomError(governor, "GovernorInsufficientProposerVotes");
+        });
+    });
+
+    describe("Helpers", function () {
+        it("should parse vote choices", function () {
+            expect(parseSupport("FOR")).to.equal(1);
+            expect(parseSupport("against")).to.equal(0);
+            expect(parseSupport(2)).to.equal(2);
+            expect(() => parseSupport("maybe")).to.throw("Invalid vote");
+        });
+
+        it("should validate governance settings", function () {
+            expect(parseGovernanceConfig({}).timelockDelay).to.equal(2 * DAY);
+            expect(() => parseGovernanceConfig({ votingPeriod: 0 })).to.throw("votingPeriod");
+            expect(() => parseGovernanceConfig({ quorumPercent: 101 })).to.throw("quorumPercent");
+        });
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Event Indexer Tests
+ * Tests state rebuilt from logs, resume, confirmations and reorg handling
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Indexer, IndexerDatabase } = require("../indexer");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Event Indexer", function () {
+    let tapv2;
+    let staking;
+    let vesting;
+    let addresses;
+    let startBlock;
+    let owner;
+    let alice;
+    let bob;
+    let dir;
+
+    const AMOUNT = ethers.parseEther("1000");
+    const YEAR = 365 * 24 * 60 * 60;
+    const silent = () => {};
+
+    function stat(db, key) {
+        const row = db.get("SELECT value FROM stats WHERE key = ?", [key]);
+        return row ? BigInt(row.value) : 0n;
+    }
+
+    function balance(db, account) {
+        const row = db.get("SELECT balance FROM balances WHERE account = ?", [account]);
+        return row ? BigInt(row.balance) : 0n;
+    }
+
+    async function createIndexer(db, confirmations = 0) {
+        return new Indexer({ provider: ethers.provider, addresses, db, confirmations, startBlock, log: silent });
+    }
+
+    beforeEach(async function () {
+        [owner, alice, bob] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-indexer-"));
+
+        startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        tapv2 = await ethers.deployContract("TAPv2");
+        staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+        vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+        addresses = {
+            TAPv2: await tapv2.getAddress(),
+            Staking: await staking.getAddress(),
+            Vesting: await vesting.getAddress(),
+        };
+
+        await tapv2.batchSetExcludedFromBurn([addresses.Staking, addresses.Vesting], [true, true]);
+        await tapv2.approve(addresses.Staking, AMOUNT * 100n);
+        await staking.fundRewardPool(AMOUNT * 100n);
+        await tapv2.transfer(alice.address, AMOUNT * 10n);
+        await tapv2.connect(alice).transfer(bob.address, AMOUNT);
+        await tapv2.connect(alice).approve(addresses.Staking, AMOUNT * 5n);
+        await staking.connect(alice).stake(AMOUNT * 5n);
+        await tapv2.approve(addresses.Vesting, AMOUNT * 2n);
+        await vesting.createVesting(bob.address, AMOUNT, 0, YEAR);
+        await vesting.createVestingSchedule(bob.address, AMOUNT, await time.latest(), 0, YEAR, 1000, 30 * 24 * 60 * 60);
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should rebuild token, staking and vesting state from logs", async function () {
+        await time.increase(YEAR / 2);
+        await staking.connect(alice).claimRewards();
+        await vesting.connect(bob).release(0);
+        await vesting.revoke(bob.address, 1);
+        await staking.notifyRewardAmount(0, YEAR);
+
+        const db = await IndexerDatabase.open();
+        await (await createIndexer(db)).sync();
+
+        for (const account of [owner.address, alice.address, bob.address, addresses.Staking, addresses.Vesting]) {
+            expect(balance(db, account)).to.equal(await tapv2.balanceOf(account));
+        }
+        expect(stat(db, "total_supply")).to.equal(await tapv2.totalSupply());
+        expect(stat(db, "total_burned")).to.equal(await tapv2.totalBurned());
+        expect(stat(db, "total_staked")).to.equal(await staking.totalStaked());
+        expect(stat(db, "reward_pool")).to.equal(await staking.rewardPool());
+        expect(stat(db, "total_rewards_claimed")).to.equal(await staking.totalRewardsClaimed());
+        expect(stat(db, "total_locked")).to.equal(await vesting.totalLocked());
+        expect(stat(db, "reward_rate")).to.equal(await staking.rewardRate());
+
+        const exclusion = db.get("SELECT excluded FROM burn_exclusions WHERE account = ?", [addresses.Staking]);
+        expect(exclusion.excluded).to.equal(1);
+
+        const schedules = db.all("SELECT * FROM vesting_schedules WHERE beneficiary = ? ORDER BY schedule_index", [bob.address]);
+        expect(schedules).to.have.length(2);
+        expect(BigInt(schedules[0].released_amount)).to.equal((await vesting.vestingSchedules(bob.address, 0)).releasedAmount);
+        expect(schedules[1].revoked).to.equal(1);
+        expect(schedules[1].tge_bps).to.equal(1000);
+        expect(schedules[1].step_duration).to.equal(30 * 24 * 60 * 60);
+        expect(BigInt(schedules[1].total_amount)).to.equal((await vesting.vestingSchedules(bob.address, 1)).totalAmount);
+    });
+
+    it("should follow vesting schedules through NFT transfers", async function () {
+        await vesting.setTransferPolicy(2);
+        const tokenId = await vesting.scheduleTokenId(bob.address, 0);
+        await vesting.connect(bob).transferFrom(bob.address, alice.address, tokenId);
+
+        const db = await IndexerDatabase.open();
+        await (await createIndexer(db)).sync();
+
+        const rows = db.all("SELECT * FROM vesting_schedules ORDER BY beneficiary, schedule_index");
+        expect(rows).to.have.length(2);
+        for (const row of rows) {
+            const schedule = await vesting.vestingSchedules(row.beneficiary, row.schedule_index);
+            expect(BigInt(row.total_amount)).to.equal(schedule.totalAmount);
+            expect(row.tge_bps).to.equal(Number(schedule.tgeBps));
+        }
+        // Bob's first slot is left empty; his second schedule keeps index 1
+        expect(rows.map((row) => [row.beneficiary, row.schedule_index])).to.have.deep.members([
+            [alice.address, 0],
+            [bob.address, 1],
+        ]);
+    });
+
+    it("should total treasury and staking fee shares", async function () {
+        await tapv2.setTreasury(owner.address);
+        await tapv2.setStakingRewards(addresses.Staking);
+        await tapv2.setFeeSplit(5000, 2500, 2500);
+        await tapv2.connect(alice).transfer(bob.address, AMOUNT);
+
+        const db = await IndexerDatabase.open();
+        await (await createIndexer(db)).sync();
+
+        const share = (AMOUNT / 100n) / 4n;
+        expect(stat(db, "total_treasury_fees")).to.equal(share);
+        expect(stat(db, "total_staking_fees")).to.equal(share);
+        expect(stat(db, "total_burned")).to.equal(await tapv2.totalBurned());
+        expect(stat(db, "reward_pool")).to.equal(await staking.rewardPool());
+        expect(balance(db, owner.address)).to.equal(await tapv2.balanceOf(owner.address));
+    });
+
+    it("should add reconciled surplus to the reward pool", async function () {
+        await tapv2.transfer(addresses.Staking, AMOUNT);
+        await expect(staking.reconcileSurplus()).to.emit(staking, "SurplusReconciled").withArgs(AMOUNT);
+
+        const db = await IndexerDatabase.open();
+        await (await createIndexer(db)).sync();
+
+        expect(stat(db, "reward_pool")).to.equal(await staking.rewardPool());
+    });
+
+    it("should count burned penalties apart from fee burns", async function () {
+        await staking.setBurnPenalties(true);
+        await tapv2.connect(alice).approve(addresses.Staking, AMOUNT);
+        await staking.connect(alice).stakeLocked(AMOUNT, 1);
+        await staking.connect(alice).withdrawPosition(0);
+        await tapv2.connect(alice).approve(addresses.Staking, AMOUNT);
+        await staking.setBurnPenalties(false);
+        await staking.connect(alice).stakeLocked(AMOUNT, 1);
+        await staking.connect(alice).withdrawPosition(1);
+
+        const db = await IndexerDatabase.open();
+        await (await createIndexer(db)).sync();
+
+        const penalties = await staking.totalPenaltiesBurned();
+        expect(penalties).to.be.gt(0n);
+        expect(stat(db, "total_burned")).to.equal(await tapv2.totalBurned());
+        expect(stat(db, "penalties_burned")).to.equal(penalties);
+        expect(stat(db, "burned_supply")).to.equal(await tapv2.balanceOf(await tapv2.DEAD_ADDRESS()));
+        expect(stat(db, "total_supply")).to.equal(await tapv2.totalSupply());
+        expect(stat(db, "reward_pool")).to.equal(await staking.rewardPool());
+        expect(stat(db, "total_staked")).to.equal(await staking.totalStaked());
+        const row = db.get("SELECT amount FROM stakes WHERE user = ?", [alice.address]);
+        expect(BigInt(row.amount)).to.equal((await staking.stakes(alice.address)).amount);
+    });
+
+    it("should only index blocks past the confirmation depth", async function () {
+        const db = await IndexerDatabase.open();
+        const head = await ethers.provider.getBlockNumber();
+
+        const last = await (await createIndexer(db, 3)).sync();
+
+        expect(last).to.equal(head - 3);
+        expect(stat(db, "total_locked")).to.equal(0n);
+    });
+
+    it("should resume from the last indexed block", async function () {
+        const file = path.join(dir, "indexer.sqlite");
+
+        let db = await IndexerDatabase.open(file);
+        await (await createIndexer(db)).sync();
+        db.close();
+
+        await tapv2.connect(alice).transfer(bob.address, AMOUNT);
+
+        db = await IndexerDatabase.open(file);
+        const indexer = await createIndexer(db);
+        expect(indexer.lastIndexedBlock()).to.be.gte(startBlock);
+        await indexer.sync();
+
+        expect(balance(db, bob.address)).to.equal(await tapv2.balanceOf(bob.address));
+        expect(stat(db, "total_burned")).to.equal(await tapv2.totalBurned());
+        const transfers = db.get("SELECT COUNT(*) AS count FROM events WHERE name = 'Transfer' AND contract = 'TAPv2'");
+        expect(transfers.count).to.equal(10);
+        db.close();
+    });
+
+    it("should roll back and re-index after a reorg", async function () {
+        const snapshot = await network.provider.send("evm_snapshot");
+        await tapv2.connect(alice).transfer(bob.address, AMOUNT);
+        await mine(2);
+
+        const db = await IndexerDatabase.open();
+        const indexer = await createIndexer(db);
+        await indexer.sync();
+        expect(balance(db, bob.address)).to.equal(await tapv2.balanceOf(bob.address));
+
+        // Replace the indexed blocks with a different history
+        await network.provider.send("evm_revert", [snapshot]);
+        await tapv2.connect(alice).transfer(owner.address, AMOUNT * 2n);
+        await mine(3);
+
+        await indexer.sync();
+
+        for (const account of [owner.address, alice.address, bob.address]) {
+            expect(balance(db, account)).to.equal(await tapv2.balanceOf(account));
+        }
+        expect(stat(db, "total_burned")).to.equal(await tapv2.totalBurned());
+    });
+});
@@ -0,0 +1,307 @@
+/**
+ * Merkle Distributor Tests
+ * Tests the airdrop tree builder and MerkleDistributor claims
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    readRecipients,
+    validateRecipients,
+    buildTree,
+    writeDistribution,
+    readDistribution,
+    verifyClaim,
+    verifyDistribution,
+} = require("../scripts/lib/merkle");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Merkle Distributor", function () {
+    const DAY = 24 * 60 * 60;
+    const CLAIM_PERIOD = 90 * DAY;
+
+    describe("Tree builder", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-airdrop-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("should report bad addresses, amounts and duplicates", async function () {
+            const [a, b] = await ethers.getSigners();
+            const { recipients, errors } = validateRecipients([
+                { line: 2, address: a.address, amount: "100" },
+                { line: 3, address: "0x1234", amount: "100" },
+                { line: 4, address: b.address, amount: "0" },
+                { line: 5, address: a.address.toLowerCase(), amount: "5" },
+            ]);
+
+            expect(recipients).to.have.length(1);
+            expect(errors).to.deep.equal([
+                "row 3: invalid address \"0x1234\"",
+                "row 4: amount must be greater than 0",
+                "row 5: duplicate of row 2; merge the amounts",
+            ]);
+        });
+
+        it("should build, write and verify proofs from a CSV", async function () {
+            const [a, b, c] = await ethers.getSigners();
+            const csv = path.join(dir, "recipients.csv");
+            fs.writeFileSync(csv, `address,amount\n${a.address},100\n${b.address},250.5\n${c.address},1\n`);
+
+            const { recipients, errors } = validateRecipients(readRecipients(csv));
+            expect(errors).to.deep.equal([]);
+
+            const out = path.join(dir, "airdrop.json");
+            writeDistribution(buildTree(recipients), out);
+            const distribution = readDistribution(out);
+
+            expect(distribution.count).to.equal(3);
+            expect(distribution.total).to.equal(ethers.parseEther("351.5"));
+            expect(verifyDistribution(distribution)).to.deep.equal([]);
+        });
+
+        it("should detect tampered claims", async function () {
+            const [a, b] = await ethers.getSigners();
+            const distribution = buildTree([
+                { address: a.address, amount: ethers.parseEther("100") },
+                { address: b.address, amount: ethers.parseEther("200") },
+            ]);
+
+            const claim = distribution.claims[a.address];
+            expect(verifyClaim(distribution.root, a.address, claim)).to.be.true;
+            expect(verifyClaim(distribution.root, a.address, { ...claim, amount: claim.amount + 1n })).to.be.false;
+
+            distribution.claims[a.address] = { ...claim, amount: claim.amount * 2n };
+            const problems = verifyDistribution(distribution);
+            expect(problems[0]).to.equal(`${a.address}: proof does not match root`);
+        });
+    });
+
+    describe("Contract", function () {
+        let tapv2;
+        let distributor;
+        let distribution;
+        let owner;
+        let alice;
+        let bob;
+        let carol;
+
+        const ALICE_AMOUNT = ethers.parseEther("1000");
+        const BOB_AMOUNT = ethers.parseEther("500");
+        const CAROL_AMOUNT = ethers.parseEther("50");
+
+        function proofArgs(account) {
+            const claim = distribution.claims[account.address];
+            return [claim.index, account.address, claim.amount, claim.proof];
+        }
+
+        beforeEach(async function () {
+            [owner, alice, bob, carol] = await ethers.getSigners();
+
+            tapv2 = await ethers.deployContract("TAPv2");
+            distribution = buildTree([
+                { address: alice.address, amount: ALICE_AMOUNT },
+                { address: bob.address, amount: BOB_AMOUNT },
+                { address: carol.address, amount: CAROL_AMOUNT },
+            ]);
+
+            const deadline = (await time.latest()) + CLAIM_PERIOD;
+            distributor = await ethers.deployContract("MerkleDistributor", [
+                await tapv2.getAddress(),
+                distribution.root,
+                deadline,
+            ]);
+            await tapv2.setExcludedFromBurn(await distributor.getAddress(), true);
+            await tapv2.transfer(await distributor.getAddress(), distribution.total);
+        });
+
+        it("should pay out a valid claim in full", async function () {
+            await expect(distributor.connect(alice).claim(...proofArgs(alice)))
+                .to.emit(distributor, "Claimed")
+                .withArgs(0, alice.address, ALICE_AMOUNT);
+
+            expect(await tapv2.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await distributor.isClaimed(0)).to.be.true;
+            expect(await distributor.isClaimed(1)).to.be.false;
+            expect(await distributor.totalClaimed()).to.equal(ALICE_AMOUNT);
+        });
+
+        it("should let anyone submit a claim for its account", async function () {
+            await distributor.connect(bob).claim(...proofArgs(alice));
+            expect(await tapv2.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await tapv2.balanceOf(bob.address)).to.equal(0);
+        });
+
+        it("should reject double claims and bad proofs", async function () {
+            await distributor.claim(...proofArgs(alice));
+            await expect(distributor.claim(...proofArgs(alice))).to.be.revertedWith("Already claimed");
+
+            const [index, , amount, proof] = proofArgs(bob);
+            await expect(distributor.claim(index, bob.address, amount + 1n, proof)).to.be.revertedWith("Invalid proof");
+            await expect(distributor.claim(index, carol.address, amount, proof)).to.be.revertedWith("Invalid proof");
+        });
+
+        it("should track claims in a bitmap across words", async function () {
+            const recipients = Array.from({ length: 260 }, (_, i) => ({
+                address: ethers.getAddress(ethers.id(`recipient-${i}`).slice(0, 42)),
+                amount: ethers.parseEther("1"),
+            }));
+            const big = buildTree(recipients);
+            const bigDistributor = await ethers.deployContract("MerkleDistributor", [
+                await tapv2.getAddress(),
+                big.root,
+                (await time.latest()) + CLAIM_PERIOD,
+            ]);
+            await tapv2.transfer(await bigDistributor.getAddress(), big.total);
+
+            const address = recipients[257].address;
+            const claim = big.claims[address];
+            await bigDistributor.claim(claim.index, address, claim.amount, claim.proof);
+
+            expect(await bigDistributor.isClaimed(claim.index)).to.be.true;
+            expect(await bigDistributor.isClaimed(claim.index - 256)).to.be.false;
+            expect(await bigDistributor.isClaimed(claim.index + 1)).to.be.false;
+        });
+
+        it("should close claims at the deadline and allow sweeping afterwards", async function () {
+            await distributor.claim(...proofArgs(alice));
+            await expect(distributor.sweep(owner.address)).to.be.revertedWith("Claim period not ended");
+
+            await time.increaseTo(await distributor.claimDeadline() + 1n);
+            await expect(distributor.claim(...proofArgs(bob))).to.be.revertedWith("Claim period ended");
+
+            await expect(distributor.connect(alice).sweep(alice.address))
+                .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+            await expect(distributor.sweep(owner.address))
+                .to.emit(distributor, "Swept")
+                .withArgs(owner.address, BOB_AMOUNT + CAROL_AMOUNT);
+            expect(await tapv2.balanceOf(await distributor.getAddress())).to.equal(0);
+        });
+
+        describe("Vesting claims", function () {
+            let vesting;
+            let start;
+
+            beforeEach(async function () {
+                vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+                await tapv2.setExcludedFromBurn(await vesting.getAddress(), true);
+                await vesting.grantRole(await vesting.VESTING_CREATOR_ROLE(), await distributor.getAddress());
+
+                start = await time.latest();
+                await distributor.setVesting(await vesting.getAddress(), {
+                    startTime: start,
+                    cliffDuration: 0,
+                    vestingDuration: 360 * DAY,
+                    tgeBps: 2500,
+                    stepDuration: 30 * DAY,
+                });
+            });
+
+            it("should create a schedule instead of transferring", async function () {
+                await distributor.claim(...proofArgs(alice));
+
+                expect(await tapv2.balanceOf(alice.address)).to.equal(0);
+                const schedule = await vesting.vestingSchedules(alice.address, 0);
+                expect(schedule.totalAmount).to.equal(ALICE_AMOUNT);
+                expect(schedule.startTime).to.equal(start);
+                expect(await vesting.vestedAmount(alice.address, 0)).to.equal(ALICE_AMOUNT / 4n);
+            });
+
+            it("should freeze the terms once claims start", async function () {
+                await distributor.claim(...proofArgs(alice));
+                await expect(
+                    distributor.setVesting(ethers.ZeroAddress, {
+                        startTime: 0, cliffDuration: 0, vestingDuration: 0, tgeBps: 0, stepDuration: 0,
+                    })
+                ).to.be.revertedWith("Claims already started");
+            });
+
+            it("should reject terms Vesting would refuse", async function () {
+                const good = { startTime: start, cliffDuration: 0, vestingDuration: 360 * DAY, tgeBps: 2500, stepDuration: 30 * DAY };
+                const cases = [
+                    [{ startTime: 0 }, "Start time cannot be zero"],
+                    [{ vestingDuration: 0, stepDuration: 0 }, "Vesting duration must be greater than 0"],
+                    [{ cliffDuration: 361 * DAY }, "Cliff cannot exceed vesting duration"],
+                    [{ tgeBps: 10001 }, "TGE share exceeds 100%"],
+                    [{ stepDuration: 361 * DAY }, "Step exceeds vesting duration"],
+                ];
+                for (const [change, message] of cases) {
+                    await expect(distributor.setVesting(await vesting.getAddress(), { ...good, ...change }))
+                        .to.be.revertedWith(message);
+                }
+
+                // Paying out directly takes no terms
+                await distributor.setVesting(ethers.ZeroAddress, {
+                    startTime: 0, cliffDuration: 0, vestingDuration: 0, tgeBps: 0, stepDuration: 0,
+                });
+                expect(await distributor.vesting()).to.equal(ethers.ZeroAddress);
+            });
+
+            it("should not allow staking vested claims", async function () {
+                const staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+                await distributor.setStaking(await staking.getAddress());
+
+                const [index, , amount, proof] = proofArgs(alice);
+                await expect(
+                    distributor.connect(alice).claimAndStake(index, amount, proof)
+                ).to.be.revertedWith("Claims are vested");
+            });
+        });
+
+        describe("Staking claims", function () {
+            let staking;
+
+            beforeEach(async function () {
+                staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+                await tapv2.setExcludedFromBurn(await staking.getAddress(), true);
+            });
+
+            it("should require staking to be enabled", async function () {
+                const [index, , amount, proof] = proofArgs(alice);
+                await expect(
+                    distributor.connect(alice).claimAndStake(index, amount, proof)
+                ).to.be.revertedWith("Staking not enabled");
+            });
+
+            it("should stake a claim for the claimant", async function () {
+                await distributor.setStaking(await staking.getAddress());
+                const [index, , amount, proof] = proofArgs(alice);
+
+                await expect(distributor.connect(alice).claimAndStake(index, amount, proof))
+                    .to.emit(staking, "Staked")
+                    .withArgs(alice.address, ALICE_AMOUNT);
+                expect((await staking.stakes(alice.address)).amount).to.equal(ALICE_AMOUNT);
+                expect(await tapv2.balanceOf(await distributor.getAddress())).to.equal(BOB_AMOUNT + CAROL_AMOUNT);
+            });
+
+            it("should open a locked position for the claimant", async function () {
+                await distributor.setStaking(await staking.getAddress());
+                const [index, , amount, proof] = proofArgs(bob);
+
+                await distributor.connect(bob).claimAndStakeLocked(index, amount, proof, 3);
+                const [position] = await staking.getPositions(bob.address);
+                expect(position.amount).to.equal(BOB_AMOUNT);
+                expect(position.tierId).to.equal(3n);
+            });
+
+            it("should only stake the caller's own leaf", async function () {
+                await distributor.setStaking(await staking.getAddress());
+                const [index, , amount, proof] = proofArgs(alice);
+
+                await expect(
+                    distributor.connect(bob).claimAndStake(index, amount, proof)
+                ).to.be.revertedWith("Invalid proof");
+            });
+        });
+    });
+});
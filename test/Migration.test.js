@@ -0,0 +1,250 @@
+/**
+ * Migration Tests
+ * Tests TAPMigrator (v1 TAP -> TAPv2, 1:1) and the holder snapshot and
+ * reconciliation tooling
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { takeSnapshot, writeSnapshot, readSnapshot, reconcileMigration } = require("../scripts/lib/migration");
+
+describe("Migration", function () {
+    const DAY = 24 * 60 * 60;
+    const WINDOW = 180 * DAY;
+    const ALICE_AMOUNT = ethers.parseEther("1000");
+    const BOB_AMOUNT = ethers.parseEther("500");
+
+    /**
+     * v1 TAP spread over a few holders, and a funded, excluded migrator
+     */
+    async function migrationFixture() {
+        const [owner, alice, bob, carol] = await ethers.getSigners();
+        const v1 = await ethers.deployContract("TAP");
+        const tapv2 = await ethers.deployContract("TAPv2");
+        const v1Address = await v1.getAddress();
+
+        await v1.transfer(alice.address, ALICE_AMOUNT);
+        await v1.transfer(bob.address, BOB_AMOUNT);
+
+        const start = await time.latest();
+        const migrator = await ethers.deployContract("TAPMigrator", [
+            v1Address,
+            await tapv2.getAddress(),
+            start,
+            start + WINDOW,
+        ]);
+        const migratorAddress = await migrator.getAddress();
+        await tapv2.setExcludedFromBurn(migratorAddress, true);
+        await tapv2.setPauseExempt(migratorAddress, true);
+        await tapv2.transfer(migratorAddress, ALICE_AMOUNT + BOB_AMOUNT);
+
+        for (const holder of [alice, bob, carol]) {
+            await v1.connect(holder).approve(migratorAddress, ethers.MaxUint256);
+        }
+
+        return { v1, tapv2, migrator, owner, alice, bob, carol };
+    }
+
+    describe("Contract", function () {
+        it("should validate its constructor arguments", async function () {
+            const { v1, tapv2 } = await loadFixture(migrationFixture);
+            const v1Address = await v1.getAddress();
+            const v2Address = await tapv2.getAddress();
+            const now = await time.latest();
+
+            await expect(ethers.deployContract("TAPMigrator", [ethers.ZeroAddress, v2Address, now, now + DAY]))
+                .to.be.revertedWith("Token v1 cannot be zero");
+            await expect(ethers.deployContract("TAPMigrator", [v1Address, ethers.ZeroAddress, now, now + DAY]))
+                .to.be.revertedWith("Token v2 cannot be zero");
+            await expect(ethers.deployContract("TAPMigrator", [v1Address, v1Address, now, now + DAY]))
+                .to.be.revertedWith("Tokens must differ");
+            await expect(ethers.deployContract("TAPMigrator", [v1Address, v2Address, now + DAY, now + DAY]))
+                .to.be.revertedWith("End must be after start");
+            await expect(ethers.deployContract("TAPMigrator", [v1Address, v2Address, now - 2 * DAY, now - DAY]))
+                .to.be.revertedWith("End must be in the future");
+        });
+
+        it("should swap v1 for TAPv2 1:1 without the transfer fee", async function () {
+            const { v1, tapv2, migrator, alice } = await loadFixture(migrationFixture);
+
+            await expect(migrator.connect(alice).migrate(ALICE_AMOUNT / 4n))
+                .to.emit(migrator, "Migrated")
+                .withArgs(alice.address, ALICE_AMOUNT / 4n);
+            await expect(migrator.connect(alice).migrateAll())
+                .to.emit(migrator, "Migrated")
+                .withArgs(alice.address, (ALICE_AMOUNT * 3n) / 4n);
+
+            expect(await tapv2.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await v1.balanceOf(alice.address)).to.equal(0);
+            expect(await v1.balanceOf(await migrator.getAddress())).to.equal(ALICE_AMOUNT);
+            expect(await migrator.migratedBy(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await migrator.totalMigrated()).to.equal(ALICE_AMOUNT);
+            expect(await migrator.available()).to.equal(BOB_AMOUNT);
+        });
+
+        it("should refuse to pay out unless excluded from burn", async function () {
+            const { tapv2, migrator, alice } = await loadFixture(migrationFixture);
+            await tapv2.setExcludedFromBurn(await migrator.getAddress(), false);
+
+            await expect(migrator.connect(alice).migrate(ALICE_AMOUNT))
+                .to.be.revertedWith("Migrator not excluded from burn");
+        });
+
+        it("should reject zero amounts and amounts it cannot cover", async function () {
+            const { v1, migrator, alice, carol } = await loadFixture(migrationFixture);
+
+            await expect(migrator.connect(carol).migrateAll()).to.be.revertedWith("Cannot migrate 0");
+            await v1.transfer(carol.address, ALICE_AMOUNT + BOB_AMOUNT + 1n);
+            await expect(migrator.connect(carol).migrateAll()).to.be.revertedWith("Insufficient TAPv2");
+            await expect(migrator.connect(alice).migrate(ALICE_AMOUNT + 1n))
+                .to.be.revertedWithCustomError(v1, "ERC20InsufficientBalance");
+        });
+
+        it("should keep migrating while TAPv2 is paused", async function () {
+            const { tapv2, migrator, alice } = await loadFixture(migrationFixture);
+            await tapv2.pause();
+
+            await migrator.connect(alice).migrate(ALICE_AMOUNT);
+            expect(await tapv2.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+        });
+
+        it("should only accept migrations inside the window", async function () {
+            const { v1, tapv2, migrator, alice } = await loadFixture(migrationFixture);
+            const now = await time.latest();
+            const later = await ethers.deployContract("TAPMigrator", [
+                await v1.getAddress(),
+                await tapv2.getAddress(),
+                now + DAY,
+                now + 2 * DAY,
+            ]);
+            expect(await later.migrationOpen()).to.be.false;
+            await expect(later.connect(alice).migrate(1)).to.be.revertedWith("Migration not open");
+
+            await time.increaseTo(await migrator.migrationEnd() + 1n);
+            expect(await migrator.migrationOpen()).to.be.false;
+            await expect(migrator.connect(alice).migrate(1)).to.be.revertedWith("Migration not open");
+        });
+
+        it("should let the owner extend the window but not shorten it", async function () {
+            const { migrator, alice } = await loadFixture(migrationFixture);
+            const end = await migrator.migrationEnd();
+
+            await expect(migrator.extendMigration(end)).to.be.revertedWith("Can only extend");
+            await expect(migrator.connect(alice).extendMigration(end + 1n))
+                .to.be.revertedWithCustomError(migrator, "OwnableUnauthorizedAccount");
+            await expect(migrator.extendMigration(end + BigInt(DAY)))
+                .to.emit(migrator, "MigrationExtended")
+                .withArgs(end, end + BigInt(DAY));
+
+            await time.increaseTo(end + 1n);
+            await migrator.connect(alice).migrate(1);
+        });
+
+        it("should sweep leftover TAPv2 once the window has closed", async function () {
+            const { tapv2, migrator, owner, alice, bob } = await loadFixture(migrationFixture);
+            await migrator.connect(alice).migrateAll();
+
+            await expect(migrator.sweep(owner.address)).to.be.revertedWith("Migration not ended");
+            await time.increaseTo(await migrator.migrationEnd() + 1n);
+            await expect(migrator.connect(bob).sweep(bob.address))
+                .to.be.revertedWithCustomError(migrator, "OwnableUnauthorizedAccount");
+            await expect(migrator.sweep(ethers.ZeroAddress)).to.be.revertedWith("Recipient cannot be zero");
+
+            await expect(migrator.sweep(owner.address))
+                .to.emit(migrator, "Swept")
+                .withArgs(owner.address, BOB_AMOUNT);
+            expect(await tapv2.balanceOf(await migrator.getAddress())).to.equal(0);
+            await expect(migrator.sweep(owner.address)).to.be.revertedWith("Nothing to sweep");
+        });
+    });
+
+    describe("Snapshot and reconciliation", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-migration-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("should snapshot balances at a block and ignore later transfers", async function () {
+            const { v1, owner, alice, bob, carol } = await loadFixture(migrationFixture);
+            const block = await ethers.provider.getBlockNumber();
+            await v1.connect(alice).transfer(carol.address, ALICE_AMOUNT);
+
+            const snapshot = await takeSnapshot(v1, block, { batchSize: 3 });
+            const balances = Object.fromEntries(snapshot.holders.map((holder) => [holder.address, holder.balance]));
+
+            expect(snapshot.totalSupply).to.equal(await v1.totalSupply());
+            expect(balances).to.deep.equal({
+                [owner.address]: snapshot.totalSupply - ALICE_AMOUNT - BOB_AMOUNT,
+                [alice.address]: ALICE_AMOUNT,
+                [bob.address]: BOB_AMOUNT,
+            });
+            expect(snapshot.holders[0].address).to.equal(owner.address);
+            expect(balances[carol.address]).to.be.undefined;
+
+            const file = path.join(dir, "snapshot.json");
+            writeSnapshot(snapshot, file);
+            expect(readSnapshot(file)).to.deep.equal(snapshot);
+        });
+
+        it("should refuse a snapshot that does not start at deployment", async function () {
+            const { v1 } = await loadFixture(migrationFixture);
+            const block = await ethers.provider.getBlockNumber();
+
+            await expect(takeSnapshot(v1, block, { fromBlock: block }))
+                .to.be.rejectedWith("do not add up to totalSupply");
+        });
+
+        it("should reconcile migrated and unmigrated balances", async function () {
+            const { v1, migrator, owner, alice, bob, carol } = await loadFixture(migrationFixture);
+            const snapshot = await takeSnapshot(v1, await ethers.provider.getBlockNumber());
+
+            await migrator.connect(alice).migrate(ALICE_AMOUNT / 2n);
+            // Carol was not a holder at the snapshot
+            await v1.connect(bob).transfer(carol.address, BOB_AMOUNT / 5n);
+            await migrator.connect(carol).migrateAll();
+            await mine();
+
+            const report = await reconcileMigration(snapshot, migrator);
+            const rows = Object.fromEntries(report.rows.map((row) => [row.address, row]));
+
+            expect(rows[alice.address]).to.deep.equal({
+                address: alice.address,
+                snapshot: ALICE_AMOUNT,
+                migrated: ALICE_AMOUNT / 2n,
+                unmigrated: ALICE_AMOUNT / 2n,
+            });
+            expect(rows[bob.address].unmigrated).to.equal(BOB_AMOUNT);
+            expect(rows[carol.address]).to.deep.equal({
+                address: carol.address,
+                snapshot: 0n,
+                migrated: BOB_AMOUNT / 5n,
+                unmigrated: 0n,
+            });
+            expect(report.migratedTotal).to.equal(await migrator.totalMigrated());
+            expect(report.snapshotTotal).to.equal(snapshot.totalSupply);
+            expect(report.unmigratedTotal).to.equal(snapshot.totalSupply - ALICE_AMOUNT / 2n);
+            expect(report.holders).to.equal(3);
+            expect(report.fullyMigrated).to.equal(0);
+            expect(report.rows[0].address).to.equal(owner.address);
+            expect(report.problems).to.deep.equal([]);
+        });
+
+        it("should flag a snapshot of another token", async function () {
+            const { tapv2, migrator } = await loadFixture(migrationFixture);
+            const snapshot = await takeSnapshot(tapv2, await ethers.provider.getBlockNumber());
+
+            const report = await reconcileMigration(snapshot, migrator);
+            expect(report.problems[0]).to.match(/^Snapshot is of 0x[0-9a-fA-F]{40}, but the migrator takes/);
+        });
+    });
+});
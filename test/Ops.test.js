@@ -0,0 +1,286 @@
+/**
+ * Owner Operations Tests
+ * Tests the ops:* operation builders, their simulation (before/after diffs
+ * without changing state) and the Safe batch export
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
+const {
+    setRewardRateOperation,
+    fundRewardPoolOperation,
+    setExcludedOperation,
+    createVestingOperation,
+    revokeOperation,
+    emergencyWithdrawOperation,
+    simulateOperation,
+    simulationRequest,
+    fromJson,
+    formatChanges,
+    toSafeBatch,
+} = require("../scripts/lib/ops");
+
+describe("Owner Operations", function () {
+    const { ethers } = hre;
+    const DAY = 24n * 60n * 60n;
+    const POOL = ethers.parseEther("36500");
+    const AMOUNT = ethers.parseEther("10000");
+
+    /**
+     * Suite with a funded reward pool, a staker and one vesting schedule;
+     * `safe` holds TAPv2 and every role, like a multisig admin would
+     */
+    async function opsFixture() {
+        const [owner, safe, staker, beneficiary] = await ethers.getSigners();
+        const tapv2 = await ethers.deployContract("TAPv2");
+        const tapv2Address = await tapv2.getAddress();
+        const staking = await deployProxy(hre, "Staking", [tapv2Address]);
+        const vesting = await deployProxy(hre, "Vesting", [tapv2Address]);
+        const stakingAddress = await staking.getAddress();
+        const vestingAddress = await vesting.getAddress();
+        await tapv2.batchSetExcludedFromBurn([stakingAddress, vestingAddress, safe.address], [true, true, true]);
+
+        for (const contract of [staking, vesting]) {
+            await contract.grantRole(ethers.ZeroHash, safe.address);
+        }
+        for (const role of ["REWARD_FUNDER_ROLE", "RATE_SETTER_ROLE"]) {
+            await staking.grantRole(ethers.id(role), safe.address);
+        }
+        for (const role of ["VESTING_CREATOR_ROLE", "REVOKER_ROLE"]) {
+            await vesting.grantRole(ethers.id(role), safe.address);
+        }
+        await tapv2.grantRole(ethers.id("BURN_EXCLUSION_MANAGER_ROLE"), safe.address);
+
+        await tapv2.approve(stakingAddress, POOL);
+        await staking.fundRewardPool(POOL);
+        await tapv2.transfer(safe.address, AMOUNT * 10n);
+        await tapv2.transfer(staker.address, AMOUNT);
+        await tapv2.connect(staker).approve(stakingAddress, AMOUNT);
+        await staking.connect(staker).stake(AMOUNT);
+
+        await tapv2.approve(vestingAddress, AMOUNT);
+        await vesting.createVesting(beneficiary.address, AMOUNT, 0, 365n * DAY);
+
+        return { tapv2, staking, vesting, owner, safe, staker, beneficiary };
+    }
+
+    /**
+     * Simulate and index the changes by label
+     */
+    async function simulate(from, operation) {
+        const simulation = await simulateOperation(ethers.provider, from, operation);
+        return { ...simulation, byLabel: Object.fromEntries(simulation.changes.map((change) => [change.label, change])) };
+    }
+
+    describe("Simulation", function () {
+        it("should diff the reward pool without changing state", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { tapv2, staking, safe } = contracts;
+            const operation = await fundRewardPoolOperation(contracts, { from: safe.address, amount: AMOUNT });
+            const block = await ethers.provider.getBlockNumber();
+
+            const simulation = await simulate(safe.address, operation);
+
+            expect(simulation.ok).to.be.true;
+            expect(simulation.gasUsed).to.have.length(2);
+            expect(simulation.byLabel["Staking.rewardPool"]).to.include({ before: POOL, after: POOL + AMOUNT, changed: true });
+            expect(simulation.byLabel["TAPv2.balanceOf(sender)"].after).to.equal(AMOUNT * 9n);
+            expect(formatChanges(simulation)[0]).to.equal("  Staking.rewardPool: 36500.0 TAP -> 46500.0 TAP");
+
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+            expect(await staking.rewardPool()).to.equal(POOL);
+            expect(await tapv2.allowance(safe.address, await staking.getAddress())).to.equal(0n);
+        });
+
+        it("should report the action that reverts and why", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { staker, safe } = contracts;
+
+            const operation = await fundRewardPoolOperation(contracts, { from: staker.address, amount: AMOUNT });
+            const denied = await simulate(staker.address, operation);
+            expect(denied.ok).to.be.false;
+            expect(denied.failed).to.equal(operation.actions[1].label);
+            expect(denied.reason).to.match(/^AccessControlUnauthorizedAccount\(/);
+
+            const tooMuch = await fundRewardPoolOperation(contracts, { from: safe.address, amount: AMOUNT * 100n });
+            const short = await simulate(safe.address, tooMuch);
+            expect(short.failed).to.equal(tooMuch.actions[1].label);
+            expect(short.reason).to.match(/^ERC20InsufficientBalance\(/);
+        });
+
+        it("should simulate a JSON request through ops:simulate like the operation itself", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { staking, safe } = contracts;
+            const operation = await fundRewardPoolOperation(contracts, { from: safe.address, amount: AMOUNT });
+            const expected = await simulateOperation(ethers.provider, safe.address, operation);
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-ops-"));
+            const request = path.join(dir, "request.json");
+            const result = path.join(dir, "result.json");
+            fs.writeFileSync(request, await simulationRequest(operation, safe.address));
+            await hre.run("ops:simulate", { request, result });
+            const simulation = fromJson(fs.readFileSync(result, "utf8"));
+            fs.rmSync(dir, { recursive: true, force: true });
+
+            expect(simulation).to.deep.equal(expected);
+            expect(await staking.rewardPool()).to.equal(POOL);
+        });
+
+        it("should pick the period that gives the target reward rate", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { staking, safe } = contracts;
+            const target = ethers.parseEther("50") / DAY;
+            const currentRate = await staking.rewardRate();
+
+            const operation = await setRewardRateOperation(contracts, { ratePerSecond: target });
+            const simulation = await simulate(safe.address, operation);
+
+            const rate = simulation.byLabel["Staking.rewardRate"].after;
+            expect(rate).to.be.closeTo(target, target / 1000n);
+            expect(simulation.byLabel["Staking.periodFinish"].changed).to.be.true;
+            expect(await staking.rewardRate()).to.equal(currentRate);
+
+            await expect(setRewardRateOperation(contracts, { ratePerSecond: POOL * 2n }))
+                .to.be.rejectedWith("would last 0 days, less than the 365-day minimum");
+        });
+
+        it("should refuse a rate the pool cannot sustain, or fund the shortfall", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { staking, safe } = contracts;
+            const target = ethers.parseEther("200") / DAY;
+
+            // 36500 TAP lasts about 182 days at 200 TAP/day
+            await expect(setRewardRateOperation(contracts, { ratePerSecond: target }))
+                .to.be.rejectedWith(/would last 182 days, less than the 365-day minimum. It can sustain 99\.\d+ TAP\/day/);
+            const shorter = await setRewardRateOperation(contracts, { ratePerSecond: target, minDuration: 90n * DAY });
+            expect(shorter.actions).to.have.length(1);
+            expect(shorter.title).to.match(/ for 182 days$/);
+
+            const funded = await setRewardRateOperation(contracts, { ratePerSecond: target, fund: true });
+            expect(funded.actions).to.have.length(2);
+            const simulation = await simulate(safe.address, funded);
+            expect(simulation.ok).to.be.true;
+            expect(simulation.byLabel["Staking.rewardRate"].after).to.be.closeTo(target, target / 1000n);
+            const start = BigInt(await time.latest());
+            expect(simulation.byLabel["Staking.periodFinish"].after - start).to.be.closeTo(365n * DAY, 10n);
+            expect(simulation.byLabel["Staking.rewardPool"].after).to.be.closeTo(target * 365n * DAY, ethers.parseEther("1"));
+            expect(await staking.rewardPool()).to.equal(POOL);
+        });
+
+        it("should use the batch call for several exclusions", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { safe, staker, beneficiary } = contracts;
+
+            const single = await setExcludedOperation(contracts, { accounts: [staker.address], excluded: true });
+            expect(single.actions[0].label).to.match(/^TAPv2\.setExcludedFromBurn\(/);
+
+            const accounts = [staker.address, beneficiary.address];
+            const batch = await setExcludedOperation(contracts, { accounts, excluded: true });
+            expect(batch.actions[0].label).to.match(/^TAPv2\.batchSetExcludedFromBurn\(/);
+
+            const simulation = await simulate(safe.address, batch);
+            for (const account of accounts) {
+                expect(simulation.byLabel[`TAPv2.isExcludedFromBurn(${account})`]).to.include({ before: false, after: true });
+            }
+            await expect(setExcludedOperation(contracts, { accounts: ["0x1234"], excluded: true }))
+                .to.be.rejectedWith("is not an address");
+        });
+
+        it("should diff totalLocked for vesting creation and revocation", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { tapv2, vesting, safe, beneficiary } = contracts;
+
+            const create = await createVestingOperation(contracts, {
+                from: safe.address,
+                beneficiary: beneficiary.address,
+                amount: AMOUNT,
+                cliff: 90n * DAY,
+                duration: 365n * DAY,
+                tgeBps: 1000,
+            });
+            expect(create.actions[1].label).to.match(/^Vesting\.createVestingSchedule\(/);
+            const created = await simulate(safe.address, create);
+            expect(created.byLabel["Vesting.totalLocked"]).to.include({ before: AMOUNT, after: AMOUNT * 2n });
+            expect(created.byLabel["Vesting.getScheduleCount(beneficiary)"]).to.include({ before: 1n, after: 2n });
+
+            await time.increase(365n * DAY / 4n);
+            const revoke = await revokeOperation(contracts, { from: safe.address, beneficiary: beneficiary.address, index: 0 });
+            const revoked = await simulate(safe.address, revoke);
+            const locked = revoked.byLabel["Vesting.totalLocked"].after;
+            expect(locked).to.be.closeTo(AMOUNT / 4n, AMOUNT / 100n);
+            expect(revoked.byLabel["schedule.revoked"]).to.include({ before: false, after: true });
+            expect(revoked.byLabel["TAPv2.balanceOf(sender)"].after - revoked.byLabel["TAPv2.balanceOf(sender)"].before)
+                .to.equal(AMOUNT - locked);
+            expect((await vesting.vestingSchedules(beneficiary.address, 0)).revoked).to.be.false;
+            expect(await tapv2.balanceOf(await vesting.getAddress())).to.equal(AMOUNT);
+
+            await expect(revokeOperation(contracts, { from: safe.address, beneficiary: beneficiary.address, index: 1 }))
+                .to.be.rejectedWith("there is no index 1");
+        });
+
+        it("should revoke by token id and refuse an index whose schedule moved", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { vesting, owner, safe, beneficiary } = contracts;
+            await vesting.setTransferPolicy(2);
+            await vesting.connect(beneficiary).transferFrom(beneficiary.address, owner.address, 1);
+
+            await expect(revokeOperation(contracts, { from: safe.address, beneficiary: beneficiary.address, index: 0 }))
+                .to.be.rejectedWith("Schedule 0 of " + beneficiary.address + " was transferred to another holder");
+
+            const revoke = await revokeOperation(contracts, { from: safe.address, tokenId: 1 });
+            expect(revoke.title).to.equal(`Revoke schedule 0 of ${owner.address} (token 1)`);
+            const revoked = await simulate(safe.address, revoke);
+            expect(revoked.byLabel["schedule.revoked"]).to.include({ before: false, after: true });
+        });
+
+        it("should recover a stray token from Staking", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { staking, safe } = contracts;
+            const stray = await ethers.deployContract("TAP");
+            await stray.transfer(await staking.getAddress(), 123n);
+
+            const operation = await emergencyWithdrawOperation(contracts, { from: safe.address, token: await stray.getAddress() });
+            const simulation = await simulate(safe.address, operation);
+            expect(simulation.byLabel["token.balanceOf(Staking)"]).to.include({ before: 123n, after: 0n });
+            expect(simulation.byLabel["token.balanceOf(sender)"]).to.include({ before: 0n, after: 123n });
+
+            const tapv2 = await emergencyWithdrawOperation(contracts, {
+                from: safe.address,
+                token: await contracts.tapv2.getAddress(),
+                amount: 1n,
+            });
+            expect((await simulate(safe.address, tapv2)).reason).to.equal("Cannot withdraw staking token");
+        });
+    });
+
+    describe("Safe batch", function () {
+        it("should export the actions as a Transaction Builder batch", async function () {
+            const contracts = await loadFixture(opsFixture);
+            const { tapv2, staking, safe } = contracts;
+            const operation = await fundRewardPoolOperation(contracts, { from: safe.address, amount: AMOUNT });
+
+            const batch = toSafeBatch(operation, { chainId: 97n, safe: safe.address.toLowerCase(), createdAt: 1 });
+
+            expect(batch).to.deep.include({ version: "1.0", chainId: "97", createdAt: 1 });
+            expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+            expect(batch.meta.name).to.equal("Fund the reward pool with 10000.0 TAP");
+            expect(batch.transactions).to.deep.equal([
+                {
+                    to: await tapv2.getAddress(),
+                    value: "0",
+                    data: tapv2.interface.encodeFunctionData("approve", [await staking.getAddress(), AMOUNT]),
+                },
+                {
+                    to: await staking.getAddress(),
+                    value: "0",
+                    data: staking.interface.encodeFunctionData("fundRewardPool", [AMOUNT]),
+                },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Permit Tests
+ * Tests TAPv2 EIP-2612 permits and the single-transaction Staking and
+ * Vesting flows built on them
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildPermit, signPermit } = require("../sdk");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Permit", function () {
+    let tapv2;
+    let staking;
+    let vesting;
+    let owner;
+    let user;
+    let other;
+    let tokenAddress;
+    let deadline;
+
+    const AMOUNT = ethers.parseEther("1000");
+    const REWARD_POOL = ethers.parseEther("100000");
+    const YEAR = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, user, other] = await ethers.getSigners();
+
+        tapv2 = await ethers.deployContract("TAPv2");
+        staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+        vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+        await tapv2.setExcludedFromBurn(await staking.getAddress(), true);
+        await tapv2.setExcludedFromBurn(await vesting.getAddress(), true);
+        await tapv2.transfer(user.address, AMOUNT * 10n);
+
+        tokenAddress = await tapv2.getAddress();
+        deadline = (await time.latest()) + 3600;
+    });
+
+    describe("TAPv2", function () {
+        it("should approve through a signed permit", async function () {
+            const spender = await staking.getAddress();
+            const { v, r, s } = await signPermit(user, tokenAddress, spender, AMOUNT, deadline);
+
+            await tapv2.connect(other).permit(user.address, spender, AMOUNT, deadline, v, r, s);
+            expect(await tapv2.allowance(user.address, spender)).to.equal(AMOUNT);
+            expect(await tapv2.nonces(user.address)).to.equal(1n);
+        });
+
+        it("should match the token's domain separator", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const payload = buildPermit({
+                token: tokenAddress,
+                name: "TAP",
+                chainId,
+                owner: user.address,
+                spender: other.address,
+                value: AMOUNT,
+                nonce: 0n,
+                deadline,
+            });
+            expect(ethers.TypedDataEncoder.hashDomain(payload.domain)).to.equal(await tapv2.DOMAIN_SEPARATOR());
+        });
+
+        it("should reject expired deadlines", async function () {
+            const expired = (await time.latest()) - 1;
+            const { v, r, s } = await signPermit(user, tokenAddress, other.address, AMOUNT, expired);
+
+            await expect(
+                tapv2.permit(user.address, other.address, AMOUNT, expired, v, r, s)
+            ).to.be.revertedWithCustomError(tapv2, "ERC2612ExpiredSignature");
+        });
+
+        it("should reject replayed permits", async function () {
+            const { v, r, s } = await signPermit(user, tokenAddress, other.address, AMOUNT, deadline);
+            await tapv2.permit(user.address, other.address, AMOUNT, deadline, v, r, s);
+
+            await expect(
+                tapv2.permit(user.address, other.address, AMOUNT, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(tapv2, "ERC2612InvalidSigner");
+        });
+
+        it("should reject permits signed by someone else", async function () {
+            const { v, r, s } = await signPermit(other, tokenAddress, other.address, AMOUNT, deadline);
+
+            await expect(
+                tapv2.permit(user.address, other.address, AMOUNT, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(tapv2, "ERC2612InvalidSigner");
+        });
+
+        it("should reject permits signed for another chain", async function () {
+            const { v, r, s } = await signPermit(user, tokenAddress, other.address, AMOUNT, deadline, { chainId: 1 });
+
+            await expect(
+                tapv2.permit(user.address, other.address, AMOUNT, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(tapv2, "ERC2612InvalidSigner");
+        });
+    });
+
+    describe("Staking", function () {
+        beforeEach(async function () {
+            await tapv2.approve(await staking.getAddress(), REWARD_POOL);
+            await staking.fundRewardPool(REWARD_POOL);
+        });
+
+        it("should stake in one transaction", async function () {
+            const { v, r, s } = await signPermit(user, tokenAddress, await staking.getAddress(), AMOUNT, deadline);
+
+            await expect(staking.connect(user).stakeWithPermit(AMOUNT, deadline, v, r, s))
+                .to.emit(staking, "Staked")
+                .withArgs(user.address, AMOUNT);
+            expect((await staking.getStakeInfo(user.address))[0]).to.equal(AMOUNT);
+        });
+
+        it("should open a locked position in one transaction", async function () {
+            const { v, r, s } = await signPermit(user, tokenAddress, await staking.getAddress(), AMOUNT, deadline);
+
+            await staking.connect(user).stakeLockedWithPermit(AMOUNT, 2, deadline, v, r, s);
+            const [position] = await staking.getPositions(user.address);
+            expect(position.amount).to.equal(AMOUNT);
+        });
+
+        it("should reject expired, replayed and foreign permits", async function () {
+            const spender = await staking.getAddress();
+            const expired = (await time.latest()) - 1;
+
+            let sig = await signPermit(user, tokenAddress, spender, AMOUNT, expired);
+            await expect(
+                staking.connect(user).stakeWithPermit(AMOUNT, expired, sig.v, sig.r, sig.s)
+            ).to.be.revertedWith("Permit failed");
+
+            sig = await signPermit(other, tokenAddress, spender, AMOUNT, deadline);
+            await expect(
+                staking.connect(user).stakeWithPermit(AMOUNT, deadline, sig.v, sig.r, sig.s)
+            ).to.be.revertedWith("Permit failed");
+
+            sig = await signPermit(user, tokenAddress, spender, AMOUNT, deadline);
+            await staking.connect(user).stakeWithPermit(AMOUNT, deadline, sig.v, sig.r, sig.s);
+            await expect(
+                staking.connect(user).stakeWithPermit(AMOUNT, deadline, sig.v, sig.r, sig.s)
+            ).to.be.revertedWith("Permit failed");
+        });
+
+        it("should still stake when the permit was front-run", async function () {
+            const spender = await staking.getAddress();
+            const { v, r, s } = await signPermit(user, tokenAddress, spender, AMOUNT, deadline);
+
+            // Someone submits the permit first, consuming the nonce
+            await tapv2.connect(other).permit(user.address, spender, AMOUNT, deadline, v, r, s);
+            await staking.connect(user).stakeWithPermit(AMOUNT, deadline, v, r, s);
+            expect((await staking.getStakeInfo(user.address))[0]).to.equal(AMOUNT);
+        });
+
+        it("should fund the reward pool with a permit", async function () {
+            const { v, r, s } = await signPermit(owner, tokenAddress, await staking.getAddress(), AMOUNT, deadline);
+
+            await staking.fundRewardPoolWithPermit(AMOUNT, deadline, v, r, s);
+            expect(await staking.rewardPool()).to.equal(REWARD_POOL + AMOUNT);
+        });
+    });
+
+    describe("Vesting", function () {
+        it("should create a schedule with a permit", async function () {
+            const { v, r, s } = await signPermit(owner, tokenAddress, await vesting.getAddress(), AMOUNT, deadline);
+
+            await expect(vesting.createVestingWithPermit(user.address, AMOUNT, 0, YEAR, deadline, v, r, s))
+                .to.emit(vesting, "VestingCreated");
+            expect(await vesting.totalLocked()).to.equal(AMOUNT);
+            expect(await tapv2.nonces(owner.address)).to.equal(1n);
+        });
+
+        it("should reject a permit from another signer", async function () {
+            const { v, r, s } = await signPermit(user, tokenAddress, await vesting.getAddress(), AMOUNT, deadline);
+
+            await expect(
+                vesting.createVestingWithPermit(user.address, AMOUNT, 0, YEAR, deadline, v, r, s)
+            ).to.be.revertedWith("Permit failed");
+        });
+    });
+});
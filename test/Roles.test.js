@@ -0,0 +1,334 @@
+/**
+ * Role and Pause Tests
+ * Tests the role split across TAPv2, Staking and Vesting, the guardian
+ * pause (deposits and creation stop, withdrawals and releases do not) and
+ * role manifests
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
+const {
+    roleId,
+    parseRoleManifest,
+    resolveRoleManifest,
+    getRoleHolders,
+    planRoleChanges,
+    applyRoleChanges,
+    roleChangeActions,
+} = require("../scripts/lib/roles");
+const { encodeAction } = require("../scripts/lib/governance");
+
+describe("Roles", function () {
+    const { ethers } = hre;
+    const DAY = 24 * 60 * 60;
+    const AMOUNT = ethers.parseEther("10000");
+
+    /**
+     * Suite with every role held by a different account, and live positions
+     */
+    async function rolesFixture() {
+        const [admin, manager, funder, setter, creator, revoker, guardian, user] = await ethers.getSigners();
+        const tapv2 = await ethers.deployContract("TAPv2");
+        const tapv2Address = await tapv2.getAddress();
+        const staking = await deployProxy(hre, "Staking", [tapv2Address]);
+        const vesting = await deployProxy(hre, "Vesting", [tapv2Address]);
+        const stakingAddress = await staking.getAddress();
+        const vestingAddress = await vesting.getAddress();
+
+        await tapv2.batchSetExcludedFromBurn([stakingAddress, vestingAddress], [true, true]);
+        await tapv2.setPauseExempt(stakingAddress, true);
+        await tapv2.setPauseExempt(vestingAddress, true);
+
+        const assignments = [
+            [tapv2, "BURN_EXCLUSION_MANAGER_ROLE", manager],
+            [tapv2, "GUARDIAN_ROLE", guardian],
+            [staking, "REWARD_FUNDER_ROLE", funder],
+            [staking, "RATE_SETTER_ROLE", setter],
+            [staking, "GUARDIAN_ROLE", guardian],
+            [vesting, "VESTING_CREATOR_ROLE", creator],
+            [vesting, "REVOKER_ROLE", revoker],
+            [vesting, "GUARDIAN_ROLE", guardian],
+        ];
+        for (const [contract, role, account] of assignments) {
+            await contract.grantRole(roleId(role), account.address);
+            await contract.renounceRole(roleId(role), admin.address);
+        }
+
+        for (const [account, spender] of [[funder, stakingAddress], [creator, vestingAddress], [user, stakingAddress]]) {
+            await tapv2.transfer(account.address, AMOUNT * 10n);
+            await tapv2.connect(account).approve(spender, ethers.MaxUint256);
+        }
+        await staking.connect(funder).fundRewardPool(AMOUNT * 5n);
+        await staking.connect(user).stake(AMOUNT);
+        await staking.connect(user).stakeLocked(AMOUNT, 0);
+        await vesting.connect(creator).createVesting(user.address, AMOUNT, 0, 100 * DAY);
+        await time.increase(40 * DAY);
+
+        return { tapv2, staking, vesting, admin, manager, funder, setter, creator, revoker, guardian, user };
+    }
+
+    describe("Role separation", function () {
+        it("should give the deployer every role at deployment", async function () {
+            const [deployer] = await ethers.getSigners();
+            const tapv2 = await ethers.deployContract("TAPv2");
+            const staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+
+            for (const role of ["DEFAULT_ADMIN_ROLE", "BURN_EXCLUSION_MANAGER_ROLE", "GUARDIAN_ROLE"]) {
+                expect(await tapv2.hasRole(roleId(role), deployer.address)).to.be.true;
+            }
+            for (const role of ["DEFAULT_ADMIN_ROLE", "REWARD_FUNDER_ROLE", "RATE_SETTER_ROLE", "GUARDIAN_ROLE"]) {
+                expect(await staking.hasRole(roleId(role), deployer.address)).to.be.true;
+                expect(await staking[role]()).to.equal(roleId(role));
+            }
+        });
+
+        it("should only let each role perform its own duty", async function () {
+            const { tapv2, staking, vesting, admin, manager, funder, setter, creator, user } =
+                await loadFixture(rolesFixture);
+
+            await tapv2.connect(manager).setExcludedFromBurn(user.address, true);
+            await expect(tapv2.connect(funder).setExcludedFromBurn(user.address, false))
+                .to.be.revertedWithCustomError(tapv2, "AccessControlUnauthorizedAccount")
+                .withArgs(funder.address, roleId("BURN_EXCLUSION_MANAGER_ROLE"));
+            await expect(tapv2.connect(manager).setTransferFees(0, 0, 0))
+                .to.be.revertedWithCustomError(tapv2, "AccessControlUnauthorizedAccount");
+
+            await staking.connect(funder).fundRewardPool(AMOUNT);
+            await expect(staking.connect(setter).fundRewardPool(AMOUNT))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+            await staking.connect(setter).setRewardsDuration(30 * DAY);
+            await expect(staking.connect(funder).setRewardsDuration(30 * DAY))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+            await expect(staking.connect(setter).setBurnPenalties(true))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+            await staking.connect(admin).setBurnPenalties(true);
+
+            await expect(vesting.connect(creator).revoke(user.address, 0))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount")
+                .withArgs(creator.address, roleId("REVOKER_ROLE"));
+        });
+
+        it("should refund revoked schedules to the revoker", async function () {
+            const { tapv2, vesting, revoker, user } = await loadFixture(rolesFixture);
+            const before = await tapv2.balanceOf(revoker.address);
+
+            await vesting.connect(revoker).revoke(user.address, 0);
+
+            const refunded = (await tapv2.balanceOf(revoker.address)) - before;
+            expect(refunded).to.be.closeTo((AMOUNT * 60n) / 100n, AMOUNT / 100n);
+        });
+
+        it("should let only the admin grant and revoke roles", async function () {
+            const { staking, admin, funder, user } = await loadFixture(rolesFixture);
+            const funderRole = roleId("REWARD_FUNDER_ROLE");
+
+            await expect(staking.connect(funder).grantRole(funderRole, user.address))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount")
+                .withArgs(funder.address, ethers.ZeroHash);
+            await expect(staking.connect(admin).revokeRole(funderRole, funder.address))
+                .to.emit(staking, "RoleRevoked")
+                .withArgs(funderRole, funder.address, admin.address);
+            await expect(staking.connect(funder).fundRewardPool(AMOUNT))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Pause", function () {
+        it("should only let the guardian pause and unpause", async function () {
+            const { tapv2, staking, vesting, admin, guardian } = await loadFixture(rolesFixture);
+
+            for (const contract of [tapv2, staking, vesting]) {
+                await expect(contract.connect(admin).pause())
+                    .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+                    .withArgs(admin.address, roleId("GUARDIAN_ROLE"));
+                await expect(contract.connect(guardian).pause())
+                    .to.emit(contract, "Paused")
+                    .withArgs(guardian.address);
+                await expect(contract.connect(admin).unpause())
+                    .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount");
+                await expect(contract.connect(guardian).unpause())
+                    .to.emit(contract, "Unpaused")
+                    .withArgs(guardian.address);
+            }
+        });
+
+        it("should stop new stakes but keep withdrawals and claims open", async function () {
+            const { staking, funder, guardian, user } = await loadFixture(rolesFixture);
+            await staking.connect(guardian).pause();
+
+            await expect(staking.connect(user).stake(AMOUNT))
+                .to.be.revertedWithCustomError(staking, "EnforcedPause");
+            await expect(staking.connect(user).stakeLocked(AMOUNT, 0))
+                .to.be.revertedWithCustomError(staking, "EnforcedPause");
+            await expect(staking.connect(funder).stakeFor(user.address, AMOUNT))
+                .to.be.revertedWithCustomError(staking, "EnforcedPause");
+            await expect(staking.connect(funder).stakeLockedFor(user.address, AMOUNT, 0))
+                .to.be.revertedWithCustomError(staking, "EnforcedPause");
+
+            await expect(staking.connect(user).claimRewards()).to.emit(staking, "RewardsClaimed");
+            await expect(staking.connect(user).withdraw(AMOUNT / 2n)).to.emit(staking, "Withdrawn");
+            await expect(staking.connect(user).withdrawPosition(0)).to.emit(staking, "PositionClosed");
+            await expect(staking.connect(user).exit()).to.emit(staking, "Withdrawn");
+
+            // Funding the pool is not a deposit and stays open
+            await staking.connect(funder).fundRewardPool(AMOUNT);
+
+            await staking.connect(guardian).unpause();
+            await staking.connect(user).stake(AMOUNT);
+        });
+
+        it("should stop new schedules but keep releases and revokes open", async function () {
+            const { vesting, creator, revoker, guardian, user } = await loadFixture(rolesFixture);
+            await vesting.connect(guardian).pause();
+
+            await expect(vesting.connect(creator).createVesting(user.address, AMOUNT, 0, DAY))
+                .to.be.revertedWithCustomError(vesting, "EnforcedPause");
+            await expect(vesting.connect(creator).createVestingSchedule(user.address, AMOUNT, await time.latest(), 0, DAY, 0, 0))
+                .to.be.revertedWithCustomError(vesting, "EnforcedPause");
+
+            await expect(vesting.connect(user).release(0)).to.emit(vesting, "TokensReleased");
+            await expect(vesting.connect(revoker).revoke(user.address, 0)).to.emit(vesting, "VestingRevoked");
+        });
+
+        it("should freeze TAPv2 transfers except payouts from Staking and Vesting", async function () {
+            const { tapv2, staking, vesting, admin, funder, guardian, user } = await loadFixture(rolesFixture);
+            await tapv2.connect(guardian).pause();
+
+            await expect(tapv2.connect(user).transfer(admin.address, 1))
+                .to.be.revertedWithCustomError(tapv2, "EnforcedPause");
+            await expect(tapv2.connect(user).burn(1))
+                .to.be.revertedWithCustomError(tapv2, "EnforcedPause");
+            // Deposits move tokens from the user, so they stop too
+            await expect(staking.connect(funder).fundRewardPool(AMOUNT))
+                .to.be.revertedWithCustomError(tapv2, "EnforcedPause");
+
+            const before = await tapv2.balanceOf(user.address);
+            await staking.connect(user).exit();
+            await vesting.connect(user).releaseAll();
+            expect(await tapv2.balanceOf(user.address)).to.be.gt(before + AMOUNT);
+
+            await tapv2.connect(guardian).unpause();
+            await tapv2.connect(user).transfer(admin.address, 1);
+        });
+
+        it("should let only the admin exempt senders from the pause", async function () {
+            const { tapv2, guardian, user } = await loadFixture(rolesFixture);
+
+            await expect(tapv2.connect(guardian).setPauseExempt(user.address, true))
+                .to.be.revertedWithCustomError(tapv2, "AccessControlUnauthorizedAccount");
+            await expect(tapv2.setPauseExempt(ethers.ZeroAddress, true)).to.be.revertedWith("Cannot set zero address");
+            await expect(tapv2.setPauseExempt(user.address, true))
+                .to.emit(tapv2, "PauseExemptionUpdated")
+                .withArgs(user.address, true);
+
+            await tapv2.connect(guardian).pause();
+            await tapv2.connect(user).transfer(guardian.address, 1);
+        });
+    });
+
+    describe("Role manifest", function () {
+        /**
+         * roles.js targets and a deployment manifest for the fixture's contracts
+         */
+        async function targetsFor({ tapv2, staking, vesting }) {
+            const targets = {
+                TAPv2: { contract: tapv2 },
+                Staking: { contract: staking },
+                Vesting: { contract: vesting },
+            };
+            const deployments = { contracts: {} };
+            for (const [name, { contract }] of Object.entries(targets)) {
+                deployments.contracts[name] = { address: await contract.getAddress() };
+            }
+            return { targets, deployments };
+        }
+
+        it("should reject unknown contracts, roles and malformed lists", async function () {
+            expect(() => parseRoleManifest([])).to.throw("Role manifest must be an object");
+            expect(() => parseRoleManifest({ TAP: {} })).to.throw('Unknown contract "TAP"');
+            expect(() => parseRoleManifest({ Staking: { VESTING_CREATOR_ROLE: [] } }))
+                .to.throw("Unknown role Staking.VESTING_CREATOR_ROLE");
+            expect(() => parseRoleManifest({ Staking: { DEFAULT_ADMIN_ROLE: [] } }))
+                .to.throw("Unknown role Staking.DEFAULT_ADMIN_ROLE");
+            expect(() => parseRoleManifest({ Vesting: { REVOKER_ROLE: "0x01" } }))
+                .to.throw("Vesting.REVOKER_ROLE must be a list");
+        });
+
+        it("should resolve contract names and reject unknown accounts", async function () {
+            const fixture = await loadFixture(rolesFixture);
+            const { deployments } = await targetsFor(fixture);
+
+            const resolved = resolveRoleManifest(
+                { Vesting: { VESTING_CREATOR_ROLE: ["Staking", fixture.creator.address.toLowerCase()] } },
+                deployments
+            );
+            expect(resolved.Vesting.VESTING_CREATOR_ROLE)
+                .to.deep.equal([await fixture.staking.getAddress(), fixture.creator.address]);
+
+            expect(() => resolveRoleManifest({ Vesting: { REVOKER_ROLE: ["MerkleDistributor"] } }, deployments))
+                .to.throw('"MerkleDistributor" is not an address or a deployed contract');
+            expect(() => resolveRoleManifest({ Vesting: { REVOKER_ROLE: ["Staking", "Staking"] } }, deployments))
+                .to.throw("lists the same account twice");
+        });
+
+        it("should find role holders from role events", async function () {
+            const { staking, admin, guardian } = await loadFixture(rolesFixture);
+
+            expect(await getRoleHolders(staking, roleId("GUARDIAN_ROLE"))).to.deep.equal([guardian.address]);
+            expect(await getRoleHolders(staking, ethers.ZeroHash)).to.deep.equal([admin.address]);
+        });
+
+        it("should plan grants before revokes, apply them, then plan nothing", async function () {
+            const fixture = await loadFixture(rolesFixture);
+            const { staking, vesting, funder, setter, guardian, user } = fixture;
+            const { targets, deployments } = await targetsFor(fixture);
+            const roles = resolveRoleManifest(parseRoleManifest({
+                Staking: { REWARD_FUNDER_ROLE: [user.address], GUARDIAN_ROLE: [guardian.address] },
+                Vesting: { REVOKER_ROLE: [] },
+            }), deployments);
+
+            const changes = await planRoleChanges(targets, roles);
+            expect(changes.map(({ action, contract, role, account }) => [action, contract, role, account])).to.deep.equal([
+                ["grant", "Staking", "REWARD_FUNDER_ROLE", user.address],
+                ["revoke", "Staking", "REWARD_FUNDER_ROLE", funder.address],
+                ["revoke", "Vesting", "REVOKER_ROLE", fixture.revoker.address],
+            ]);
+
+            await applyRoleChanges(targets, changes);
+            expect(await staking.hasRole(roleId("REWARD_FUNDER_ROLE"), user.address)).to.be.true;
+            expect(await staking.hasRole(roleId("REWARD_FUNDER_ROLE"), funder.address)).to.be.false;
+            expect(await getRoleHolders(vesting, roleId("REVOKER_ROLE"))).to.deep.equal([]);
+            // Roles left out of the manifest are untouched
+            expect(await staking.hasRole(roleId("RATE_SETTER_ROLE"), setter.address)).to.be.true;
+            expect(await planRoleChanges(targets, roles)).to.deep.equal([]);
+        });
+
+        it("should skip a StakingVault that is not deployed", async function () {
+            const fixture = await loadFixture(rolesFixture);
+            const { targets } = await targetsFor(fixture);
+            const roles = parseRoleManifest({ StakingVault: { BOUNTY_SETTER_ROLE: [fixture.user.address] } });
+
+            expect(await planRoleChanges(targets, roles)).to.deep.equal([]);
+        });
+
+        it("should export the changes as governance actions", async function () {
+            const fixture = await loadFixture(rolesFixture);
+            const { staking, user } = fixture;
+            const { targets, deployments } = await targetsFor(fixture);
+            const roles = resolveRoleManifest({ Staking: { RATE_SETTER_ROLE: [user.address] } }, deployments);
+
+            const actions = roleChangeActions(await planRoleChanges(targets, roles));
+            expect(actions).to.deep.equal([
+                { contract: "Staking", method: "grantRole", args: [roleId("RATE_SETTER_ROLE"), user.address] },
+                { contract: "Staking", method: "revokeRole", args: [roleId("RATE_SETTER_ROLE"), fixture.setter.address] },
+            ]);
+
+            const encoded = await encodeAction(staking, actions[0].method, actions[0].args);
+            expect(encoded.calldata).to.equal(
+                staking.interface.encodeFunctionData("grantRole", [roleId("RATE_SETTER_ROLE"), user.address])
+            );
+        });
+    });
+});
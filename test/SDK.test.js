@@ -0,0 +1,267 @@
+/**
+ * SDK Tests
+ * Tests the TAPClient helpers against a locally deployed suite
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TAPClient, resolveAddresses } = require("../sdk");
+const { loadManifests } = require("../sdk/node");
+const { writeManifest } = require("../scripts/lib/deployments");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("SDK", function () {
+    let tapv2;
+    let staking;
+    let vesting;
+    let addresses;
+    let owner;
+    let user;
+    let other;
+
+    const STAKE_AMOUNT = ethers.parseEther("1000");
+    const VEST_AMOUNT = ethers.parseEther("10000");
+    const REWARD_POOL = ethers.parseEther("100000");
+    const YEAR = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, user, other] = await ethers.getSigners();
+
+        tapv2 = await ethers.deployContract("TAPv2");
+        staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+        vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+        await tapv2.setExcludedFromBurn(await staking.getAddress(), true);
+        await tapv2.setExcludedFromBurn(await vesting.getAddress(), true);
+
+        await tapv2.approve(await staking.getAddress(), REWARD_POOL);
+        await staking.fundRewardPool(REWARD_POOL);
+        await tapv2.transfer(user.address, STAKE_AMOUNT * 10n);
+
+        addresses = {
+            TAPv2: await tapv2.getAddress(),
+            Staking: await staking.getAddress(),
+            Vesting: await vesting.getAddress(),
+        };
+    });
+
+    describe("Address resolution", function () {
+        it("should prefer explicit addresses", async function () {
+            expect(resolveAddresses(31337, { addresses })).to.deep.equal(addresses);
+        });
+
+        it("should fail for networks without a deployment", async function () {
+            expect(() => resolveAddresses(999999)).to.throw("No TAPv2 address for chain 999999");
+        });
+
+        it("should resolve addresses from manifests passed in", async function () {
+            const contracts = Object.fromEntries(Object.entries(addresses).map(([name, address]) => [name, { address }]));
+            const manifests = { 31337: { contracts } };
+
+            expect(resolveAddresses(31337n, { manifests })).to.deep.equal(addresses);
+            const client = await TAPClient.connect(ethers.provider, { manifests });
+            expect(client.addresses).to.deep.equal(addresses);
+        });
+
+        it("should load manifests from disk only through sdk/node", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-sdk-"));
+            const contracts = Object.fromEntries(Object.entries(addresses).map(([name, address]) => [name, { address }]));
+            writeManifest({ version: 1, chainId: 31337, contracts }, dir);
+
+            const manifests = loadManifests(dir);
+            fs.rmSync(dir, { recursive: true, force: true });
+            expect(Object.keys(manifests)).to.deep.equal(["31337"]);
+            expect(resolveAddresses(31337, { manifests })).to.deep.equal(addresses);
+
+            // The browser entry requires nothing but ethers and its own modules
+            for (const file of ["index.js", "abis.js", "addresses.js", "permit.js"]) {
+                const source = fs.readFileSync(path.join(__dirname, "..", "sdk", file), "utf8");
+                const required = [...source.matchAll(/^[^*\n]*require\("([^"]+)"\)/gm)].map((match) => match[1]);
+                expect(required.every((name) => name === "ethers" || name.startsWith("./")), file).to.be.true;
+            }
+        });
+    });
+
+    describe("Token", function () {
+        it("should expose circulating supply and total burned", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.token.transfer(other.address, STAKE_AMOUNT);
+
+            expect(await client.totalBurned()).to.equal(STAKE_AMOUNT / 100n);
+            expect(await client.circulatingSupply()).to.equal(await tapv2.circulatingSupply());
+        });
+
+        it("should report fee burns and burned penalties separately", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.token.transfer(other.address, STAKE_AMOUNT);
+            await staking.setBurnPenalties(true);
+            await client.stakeLocked(STAKE_AMOUNT, 1);
+            await client.withdrawPosition(0);
+
+            const penalties = await staking.totalPenaltiesBurned();
+            expect(penalties).to.be.gt(0n);
+            expect(await client.totalBurned()).to.equal(await tapv2.totalBurned());
+            expect(await client.penaltiesBurned()).to.equal(penalties);
+            expect(await client.burnedSupply()).to.equal(await tapv2.balanceOf(await tapv2.DEAD_ADDRESS()));
+        });
+
+        it("should report what is paused", async function () {
+            const client = await TAPClient.connect(ethers.provider, { addresses });
+            expect(await client.getPauseStatus()).to.deep.equal({ transfers: false, staking: false, vesting: false });
+
+            await staking.pause();
+            await tapv2.pause();
+            expect(await client.getPauseStatus()).to.deep.equal({ transfers: true, staking: true, vesting: false });
+        });
+
+        it("should quote burn-aware transfers", async function () {
+            const client = await TAPClient.connect(ethers.provider, { addresses });
+
+            const burned = await client.quoteTransfer(user.address, other.address, STAKE_AMOUNT);
+            expect(burned.burnApplied).to.be.true;
+            expect(burned.burn).to.equal(STAKE_AMOUNT / 100n);
+            expect(burned.received).to.equal(STAKE_AMOUNT - STAKE_AMOUNT / 100n);
+
+            const excluded = await client.quoteTransfer(owner.address, other.address, STAKE_AMOUNT);
+            expect(excluded.burnApplied).to.be.false;
+            expect(excluded.received).to.equal(STAKE_AMOUNT);
+        });
+
+        it("should match the actual received amount", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            const quote = await client.quoteTransfer(user.address, other.address, STAKE_AMOUNT);
+
+            await tapv2.connect(user).transfer(other.address, STAKE_AMOUNT);
+            expect(await tapv2.balanceOf(other.address)).to.equal(quote.received);
+        });
+    });
+
+    describe("Staking", function () {
+        it("should approve and stake in one call", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.stake(STAKE_AMOUNT);
+
+            const info = await client.getStakeInfo(user.address);
+            expect(info.amount).to.equal(STAKE_AMOUNT);
+            expect(await staking.totalStaked()).to.equal(STAKE_AMOUNT);
+        });
+
+        it("should stake with a permit in one transaction", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.stakeWithPermit(STAKE_AMOUNT);
+
+            expect((await client.getStakeInfo(user.address)).amount).to.equal(STAKE_AMOUNT);
+            expect(await tapv2.allowance(user.address, addresses.Staking)).to.equal(0n);
+        });
+
+        it("should report pending rewards and exit", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.stake(STAKE_AMOUNT);
+            await time.increase(YEAR);
+
+            // Sole staker earns the whole funded period
+            const pending = await client.pendingRewards(user.address);
+            expect(pending).to.be.closeTo(REWARD_POOL, REWARD_POOL / 1000n);
+
+            await client.exit();
+            expect((await client.getStakeInfo(user.address)).amount).to.equal(0n);
+        });
+
+        it("should list tiers with their current APY", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.stake(STAKE_AMOUNT);
+
+            const tiers = await client.getTiers();
+            expect(tiers).to.have.length(4);
+            expect(tiers[3].lockDuration).to.equal(YEAR);
+            expect(tiers[3].apy).to.equal((await staking.getCurrentAPY()) * 2n);
+        });
+
+        it("should open positions and quote early withdrawals", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await client.stakeLocked(STAKE_AMOUNT, 1);
+
+            const [position] = await client.getPositions(user.address);
+            expect(position.amount).to.equal(STAKE_AMOUNT);
+            expect(position.tierId).to.equal(1);
+
+            const early = await client.quoteWithdrawPosition(user.address, 0);
+            expect(early.early).to.be.true;
+            expect(early.penalty).to.equal(STAKE_AMOUNT / 10n);
+
+            const late = await client.quoteWithdrawPosition(user.address, 0, position.unlockTime);
+            expect(late.penalty).to.equal(0n);
+
+            const before = await tapv2.balanceOf(user.address);
+            await client.withdrawPosition(0);
+            expect((await tapv2.balanceOf(user.address)) - before).to.equal(early.received);
+        });
+    });
+
+    describe("Vesting", function () {
+        beforeEach(async function () {
+            await tapv2.approve(await vesting.getAddress(), VEST_AMOUNT * 2n);
+            await vesting.createVesting(user.address, VEST_AMOUNT, 0, YEAR);
+            await vesting.createVesting(user.address, VEST_AMOUNT, 0, YEAR * 2);
+        });
+
+        it("should sum vested and releasable amounts across schedules", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await time.increase(YEAR);
+
+            const schedules = await client.getSchedules(user.address);
+            expect(schedules).to.have.length(2);
+
+            const expected = schedules[0].vested + schedules[1].vested;
+            expect(await client.vestedAmount(user.address)).to.equal(expected);
+            expect(await client.releasableAmount(user.address)).to.equal(expected);
+            expect(schedules[0].vested).to.equal(VEST_AMOUNT);
+        });
+
+        it("should release all schedules in one call", async function () {
+            const client = await TAPClient.connect(user, { addresses });
+            await time.increase(YEAR * 2);
+
+            const before = await tapv2.balanceOf(user.address);
+            await client.releaseAll();
+
+            expect((await tapv2.balanceOf(user.address)) - before).to.equal(VEST_AMOUNT * 2n);
+            expect(await client.releasableAmount(user.address)).to.equal(0n);
+        });
+
+        it("should transfer a schedule by its token id", async function () {
+            await vesting.setTransferPolicy(2);
+            const client = await TAPClient.connect(user, { addresses });
+            const [first] = await client.getSchedules(user.address);
+
+            await client.transferSchedule(owner.address, first.tokenId);
+
+            const [moved] = await client.getSchedules(owner.address);
+            expect(moved.tokenId).to.equal(first.tokenId);
+            expect(moved.totalAmount).to.equal(first.totalAmount);
+            expect(await client.getSchedules(user.address)).to.have.length(1);
+        });
+
+        it("should stake unreleased tokens and claim their rewards", async function () {
+            await vesting.setStaking(await staking.getAddress());
+            const client = await TAPClient.connect(user, { addresses });
+
+            await client.stakeUnreleased(0, VEST_AMOUNT);
+            const [schedule] = await client.getSchedules(user.address);
+            expect(schedule.staked).to.equal(VEST_AMOUNT);
+
+            await time.increase(30 * 24 * 60 * 60);
+            expect(await client.pendingStakingRewards(user.address)).to.be.gt(0n);
+            const before = await tapv2.balanceOf(user.address);
+            await client.claimStakingRewards();
+            expect(await tapv2.balanceOf(user.address)).to.be.gt(before);
+
+            await client.unstakeUnreleased(0, VEST_AMOUNT);
+            expect((await client.getSchedules(user.address))[0].staked).to.equal(0n);
+        });
+    });
+});
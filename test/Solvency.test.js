@@ -0,0 +1,112 @@
+/**
+ * Reward Pool Solvency Tests
+ * Tests liability totals, runway projection and alert status
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { assessSolvency, collectStakers, solvencyStatus } = require("../scripts/lib/solvency");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Staking Solvency", function () {
+    let tap;
+    let staking;
+    let staker1;
+    let staker2;
+
+    const STAKE_AMOUNT = ethers.parseEther("1000");
+    const REWARD_POOL = ethers.parseEther("200");
+    const YEAR = 365 * 24 * 60 * 60;
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [, staker1, staker2] = await ethers.getSigners();
+
+        tap = await ethers.deployContract("TAP");
+        staking = await deployProxy(hre, "Staking", [await tap.getAddress()]);
+
+        await tap.approve(await staking.getAddress(), REWARD_POOL);
+        await staking.fundRewardPool(REWARD_POOL);
+
+        for (const staker of [staker1, staker2]) {
+            await tap.transfer(staker.address, STAKE_AMOUNT);
+            await tap.connect(staker).approve(await staking.getAddress(), STAKE_AMOUNT);
+            await staking.connect(staker).stake(STAKE_AMOUNT);
+        }
+    });
+
+    it("should find stakers from Staked events", async function () {
+        expect(await collectStakers(staking)).to.deep.equal([staker1.address, staker2.address]);
+    });
+
+    it("should scan for stakers from a start block in pages", async function () {
+        const [, , , staker3] = await ethers.getSigners();
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+        await tap.transfer(staker3.address, STAKE_AMOUNT);
+        await tap.connect(staker3).approve(await staking.getAddress(), STAKE_AMOUNT);
+        await staking.connect(staker3).stake(STAKE_AMOUNT);
+
+        expect(await collectStakers(staking, { fromBlock, batchSize: 1 })).to.deep.equal([staker3.address]);
+        expect(await collectStakers(staking, { batchSize: 2 }))
+            .to.deep.equal([staker1.address, staker2.address, staker3.address]);
+    });
+
+    it("should total liabilities across stakers", async function () {
+        await time.increase(YEAR / 4);
+        await staking.connect(staker1).withdraw(STAKE_AMOUNT / 2n); // settles staker1's rewards
+
+        const report = await assessSolvency(staking);
+        const expected = (await staking.pendingRewards(staker1.address)) + (await staking.pendingRewards(staker2.address));
+
+        expect(report.liabilities).to.equal(expected);
+        expect(report.surplus).to.equal(REWARD_POOL - expected - report.scheduled);
+        expect(report.surplus).to.be.gte(0n);
+        expect(report.stakers).to.equal(2);
+    });
+
+    it("should project the runway to the end of the reward period", async function () {
+        const report = await assessSolvency(staking);
+
+        expect(report.accrualPerYear).to.be.closeTo(REWARD_POOL, REWARD_POOL / 1000n);
+        expect(report.runwaySeconds).to.be.closeTo(YEAR, DAY);
+        expect(report.dryAt).to.equal(Number(await staking.periodFinish()));
+        expect(solvencyStatus(report, 30 * DAY)).to.equal("ok");
+    });
+
+    it("should flag a reward period ending soon", async function () {
+        await time.increase(YEAR - 10 * DAY);
+
+        const report = await assessSolvency(staking);
+
+        expect(report.runwaySeconds).to.be.closeTo(10 * DAY, DAY);
+        expect(solvencyStatus(report, 30 * DAY)).to.equal("low-runway");
+    });
+
+    it("should report no runway once emissions stop", async function () {
+        await time.increase(2 * YEAR);
+
+        const report = await assessSolvency(staking);
+
+        expect(report.runwaySeconds).to.equal(0);
+        expect(report.scheduled).to.equal(0n);
+        expect(report.accrualPerYear).to.equal(0n);
+        expect(report.liabilities).to.be.lte(REWARD_POOL);
+        expect(solvencyStatus(report, DAY)).to.equal("low-runway");
+    });
+
+    it("should flag an insolvent pool", async function () {
+        const report = await assessSolvency(staking);
+
+        expect(solvencyStatus({ ...report, surplus: -1n }, 0)).to.equal("insolvent");
+    });
+
+    it("should compare the books with the token balance", async function () {
+        const report = await assessSolvency(staking);
+
+        expect(report.accounted).to.equal(STAKE_AMOUNT * 2n + REWARD_POOL);
+        expect(report.tokenBalance).to.equal(report.accounted);
+        expect(solvencyStatus({ ...report, tokenBalance: report.accounted - 1n }, 0)).to.equal("insolvent");
+    });
+});
@@ -1,13 +1,25 @@
 /**
  * Staking Contract Unit Tests
- * Tests stake, withdraw, and rewards functionality
+ * Tests stake, withdraw, and reward-period functionality, against v1 TAP
+ * and against a TAPv2 that takes its fee on every transfer
  */
 
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
 
-describe("Staking Contract", function () {
+/**
+ * The suite runs against v1 TAP and against TAPv2 with nobody excluded from
+ * its 1% fee, so every transfer into and out of Staking arrives short
+ */
+const TOKENS = [
+    { tokenName: "TAP", feeBps: 0n },
+    { tokenName: "TAPv2", feeBps: 100n },
+];
+
+TOKENS.forEach(({ tokenName, feeBps }) => describe(`Staking Contract (${tokenName}, ${feeBps} bps fee)`, function () {
     let tap;
     let staking;
     let owner;
@@ -19,17 +31,22 @@ describe("Staking Contract", function () {
     const REWARD_POOL = ethers.parseEther("100000");
     const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
 
+    // What arrives after one transfer
+    const net = (amount) => amount - (amount * feeBps) / 10000n;
+    const STAKED = net(STAKE_AMOUNT);
+    const FUNDED = net(REWARD_POOL);
+
     beforeEach(async function () {
         [owner, staker1, staker2] = await ethers.getSigners();
 
-        // Deploy TAP token
-        const TAP = await ethers.getContractFactory("TAP");
-        tap = await TAP.deploy();
-        await tap.waitForDeployment();
+        // Deploy the token; TAPv2 excludes its deployer by default
+        tap = await ethers.deployContract(tokenName);
+        if (feeBps > 0n) {
+            await tap.setExcludedFromBurn(owner.address, false);
+        }
 
         // Deploy Staking contract
-        const Staking = await ethers.getContractFactory("Staking");
-        staking = await Staking.deploy(await tap.getAddress());
+        staking = await deployProxy(hre, "Staking", [await tap.getAddress()]);
         await staking.waitForDeployment();
 
         // Fund reward pool
@@ -51,11 +68,19 @@ describe("Staking Contract", function () {
         });
 
         it("should have funded reward pool", async function () {
-            expect(await staking.rewardPool()).to.equal(REWARD_POOL);
+            expect(await staking.rewardPool()).to.equal(FUNDED);
         });
 
-        it("should have correct default APY (10%)", async function () {
-            expect(await staking.getCurrentAPY()).to.equal(10n);
+        it("should spread the funded pool over the default duration", async function () {
+            expect(await staking.rewardsDuration()).to.equal(SECONDS_PER_YEAR);
+            expect(await staking.rewardRate()).to.equal(FUNDED / BigInt(SECONDS_PER_YEAR));
+            expect(await staking.periodFinish()).to.equal(
+                (await staking.lastUpdateTime()) + BigInt(SECONDS_PER_YEAR)
+            );
+        });
+
+        it("should report no APY while nothing is staked", async function () {
+            expect(await staking.getCurrentAPY()).to.equal(0n);
         });
     });
 
@@ -64,8 +89,8 @@ describe("Staking Contract", function () {
             await staking.connect(staker1).stake(STAKE_AMOUNT);
 
             const stakeInfo = await staking.getStakeInfo(staker1.address);
-            expect(stakeInfo.amount).to.equal(STAKE_AMOUNT);
-            expect(await staking.totalStaked()).to.equal(STAKE_AMOUNT);
+            expect(stakeInfo.amount).to.equal(STAKED);
+            expect(await staking.totalStaked()).to.equal(STAKED);
         });
 
         it("should reject stake below minimum", async function () {
@@ -77,7 +102,18 @@ describe("Staking Contract", function () {
         it("should emit Staked event", async function () {
             await expect(staking.connect(staker1).stake(STAKE_AMOUNT))
                 .to.emit(staking, "Staked")
-                .withArgs(staker1.address, STAKE_AMOUNT);
+                .withArgs(staker1.address, STAKED);
+        });
+
+        it("should stake on behalf of another address", async function () {
+            await staking.connect(staker1).stakeFor(staker2.address, STAKE_AMOUNT);
+
+            const [amount] = await staking.getStakeInfo(staker2.address);
+            expect(amount).to.equal(STAKED);
+            expect((await staking.getStakeInfo(staker1.address))[0]).to.equal(0);
+            await expect(
+                staking.connect(staker1).stakeFor(ethers.ZeroAddress, STAKE_AMOUNT)
+            ).to.be.revertedWith("Beneficiary cannot be zero");
         });
 
         it("should allow additional stakes below minimum", async function () {
@@ -88,7 +124,7 @@ describe("Staking Contract", function () {
             await staking.connect(staker1).stake(smallAmount);
 
             const stakeInfo = await staking.getStakeInfo(staker1.address);
-            expect(stakeInfo.amount).to.equal(STAKE_AMOUNT + smallAmount);
+            expect(stakeInfo.amount).to.equal(STAKED + net(smallAmount));
         });
     });
 
@@ -99,23 +135,23 @@ describe("Staking Contract", function () {
 
         it("should allow withdrawing staked tokens", async function () {
             const balanceBefore = await tap.balanceOf(staker1.address);
-            await staking.connect(staker1).withdraw(STAKE_AMOUNT);
+            await staking.connect(staker1).withdraw(STAKED);
             const balanceAfter = await tap.balanceOf(staker1.address);
 
-            expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+            expect(balanceAfter - balanceBefore).to.equal(net(STAKED));
             expect(await staking.totalStaked()).to.equal(0n);
         });
 
         it("should reject withdrawing more than staked", async function () {
             await expect(
-                staking.connect(staker1).withdraw(STAKE_AMOUNT + 1n)
+                staking.connect(staker1).withdraw(STAKED + 1n)
             ).to.be.revertedWith("Insufficient staked amount");
         });
 
         it("should emit Withdrawn event", async function () {
-            await expect(staking.connect(staker1).withdraw(STAKE_AMOUNT))
+            await expect(staking.connect(staker1).withdraw(STAKED))
                 .to.emit(staking, "Withdrawn")
-                .withArgs(staker1.address, STAKE_AMOUNT);
+                .withArgs(staker1.address, STAKED);
         });
     });
 
@@ -125,20 +161,55 @@ describe("Staking Contract", function () {
         });
 
         it("should accrue rewards over time", async function () {
-            // Advance time by 1 year
-            await time.increase(SECONDS_PER_YEAR);
+            // Advance time by half the reward period
+            await time.increase(SECONDS_PER_YEAR / 2);
 
             const pending = await staking.pendingRewards(staker1.address);
 
-            // Expected: 10% of 1000 TAP = 100 TAP
-            const expectedReward = STAKE_AMOUNT / 10n;
+            // Sole staker earns all emissions: ~half the pool
+            const expectedReward = FUNDED / 2n;
 
-            // Allow 1% tolerance for time-based calculations
-            expect(pending).to.be.closeTo(expectedReward, expectedReward / 100n);
+            // Allow 0.1% tolerance for time-based calculations
+            expect(pending).to.be.closeTo(expectedReward, expectedReward / 1000n);
         });
 
-        it("should allow claiming rewards", async function () {
+        it("should split emissions in proportion to stake", async function () {
+            await staking.connect(staker2).stake(STAKE_AMOUNT * 3n);
+            const start1 = await staking.pendingRewards(staker1.address);
+
+            await time.increase(SECONDS_PER_YEAR / 4);
+
+            const earned1 = (await staking.pendingRewards(staker1.address)) - start1;
+            const earned2 = await staking.pendingRewards(staker2.address);
+            expect(earned2).to.be.closeTo(earned1 * 3n, earned1 / 1000n);
+        });
+
+        it("should never promise more than the funded pool", async function () {
+            await staking.connect(staker2).stake(STAKE_AMOUNT);
+            await time.increase(SECONDS_PER_YEAR * 3);
+
+            const owed = (await staking.pendingRewards(staker1.address)) +
+                (await staking.pendingRewards(staker2.address));
+            expect(owed).to.be.lte(FUNDED);
+            expect(owed).to.be.closeTo(FUNDED, FUNDED / 1000n);
+        });
+
+        it("should stop emitting after the period ends", async function () {
+            await time.increase(SECONDS_PER_YEAR + 1);
+            const atFinish = await staking.pendingRewards(staker1.address);
+
             await time.increase(SECONDS_PER_YEAR);
+            expect(await staking.pendingRewards(staker1.address)).to.equal(atFinish);
+            expect(await staking.getCurrentAPY()).to.equal(0n);
+        });
+
+        it("should report APY implied by the reward rate", async function () {
+            // 100,000 TAP a year for 1,000 TAP staked = 10,000%
+            expect(await staking.getCurrentAPY()).to.be.closeTo(10000n, 1n);
+        });
+
+        it("should allow claiming rewards", async function () {
+            await time.increase(SECONDS_PER_YEAR / 2);
 
             const pendingBefore = await staking.pendingRewards(staker1.address);
             const balanceBefore = await tap.balanceOf(staker1.address);
@@ -146,15 +217,220 @@ describe("Staking Contract", function () {
             await staking.connect(staker1).claimRewards();
 
             const balanceAfter = await tap.balanceOf(staker1.address);
-            expect(balanceAfter - balanceBefore).to.be.closeTo(pendingBefore, pendingBefore / 100n);
+            const claimed = await staking.totalRewardsClaimed();
+            expect(claimed).to.be.closeTo(pendingBefore, pendingBefore / 1000n);
+            expect(balanceAfter - balanceBefore).to.equal(net(claimed));
+            expect(await staking.rewardPool()).to.equal(FUNDED - claimed);
         });
 
         it("should emit RewardsClaimed event", async function () {
-            await time.increase(SECONDS_PER_YEAR);
+            await time.increase(SECONDS_PER_YEAR / 2);
 
             await expect(staking.connect(staker1).claimRewards())
                 .to.emit(staking, "RewardsClaimed");
         });
+
+        it("should reject claiming with no rewards", async function () {
+            await expect(
+                staking.connect(staker2).claimRewards()
+            ).to.be.revertedWith("No rewards to claim");
+        });
+    });
+
+    describe("Reward Periods", function () {
+        it("should roll the undistributed remainder into a new period", async function () {
+            await staking.connect(staker1).stake(STAKE_AMOUNT);
+            await time.increase(SECONDS_PER_YEAR / 2);
+
+            const additional = ethers.parseEther("50000");
+            await tap.approve(await staking.getAddress(), additional);
+            await staking.notifyRewardAmount(additional, SECONDS_PER_YEAR);
+
+            // Whatever is not yet owed to stakers is spread over the new year
+            const owed = await staking.accruedRewards();
+            const expectedRate = (FUNDED + net(additional) - owed) / BigInt(SECONDS_PER_YEAR);
+            expect(await staking.rewardRate()).to.equal(expectedRate);
+
+            await time.increase(SECONDS_PER_YEAR * 2);
+            expect(await staking.pendingRewards(staker1.address)).to.be.lte(FUNDED + net(additional));
+        });
+
+        it("should keep emissions from empty periods for the next period", async function () {
+            // Nobody stakes for the first half of the period
+            await time.increase(SECONDS_PER_YEAR / 2);
+            await staking.notifyRewardAmount(0, SECONDS_PER_YEAR);
+
+            expect(await staking.rewardRate()).to.equal(FUNDED / BigInt(SECONDS_PER_YEAR));
+        });
+
+        it("should not reprice rewards that already accrued", async function () {
+            await staking.connect(staker1).stake(STAKE_AMOUNT);
+            await time.increase(SECONDS_PER_YEAR / 2);
+            const accrued = await staking.pendingRewards(staker1.address);
+
+            // Stretch what is left over ten years
+            await staking.notifyRewardAmount(0, SECONDS_PER_YEAR * 10);
+
+            expect(await staking.pendingRewards(staker1.address)).to.be.closeTo(accrued, accrued / 1000n);
+        });
+
+        it("should emit RewardRateUpdated and RewardPeriodStarted", async function () {
+            const additional = ethers.parseEther("1000");
+            await tap.approve(await staking.getAddress(), additional);
+
+            await expect(staking.notifyRewardAmount(additional, SECONDS_PER_YEAR))
+                .to.emit(staking, "RewardRateUpdated")
+                .and.to.emit(staking, "RewardPeriodStarted");
+        });
+
+        it("should reject a zero duration", async function () {
+            await expect(
+                staking.notifyRewardAmount(0, 0)
+            ).to.be.revertedWith("Duration must be greater than 0");
+        });
+    });
+
+    describe("Lock-up Tiers", function () {
+        const DAY = 24 * 60 * 60;
+
+        it("should configure the default tiers", async function () {
+            const tiers = await staking.getTiers();
+            expect(tiers).to.have.length(4);
+            expect(tiers.map((tier) => Number(tier.lockDuration) / DAY)).to.deep.equal([30, 90, 180, 365]);
+            expect(tiers[3].multiplierBps).to.equal(20000n);
+            expect(tiers[3].penaltyBps).to.equal(2500n);
+        });
+
+        it("should open a position with an unlock time", async function () {
+            await expect(staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 1))
+                .to.emit(staking, "PositionOpened");
+
+            const [position] = await staking.getPositions(staker1.address);
+            expect(position.amount).to.equal(STAKED);
+            expect(position.weight).to.equal((STAKED * 12500n) / 10000n);
+            expect(position.unlockTime - position.startTime).to.equal(BigInt(90 * DAY));
+            expect(await staking.getPositionCount(staker1.address)).to.equal(1n);
+
+            const [amount] = await staking.getStakeInfo(staker1.address);
+            expect(amount).to.equal(STAKED);
+        });
+
+        it("should boost rewards by the tier multiplier", async function () {
+            await staking.connect(staker1).stake(STAKE_AMOUNT);
+            await staking.connect(staker2).stakeLocked(STAKE_AMOUNT, 3);
+            await time.increase(30 * DAY);
+
+            // 2x weight earns twice the flexible staker's share
+            const flexible = await staking.pendingRewards(staker1.address);
+            const locked = await staking.pendingRewards(staker2.address);
+            expect(locked).to.be.closeTo(flexible * 2n, flexible / 1000n);
+        });
+
+        it("should report tier APYs from the current rate", async function () {
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 3);
+
+            const base = await staking.getCurrentAPY();
+            expect(await staking.getTierAPY(3)).to.equal(base * 2n);
+            await expect(staking.getTierAPY(4)).to.be.revertedWith("Invalid tier");
+        });
+
+        it("should keep locked tokens out of withdraw", async function () {
+            await staking.connect(staker1).stake(STAKE_AMOUNT);
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 0);
+
+            await expect(
+                staking.connect(staker1).withdraw(STAKED + 1n)
+            ).to.be.revertedWith("Insufficient staked amount");
+            await staking.connect(staker1).withdraw(STAKED);
+        });
+
+        it("should return the full amount after unlock", async function () {
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 0);
+            await time.increase(30 * DAY);
+
+            const before = await tap.balanceOf(staker1.address);
+            await expect(staking.connect(staker1).withdrawPosition(0))
+                .to.emit(staking, "PositionClosed")
+                .withArgs(staker1.address, 0, STAKED, 0)
+                .and.to.emit(staking, "Withdrawn")
+                .withArgs(staker1.address, STAKED);
+            expect((await tap.balanceOf(staker1.address)) - before).to.equal(net(STAKED));
+
+            await expect(
+                staking.connect(staker1).withdrawPosition(0)
+            ).to.be.revertedWith("Position already withdrawn");
+        });
+
+        it("should recycle early withdrawal penalties into the reward pool", async function () {
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 1);
+            const penalty = (STAKED * 1000n) / 10000n;
+
+            const poolBefore = await staking.rewardPool();
+            const before = await tap.balanceOf(staker1.address);
+            await expect(staking.connect(staker1).withdrawPosition(0))
+                .to.emit(staking, "PenaltyCollected")
+                .withArgs(staker1.address, penalty, false)
+                .and.to.emit(staking, "Withdrawn")
+                .withArgs(staker1.address, STAKED - penalty)
+                .and.to.emit(staking, "PositionClosed")
+                .withArgs(staker1.address, 0, STAKED, penalty);
+
+            expect((await tap.balanceOf(staker1.address)) - before).to.equal(net(STAKED - penalty));
+            expect(await staking.rewardPool()).to.equal(poolBefore + penalty);
+            expect(await staking.totalStaked()).to.equal(0n);
+            expect(await staking.totalWeight()).to.equal(0n);
+        });
+
+        it("should burn early withdrawal penalties to TAPv2's dead address", async function () {
+            const tapv2 = await ethers.deployContract("TAPv2");
+            const burnStaking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+            await tapv2.setExcludedFromBurn(await burnStaking.getAddress(), true);
+            await burnStaking.setBurnPenalties(true);
+
+            await tapv2.approve(await burnStaking.getAddress(), STAKE_AMOUNT);
+            await burnStaking.stakeLocked(STAKE_AMOUNT, 3);
+
+            const penalty = (STAKE_AMOUNT * 2500n) / 10000n;
+            const circulatingBefore = await tapv2.circulatingSupply();
+            await expect(burnStaking.withdrawPosition(0))
+                .to.emit(burnStaking, "PenaltyCollected")
+                .withArgs(owner.address, penalty, true)
+                .and.to.emit(tapv2, "Transfer")
+                .withArgs(await burnStaking.getAddress(), await tapv2.DEAD_ADDRESS(), penalty)
+                .and.not.to.emit(tapv2, "BurnOnTransfer");
+
+            expect(await tapv2.balanceOf(await tapv2.DEAD_ADDRESS())).to.equal(penalty);
+            expect(await tapv2.circulatingSupply()).to.equal(circulatingBefore - penalty);
+            expect(await burnStaking.rewardPool()).to.equal(0n);
+            expect(await burnStaking.totalPenalties()).to.equal(penalty);
+            expect(await burnStaking.totalPenaltiesBurned()).to.equal(penalty);
+        });
+
+        it("should keep a position's terms when its tier changes", async function () {
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 0);
+            await staking.setTier(0, 60 * DAY, 13000, 4000, true);
+
+            const [position] = await staking.getPositions(staker1.address);
+            expect(position.penaltyBps).to.equal(500n);
+            expect(position.weight).to.equal((STAKED * 11000n) / 10000n);
+        });
+
+        it("should let the owner add and disable tiers", async function () {
+            await staking.setTier(4, 730 * DAY, 30000, 3000, true);
+            expect(await staking.tierCount()).to.equal(5n);
+
+            await staking.setTier(0, 30 * DAY, 11000, 500, false);
+            await expect(
+                staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 0)
+            ).to.be.revertedWith("Tier disabled");
+
+            await expect(staking.setTier(6, DAY, 10000, 0, true)).to.be.revertedWith("Invalid tier");
+            await expect(staking.setTier(0, DAY, 60000, 0, true)).to.be.revertedWith("Invalid multiplier");
+            await expect(staking.setTier(0, DAY, 10000, 6000, true)).to.be.revertedWith("Penalty too high");
+            await expect(
+                staking.connect(staker1).setTier(0, DAY, 10000, 0, true)
+            ).to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+        });
     });
 
     describe("Exit", function () {
@@ -170,18 +446,38 @@ describe("Staking Contract", function () {
             const received = balanceAfter - balanceBefore;
             expect(received).to.be.gt(STAKE_AMOUNT);
         });
+
+        it("should leave positions that are still locked", async function () {
+            await staking.connect(staker1).stake(STAKE_AMOUNT);
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 0);
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 3);
+            await time.increase(30 * 24 * 60 * 60);
+
+            await staking.connect(staker1).exit();
+            const [amount] = await staking.getStakeInfo(staker1.address);
+            expect(amount).to.equal(STAKED);
+
+            const positions = await staking.getPositions(staker1.address);
+            expect(positions[0].withdrawn).to.be.true;
+            expect(positions[1].withdrawn).to.be.false;
+        });
+
+        it("should reject exit with nothing withdrawable", async function () {
+            await staking.connect(staker1).stakeLocked(STAKE_AMOUNT, 0);
+            await expect(staking.connect(staker1).exit()).to.be.revertedWith("Nothing staked");
+        });
     });
 
     describe("Admin Functions", function () {
-        it("should allow owner to update reward rate", async function () {
-            await staking.setRewardRate(2000); // 20%
-            expect(await staking.getCurrentAPY()).to.equal(20n);
+        it("should allow owner to set the rewards duration", async function () {
+            await staking.setRewardsDuration(30 * 24 * 60 * 60);
+            expect(await staking.rewardsDuration()).to.equal(30n * 24n * 60n * 60n);
         });
 
-        it("should reject non-owner rate update", async function () {
+        it("should reject non-owner reward notifications", async function () {
             await expect(
-                staking.connect(staker1).setRewardRate(2000)
-            ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+                staking.connect(staker1).notifyRewardAmount(0, SECONDS_PER_YEAR)
+            ).to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
         });
 
         it("should allow owner to fund reward pool", async function () {
@@ -189,7 +485,38 @@ describe("Staking Contract", function () {
             await tap.approve(await staking.getAddress(), additionalRewards);
 
             await staking.fundRewardPool(additionalRewards);
-            expect(await staking.rewardPool()).to.equal(REWARD_POOL + additionalRewards);
+            expect(await staking.rewardPool()).to.equal(FUNDED + net(additionalRewards));
+        });
+    });
+
+    describe("Accounting", function () {
+        it("should keep the books equal to the balance", async function () {
+            await staking.connect(staker1).stake(STAKE_AMOUNT);
+            await staking.connect(staker2).stakeLocked(STAKE_AMOUNT, 1);
+            await time.increase(SECONDS_PER_YEAR / 4);
+            await staking.connect(staker1).claimRewards();
+            await staking.connect(staker2).withdrawPosition(0);
+
+            const [accounted, balance] = await staking.getAccounting();
+            expect(accounted).to.equal((await staking.totalStaked()) + (await staking.rewardPool()));
+            expect(balance).to.equal(await tap.balanceOf(await staking.getAddress()));
+            expect(balance).to.equal(accounted);
+        });
+
+        it("should add tokens sent directly to the reward pool", async function () {
+            const stray = ethers.parseEther("500");
+            await tap.connect(staker1).transfer(await staking.getAddress(), stray);
+
+            const [accounted, balance] = await staking.getAccounting();
+            expect(balance - accounted).to.equal(net(stray));
+
+            await expect(staking.connect(staker1).reconcileSurplus())
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+            await expect(staking.reconcileSurplus())
+                .to.emit(staking, "SurplusReconciled")
+                .withArgs(net(stray));
+            expect(await staking.rewardPool()).to.equal(FUNDED + net(stray));
+            await expect(staking.reconcileSurplus()).to.be.revertedWith("No surplus");
         });
     });
-});
+}));
@@ -0,0 +1,326 @@
+/**
+ * Staking Vault Tests
+ * Tests ERC-4626 deposits and withdrawals over a pooled stake, compounding
+ * with a caller bounty, and yield against manual claim-and-restake
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Staking Vault", function () {
+    let tapv2;
+    let staking;
+    let vault;
+    let owner;
+    let alice;
+    let bob;
+    let keeper;
+
+    const POOL = ethers.parseEther("100000");
+    const DEPOSIT = ethers.parseEther("10000");
+    const BOUNTY_BPS = 50n;
+    const MONTH = 30 * 24 * 60 * 60;
+    const ONE_SHARE = ethers.parseEther("1");
+
+    /**
+     * Fresh TAPv2, Staking with a funded pool and a vault excluded from the
+     * fee. Staking itself is excluded unless `stakingExcluded` is false.
+     */
+    async function deploy({ stakingExcluded = true } = {}) {
+        [owner, alice, bob, keeper] = await ethers.getSigners();
+
+        tapv2 = await ethers.deployContract("TAPv2");
+        staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+        const stakingAddress = await staking.getAddress();
+        vault = await ethers.deployContract("StakingVault", [stakingAddress, BOUNTY_BPS]);
+
+        await tapv2.batchSetExcludedFromBurn(
+            [stakingAddress, await vault.getAddress()],
+            [stakingExcluded, true]
+        );
+        await tapv2.approve(stakingAddress, POOL);
+        await staking.fundRewardPool(POOL);
+
+        for (const account of [alice, bob]) {
+            await tapv2.transfer(account.address, DEPOSIT * 2n);
+            await tapv2.connect(account).approve(await vault.getAddress(), ethers.MaxUint256);
+            await tapv2.connect(account).approve(stakingAddress, ethers.MaxUint256);
+        }
+    }
+
+    describe("Deployment", function () {
+        beforeEach(async function () {
+            await deploy();
+        });
+
+        it("should wrap the staking token", async function () {
+            expect(await vault.asset()).to.equal(await tapv2.getAddress());
+            expect(await vault.staking()).to.equal(await staking.getAddress());
+            expect(await vault.name()).to.equal("Compounding Staked TAP");
+            expect(await vault.symbol()).to.equal("csTAP");
+            expect(await vault.decimals()).to.equal(18);
+            expect(await vault.compoundBountyBps()).to.equal(BOUNTY_BPS);
+            expect(await vault.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+            expect(await vault.hasRole(await vault.BOUNTY_SETTER_ROLE(), owner.address)).to.be.true;
+        });
+
+        it("should reject a bounty above the maximum", async function () {
+            await expect(ethers.deployContract("StakingVault", [await staking.getAddress(), 501]))
+                .to.be.revertedWith("Bounty too high");
+        });
+    });
+
+    describe("Deposits", function () {
+        beforeEach(async function () {
+            await deploy();
+        });
+
+        it("should stake deposits and mint shares 1:1 at first", async function () {
+            await expect(vault.connect(alice).deposit(DEPOSIT, alice.address))
+                .to.emit(staking, "Staked")
+                .withArgs(await vault.getAddress(), DEPOSIT);
+
+            expect(await vault.balanceOf(alice.address)).to.equal(DEPOSIT);
+            expect(await vault.totalAssets()).to.equal(DEPOSIT);
+            expect((await staking.stakes(await vault.getAddress())).amount).to.equal(DEPOSIT);
+        });
+
+        it("should keep deposits idle until they reach the minimum stake", async function () {
+            const small = ethers.parseEther("60");
+            await vault.connect(alice).deposit(small, alice.address);
+
+            expect(await tapv2.balanceOf(await vault.getAddress())).to.equal(small);
+            expect(await vault.totalAssets()).to.equal(small);
+
+            await vault.connect(bob).deposit(small, bob.address);
+
+            expect(await tapv2.balanceOf(await vault.getAddress())).to.equal(0);
+            expect((await staking.stakes(await vault.getAddress())).amount).to.equal(small * 2n);
+        });
+
+        it("should mint by shares", async function () {
+            await vault.connect(alice).deposit(DEPOSIT, alice.address);
+            await time.increase(MONTH);
+            await vault.compound();
+
+            const assets = await vault.previewMint(ONE_SHARE * 100n);
+            const before = await tapv2.balanceOf(bob.address);
+            await vault.connect(bob).mint(ONE_SHARE * 100n, bob.address);
+
+            expect(await vault.balanceOf(bob.address)).to.equal(ONE_SHARE * 100n);
+            // One more second of rewards accrues before the mint
+            expect(before - (await tapv2.balanceOf(bob.address))).to.be.closeTo(assets, ethers.parseEther("0.001"));
+            expect(assets).to.be.gt(ONE_SHARE * 100n);
+        });
+
+        it("should not let a deposit right before a compound take earlier rewards", async function () {
+            await vault.connect(alice).deposit(DEPOSIT, alice.address);
+            await time.increase(MONTH);
+
+            await vault.connect(bob).deposit(DEPOSIT, bob.address);
+            const bobAssets = await vault.previewRedeem(await vault.balanceOf(bob.address));
+            await vault.connect(keeper).compound();
+
+            // Bob only earns from his deposit on (a second or two of rewards)
+            expect(bobAssets).to.be.closeTo(DEPOSIT, 1n);
+            expect(await vault.previewRedeem(await vault.balanceOf(bob.address))).to.be.closeTo(bobAssets, ethers.parseEther("0.01"));
+        });
+
+        it("should revert when the vault is not excluded from the fee", async function () {
+            await tapv2.setExcludedFromBurn(await vault.getAddress(), false);
+
+            await expect(vault.connect(alice).deposit(DEPOSIT, alice.address))
+                .to.be.revertedWith("Vault not excluded from fee");
+        });
+    });
+
+    describe("Compounding", function () {
+        beforeEach(async function () {
+            await deploy();
+            await vault.connect(alice).deposit(DEPOSIT, alice.address);
+        });
+
+        it("should restake rewards and pay the caller a bounty", async function () {
+            await time.increase(MONTH);
+            const [pending] = await vault.previewCompound();
+            const assetsBefore = await vault.totalAssets();
+            const priceBefore = await vault.convertToAssets(ONE_SHARE);
+
+            const tx = await vault.connect(keeper).compound();
+
+            const harvested = await vault.totalHarvested();
+            const bounty = (harvested * BOUNTY_BPS) / 10000n;
+            const staked = (await staking.stakes(await vault.getAddress())).amount;
+            await expect(tx).to.emit(vault, "Compounded").withArgs(keeper.address, harvested, bounty, staked - DEPOSIT);
+            expect(harvested).to.be.gte(pending);
+            expect(await tapv2.balanceOf(keeper.address)).to.equal(bounty);
+            expect(await vault.totalBounties()).to.equal(bounty);
+            expect(staked).to.equal(DEPOSIT + harvested - bounty);
+            expect(await vault.totalAssets()).to.be.closeTo(assetsBefore, ethers.parseEther("0.01"));
+            expect(await vault.convertToAssets(ONE_SHARE)).to.be.gt(priceBefore);
+            expect(await tapv2.balanceOf(await vault.getAddress())).to.equal(0);
+        });
+
+        it("should do nothing when there is nothing to harvest", async function () {
+            await time.increase(MONTH);
+            await vault.compound();
+
+            // End the reward period so nothing accrues after the next harvest
+            await staking.notifyRewardAmount(0, 1);
+            await time.increase(10);
+            await vault.compound();
+            const harvested = await vault.totalHarvested();
+
+            expect(await vault.connect(keeper).compound.staticCall()).to.equal(0);
+            await expect(vault.connect(keeper).compound())
+                .to.emit(vault, "Compounded")
+                .withArgs(keeper.address, 0, 0, 0)
+                .and.not.to.emit(staking, "RewardsClaimed");
+            expect(await vault.totalHarvested()).to.equal(harvested);
+        });
+
+        it("should let only the bounty setter change the bounty, up to the maximum", async function () {
+            await expect(vault.connect(alice).setCompoundBounty(10))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.setCompoundBounty(501)).to.be.revertedWith("Bounty too high");
+
+            await expect(vault.setCompoundBounty(0))
+                .to.emit(vault, "CompoundBountyUpdated")
+                .withArgs(BOUNTY_BPS, 0);
+            await time.increase(MONTH);
+            await vault.connect(keeper).compound();
+            expect(await tapv2.balanceOf(keeper.address)).to.equal(0);
+        });
+    });
+
+    describe("Withdrawals", function () {
+        beforeEach(async function () {
+            await deploy();
+            await vault.connect(alice).deposit(DEPOSIT, alice.address);
+            await vault.connect(bob).deposit(DEPOSIT, bob.address);
+        });
+
+        it("should redeem shares for the stake plus rewards net of the bounty", async function () {
+            await time.increase(MONTH);
+            await vault.connect(keeper).compound();
+            await time.increase(MONTH);
+
+            const shares = await vault.balanceOf(alice.address);
+            const expected = await vault.previewRedeem(shares);
+            const before = await tapv2.balanceOf(alice.address);
+            await vault.connect(alice).redeem(shares, alice.address, alice.address);
+
+            const received = (await tapv2.balanceOf(alice.address)) - before;
+            expect(received).to.be.gte(expected);
+            expect(received).to.be.closeTo(expected, ethers.parseEther("0.01"));
+            expect(received).to.be.gt(DEPOSIT);
+        });
+
+        it("should pay the last holder out of pending rewards", async function () {
+            await time.increase(MONTH);
+            await vault.connect(alice).redeem(await vault.balanceOf(alice.address), alice.address, alice.address);
+            await time.increase(MONTH);
+
+            const before = await tapv2.balanceOf(bob.address);
+            await vault.connect(bob).redeem(await vault.balanceOf(bob.address), bob.address, bob.address);
+
+            expect(await vault.totalSupply()).to.equal(0);
+            expect((await staking.stakes(await vault.getAddress())).amount).to.equal(0);
+            expect((await tapv2.balanceOf(bob.address)) - before).to.be.gt(DEPOSIT);
+        });
+
+        it("should pay the bounty to the caller of a withdrawal that harvests", async function () {
+            await time.increase(MONTH);
+            await vault.connect(alice).redeem(await vault.balanceOf(alice.address), alice.address, alice.address);
+            await time.increase(MONTH);
+            const [pending, reserved] = await vault.previewCompound();
+
+            const tx = await vault.connect(bob).redeem(await vault.balanceOf(bob.address), bob.address, bob.address);
+
+            const bounty = await vault.totalBounties();
+            expect(bounty).to.be.closeTo(reserved, reserved / 100n);
+            expect(await vault.totalHarvested()).to.be.closeTo(pending, pending / 100n);
+            await expect(tx).to.emit(vault, "Compounded").withArgs(bob.address, await vault.totalHarvested(), bounty, 0);
+            // Bob's redemption and the bounty took everything but rounding dust
+            expect(await tapv2.balanceOf(await vault.getAddress())).to.be.lte(2n);
+        });
+
+        it("should withdraw an exact amount of assets", async function () {
+            await time.increase(MONTH);
+            const shares = await vault.previewWithdraw(DEPOSIT);
+
+            await expect(vault.connect(alice).withdraw(DEPOSIT, alice.address, alice.address))
+                .to.changeTokenBalance(tapv2, alice, DEPOSIT);
+            expect(await vault.balanceOf(alice.address)).to.be.closeTo(DEPOSIT - shares, ethers.parseEther("0.01"));
+            expect(await vault.balanceOf(alice.address)).to.be.gt(0);
+        });
+
+        it("should keep withdrawals open while Staking is paused", async function () {
+            await time.increase(MONTH);
+            await staking.pause();
+
+            expect(await vault.maxDeposit(alice.address)).to.equal(0);
+            expect(await vault.maxMint(alice.address)).to.equal(0);
+            await expect(vault.connect(alice).deposit(DEPOSIT, alice.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxDeposit");
+
+            await vault.connect(keeper).compound();
+            expect(await tapv2.balanceOf(await vault.getAddress())).to.be.gt(0);
+
+            await vault.connect(alice).redeem(await vault.balanceOf(alice.address), alice.address, alice.address);
+            expect(await tapv2.balanceOf(alice.address)).to.be.gt(DEPOSIT * 2n);
+        });
+    });
+
+    describe("Yield vs Manual Restaking", function () {
+        /**
+         * Alice deposits in the vault and Bob stakes the same amount himself.
+         * Every month a keeper compounds the vault and Bob claims and restakes.
+         * Returns what each could take out after a year.
+         */
+        async function compareYear() {
+            await vault.connect(alice).deposit(DEPOSIT, alice.address);
+            await staking.connect(bob).stake(DEPOSIT);
+            const bobStart = (await staking.stakes(bob.address)).amount;
+
+            for (let month = 0; month < 12; month++) {
+                await time.increase(MONTH);
+                await vault.connect(keeper).compound();
+                const before = await tapv2.balanceOf(bob.address);
+                await staking.connect(bob).claimRewards();
+                await staking.connect(bob).stake((await tapv2.balanceOf(bob.address)) - before);
+            }
+
+            const [bobStaked, bobPending] = await staking.getStakeInfo(bob.address);
+            return {
+                vault: await vault.previewRedeem(await vault.balanceOf(alice.address)),
+                manual: bobStaked + bobPending,
+                bobStart,
+            };
+        }
+
+        it("should trail manual restaking by about the bounty when Staking is excluded", async function () {
+            await deploy();
+            const { vault: vaultAssets, manual, bobStart } = await compareYear();
+
+            expect(bobStart).to.equal(DEPOSIT);
+            const vaultYield = vaultAssets - DEPOSIT;
+            const manualYield = manual - DEPOSIT;
+            expect(vaultYield).to.be.lt(manualYield);
+            // Within a few times the 0.5% bounty of the rewards
+            expect(manualYield - vaultYield).to.be.lt((manualYield * BOUNTY_BPS * 3n) / 10000n);
+        });
+
+        it("should beat manual restaking when Staking pays the transfer fee", async function () {
+            await deploy({ stakingExcluded: false });
+            const { vault: vaultAssets, manual, bobStart } = await compareYear();
+
+            // Bob's stake and every claim and restake lose 1%; the vault's legs do not
+            expect(bobStart).to.equal(DEPOSIT - DEPOSIT / 100n);
+            expect(vaultAssets * bobStart).to.be.gt(manual * DEPOSIT);
+        });
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * Token Stats Tests
+ * Tests supply figures, exclusions, caching and the HTTP endpoints
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TokenStats, formatAmount, snapshotToJson } = require("../stats");
+const { createStatsServer } = require("../stats/server");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Token Stats", function () {
+    const { ethers } = hre;
+    const SUPPLY = ethers.parseEther("101902975");
+    const POOL = ethers.parseEther("100000");
+    const STAKED = ethers.parseEther("50000");
+    const VESTED = ethers.parseEther("200000");
+    const TREASURY = ethers.parseEther("1000000");
+    const YEAR = 365 * 24 * 60 * 60;
+
+    /**
+     * Suite with a funded pool, one staker, one schedule, a treasury
+     * balance and a 10,000 TAP wallet transfer (100 TAP fee burned)
+     */
+    async function statsFixture() {
+        const [owner, staker, beneficiary, treasury, alice, bob] = await ethers.getSigners();
+        const tapv2 = await ethers.deployContract("TAPv2");
+        const tapv2Address = await tapv2.getAddress();
+        const staking = await deployProxy(hre, "Staking", [tapv2Address]);
+        const vesting = await deployProxy(hre, "Vesting", [tapv2Address]);
+        const stakingAddress = await staking.getAddress();
+        const vestingAddress = await vesting.getAddress();
+        await tapv2.batchSetExcludedFromBurn([stakingAddress, vestingAddress], [true, true]);
+
+        await tapv2.approve(stakingAddress, POOL);
+        await staking.fundRewardPool(POOL);
+        await tapv2.transfer(staker.address, STAKED);
+        await tapv2.connect(staker).approve(stakingAddress, STAKED);
+        await staking.connect(staker).stake(STAKED);
+
+        await tapv2.approve(vestingAddress, VESTED);
+        await vesting.createVesting(beneficiary.address, VESTED, 0, YEAR);
+
+        await tapv2.transfer(treasury.address, TREASURY);
+        await tapv2.transfer(alice.address, ethers.parseEther("10000"));
+        await tapv2.connect(alice).transfer(bob.address, ethers.parseEther("10000"));
+
+        const addresses = { TAPv2: tapv2Address, Staking: stakingAddress, Vesting: vestingAddress };
+        return { tapv2, staking, vesting, addresses, owner, treasury, alice, bob };
+    }
+
+    /**
+     * GET a path from a listening server
+     */
+    async function get(server, pathname, method = "GET") {
+        const { port } = server.address();
+        return fetch(`http://127.0.0.1:${port}${pathname}`, { method });
+    }
+
+    describe("Figures", function () {
+        it("should read supply, burns, locked and staked supply and APY", async function () {
+            const { staking, addresses } = await loadFixture(statsFixture);
+            const stats = new TokenStats({ provider: ethers.provider, addresses });
+
+            const snapshot = await stats.get();
+
+            const burned = ethers.parseEther("100");
+            expect(snapshot.totalSupply).to.equal(SUPPLY);
+            expect(snapshot.feesBurned).to.equal(burned);
+            expect(snapshot.penaltiesBurned).to.equal(0n);
+            expect(snapshot.burnedSupply).to.equal(burned);
+            expect(snapshot.lockedSupply).to.equal(VESTED);
+            expect(snapshot.stakedSupply).to.equal(STAKED);
+            expect(snapshot.apy).to.equal(await staking.getCurrentAPY());
+            expect(snapshot.apy).to.be.gt(0n);
+            expect(snapshot.circulatingSupply).to.equal(SUPPLY - burned - VESTED);
+            expect(snapshot.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        });
+
+        it("should report fee burns and burned staking penalties separately", async function () {
+            const { tapv2, staking, addresses, owner } = await loadFixture(statsFixture);
+            await staking.setBurnPenalties(true);
+            await tapv2.approve(addresses.Staking, STAKED);
+            await staking.stakeLocked(STAKED, 1);
+            await staking.withdrawPosition(0);
+            const penalty = await staking.totalPenaltiesBurned();
+            expect(penalty).to.be.gt(0n);
+
+            const snapshot = await new TokenStats({ provider: ethers.provider, addresses, excluded: [owner.address] }).get();
+
+            expect(snapshot.feesBurned).to.equal(await tapv2.totalBurned());
+            expect(snapshot.feesBurned).to.equal(ethers.parseEther("100"));
+            expect(snapshot.penaltiesBurned).to.equal(penalty);
+            expect(snapshot.burnedSupply).to.equal(ethers.parseEther("100") + penalty);
+            expect(snapshot.totalSupply).to.equal(SUPPLY);
+            expect(snapshot.circulatingSupply).to.equal(
+                SUPPLY - ethers.parseEther("100") - penalty - VESTED - (await tapv2.balanceOf(owner.address))
+            );
+        });
+
+        it("should leave excluded addresses out of circulating supply", async function () {
+            const { tapv2, addresses, owner, treasury } = await loadFixture(statsFixture);
+            const stats = new TokenStats({
+                provider: ethers.provider,
+                addresses,
+                excluded: [treasury.address.toLowerCase(), owner.address, treasury.address],
+            });
+
+            const snapshot = await stats.get();
+
+            const ownerBalance = await tapv2.balanceOf(owner.address);
+            expect(Object.keys(snapshot.excluded)).to.deep.equal([treasury.address, owner.address]);
+            expect(snapshot.excluded[treasury.address]).to.equal(TREASURY);
+            expect(snapshot.circulatingSupply).to.equal(
+                SUPPLY - ethers.parseEther("100") - VESTED - TREASURY - ownerBalance
+            );
+        });
+
+        it("should serve cached figures until the TTL expires", async function () {
+            const { tapv2, addresses } = await loadFixture(statsFixture);
+            let now = 1000;
+            const stats = new TokenStats({ provider: ethers.provider, addresses, ttlMs: 30000, clock: () => now });
+
+            const first = await stats.get();
+            await tapv2.burn(ethers.parseEther("1"));
+
+            now += 29999;
+            expect(await stats.get()).to.equal(first);
+
+            now += 1;
+            const refreshed = await stats.get();
+            expect(refreshed).to.not.equal(first);
+            expect(refreshed.totalSupply).to.equal(SUPPLY - ethers.parseEther("1"));
+
+            await tapv2.burn(ethers.parseEther("1"));
+            stats.invalidate();
+            expect((await stats.get()).totalSupply).to.equal(SUPPLY - ethers.parseEther("2"));
+        });
+
+        it("should share one read between concurrent requests", async function () {
+            const { addresses } = await loadFixture(statsFixture);
+            const stats = new TokenStats({ provider: ethers.provider, addresses });
+
+            const [a, b] = await Promise.all([stats.get(), stats.get()]);
+
+            expect(a).to.equal(b);
+        });
+
+        it("should report zero APY once the reward period ends", async function () {
+            const { addresses } = await loadFixture(statsFixture);
+            const stats = new TokenStats({ provider: ethers.provider, addresses, ttlMs: 0 });
+
+            await time.increase(YEAR + 1);
+
+            expect((await stats.get()).apy).to.equal(0n);
+        });
+    });
+
+    describe("Formatting", function () {
+        it("should format amounts with 18 decimals", function () {
+            expect(formatAmount(0n)).to.equal("0.000000000000000000");
+            expect(formatAmount(1n)).to.equal("0.000000000000000001");
+            expect(formatAmount(ethers.parseEther("1.5"))).to.equal("1.500000000000000000");
+            expect(formatAmount(SUPPLY)).to.equal("101902975.000000000000000000");
+            expect(formatAmount(-ethers.parseEther("2"))).to.equal("-2.000000000000000000");
+        });
+    });
+
+    describe("HTTP", function () {
+        let server;
+
+        afterEach(async function () {
+            if (server) {
+                await new Promise((resolve) => server.close(resolve));
+                server = undefined;
+            }
+        });
+
+        /**
+         * Start a server on a free port
+         */
+        async function serve(stats, options) {
+            server = createStatsServer(stats, options);
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            return server;
+        }
+
+        it("should serve every figure as JSON", async function () {
+            const { addresses, treasury } = await loadFixture(statsFixture);
+            const stats = new TokenStats({ provider: ethers.provider, addresses, excluded: [treasury.address] });
+            await serve(stats);
+
+            const response = await get(server, "/stats");
+
+            expect(response.status).to.equal(200);
+            expect(response.headers.get("content-type")).to.match(/^application\/json/);
+            expect(response.headers.get("access-control-allow-origin")).to.equal("*");
+            expect(response.headers.get("cache-control")).to.equal("public, max-age=30");
+            const body = await response.json();
+            expect(body).to.deep.equal(snapshotToJson(await stats.get()));
+            expect(body.lockedSupply).to.equal("200000.000000000000000000");
+            expect(body.excluded).to.deep.equal({ [treasury.address]: "1000000.000000000000000000" });
+        });
+
+        it("should serve plain-text numbers", async function () {
+            const { addresses } = await loadFixture(statsFixture);
+            const stats = new TokenStats({ provider: ethers.provider, addresses });
+            await serve(stats);
+            const snapshot = await stats.get();
+
+            const expected = {
+                "/total-supply": "101902975.000000000000000000",
+                "/circulating-supply": formatAmount(snapshot.circulatingSupply),
+                "/total-burned": "100.000000000000000000",
+                "/penalties-burned": "0.000000000000000000",
+                "/burned-supply": "100.000000000000000000",
+                "/locked-supply": "200000.000000000000000000",
+                "/staked-supply": "50000.000000000000000000",
+                "/apy": snapshot.apy.toString(),
+            };
+            for (const [pathname, text] of Object.entries(expected)) {
+                const response = await get(server, pathname);
+                expect(response.headers.get("content-type")).to.match(/^text\/plain/);
+                expect(await response.text()).to.equal(text);
+            }
+            expect(await (await get(server, "/total-supply/")).text()).to.equal(expected["/total-supply"]);
+        });
+
+        it("should answer 404, 405 and 502", async function () {
+            const { addresses } = await loadFixture(statsFixture);
+            await serve(new TokenStats({ provider: ethers.provider, addresses }));
+
+            const missing = await get(server, "/holders");
+            expect(missing.status).to.equal(404);
+            expect((await missing.json()).endpoints).to.include("/circulating-supply");
+            expect((await get(server, "/stats", "POST")).status).to.equal(405);
+            await new Promise((resolve) => server.close(resolve));
+
+            const failures = [];
+            const broken = new TokenStats({
+                provider: ethers.provider,
+                addresses: { ...addresses, Vesting: ethers.ZeroAddress },
+            });
+            await serve(broken, { log: (message) => failures.push(message) });
+
+            const response = await get(server, "/locked-supply");
+            expect(response.status).to.equal(502);
+            expect(response.headers.get("cache-control")).to.equal("no-store");
+            expect(failures).to.have.length(1);
+        });
+    });
+});
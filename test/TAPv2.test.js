@@ -1,16 +1,19 @@
 /**
  * TAPv2 Token Unit Tests
- * Tests burn-on-transfer mechanism and exclusion functionality
+ * Tests burn-on-transfer mechanism, the transfer fee router and exclusion functionality
  */
 
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { deployProxy } = require("../scripts/lib/upgrades");
+const { ethers } = hre;
 
 describe("TAPv2 Token", function () {
     let tapv2;
     let owner;
     let addr1;
     let addr2;
+    let addr3;
 
     const TOTAL_SUPPLY = ethers.parseEther("101902975");
     const BURN_RATE = 100n; // 1% in basis points
@@ -18,7 +21,7 @@ describe("TAPv2 Token", function () {
     const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
 
     beforeEach(async function () {
-        [owner, addr1, addr2] = await ethers.getSigners();
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
         const TAPv2 = await ethers.getContractFactory("TAPv2");
         tapv2 = await TAPv2.deploy();
         await tapv2.waitForDeployment();
@@ -94,6 +97,113 @@ describe("TAPv2 Token", function () {
         });
     });
 
+    describe("Fee Router", function () {
+        const AMOUNT = ethers.parseEther("10000");
+        let staking;
+        let treasury;
+        let pair;
+
+        beforeEach(async function () {
+            treasury = addr3;
+            pair = addr2;
+            staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+            await tapv2.setExcludedFromBurn(await staking.getAddress(), true);
+            await tapv2.transfer(addr1.address, AMOUNT * 10n);
+        });
+
+        it("should split fees between burn, treasury and staking", async function () {
+            await tapv2.setTreasury(treasury.address);
+            await tapv2.setStakingRewards(await staking.getAddress());
+            await tapv2.setFeeSplit(5000, 3000, 2000);
+
+            const fee = (AMOUNT * BURN_RATE) / BASIS_POINTS;
+            const tx = tapv2.connect(addr1).transfer(addr2.address, AMOUNT);
+            await expect(tx).to.emit(tapv2, "BurnOnTransfer").withArgs(addr1.address, addr2.address, fee / 2n);
+            await expect(tx).to.emit(tapv2, "TreasuryFeeCollected").withArgs(addr1.address, addr2.address, (fee * 3n) / 10n);
+            await expect(tx).to.emit(tapv2, "StakingFeeCollected").withArgs(addr1.address, addr2.address, fee / 5n);
+            await expect(tx).to.emit(staking, "TransferFeeReceived").withArgs(fee / 5n);
+
+            expect(await tapv2.balanceOf(addr2.address)).to.equal(AMOUNT - fee);
+            expect(await tapv2.balanceOf(treasury.address)).to.equal((fee * 3n) / 10n);
+            expect(await staking.rewardPool()).to.equal(fee / 5n);
+            expect(await tapv2.totalBurned()).to.equal(fee / 2n);
+            expect(await tapv2.circulatingSupply()).to.equal(TOTAL_SUPPLY - fee / 2n);
+        });
+
+        it("should use buy and sell rates for flagged AMM pairs", async function () {
+            await tapv2.setTransferFees(50, 200, 500);
+            await tapv2.setAmmPair(pair.address, true);
+
+            await tapv2.connect(addr1).transfer(pair.address, AMOUNT);
+            expect(await tapv2.balanceOf(pair.address)).to.equal(AMOUNT - (AMOUNT * 500n) / BASIS_POINTS);
+
+            const [buyBurn] = await tapv2.quoteTransferFee(pair.address, addr1.address, AMOUNT);
+            expect(buyBurn).to.equal((AMOUNT * 200n) / BASIS_POINTS);
+            const [transferBurn] = await tapv2.quoteTransferFee(addr1.address, addr3.address, AMOUNT);
+            expect(transferBurn).to.equal((AMOUNT * 50n) / BASIS_POINTS);
+        });
+
+        it("should skip the fee for excluded addresses and mints or burns", async function () {
+            await tapv2.setAmmPair(pair.address, true);
+            await tapv2.setExcludedFromBurn(pair.address, true);
+
+            expect(await tapv2.quoteTransferFee(addr1.address, pair.address, AMOUNT)).to.deep.equal([0n, 0n, 0n]);
+            expect(await tapv2.quoteTransferFee(ethers.ZeroAddress, addr1.address, AMOUNT)).to.deep.equal([0n, 0n, 0n]);
+            expect(await tapv2.quoteTransferFee(addr1.address, ethers.ZeroAddress, AMOUNT)).to.deep.equal([0n, 0n, 0n]);
+        });
+
+        it("should cap fee rates and validate the split", async function () {
+            await expect(tapv2.setTransferFees(1001, 100, 100)).to.be.revertedWith("Fee exceeds maximum");
+            await expect(tapv2.setTransferFees(100, 100, 1001)).to.be.revertedWith("Fee exceeds maximum");
+            await expect(tapv2.setFeeSplit(5000, 5000, 1)).to.be.revertedWith("Split must total 100%");
+            await expect(tapv2.setFeeSplit(5000, 5000, 0)).to.be.revertedWith("Treasury not set");
+            await expect(tapv2.setFeeSplit(5000, 0, 5000)).to.be.revertedWith("Staking not set");
+            await expect(tapv2.connect(addr1).setTransferFees(0, 0, 0))
+                .to.be.revertedWithCustomError(tapv2, "AccessControlUnauthorizedAccount");
+        });
+
+        it("should only accept a Staking contract that is excluded and uses TAPv2", async function () {
+            await expect(tapv2.setStakingRewards(ethers.ZeroAddress)).to.be.revertedWith("Staking cannot be zero");
+
+            const other = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+            await expect(tapv2.setStakingRewards(await other.getAddress()))
+                .to.be.revertedWith("Staking must be excluded from fees");
+
+            const tap = await ethers.deployContract("TAP");
+            const foreign = await deployProxy(hre, "Staking", [await tap.getAddress()]);
+            await tapv2.setExcludedFromBurn(await foreign.getAddress(), true);
+            await expect(tapv2.setStakingRewards(await foreign.getAddress()))
+                .to.be.revertedWith("Staking token mismatch");
+
+            await expect(staking.notifyTransferFee(1)).to.be.revertedWith("Only staking token");
+        });
+
+        it("should keep the Staking fee receiver excluded from fees", async function () {
+            const stakingAddress = await staking.getAddress();
+            await tapv2.setStakingRewards(stakingAddress);
+
+            await expect(tapv2.setExcludedFromBurn(stakingAddress, false))
+                .to.be.revertedWith("Staking must stay excluded");
+            await expect(tapv2.batchSetExcludedFromBurn([addr1.address, stakingAddress], [true, false]))
+                .to.be.revertedWith("Staking must stay excluded");
+            await tapv2.batchSetExcludedFromBurn([addr1.address, stakingAddress], [false, true]);
+            expect(await tapv2.isExcludedFromBurn(stakingAddress)).to.be.true;
+
+            // A former fee receiver can be included again
+            const next = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+            await tapv2.setExcludedFromBurn(await next.getAddress(), true);
+            await tapv2.setStakingRewards(await next.getAddress());
+            await tapv2.setExcludedFromBurn(stakingAddress, false);
+            expect(await tapv2.isExcludedFromBurn(stakingAddress)).to.be.false;
+        });
+
+        it("should charge nothing when fees are set to zero", async function () {
+            await tapv2.setTransferFees(0, 0, 0);
+            await tapv2.connect(addr1).transfer(addr2.address, AMOUNT);
+            expect(await tapv2.balanceOf(addr2.address)).to.equal(AMOUNT);
+        });
+    });
+
     describe("Exclusion Management", function () {
         it("should allow owner to exclude addresses", async function () {
             await tapv2.setExcludedFromBurn(addr1.address, true);
@@ -118,7 +228,7 @@ describe("TAPv2 Token", function () {
         it("should reject non-owner exclusion changes", async function () {
             await expect(
                 tapv2.connect(addr1).setExcludedFromBurn(addr2.address, true)
-            ).to.be.revertedWithCustomError(tapv2, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(tapv2, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -0,0 +1,182 @@
+/**
+ * Upgrade Tests
+ * Tests the Staking and Vesting proxies: initialization, state surviving an
+ * upgrade, upgrade authorization and the storage-layout safety checks
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy, getImplementation, validateUpgrade, upgradeProxy } = require("../scripts/lib/upgrades");
+
+describe("Upgrades", function () {
+    const { ethers } = hre;
+    const DAY = 24 * 60 * 60;
+    const AMOUNT = ethers.parseEther("10000");
+
+    /**
+     * TAPv2 with Staking and Vesting proxies holding live positions
+     */
+    async function proxiesFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+        const tapv2 = await ethers.deployContract("TAPv2");
+        const tapv2Address = await tapv2.getAddress();
+        const staking = await deployProxy(hre, "Staking", [tapv2Address]);
+        const vesting = await deployProxy(hre, "Vesting", [tapv2Address]);
+        const stakingAddress = await staking.getAddress();
+        const vestingAddress = await vesting.getAddress();
+
+        await tapv2.batchSetExcludedFromBurn([stakingAddress, vestingAddress], [true, true]);
+        await tapv2.approve(stakingAddress, ethers.MaxUint256);
+        await tapv2.approve(vestingAddress, ethers.MaxUint256);
+        await staking.fundRewardPool(AMOUNT * 10n);
+
+        await tapv2.transfer(alice.address, AMOUNT * 2n);
+        await tapv2.connect(alice).approve(stakingAddress, ethers.MaxUint256);
+        await staking.connect(alice).stake(AMOUNT);
+        await staking.connect(alice).stakeLocked(AMOUNT / 2n, 1);
+
+        await vesting.createVesting(bob.address, AMOUNT, 30 * DAY, 365 * DAY);
+        await vesting.createVestingSchedule(bob.address, AMOUNT, await time.latest(), 0, 365 * DAY, 1000, 30 * DAY);
+        await time.increase(60 * DAY);
+
+        return { tapv2, staking, vesting, owner, alice, bob };
+    }
+
+    /**
+     * Everything a staker or beneficiary relies on, read through the proxy
+     */
+    async function snapshotState({ staking, vesting, owner, alice, bob }) {
+        return {
+            stake: await staking.stakes(alice.address),
+            position: await staking.positions(alice.address, 0),
+            tiers: await Promise.all([0, 1, 2, 3].map((id) => staking.tiers(id))),
+            totalStaked: await staking.totalStaked(),
+            totalWeight: await staking.totalWeight(),
+            rewardPool: await staking.rewardPool(),
+            rewardRate: await staking.rewardRate(),
+            periodFinish: await staking.periodFinish(),
+            rewardsDuration: await staking.rewardsDuration(),
+            stakingToken: await staking.stakingToken(),
+            stakingAdmin: await staking.hasRole(ethers.ZeroHash, owner.address),
+            stakedVotes: await staking.getVotes(alice.address),
+            schedules: await Promise.all([0, 1].map((i) => vesting.vestingSchedules(bob.address, i))),
+            totalLocked: await vesting.totalLocked(),
+            vestedVotes: await vesting.getVotes(bob.address),
+            vestingAdmin: await vesting.hasRole(ethers.ZeroHash, owner.address),
+        };
+    }
+
+    describe("Initialization", function () {
+        it("should initialize the proxies like the old constructors", async function () {
+            const { tapv2, staking, vesting, owner } = await loadFixture(proxiesFixture);
+
+            expect(await staking.stakingToken()).to.equal(await tapv2.getAddress());
+            expect(await staking.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+            expect(await staking.rewardsDuration()).to.equal(365 * DAY);
+            expect(await staking.tierCount()).to.equal(4);
+            expect(await vesting.token()).to.equal(await tapv2.getAddress());
+            expect(await vesting.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+        });
+
+        it("should not initialize twice, or the implementation at all", async function () {
+            const { tapv2, staking, vesting } = await loadFixture(proxiesFixture);
+            const tapv2Address = await tapv2.getAddress();
+
+            await expect(staking.initialize(tapv2Address)).to.be.revertedWithCustomError(staking, "InvalidInitialization");
+            await expect(vesting.initialize(tapv2Address)).to.be.revertedWithCustomError(vesting, "InvalidInitialization");
+
+            const implementation = await ethers.getContractAt("Staking", await getImplementation(hre, await staking.getAddress()));
+            await expect(implementation.initialize(tapv2Address))
+                .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+
+        it("should reject a zero token", async function () {
+            await expect(deployProxy(hre, "Staking", [ethers.ZeroAddress])).to.be.revertedWith("Staking token cannot be zero");
+            await expect(deployProxy(hre, "Vesting", [ethers.ZeroAddress])).to.be.revertedWith("Token address cannot be zero");
+        });
+    });
+
+    describe("Upgrading", function () {
+        it("should keep stakes, schedules, totalLocked and rewardPool", async function () {
+            const fixture = await loadFixture(proxiesFixture);
+            const { staking, vesting, alice, bob } = fixture;
+            const before = await snapshotState(fixture);
+
+            const stakingResult = await upgradeProxy(hre, await staking.getAddress(), "StakingV2Mock", {
+                call: { fn: "initializeV2" },
+            });
+            const vestingResult = await upgradeProxy(hre, await vesting.getAddress(), "VestingV2Mock");
+
+            expect(stakingResult.upgraded).to.be.true;
+            expect(stakingResult.implementation).to.not.equal(stakingResult.previousImplementation);
+            expect(vestingResult.implementation).to.not.equal(vestingResult.previousImplementation);
+            expect(await snapshotState(fixture)).to.deep.equal(before);
+
+            const stakingV2 = await ethers.getContractAt("StakingV2Mock", await staking.getAddress());
+            const vestingV2 = await ethers.getContractAt("VestingV2Mock", await vesting.getAddress());
+            expect(await stakingV2.version()).to.equal("2");
+            expect(await stakingV2.upgradedAt()).to.be.gt(0);
+            expect(await vestingV2.version()).to.equal("2");
+
+            // Positions keep working against the new implementation
+            await time.increase(365 * DAY);
+            await expect(stakingV2.connect(alice).exit()).to.emit(stakingV2, "Withdrawn");
+            await vestingV2.connect(bob).releaseAll();
+            expect(await vestingV2.totalLocked()).to.equal(0);
+            expect(await stakingV2.getVotes(alice.address)).to.equal(0);
+        });
+
+        it("should only let the admin upgrade", async function () {
+            const { staking, vesting, alice } = await loadFixture(proxiesFixture);
+            const implementation = await getImplementation(hre, await staking.getAddress());
+
+            await expect(staking.connect(alice).upgradeToAndCall(implementation, "0x"))
+                .to.be.revertedWithCustomError(staking, "AccessControlUnauthorizedAccount");
+            await expect(vesting.connect(alice).upgradeToAndCall(implementation, "0x"))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+        });
+
+        it("should only deploy the implementation when the signer is not the admin", async function () {
+            const { staking, owner, alice } = await loadFixture(proxiesFixture);
+            const stakingAddress = await staking.getAddress();
+            await staking.grantRole(ethers.ZeroHash, alice.address);
+            await staking.renounceRole(ethers.ZeroHash, owner.address);
+
+            const result = await upgradeProxy(hre, stakingAddress, "StakingV2Mock", { call: { fn: "initializeV2" } });
+
+            expect(result.upgraded).to.be.false;
+            expect(await getImplementation(hre, stakingAddress)).to.equal(result.previousImplementation);
+            await staking.connect(alice).upgradeToAndCall(result.implementation, result.data);
+            expect(await getImplementation(hre, stakingAddress)).to.equal(result.implementation);
+        });
+    });
+
+    describe("Safety checks", function () {
+        it("should accept compatible implementations", async function () {
+            const { staking, vesting } = await loadFixture(proxiesFixture);
+
+            await validateUpgrade(hre, await staking.getAddress(), "StakingV2Mock");
+            await validateUpgrade(hre, await vesting.getAddress(), "VestingV2Mock");
+        });
+
+        it("should refuse an incompatible storage layout", async function () {
+            const { staking } = await loadFixture(proxiesFixture);
+            const stakingAddress = await staking.getAddress();
+            const implementation = await getImplementation(hre, stakingAddress);
+
+            await expect(validateUpgrade(hre, stakingAddress, "StakingLayoutBreakMock"))
+                .to.be.rejectedWith("New storage layout is incompatible");
+            await expect(upgradeProxy(hre, stakingAddress, "StakingLayoutBreakMock"))
+                .to.be.rejectedWith("New storage layout is incompatible");
+            expect(await getImplementation(hre, stakingAddress)).to.equal(implementation);
+        });
+
+        it("should refuse implementations that are unsafe behind a proxy", async function () {
+            const { vesting } = await loadFixture(proxiesFixture);
+
+            await expect(validateUpgrade(hre, await vesting.getAddress(), "TAPv2"))
+                .to.be.rejectedWith("is not upgrade safe");
+        });
+    });
+});
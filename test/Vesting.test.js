@@ -1,13 +1,25 @@
 /**
  * Vesting Contract Unit Tests
- * Tests token vesting with cliff and linear release
+ * Tests token vesting with cliff, linear and stepped release, against v1 TAP
+ * and against a TAPv2 that takes its fee on every transfer
  */
 
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
 
-describe("Vesting Contract", function () {
+/**
+ * The suite runs against v1 TAP and against TAPv2 with nobody excluded from
+ * its 1% fee, so every transfer into and out of Vesting arrives short
+ */
+const TOKENS = [
+    { tokenName: "TAP", feeBps: 0n },
+    { tokenName: "TAPv2", feeBps: 100n },
+];
+
+TOKENS.forEach(({ tokenName, feeBps }) => describe(`Vesting Contract (${tokenName}, ${feeBps} bps fee)`, function () {
     let tap;
     let vesting;
     let owner;
@@ -18,17 +30,21 @@ describe("Vesting Contract", function () {
     const CLIFF_DURATION = 180 * 24 * 60 * 60; // 180 days in seconds
     const VESTING_DURATION = 365 * 24 * 60 * 60; // 365 days in seconds
 
+    // What arrives after one transfer
+    const net = (amount) => amount - (amount * feeBps) / 10000n;
+    const VESTED = net(VEST_AMOUNT);
+
     beforeEach(async function () {
         [owner, beneficiary, other] = await ethers.getSigners();
 
-        // Deploy TAP token (using original TAP for simplicity)
-        const TAP = await ethers.getContractFactory("TAP");
-        tap = await TAP.deploy();
-        await tap.waitForDeployment();
+        // Deploy the token; TAPv2 excludes its deployer by default
+        tap = await ethers.deployContract(tokenName);
+        if (feeBps > 0n) {
+            await tap.setExcludedFromBurn(owner.address, false);
+        }
 
         // Deploy Vesting contract
-        const Vesting = await ethers.getContractFactory("Vesting");
-        vesting = await Vesting.deploy(await tap.getAddress());
+        vesting = await deployProxy(hre, "Vesting", [await tap.getAddress()]);
         await vesting.waitForDeployment();
 
         // Approve vesting contract to spend tokens
@@ -40,8 +56,10 @@ describe("Vesting Contract", function () {
             expect(await vesting.token()).to.equal(await tap.getAddress());
         });
 
-        it("should set correct owner", async function () {
-            expect(await vesting.owner()).to.equal(owner.address);
+        it("should give the deployer every role", async function () {
+            for (const role of ["DEFAULT_ADMIN_ROLE", "VESTING_CREATOR_ROLE", "REVOKER_ROLE", "GUARDIAN_ROLE"]) {
+                expect(await vesting.hasRole(await vesting[role](), owner.address)).to.be.true;
+            }
         });
     });
 
@@ -55,7 +73,7 @@ describe("Vesting Contract", function () {
             );
 
             expect(await vesting.getScheduleCount(beneficiary.address)).to.equal(1);
-            expect(await vesting.totalLocked()).to.equal(VEST_AMOUNT);
+            expect(await vesting.totalLocked()).to.equal(VESTED);
         });
 
         it("should emit VestingCreated event", async function () {
@@ -69,6 +87,26 @@ describe("Vesting Contract", function () {
             ).to.emit(vesting, "VestingCreated");
         });
 
+        it("should let approved creators fund schedules", async function () {
+            await tap.transfer(other.address, VEST_AMOUNT * 2n);
+            await tap.connect(other).approve(await vesting.getAddress(), VEST_AMOUNT);
+
+            await expect(
+                vesting.connect(other).createVesting(beneficiary.address, VEST_AMOUNT, 0, VESTING_DURATION)
+            ).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+
+            const creatorRole = await vesting.VESTING_CREATOR_ROLE();
+            await expect(vesting.grantRole(creatorRole, other.address))
+                .to.emit(vesting, "RoleGranted")
+                .withArgs(creatorRole, other.address, owner.address);
+            await vesting.connect(other).createVesting(beneficiary.address, VEST_AMOUNT, 0, VESTING_DURATION);
+            expect(await vesting.totalLocked()).to.equal(VESTED);
+
+            await expect(
+                vesting.connect(other).revokeRole(creatorRole, other.address)
+            ).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+        });
+
         it("should reject zero beneficiary", async function () {
             await expect(
                 vesting.createVesting(
@@ -112,7 +150,7 @@ describe("Vesting Contract", function () {
             await time.increase(VESTING_DURATION / 2);
 
             const vested = await vesting.vestedAmount(beneficiary.address, 0);
-            const expectedVested = VEST_AMOUNT / 2n;
+            const expectedVested = VESTED / 2n;
 
             // Allow 1% tolerance for time-based calculations
             expect(vested).to.be.closeTo(expectedVested, expectedVested / 100n);
@@ -122,7 +160,7 @@ describe("Vesting Contract", function () {
             // Move past vesting end
             await time.increase(VESTING_DURATION + 1);
 
-            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(VEST_AMOUNT);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(VESTED);
         });
 
         it("should allow beneficiary to release vested tokens", async function () {
@@ -131,7 +169,7 @@ describe("Vesting Contract", function () {
 
             await vesting.connect(beneficiary).release(0);
 
-            expect(await tap.balanceOf(beneficiary.address)).to.equal(VEST_AMOUNT);
+            expect(await tap.balanceOf(beneficiary.address)).to.equal(net(VESTED));
         });
 
         it("should emit TokensReleased event", async function () {
@@ -139,7 +177,137 @@ describe("Vesting Contract", function () {
 
             await expect(vesting.connect(beneficiary).release(0))
                 .to.emit(vesting, "TokensReleased")
-                .withArgs(beneficiary.address, 0, VEST_AMOUNT);
+                .withArgs(beneficiary.address, 0, VESTED);
+        });
+    });
+
+    describe("Vesting Shapes", function () {
+        const DAY = 24 * 60 * 60;
+        const MONTH = 30 * DAY;
+        let start;
+
+        async function createSchedule(startTime, cliff, duration, tgeBps, step) {
+            await vesting.createVestingSchedule(
+                beneficiary.address, VEST_AMOUNT, startTime, cliff, duration, tgeBps, step
+            );
+        }
+
+        beforeEach(async function () {
+            start = (await time.latest()) + 10 * DAY;
+        });
+
+        it("should vest nothing before a future start", async function () {
+            await createSchedule(start, 0, VESTING_DURATION, 0, 0);
+
+            await time.increaseTo(start - 1);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(0);
+
+            await time.increaseTo(start + VESTING_DURATION / 2);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(VESTED / 2n);
+        });
+
+        it("should vest from a backdated start", async function () {
+            const backdated = (await time.latest()) - VESTING_DURATION;
+            await createSchedule(backdated, CLIFF_DURATION, VESTING_DURATION, 0, 0);
+
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(VESTED);
+            await vesting.connect(beneficiary).releaseAll();
+            expect(await tap.balanceOf(beneficiary.address)).to.equal(net(VESTED));
+        });
+
+        it("should unlock the TGE share at start and only that before the cliff", async function () {
+            await createSchedule(start, CLIFF_DURATION, VESTING_DURATION, 1000, 0);
+            const tge = VESTED / 10n;
+
+            await time.increaseTo(start - 1);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(0);
+
+            await time.increaseTo(start);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(tge);
+
+            await time.increaseTo(start + CLIFF_DURATION - 1);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(tge);
+
+            await time.increaseTo(start + CLIFF_DURATION);
+            const atCliff = tge + ((VESTED - tge) * BigInt(CLIFF_DURATION)) / BigInt(VESTING_DURATION);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(atCliff);
+
+            await time.increaseTo(start + VESTING_DURATION);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(VESTED);
+        });
+
+        it("should release in whole monthly steps", async function () {
+            await createSchedule(start, 0, 12 * MONTH, 0, MONTH);
+            const perMonth = VESTED / 12n;
+
+            await time.increaseTo(start + MONTH - 1);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(0);
+
+            await time.increaseTo(start + MONTH);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(perMonth);
+
+            await time.increaseTo(start + 2 * MONTH - 1);
+            expect(await vesting.releasableAmount(beneficiary.address, 0)).to.equal(perMonth);
+
+            await time.increaseTo(start + 12 * MONTH - 1);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal((VESTED * 11n) / 12n);
+
+            await time.increaseTo(start + 12 * MONTH);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(VESTED);
+        });
+
+        it("should combine TGE, cliff and quarterly steps", async function () {
+            const QUARTER = 3 * MONTH;
+            await createSchedule(start, QUARTER, 4 * QUARTER, 2000, QUARTER);
+            const tge = VESTED / 5n;
+            const perQuarter = (VESTED - tge) / 4n;
+
+            await time.increaseTo(start + QUARTER - 1);
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(tge);
+
+            await time.increaseTo(start + 2 * QUARTER);
+            await vesting.connect(beneficiary).release(0);
+            expect(await tap.balanceOf(beneficiary.address)).to.equal(net(tge + perQuarter * 2n));
+        });
+
+        it("should refund everything not yet stepped in on revoke", async function () {
+            await createSchedule(start, 0, 12 * MONTH, 0, MONTH);
+
+            // Halfway through the 4th month only 3 steps have unlocked
+            await time.setNextBlockTimestamp(start + 3 * MONTH + 15 * DAY);
+            const ownerBefore = await tap.balanceOf(owner.address);
+            await vesting.revoke(beneficiary.address, 0);
+
+            const vested = (VESTED * 3n) / 12n;
+            expect((await tap.balanceOf(owner.address)) - ownerBefore).to.equal(net(VESTED - vested));
+            expect(await vesting.vestedAmount(beneficiary.address, 0)).to.equal(vested);
+            expect(await vesting.totalLocked()).to.equal(vested);
+        });
+
+        it("should refund the whole amount when revoked before start", async function () {
+            await createSchedule(start, 0, VESTING_DURATION, 1000, 0);
+
+            await expect(vesting.revoke(beneficiary.address, 0))
+                .to.emit(vesting, "VestingRevoked")
+                .withArgs(beneficiary.address, 0, VESTED);
+            expect(await vesting.totalLocked()).to.equal(0);
+        });
+
+        it("should emit the unlock terms", async function () {
+            await expect(vesting.createVestingSchedule(beneficiary.address, VEST_AMOUNT, start, 0, 12 * MONTH, 500, MONTH))
+                .to.emit(vesting, "VestingUnlockTerms")
+                .withArgs(beneficiary.address, 0, 500, MONTH);
+        });
+
+        it("should reject invalid terms", async function () {
+            await expect(createSchedule(0, 0, VESTING_DURATION, 0, 0)).to.be.revertedWith("Start time cannot be zero");
+            await expect(createSchedule(start, 0, VESTING_DURATION, 10001, 0)).to.be.revertedWith("TGE share exceeds 100%");
+            await expect(
+                createSchedule(start, 0, MONTH, 0, MONTH + 1)
+            ).to.be.revertedWith("Step exceeds vesting duration");
+            await expect(
+                vesting.connect(other).createVestingSchedule(beneficiary.address, VEST_AMOUNT, start, 0, MONTH, 0, 0)
+            ).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -165,13 +333,43 @@ describe("Vesting Contract", function () {
             const refunded = ownerBalanceAfter - ownerBalanceBefore;
 
             // Refund should be approximately half (unvested portion)
-            expect(refunded).to.be.closeTo(VEST_AMOUNT / 2n, VEST_AMOUNT / 100n);
+            expect(refunded).to.be.closeTo(VESTED / 2n, VESTED / 100n);
         });
 
         it("should reject non-owner revoke", async function () {
             await expect(
                 vesting.connect(other).revoke(beneficiary.address, 0)
-            ).to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Accounting", function () {
+        it("should keep the books equal to the balance", async function () {
+            await vesting.createVesting(beneficiary.address, VEST_AMOUNT, 0, VESTING_DURATION);
+            await time.increase(VESTING_DURATION / 4);
+            await vesting.connect(beneficiary).release(0);
+            await vesting.revoke(beneficiary.address, 0);
+
+            const [accounted, balance] = await vesting.getAccounting();
+            expect(accounted).to.equal(await vesting.totalLocked());
+            expect(balance).to.equal(await tap.balanceOf(await vesting.getAddress()));
+            expect(balance).to.equal(accounted);
+        });
+
+        it("should send tokens held beyond totalLocked out", async function () {
+            const stray = ethers.parseEther("500");
+            await vesting.createVesting(beneficiary.address, VEST_AMOUNT / 2n, 0, VESTING_DURATION);
+            await tap.transfer(await vesting.getAddress(), stray);
+
+            await expect(vesting.connect(other).reconcileSurplus(other.address))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+            await expect(vesting.reconcileSurplus(ethers.ZeroAddress)).to.be.revertedWith("Recipient cannot be zero");
+            await expect(vesting.reconcileSurplus(other.address))
+                .to.emit(vesting, "SurplusReconciled")
+                .withArgs(other.address, net(stray));
+            expect(await tap.balanceOf(other.address)).to.equal(net(net(stray)));
+            expect(await vesting.totalLocked()).to.equal(net(VEST_AMOUNT / 2n));
+            await expect(vesting.reconcileSurplus(other.address)).to.be.revertedWith("No surplus");
         });
     });
-});
+}));
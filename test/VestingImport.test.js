@@ -0,0 +1,151 @@
+/**
+ * Batch Vesting Import Tests
+ * Tests duration parsing, row validation, dry-run and resume behaviour
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseDuration } = require("../scripts/lib/duration");
+const { readRows, validateRows, importVesting } = require("../scripts/lib/vesting-import");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Vesting Import", function () {
+    const { ethers } = hre;
+    const DAY = 24 * 60 * 60;
+    const silent = () => {};
+
+    describe("Durations", function () {
+        it("should parse seconds and unit strings", function () {
+            expect(parseDuration(3600)).to.equal(3600);
+            expect(parseDuration("3600")).to.equal(3600);
+            expect(parseDuration("180d")).to.equal(180 * DAY);
+            expect(parseDuration("2w")).to.equal(14 * DAY);
+            expect(parseDuration("6mo")).to.equal(180 * DAY);
+            expect(parseDuration("2y")).to.equal(730 * DAY);
+            expect(parseDuration("1.5y")).to.equal(547.5 * DAY);
+        });
+
+        it("should reject malformed durations", function () {
+            expect(() => parseDuration("soon")).to.throw("Invalid duration");
+            expect(() => parseDuration("10x")).to.throw("Invalid duration");
+            expect(() => parseDuration(-1)).to.throw("Invalid duration");
+        });
+    });
+
+    describe("Validation", function () {
+        const alice = "0x1111111111111111111111111111111111111111";
+
+        it("should normalize valid rows", function () {
+            const { rows, errors } = validateRows([
+                { line: 2, beneficiary: alice, amount: "1000", cliff: "30d", duration: "1y" },
+            ]);
+
+            expect(errors).to.be.empty;
+            expect(rows[0].amount).to.equal(ethers.parseEther("1000"));
+            expect(rows[0].cliffDuration).to.equal(30 * DAY);
+            expect(rows[0].vestingDuration).to.equal(365 * DAY);
+        });
+
+        it("should report zero address, cliff > duration and duplicates", function () {
+            const { errors } = validateRows([
+                { line: 2, beneficiary: ethers.ZeroAddress, amount: "1", cliff: "0", duration: "1d" },
+                { line: 3, beneficiary: alice, amount: "1", cliff: "2y", duration: "1y" },
+                { line: 4, beneficiary: alice, amount: "5", cliff: "0", duration: "1y" },
+                { line: 5, beneficiary: alice, amount: "5", cliff: "0", duration: "365d" },
+            ]);
+
+            expect(errors).to.deep.equal([
+                "row 2: beneficiary cannot be the zero address",
+                "row 3: cliff cannot exceed duration",
+                "row 5: duplicate of row 4",
+            ]);
+        });
+
+        it("should read CSV and JSON files", function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tap-import-"));
+            const csv = path.join(dir, "rows.csv");
+            const json = path.join(dir, "rows.json");
+            fs.writeFileSync(csv, `beneficiary,amount,cliff,duration\n${alice},100,0,1y\n`);
+            fs.writeFileSync(json, JSON.stringify([{ beneficiary: alice, amount: "100", cliff: 0, duration: "1y" }]));
+
+            expect(readRows(csv)).to.deep.equal([{ line: 2, beneficiary: alice, amount: "100", cliff: "0", duration: "1y" }]);
+            expect(readRows(json)).to.deep.equal([{ line: 1, beneficiary: alice, amount: "100", cliff: 0, duration: "1y" }]);
+
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe("Import", function () {
+        let tapv2;
+        let vesting;
+        let rawRows;
+
+        beforeEach(async function () {
+            const [, alice, bob] = await ethers.getSigners();
+            tapv2 = await ethers.deployContract("TAPv2");
+            vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+            await tapv2.setExcludedFromBurn(await vesting.getAddress(), true);
+
+            rawRows = [
+                { line: 2, beneficiary: alice.address, amount: "1000", cliff: "90d", duration: "1y" },
+                { line: 3, beneficiary: bob.address, amount: "500", cliff: "0", duration: "2y" },
+            ];
+        });
+
+        it("should create every schedule and approve the total", async function () {
+            const result = await importVesting(hre, vesting, rawRows, { log: silent });
+
+            expect(result.created).to.have.length(2);
+            expect(result.total).to.equal(ethers.parseEther("1500"));
+            expect(await vesting.totalLocked()).to.equal(ethers.parseEther("1500"));
+        });
+
+        it("should not send transactions in dry-run mode", async function () {
+            const lines = [];
+            const result = await importVesting(hre, vesting, rawRows, { dryRun: true, log: (line) => lines.push(line) });
+
+            expect(result.created).to.be.empty;
+            expect(await vesting.totalLocked()).to.equal(0n);
+            expect(lines).to.include("Total required: 1500.0 TAP");
+        });
+
+        it("should skip rows already on chain when resuming", async function () {
+            await importVesting(hre, vesting, rawRows.slice(0, 1), { log: silent });
+
+            const result = await importVesting(hre, vesting, rawRows, { resume: true, log: silent });
+
+            expect(result.skipped.map((row) => row.line)).to.deep.equal([2]);
+            expect(result.created.map((row) => row.line)).to.deep.equal([3]);
+            expect(await vesting.totalLocked()).to.equal(ethers.parseEther("1500"));
+        });
+
+        it("should refuse to start when the owner balance is too low", async function () {
+            const [, , , poor] = await ethers.getSigners();
+            await tapv2.transfer(poor.address, ethers.parseEther("100"));
+            await vesting.grantRole(await vesting.VESTING_CREATOR_ROLE(), poor.address);
+
+            await expect(
+                importVesting(hre, vesting.connect(poor), rawRows, { log: silent })
+            ).to.be.rejectedWith("is below the required");
+            expect(await vesting.totalLocked()).to.equal(0n);
+        });
+
+        it("should refuse to start without the vesting creator role", async function () {
+            const [, , , outsider] = await ethers.getSigners();
+
+            await expect(
+                importVesting(hre, vesting.connect(outsider), rawRows, { log: silent })
+            ).to.be.rejectedWith("does not hold VESTING_CREATOR_ROLE");
+        });
+
+        it("should refuse to start when any row is invalid", async function () {
+            rawRows.push({ line: 4, beneficiary: "0x1234", amount: "1", cliff: "0", duration: "1d" });
+
+            await expect(importVesting(hre, vesting, rawRows, { log: silent })).to.be.rejectedWith("Invalid vesting rows");
+            expect(await vesting.totalLocked()).to.equal(0n);
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Vesting NFT Tests
+ * Tests schedule tokens: minting, transfer policy, schedules and votes
+ * moving with their token, and on-chain metadata through VestingMetadata
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Vesting NFTs", function () {
+    let tap;
+    let vesting;
+    let owner;
+    let holder;
+    let recipient;
+
+    const AMOUNT = ethers.parseEther("1000");
+    const YEAR = 365 * 24 * 60 * 60;
+    const Policy = { Disabled: 0, Allowlisted: 1, Open: 2 };
+
+    /**
+     * Decode a data: URI token URI into its JSON
+     */
+    function decodeTokenURI(uri) {
+        const prefix = "data:application/json;base64,";
+        expect(uri.startsWith(prefix)).to.be.true;
+        return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+    }
+
+    function attributes(metadata) {
+        return Object.fromEntries(metadata.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+    }
+
+    beforeEach(async function () {
+        [owner, holder, recipient] = await ethers.getSigners();
+
+        tap = await ethers.deployContract("TAPv2");
+        vesting = await deployProxy(hre, "Vesting", [await tap.getAddress()]);
+        await tap.setExcludedFromBurn(await vesting.getAddress(), true);
+
+        await tap.approve(await vesting.getAddress(), AMOUNT * 3n);
+        await vesting.createVesting(holder.address, AMOUNT, 0, YEAR);
+        await vesting.createVesting(holder.address, AMOUNT * 2n, 0, YEAR * 2);
+    });
+
+    describe("Minting", function () {
+        it("should mint one token per schedule to the beneficiary", async function () {
+            expect(await vesting.name()).to.equal("TAP Vesting");
+            expect(await vesting.symbol()).to.equal("vTAP");
+            expect(await vesting.balanceOf(holder.address)).to.equal(2);
+            expect(await vesting.lastTokenId()).to.equal(2);
+
+            for (const index of [0, 1]) {
+                const tokenId = await vesting.scheduleTokenId(holder.address, index);
+                expect(tokenId).to.equal(index + 1);
+                expect(await vesting.ownerOf(tokenId)).to.equal(holder.address);
+                expect(await vesting.scheduleOf(tokenId)).to.deep.equal([holder.address, BigInt(index)]);
+            }
+        });
+
+        it("should emit an ERC-721 Transfer from the zero address", async function () {
+            await tap.approve(await vesting.getAddress(), AMOUNT);
+            await expect(vesting.createVesting(recipient.address, AMOUNT, 0, YEAR))
+                .to.emit(vesting, "Transfer")
+                .withArgs(ethers.ZeroAddress, recipient.address, 3);
+        });
+
+        it("should support the ERC-721 and AccessControl interfaces", async function () {
+            expect(await vesting.supportsInterface("0x80ac58cd")).to.be.true; // ERC-721
+            expect(await vesting.supportsInterface("0x5b5e139f")).to.be.true; // ERC-721 Metadata
+            expect(await vesting.supportsInterface("0x7965db0b")).to.be.true; // AccessControl
+            expect(await vesting.supportsInterface("0xffffffff")).to.be.false;
+        });
+    });
+
+    describe("Transfer Policy", function () {
+        it("should block transfers by default", async function () {
+            expect(await vesting.transferPolicy()).to.equal(Policy.Disabled);
+            await expect(
+                vesting.connect(holder).transferFrom(holder.address, recipient.address, 1)
+            ).to.be.revertedWith("Schedule transfer not allowed");
+        });
+
+        it("should only allow allowlisted recipients under the allowlist policy", async function () {
+            await expect(vesting.setTransferPolicy(Policy.Allowlisted))
+                .to.emit(vesting, "TransferPolicyUpdated")
+                .withArgs(Policy.Allowlisted);
+            await expect(
+                vesting.connect(holder).transferFrom(holder.address, recipient.address, 1)
+            ).to.be.revertedWith("Schedule transfer not allowed");
+
+            await expect(vesting.setTransferAllowlisted(recipient.address, true))
+                .to.emit(vesting, "TransferAllowlistUpdated")
+                .withArgs(recipient.address, true);
+            await vesting.connect(holder).transferFrom(holder.address, recipient.address, 1);
+
+            expect(await vesting.ownerOf(1)).to.equal(recipient.address);
+        });
+
+        it("should allow any recipient under the open policy", async function () {
+            await vesting.setTransferPolicy(Policy.Open);
+            await vesting.connect(holder)["safeTransferFrom(address,address,uint256)"](holder.address, recipient.address, 1);
+
+            expect(await vesting.ownerOf(1)).to.equal(recipient.address);
+        });
+
+        it("should restrict policy changes to the admin", async function () {
+            await expect(vesting.connect(holder).setTransferPolicy(Policy.Open))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+            await expect(vesting.connect(holder).setTransferAllowlisted(holder.address, true))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Moving Schedules", function () {
+        beforeEach(async function () {
+            await vesting.setTransferPolicy(Policy.Open);
+        });
+
+        it("should move the schedule and leave the holder's other indexes alone", async function () {
+            await tap.approve(await vesting.getAddress(), AMOUNT);
+            await vesting.createVesting(recipient.address, AMOUNT, 0, YEAR);
+
+            await expect(vesting.connect(holder).transferFrom(holder.address, recipient.address, 1))
+                .to.emit(vesting, "ScheduleTransferred")
+                .withArgs(holder.address, recipient.address, 1, 0, 1);
+
+            expect(await vesting.getScheduleCount(holder.address)).to.equal(2);
+            expect(await vesting.getScheduleCount(recipient.address)).to.equal(2);
+            expect((await vesting.vestingSchedules(holder.address, 0)).totalAmount).to.equal(0);
+            expect((await vesting.vestingSchedules(holder.address, 1)).totalAmount).to.equal(AMOUNT * 2n);
+            expect((await vesting.vestingSchedules(recipient.address, 1)).totalAmount).to.equal(AMOUNT);
+            expect(await vesting.scheduleTokenId(holder.address, 0)).to.equal(0);
+            expect(await vesting.scheduleTokenId(holder.address, 1)).to.equal(2);
+            expect(await vesting.scheduleTokenId(recipient.address, 1)).to.equal(1);
+            expect(await vesting.scheduleOf(2)).to.deep.equal([holder.address, 1n]);
+            expect(await vesting.scheduleOf(1)).to.deep.equal([recipient.address, 1n]);
+        });
+
+        it("should not let a revoke captured before the transfer hit another schedule", async function () {
+            await vesting.connect(holder).transferFrom(holder.address, recipient.address, 1);
+
+            await expect(vesting.revoke(holder.address, 0)).to.be.revertedWith("Schedule transferred");
+            await expect(vesting.connect(holder).release(0)).to.be.revertedWith("No tokens to release");
+
+            await vesting.revoke(recipient.address, 0);
+            expect((await vesting.vestingSchedules(recipient.address, 0)).revoked).to.be.true;
+            expect((await vesting.vestingSchedules(holder.address, 1)).revoked).to.be.false;
+        });
+
+        it("should move the unreleased tokens' votes", async function () {
+            await time.increase(YEAR / 2);
+            await vesting.connect(holder).release(0);
+            const released = (await vesting.vestingSchedules(holder.address, 0)).releasedAmount;
+
+            await vesting.connect(holder).transferFrom(holder.address, recipient.address, 1);
+
+            expect(await vesting.getVotes(recipient.address)).to.equal(AMOUNT - released);
+            expect(await vesting.getVotes(holder.address)).to.equal(AMOUNT * 2n);
+        });
+
+        it("should let the new holder release, and leave the old holder's releaseAll working", async function () {
+            await vesting.connect(holder).transferFrom(holder.address, recipient.address, 1);
+            await time.increase(YEAR * 2);
+
+            await vesting.connect(recipient).releaseAll();
+            expect(await tap.balanceOf(recipient.address)).to.equal(AMOUNT);
+            expect(await vesting.releasableAmount(recipient.address, 0)).to.equal(0);
+
+            await vesting.connect(holder).releaseAll();
+            expect(await tap.balanceOf(holder.address)).to.equal(AMOUNT * 2n);
+            expect(await vesting.totalLocked()).to.equal(0);
+        });
+    });
+
+    describe("Metadata", function () {
+        beforeEach(async function () {
+            const renderer = await ethers.deployContract("VestingMetadata");
+            await expect(vesting.setMetadataRenderer(await renderer.getAddress()))
+                .to.emit(vesting, "MetadataRendererUpdated")
+                .withArgs(await renderer.getAddress());
+        });
+
+        it("should describe the schedule's amounts and dates", async function () {
+            const start = (await vesting.vestingSchedules(holder.address, 0)).startTime;
+            await time.increaseTo(start + BigInt(YEAR / 4));
+            await vesting.connect(holder).release(0);
+            const schedule = await vesting.vestingSchedules(holder.address, 0);
+
+            const metadata = decodeTokenURI(await vesting.tokenURI(1));
+
+            expect(metadata.name).to.equal("TAP Vesting #1");
+            const values = attributes(metadata);
+            expect(values.Total).to.equal("1000.0000");
+            expect(values.Released).to.equal(ethers.formatEther(schedule.releasedAmount).slice(0, 8));
+            expect(values.Vested).to.equal(values.Released);
+            expect(values.Remaining).to.equal(ethers.formatEther(AMOUNT - schedule.releasedAmount).slice(0, 8));
+            expect(values.Releasable).to.equal("0.0000");
+            expect(values.Start).to.equal(Number(start));
+            expect(values["Cliff End"]).to.equal(Number(start));
+            expect(values.End).to.equal(Number(start) + YEAR);
+            expect(values["TGE Unlock (bps)"]).to.equal("0");
+            expect(values.Revoked).to.equal("No");
+        });
+
+        it("should show a revoked schedule with nothing releasable", async function () {
+            await time.increase(YEAR / 2);
+            await vesting.revoke(holder.address, 1);
+
+            const values = attributes(decodeTokenURI(await vesting.tokenURI(2)));
+
+            expect(values.Revoked).to.equal("Yes");
+            expect(values.Releasable).to.equal("0.0000");
+        });
+
+        it("should reject unminted tokens", async function () {
+            await expect(vesting.tokenURI(99)).to.be.revertedWithCustomError(vesting, "ERC721NonexistentToken");
+        });
+
+        it("should return empty URIs without a renderer, and let only the admin set one", async function () {
+            await expect(vesting.connect(holder).setMetadataRenderer(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+
+            await vesting.setMetadataRenderer(ethers.ZeroAddress);
+            expect(await vesting.tokenURI(1)).to.equal("");
+            await expect(vesting.tokenURI(99)).to.be.revertedWithCustomError(vesting, "ERC721NonexistentToken");
+        });
+
+        it("should serve several Vesting contracts from one renderer", async function () {
+            const renderer = await vesting.metadataRenderer();
+            const other = await deployProxy(hre, "Vesting", [await tap.getAddress()]);
+            await other.setMetadataRenderer(renderer);
+            await tap.approve(await other.getAddress(), AMOUNT);
+            await other.createVesting(recipient.address, AMOUNT / 2n, 0, YEAR);
+
+            expect(attributes(decodeTokenURI(await other.tokenURI(1))).Total).to.equal("500.0000");
+            expect(attributes(decodeTokenURI(await vesting.tokenURI(1))).Total).to.equal("1000.0000");
+        });
+    });
+});
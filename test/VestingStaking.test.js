@@ -0,0 +1,256 @@
+/**
+ * Vesting Staking Tests
+ * Tests staking unreleased vesting tokens in Staking: rewards, releases and
+ * revokes that unwind the stake, and exact totalLocked accounting
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/lib/upgrades");
+
+describe("Vesting Staking", function () {
+    let tapv2;
+    let staking;
+    let vesting;
+    let owner;
+    let alice;
+    let bob;
+    let revoker;
+
+    const POOL = ethers.parseEther("100000");
+    const AMOUNT = ethers.parseEther("10000");
+    const YEAR = 365 * 24 * 60 * 60;
+
+    /**
+     * The books must balance: what Vesting holds plus what it has staked
+     * equals totalLocked plus unclaimed rewards
+     */
+    async function expectBalanced() {
+        const [accounted, balance] = await vesting.getAccounting();
+        expect(balance).to.equal(accounted);
+        const [staked] = await staking.getStakeInfo(await vesting.getAddress());
+        expect(staked).to.equal(await vesting.totalStaked());
+    }
+
+    beforeEach(async function () {
+        [owner, alice, bob, revoker] = await ethers.getSigners();
+
+        tapv2 = await ethers.deployContract("TAPv2");
+        staking = await deployProxy(hre, "Staking", [await tapv2.getAddress()]);
+        vesting = await deployProxy(hre, "Vesting", [await tapv2.getAddress()]);
+        const stakingAddress = await staking.getAddress();
+        const vestingAddress = await vesting.getAddress();
+
+        await tapv2.batchSetExcludedFromBurn([stakingAddress, vestingAddress], [true, true]);
+        await tapv2.approve(stakingAddress, POOL);
+        await staking.fundRewardPool(POOL);
+        await vesting.setStaking(stakingAddress);
+        await vesting.grantRole(await vesting.REVOKER_ROLE(), revoker.address);
+
+        await tapv2.approve(vestingAddress, AMOUNT * 2n);
+        await vesting.createVesting(alice.address, AMOUNT, 0, YEAR);
+        await vesting.createVesting(bob.address, AMOUNT, 0, YEAR);
+    });
+
+    describe("Configuration", function () {
+        it("should let only the admin set Staking, and only for the same token", async function () {
+            await expect(vesting.connect(alice).setStaking(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+
+            const other = await ethers.deployContract("TAP");
+            const otherStaking = await deployProxy(hre, "Staking", [await other.getAddress()]);
+            await expect(vesting.setStaking(await otherStaking.getAddress()))
+                .to.be.revertedWith("Staking token mismatch");
+
+            await expect(vesting.setStaking(ethers.ZeroAddress))
+                .to.emit(vesting, "StakingUpdated")
+                .withArgs(ethers.ZeroAddress);
+            await expect(vesting.connect(alice).stakeUnreleased(0, AMOUNT))
+                .to.be.revertedWith("Staking not set");
+        });
+
+        it("should not change Staking while tokens are staked", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+
+            await expect(vesting.setStaking(ethers.ZeroAddress)).to.be.revertedWith("Tokens still staked");
+        });
+    });
+
+    describe("Staking", function () {
+        it("should stake unreleased tokens without touching totalLocked", async function () {
+            await expect(vesting.connect(alice).stakeUnreleased(0, AMOUNT))
+                .to.emit(vesting, "ScheduleStaked")
+                .withArgs(1, AMOUNT)
+                .and.to.emit(staking, "Staked")
+                .withArgs(await vesting.getAddress(), AMOUNT);
+
+            expect(await vesting.stakedAmount(1)).to.equal(AMOUNT);
+            expect(await vesting.totalStaked()).to.equal(AMOUNT);
+            expect(await vesting.totalLocked()).to.equal(AMOUNT * 2n);
+            expect(await tapv2.balanceOf(await vesting.getAddress())).to.equal(AMOUNT);
+            expect(await vesting.getVotes(alice.address)).to.equal(AMOUNT);
+            await expectBalanced();
+        });
+
+        it("should not stake more than the schedule's unreleased, unstaked tokens", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT / 2n);
+            await time.increase(YEAR / 4);
+            await vesting.connect(alice).release(0);
+
+            const schedule = await vesting.vestingSchedules(alice.address, 0);
+            const unstaked = schedule.totalAmount - schedule.releasedAmount - AMOUNT / 2n;
+            await expect(vesting.connect(alice).stakeUnreleased(0, unstaked + 1n))
+                .to.be.revertedWith("Exceeds unstaked balance");
+            await expect(vesting.connect(alice).stakeUnreleased(1, 1n))
+                .to.be.revertedWith("Invalid schedule index");
+        });
+
+        it("should bring tokens back with unstakeUnreleased", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+
+            await expect(vesting.connect(alice).unstakeUnreleased(0, AMOUNT + 1n))
+                .to.be.revertedWith("Exceeds staked amount");
+            await expect(vesting.connect(bob).unstakeUnreleased(0, 1n))
+                .to.be.revertedWith("Exceeds staked amount");
+            await expect(vesting.connect(alice).unstakeUnreleased(0, AMOUNT / 4n))
+                .to.emit(vesting, "ScheduleUnstaked")
+                .withArgs(1, AMOUNT / 4n);
+
+            expect(await vesting.stakedAmount(1)).to.equal((AMOUNT * 3n) / 4n);
+            await expectBalanced();
+        });
+
+        it("should apply Staking's minimum to Vesting's first stake only", async function () {
+            const small = ethers.parseEther("10");
+            await expect(vesting.connect(alice).stakeUnreleased(0, small))
+                .to.be.revertedWith("First stake must be at least 100 TAP");
+
+            await vesting.connect(alice).stakeUnreleased(0, await staking.MIN_STAKE());
+            await expect(vesting.connect(bob).stakeUnreleased(0, small))
+                .to.emit(vesting, "ScheduleStaked")
+                .withArgs(2, small);
+
+            // Once everything is unstaked the minimum applies again
+            await vesting.connect(alice).unstakeUnreleased(0, await staking.MIN_STAKE());
+            await vesting.connect(bob).unstakeUnreleased(0, small);
+            await expect(vesting.connect(bob).stakeUnreleased(0, small))
+                .to.be.revertedWith("First stake must be at least 100 TAP");
+            await expectBalanced();
+        });
+
+        it("should refuse to stake when the transfer into Staking takes a fee", async function () {
+            await tapv2.batchSetExcludedFromBurn(
+                [await staking.getAddress(), await vesting.getAddress()],
+                [false, false]
+            );
+
+            await expect(vesting.connect(alice).stakeUnreleased(0, AMOUNT))
+                .to.be.revertedWith("Vesting not excluded from fee");
+        });
+    });
+
+    describe("Rewards", function () {
+        it("should pay staking rewards to the beneficiary", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+            await time.increase(30 * 24 * 60 * 60);
+
+            const pending = await vesting.pendingStakingRewards(alice.address);
+            expect(pending).to.be.gt(0);
+            await expect(vesting.connect(alice).claimStakingRewards())
+                .to.emit(vesting, "StakingRewardsClaimed");
+
+            const claimed = await tapv2.balanceOf(alice.address);
+            expect(claimed).to.be.closeTo(pending, pending / 1000n);
+            expect(await vesting.pendingStakingRewards(alice.address)).to.equal(0);
+            expect(await vesting.totalLocked()).to.equal(AMOUNT * 2n);
+            await expectBalanced();
+
+            await expect(vesting.connect(bob).claimStakingRewards()).to.be.revertedWith("No rewards to claim");
+        });
+
+        it("should split rewards by staked amount and time", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+            await time.increase(30 * 24 * 60 * 60);
+            await vesting.connect(bob).stakeUnreleased(0, AMOUNT);
+            await time.increase(30 * 24 * 60 * 60);
+
+            await vesting.connect(alice).claimStakingRewards();
+            await vesting.connect(bob).claimStakingRewards();
+
+            // Alice earned alone for the first month and half of the second
+            const aliceRewards = await tapv2.balanceOf(alice.address);
+            const bobRewards = await tapv2.balanceOf(bob.address);
+            expect(aliceRewards).to.be.closeTo(bobRewards * 3n, bobRewards / 100n);
+            expect(aliceRewards + bobRewards).to.be.lte(await staking.totalRewardsClaimed());
+            await expectBalanced();
+        });
+
+        it("should keep rewards with the schedule token when it changes holder", async function () {
+            await vesting.setTransferPolicy(2);
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+            await time.increase(30 * 24 * 60 * 60);
+
+            await vesting.connect(alice).transferFrom(alice.address, bob.address, 1);
+
+            expect(await vesting.pendingStakingRewards(alice.address)).to.equal(0);
+            await vesting.connect(bob).claimStakingRewards();
+            expect(await tapv2.balanceOf(bob.address)).to.be.gt(0);
+            await vesting.connect(bob).unstakeUnreleased(1, AMOUNT);
+            await expectBalanced();
+        });
+    });
+
+    describe("Release and Revoke", function () {
+        it("should unstake what a release needs and keep the rest staked", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+            await time.increase(YEAR / 4);
+
+            await vesting.connect(alice).release(0);
+
+            const schedule = await vesting.vestingSchedules(alice.address, 0);
+            expect(await tapv2.balanceOf(alice.address)).to.equal(schedule.releasedAmount);
+            expect(await vesting.stakedAmount(1)).to.equal(AMOUNT - schedule.releasedAmount);
+            expect(await vesting.totalLocked()).to.equal(AMOUNT * 2n - schedule.releasedAmount);
+            await expectBalanced();
+        });
+
+        it("should release everything through releaseAll once fully vested", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+            await time.increase(YEAR);
+
+            await vesting.connect(alice).releaseAll();
+            await vesting.connect(alice).claimStakingRewards();
+
+            expect(await vesting.stakedAmount(1)).to.equal(0);
+            expect(await vesting.totalStaked()).to.equal(0);
+            expect(await tapv2.balanceOf(alice.address)).to.be.gt(AMOUNT);
+            expect(await vesting.totalLocked()).to.equal(AMOUNT);
+            await expectBalanced();
+        });
+
+        it("should unwind the stake on revoke and refund only the unvested part", async function () {
+            await vesting.connect(alice).stakeUnreleased(0, AMOUNT);
+            await time.increase(YEAR / 2);
+
+            await expect(vesting.connect(revoker).revoke(alice.address, 0))
+                .to.emit(vesting, "ScheduleUnstaked")
+                .withArgs(1, AMOUNT);
+
+            const schedule = await vesting.vestingSchedules(alice.address, 0);
+            expect(await tapv2.balanceOf(revoker.address)).to.equal(AMOUNT - schedule.totalAmount);
+            expect(await vesting.stakedAmount(1)).to.equal(0);
+            expect(await vesting.totalStaked()).to.equal(0);
+            expect(await vesting.totalLocked()).to.equal(AMOUNT + schedule.totalAmount);
+            expect(await vesting.getVotes(alice.address)).to.equal(schedule.totalAmount);
+            await expectBalanced();
+
+            // Rewards earned before the revoke stay claimable
+            await vesting.connect(alice).claimStakingRewards();
+            expect(await tapv2.balanceOf(alice.address)).to.be.gt(0);
+            await expect(vesting.connect(alice).stakeUnreleased(0, 1n)).to.be.revertedWith("Vesting was revoked");
+            await expectBalanced();
+        });
+    });
+});